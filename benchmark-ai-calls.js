@@ -0,0 +1,146 @@
+/**
+ * AI request benchmark
+ * Compares the score and category requests each job used to need with the combined job evaluation, against a mocked OpenAI client
+ *
+ * The mock counts roughly four characters per token and answers after a delay that grows with the tokens, like the API:
+ * a fixed overhead per request, a little per prompt token and more per generated token. Run with `npm run benchmark`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const OpenAIService = require('./src/services/OpenAIService');
+const ScoringService = require('./src/services/ScoringService');
+
+const fixture = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'evaluation', name), 'utf8'));
+
+/**
+ * OpenAI client stand-in answering each request with the fixture response for its schema
+ */
+class MockOpenAIClient {
+    /**
+     * @param {Object} responses - Responses by JSON schema name
+     * @param {Object} options - Simulated latency
+     * @param {number} options.overheadMs - Latency of every request
+     * @param {number} options.promptTokenMs - Latency per prompt token
+     * @param {number} options.completionTokenMs - Latency per generated token
+     * @param {boolean} options.wait - Whether to actually wait out the latency, or only add it up
+     */
+    constructor(responses, options = {}) {
+        this.responses = responses;
+        this.overheadMs = options.overheadMs ?? 40;
+        this.promptTokenMs = options.promptTokenMs ?? 0.02;
+        this.completionTokenMs = options.completionTokenMs ?? 0.5;
+        this.wait = options.wait ?? true;
+        this.simulatedMs = 0;
+
+        this.chat = { completions: { create: request => this.create(request) } };
+    }
+
+    async create(request) {
+        const content = JSON.stringify(this.responses[request.response_format.json_schema.name]);
+        const prompt = request.messages.map(message => message.content).join('\n') + JSON.stringify(request.response_format);
+        const usage = {
+            prompt_tokens: this.countTokens(prompt),
+            completion_tokens: this.countTokens(content)
+        };
+        usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+
+        const latency = this.overheadMs + usage.prompt_tokens * this.promptTokenMs + usage.completion_tokens * this.completionTokenMs;
+        this.simulatedMs += latency;
+        if (this.wait) {
+            await new Promise(resolve => setTimeout(resolve, latency));
+        }
+
+        return { choices: [{ message: { content, refusal: null } }], usage };
+    }
+
+    countTokens(text) {
+        return Math.ceil(text.length / 4);
+    }
+}
+
+/**
+ * Run every job through one way of asking the AI and measure it
+ * @param {string} name - Label of the approach
+ * @param {Function} evaluate - Makes the requests for one job: (scoringService, job, profiles) => Promise
+ * @param {Object} options - MockOpenAIClient options
+ * @returns {Object} - { name, requests, promptTokens, completionTokens, totalTokens, simulatedMs, elapsedMs }
+ */
+async function measure(name, evaluate, options) {
+    const openai = new OpenAIService();
+    const client = new MockOpenAIClient(fixture('responses.json'), options);
+    openai.openai = client;
+
+    const scoring = new ScoringService(openai);
+    const profiles = fixture('profiles.json');
+    const started = Date.now();
+
+    for (const job of fixture('jobs.json')) {
+        await evaluate(scoring, job, profiles);
+    }
+
+    const { requests, promptTokens, completionTokens } = openai.usage;
+    return {
+        name,
+        requests,
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens,
+        simulatedMs: Math.round(client.simulatedMs),
+        elapsedMs: Date.now() - started
+    };
+}
+
+/**
+ * Benchmark the previous pipeline's requests (a score and a category request per job) against the combined evaluation
+ * @param {Object} options - MockOpenAIClient options
+ * @returns {Array} - Measurements; the combined evaluation last
+ */
+async function runBenchmark(options = {}) {
+    return [
+        await measure('score + category (before)', async (scoring, job) => {
+            await scoring.scoreJob(job);
+            await scoring.categorizeJob(job);
+        }, options),
+        await measure('combined evaluation', async (scoring, job, profiles) => {
+            await scoring.evaluateJob(job, profiles);
+        }, options)
+    ];
+}
+
+/**
+ * Print the measurements with the savings of the combined evaluation
+ */
+function printResults(results) {
+    const combined = results[results.length - 1];
+    const compare = (before, after, less, more) => {
+        const change = Math.round((1 - after / before) * 100);
+        return change >= 0 ? `${change}% ${less}` : `${-change}% ${more}`;
+    };
+
+    console.log('\n📊 AI requests for %d jobs\n', fixture('jobs.json').length);
+    console.table(results.map(result => ({
+        approach: result.name,
+        requests: result.requests,
+        'prompt tokens': result.promptTokens,
+        'completion tokens': result.completionTokens,
+        'total tokens': result.totalTokens,
+        'latency (ms)': result.elapsedMs
+    })));
+
+    for (const result of results.slice(0, -1)) {
+        console.log(`Combined evaluation vs ${result.name}: ${compare(result.totalTokens, combined.totalTokens, 'fewer tokens', 'more tokens')}, ` +
+            `${compare(result.elapsedMs, combined.elapsedMs, 'less latency', 'more latency')}, ${result.requests - combined.requests} fewer requests`);
+    }
+}
+
+if (require.main === module) {
+    runBenchmark()
+        .then(printResults)
+        .catch(error => {
+            console.error('❌ Benchmark failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { runBenchmark, MockOpenAIClient };
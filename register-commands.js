@@ -0,0 +1,44 @@
+/**
+ * Slash command registration script
+ * Registers the bot's application commands with Discord
+ *
+ * Commands are registered per guild when DISCORD_GUILD_IDS is set (available immediately),
+ * otherwise globally (can take up to an hour to propagate).
+ */
+
+require('dotenv').config();
+const { REST, Routes } = require('discord.js');
+const { buildSlashCommands } = require('./src/commands/SlashCommands');
+
+async function registerCommands() {
+    const token = process.env.DISCORD_TOKEN;
+    const clientId = process.env.DISCORD_CLIENT_ID;
+
+    if (!token || !clientId) {
+        console.error('❌ DISCORD_TOKEN and DISCORD_CLIENT_ID are required to register commands');
+        process.exit(1);
+    }
+
+    const commands = buildSlashCommands().map(command => command.toJSON());
+    const rest = new REST({ version: '10' }).setToken(token);
+
+    const guildIds = (process.env.DISCORD_GUILD_IDS || '')
+        .split(',')
+        .map(id => id.trim())
+        .filter(Boolean);
+
+    if (guildIds.length > 0) {
+        for (const guildId of guildIds) {
+            await rest.put(Routes.applicationGuildCommands(clientId, guildId), { body: commands });
+            console.log(`✅ Registered ${commands.length} commands in guild ${guildId}`);
+        }
+    } else {
+        await rest.put(Routes.applicationCommands(clientId), { body: commands });
+        console.log(`✅ Registered ${commands.length} global commands`);
+    }
+}
+
+registerCommands().catch(error => {
+    console.error('❌ Failed to register commands:', error.message);
+    process.exit(1);
+});
@@ -17,6 +17,10 @@ if (!fs.existsSync(envPath)) {
     
     const envTemplate = `# Discord Bot Configuration
 DISCORD_TOKEN=your_discord_bot_token_here
+# Application ID, used by "npm run register-commands"
+DISCORD_CLIENT_ID=
+# Comma-separated guild IDs to post jobs to (defaults to every guild the bot is in)
+DISCORD_GUILD_IDS=
 
 # OpenAI Configuration
 OPENAI_API_KEY=your_openai_api_key_here
@@ -24,6 +28,32 @@ OPENAI_API_KEY=your_openai_api_key_here
 # MongoDB Configuration
 MONGODB_URI=mongodb://localhost:27017/discord-bot-upwork
 
+# Upwork API Configuration (enables the upwork-api job source)
+UPWORK_CLIENT_ID=
+UPWORK_CLIENT_SECRET=
+# Optional refresh token from the authorization code flow; rotated tokens are stored in MongoDB
+UPWORK_REFRESH_TOKEN=
+# Comma-separated job sources polled when no saved queries exist
+JOB_SOURCES=upwork
+# Days a handled job is remembered for deduplication, and the file used while MongoDB is down
+SEEN_JOB_TTL_DAYS=30
+SEEN_JOBS_PATH=data/seen-jobs.json
+# Word overlap (0-1) from which a job with a new ID counts as a repost
+REPOST_SIMILARITY=0.85
+# JSON file of USD rates ({ "rates": { "EUR": 1.08 } }) overriding the built-in table; re-read when it changes
+CURRENCY_RATES_PATH=data/currency-rates.json
+# Fetch the detail page of new Upwork jobs for client data and screening questions
+JOB_ENRICHMENT=true
+# Demo/dry-run mode: poll only the mock source (mock jobs are flagged as demo data)
+DEMO_MODE=false
+# Channel ID for admin alerts, e.g. a job source failing
+ADMIN_CHANNEL_ID=
+
+# Personal Alerts Configuration
+# Maximum alert DMs per user within the window (minutes)
+ALERT_DM_LIMIT=10
+ALERT_DM_WINDOW_MINUTES=60
+
 # Logging Configuration
 LOG_LEVEL=info
 `;
@@ -63,8 +93,22 @@ require('dotenv').config();
 
 const requiredEnvVars = [
     { name: 'DISCORD_TOKEN', required: true },
+    { name: 'DISCORD_CLIENT_ID', required: false },
+    { name: 'DISCORD_GUILD_IDS', required: false },
     { name: 'OPENAI_API_KEY', required: false },
     { name: 'MONGODB_URI', required: false },
+    { name: 'UPWORK_CLIENT_ID', required: false },
+    { name: 'UPWORK_CLIENT_SECRET', required: false },
+    { name: 'UPWORK_REFRESH_TOKEN', required: false },
+    { name: 'JOB_SOURCES', required: false },
+    { name: 'JOB_ENRICHMENT', required: false },
+    { name: 'SEEN_JOB_TTL_DAYS', required: false },
+    { name: 'REPOST_SIMILARITY', required: false },
+    { name: 'CURRENCY_RATES_PATH', required: false },
+    { name: 'DEMO_MODE', required: false },
+    { name: 'ADMIN_CHANNEL_ID', required: false },
+    { name: 'ALERT_DM_LIMIT', required: false },
+    { name: 'ALERT_DM_WINDOW_MINUTES', required: false },
     { name: 'LOG_LEVEL', required: false }
 ];
 
@@ -83,5 +127,6 @@ console.log('\n🚀 Setup complete!');
 console.log('\nNext steps:');
 console.log('1. Edit the .env file with your actual values');
 console.log('2. Make sure MongoDB is running (if using local MongoDB)');
-console.log('3. Run "npm start" to start the bot');
+console.log('3. Run "npm run register-commands" to register slash commands');
+console.log('4. Run "npm start" to start the bot');
 console.log('\nNote: OpenAI API key is optional. The bot will work without it, but AI features will be disabled.'); 
\ No newline at end of file
@@ -0,0 +1,575 @@
+/**
+ * Discord application (slash) command definitions
+ * Option order mirrors the positional arguments of the matching `!` prefix commands
+ */
+
+const { SlashCommandBuilder, ChannelType, PermissionFlagsBits } = require('discord.js');
+
+/**
+ * Build all slash command definitions
+ * @returns {Array} - Array of SlashCommandBuilder instances
+ */
+function buildSlashCommands() {
+    return [
+        // Job-related commands
+        new SlashCommandBuilder()
+            .setName('jobs')
+            .setDescription('Show recent jobs')
+            .addIntegerOption(option => option
+                .setName('limit')
+                .setDescription('Number of jobs to show')
+                .setMinValue(1)
+                .setMaxValue(25))
+            .addStringOption(option => option
+                .setName('category')
+                .setDescription('Only show jobs in this category')
+                .setAutocomplete(true)),
+
+        new SlashCommandBuilder()
+            .setName('job')
+            .setDescription('Show details of a specific job')
+            .addStringOption(option => option
+                .setName('id')
+                .setDescription('Job ID')
+                .setRequired(true)),
+
+        new SlashCommandBuilder()
+            .setName('search')
+            .setDescription('Search jobs by keyword')
+            .addStringOption(option => option
+                .setName('keyword')
+                .setDescription('Keyword to search for in titles and descriptions')
+                .setRequired(true)),
+
+        new SlashCommandBuilder()
+            .setName('stats')
+            .setDescription('Show job statistics'),
+
+        new SlashCommandBuilder()
+            .setName('fetch')
+            .setDescription('Fetch new jobs from Upwork now'),
+
+        new SlashCommandBuilder()
+            .setName('highscore')
+            .setDescription('Show high-scoring jobs')
+            .addNumberOption(option => option
+                .setName('min')
+                .setDescription('Minimum score (default 7)')
+                .setMinValue(0)
+                .setMaxValue(10)),
+
+        new SlashCommandBuilder()
+            .setName('recent')
+            .setDescription('Show jobs posted in the last few hours')
+            .addIntegerOption(option => option
+                .setName('hours')
+                .setDescription('Number of hours to look back (default 24)')
+                .setMinValue(1)
+                .setMaxValue(720)),
+
+        new SlashCommandBuilder()
+            .setName('client')
+            .setDescription('Show a client\'s reputation and the jobs seen from it')
+            .addStringOption(option => option
+                .setName('id')
+                .setDescription('Client ID (shown on job posts)')
+                .setRequired(true)),
+
+        // Profile-related commands
+        new SlashCommandBuilder()
+            .setName('profile')
+            .setDescription('Show profile details')
+            .addStringOption(option => option
+                .setName('name')
+                .setDescription('Profile name')
+                .setRequired(true)
+                .setAutocomplete(true)),
+
+        new SlashCommandBuilder()
+            .setName('profiles')
+            .setDescription('List all profiles'),
+
+        new SlashCommandBuilder()
+            .setName('addprofile')
+            .setDescription('Create a new profile using a form'),
+
+        new SlashCommandBuilder()
+            .setName('updateprofile')
+            .setDescription('Edit an existing profile using a form')
+            .addStringOption(option => option
+                .setName('name')
+                .setDescription('Profile name')
+                .setRequired(true)
+                .setAutocomplete(true)),
+
+        new SlashCommandBuilder()
+            .setName('deleteprofile')
+            .setDescription('Delete a profile')
+            .addStringOption(option => option
+                .setName('name')
+                .setDescription('Profile name')
+                .setRequired(true)
+                .setAutocomplete(true)),
+
+        new SlashCommandBuilder()
+            .setName('match')
+            .setDescription('Find the best profile for a job')
+            .addStringOption(option => option
+                .setName('job_id')
+                .setDescription('Job ID')
+                .setRequired(true)),
+
+        new SlashCommandBuilder()
+            .setName('why')
+            .setDescription('Explain how a job got its score')
+            .addStringOption(option => option
+                .setName('job_id')
+                .setDescription('Job ID')
+                .setRequired(true)),
+
+        // Channel-related commands
+        new SlashCommandBuilder()
+            .setName('channels')
+            .setDescription('List job channels'),
+
+        new SlashCommandBuilder()
+            .setName('setupchannels')
+            .setDescription('Create the default job category channels')
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels)
+            .addChannelOption(option => option
+                .setName('parent')
+                .setDescription('Discord category to create the channels under')
+                .addChannelTypes(ChannelType.GuildCategory)),
+
+        new SlashCommandBuilder()
+            .setName('createchannel')
+            .setDescription('Create a channel for a job category')
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels)
+            .addStringOption(option => option
+                .setName('category')
+                .setDescription('Job category')
+                .setRequired(true)
+                .setAutocomplete(true))
+            .addChannelOption(option => option
+                .setName('parent')
+                .setDescription('Discord category to create the channel under')
+                .addChannelTypes(ChannelType.GuildCategory)),
+
+        new SlashCommandBuilder()
+            .setName('remapchannel')
+            .setDescription('Point an existing channel at a job category')
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels)
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('Channel to receive the jobs')
+                .setRequired(true)
+                .addChannelTypes(ChannelType.GuildText))
+            .addStringOption(option => option
+                .setName('category')
+                .setDescription('Job category')
+                .setRequired(true)
+                .setAutocomplete(true)),
+
+        new SlashCommandBuilder()
+            .setName('deletechannel')
+            .setDescription('Delete a job channel and its routing record')
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels)
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('Job channel to delete')
+                .setRequired(true)
+                .addChannelTypes(ChannelType.GuildText)),
+
+        new SlashCommandBuilder()
+            .setName('rules')
+            .setDescription('Manage job routing rules')
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels)
+            .addSubcommand(subcommand => subcommand
+                .setName('list')
+                .setDescription('List routing rules in evaluation order'))
+            .addSubcommand(subcommand => subcommand
+                .setName('add')
+                .setDescription('Add a routing rule')
+                .addStringOption(option => option
+                    .setName('name')
+                    .setDescription('Unique rule name')
+                    .setRequired(true))
+                .addChannelOption(option => option
+                    .setName('channel')
+                    .setDescription('Channel that receives matching jobs')
+                    .setRequired(true)
+                    .addChannelTypes(ChannelType.GuildText))
+                .addNumberOption(option => option
+                    .setName('min_score')
+                    .setDescription('Minimum job score')
+                    .setMinValue(0)
+                    .setMaxValue(10))
+                .addNumberOption(option => option
+                    .setName('max_score')
+                    .setDescription('Maximum job score')
+                    .setMinValue(0)
+                    .setMaxValue(10))
+                .addNumberOption(option => option
+                    .setName('min_fit')
+                    .setDescription('Minimum fit score of the best-matching profile')
+                    .setMinValue(0)
+                    .setMaxValue(10))
+                .addNumberOption(option => option
+                    .setName('max_fit')
+                    .setDescription('Maximum fit score of the best-matching profile')
+                    .setMinValue(0)
+                    .setMaxValue(10))
+                .addStringOption(option => option
+                    .setName('categories')
+                    .setDescription('Comma-separated job categories'))
+                .addStringOption(option => option
+                    .setName('skills')
+                    .setDescription('Comma-separated skills (any must match)'))
+                .addStringOption(option => option
+                    .setName('budget_type')
+                    .setDescription('Budget type')
+                    .addChoices(
+                        { name: 'Any', value: 'any' },
+                        { name: 'Fixed price', value: 'fixed' },
+                        { name: 'Hourly', value: 'hourly' }
+                    ))
+                .addNumberOption(option => option
+                    .setName('min_budget')
+                    .setDescription('Minimum budget')
+                    .setMinValue(0))
+                .addNumberOption(option => option
+                    .setName('max_budget')
+                    .setDescription('Maximum budget')
+                    .setMinValue(0))
+                .addStringOption(option => option
+                    .setName('locations')
+                    .setDescription('Comma-separated client locations, e.g. United States'))
+                .addStringOption(option => option
+                    .setName('keywords')
+                    .setDescription('Comma-separated keywords (any must appear in title or description)'))
+                .addRoleOption(option => option
+                    .setName('role')
+                    .setDescription('Role to mention when a job matches'))
+                .addBooleanOption(option => option
+                    .setName('exclusive')
+                    .setDescription('Stop evaluating later rules when this one matches')))
+            .addSubcommand(subcommand => subcommand
+                .setName('test')
+                .setDescription('Show which rules a stored job would match')
+                .addStringOption(option => option
+                    .setName('job_id')
+                    .setDescription('Job ID')
+                    .setRequired(true)))
+            .addSubcommand(subcommand => subcommand
+                .setName('move')
+                .setDescription('Move a rule to a new position')
+                .addStringOption(option => option
+                    .setName('name')
+                    .setDescription('Rule name')
+                    .setRequired(true))
+                .addIntegerOption(option => option
+                    .setName('position')
+                    .setDescription('New position (1 is evaluated first)')
+                    .setRequired(true)
+                    .setMinValue(1)))
+            .addSubcommand(subcommand => subcommand
+                .setName('remove')
+                .setDescription('Remove a rule')
+                .addStringOption(option => option
+                    .setName('name')
+                    .setDescription('Rule name')
+                    .setRequired(true))),
+
+        new SlashCommandBuilder()
+            .setName('monitor')
+            .setDescription('Control the job monitoring schedule')
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels)
+            .addSubcommand(subcommand => subcommand
+                .setName('status')
+                .setDescription('Show the schedule, last run and next run'))
+            .addSubcommand(subcommand => subcommand
+                .setName('start')
+                .setDescription('Start monitoring (persists across restarts)'))
+            .addSubcommand(subcommand => subcommand
+                .setName('stop')
+                .setDescription('Stop monitoring (persists across restarts)'))
+            .addSubcommand(subcommand => subcommand
+                .setName('sources')
+                .setDescription('Check the health of every job source'))
+            .addSubcommand(subcommand => subcommand
+                .setName('schedule')
+                .setDescription('Change the monitoring schedule')
+                .addIntegerOption(option => option
+                    .setName('interval')
+                    .setDescription('Minutes between runs')
+                    .addChoices(
+                        { name: '1 minute', value: 1 },
+                        { name: '2 minutes', value: 2 },
+                        { name: '5 minutes', value: 5 },
+                        { name: '10 minutes', value: 10 },
+                        { name: '15 minutes', value: 15 },
+                        { name: '30 minutes', value: 30 },
+                        { name: '1 hour', value: 60 },
+                        { name: '2 hours', value: 120 },
+                        { name: '6 hours', value: 360 },
+                        { name: '12 hours', value: 720 }
+                    ))
+                .addStringOption(option => option
+                    .setName('hours')
+                    .setDescription('Active hours, e.g. 9-17 (end exclusive), 22-6 or all'))
+                .addStringOption(option => option
+                    .setName('days')
+                    .setDescription('Active days, e.g. mon-fri, mon,wed,fri or all'))
+                .addStringOption(option => option
+                    .setName('timezone')
+                    .setDescription('IANA timezone, e.g. UTC or America/New_York'))),
+
+        new SlashCommandBuilder()
+            .setName('queries')
+            .setDescription('Manage the saved Upwork search queries the monitor polls')
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels)
+            .addSubcommand(subcommand => subcommand
+                .setName('list')
+                .setDescription('List saved queries and their yield'))
+            .addSubcommand(subcommand => subcommand
+                .setName('add')
+                .setDescription('Save a search query')
+                .addStringOption(option => option
+                    .setName('name')
+                    .setDescription('Unique query name')
+                    .setRequired(true))
+                .addStringOption(option => option
+                    .setName('source')
+                    .setDescription('Job source to poll (default: Upwork search page)')
+                    .addChoices(
+                        { name: 'Upwork search page', value: 'upwork' },
+                        { name: 'Upwork RSS/Atom feed', value: 'upwork-rss' },
+                        { name: 'Upwork API', value: 'upwork-api' },
+                        { name: 'Any RSS/Atom feed', value: 'feed' },
+                        { name: 'JSON file', value: 'json-file' }
+                    ))
+                .addStringOption(option => option
+                    .setName('keywords')
+                    .setDescription('Search keywords'))
+                .addStringOption(option => option
+                    .setName('category')
+                    .setDescription('Upwork category'))
+                .addStringOption(option => option
+                    .setName('skills')
+                    .setDescription('Comma-separated skills (any must match)'))
+                .addNumberOption(option => option
+                    .setName('min_budget')
+                    .setDescription('Minimum budget')
+                    .setMinValue(0))
+                .addNumberOption(option => option
+                    .setName('max_budget')
+                    .setDescription('Maximum budget')
+                    .setMinValue(0))
+                .addIntegerOption(option => option
+                    .setName('interval')
+                    .setDescription('Minutes between polls of this query (default 5)')
+                    .setMinValue(1)
+                    .setMaxValue(1440))
+                .addIntegerOption(option => option
+                    .setName('limit')
+                    .setDescription('Maximum jobs per poll (default 50)')
+                    .setMinValue(1)
+                    .setMaxValue(100))
+                .addStringOption(option => option
+                    .setName('feed_url')
+                    .setDescription('Full RSS/Atom feed URL (upwork-rss and feed sources)'))
+                .addStringOption(option => option
+                    .setName('file_path')
+                    .setDescription('JSON file inside JOB_SOURCE_JSON_DIR (json-file source, default JOB_SOURCE_JSON_PATH)')))
+            .addSubcommand(subcommand => subcommand
+                .setName('pause')
+                .setDescription('Stop polling a query')
+                .addStringOption(option => option
+                    .setName('name')
+                    .setDescription('Query name')
+                    .setRequired(true)
+                    .setAutocomplete(true)))
+            .addSubcommand(subcommand => subcommand
+                .setName('resume')
+                .setDescription('Resume polling a query')
+                .addStringOption(option => option
+                    .setName('name')
+                    .setDescription('Query name')
+                    .setRequired(true)
+                    .setAutocomplete(true)))
+            .addSubcommand(subcommand => subcommand
+                .setName('remove')
+                .setDescription('Delete a query')
+                .addStringOption(option => option
+                    .setName('name')
+                    .setDescription('Query name')
+                    .setRequired(true)
+                    .setAutocomplete(true))),
+
+        new SlashCommandBuilder()
+            .setName('scoring')
+            .setDescription('View and edit how this server scores jobs')
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels)
+            .addSubcommand(subcommand => subcommand
+                .setName('show')
+                .setDescription('Show the scoring weights, AI blend and country preferences'))
+            .addSubcommand(subcommand => subcommand
+                .setName('weights')
+                .setDescription('Change scoring weights (relative; only their proportions matter)')
+                .addNumberOption(option => option
+                    .setName('budget')
+                    .setDescription('Weight of the budget (default 0.25)')
+                    .setMinValue(0))
+                .addNumberOption(option => option
+                    .setName('skills')
+                    .setDescription('Weight of skill demand (default 0.2)')
+                    .setMinValue(0))
+                .addNumberOption(option => option
+                    .setName('experience')
+                    .setDescription('Weight of the experience level (default 0.15)')
+                    .setMinValue(0))
+                .addNumberOption(option => option
+                    .setName('location')
+                    .setDescription('Weight of the client country (default 0.1)')
+                    .setMinValue(0))
+                .addNumberOption(option => option
+                    .setName('description')
+                    .setDescription('Weight of description quality (default 0.15)')
+                    .setMinValue(0))
+                .addNumberOption(option => option
+                    .setName('client')
+                    .setDescription('Weight of client reputation (default 0.15)')
+                    .setMinValue(0)))
+            .addSubcommand(subcommand => subcommand
+                .setName('blend')
+                .setDescription('Set the share of the AI score in the final score')
+                .addNumberOption(option => option
+                    .setName('ai')
+                    .setDescription('Share of the AI score, 0-1 (default 0.7)')
+                    .setRequired(true)
+                    .setMinValue(0)
+                    .setMaxValue(1)))
+            .addSubcommand(subcommand => subcommand
+                .setName('country')
+                .setDescription('Set the location score of a client country, or remove it')
+                .addStringOption(option => option
+                    .setName('country')
+                    .setDescription('Exact country name, e.g. United States')
+                    .setRequired(true))
+                .addNumberOption(option => option
+                    .setName('score')
+                    .setDescription('Location score 0-10; leave out to remove the country')
+                    .setMinValue(0)
+                    .setMaxValue(10)))
+            .addSubcommand(subcommand => subcommand
+                .setName('preview')
+                .setDescription('Score a stored or sample job with this server\'s profile')
+                .addStringOption(option => option
+                    .setName('job_id')
+                    .setDescription('Stored job to score (other options are ignored)'))
+                .addStringOption(option => option
+                    .setName('title')
+                    .setDescription('Sample job title'))
+                .addStringOption(option => option
+                    .setName('budget')
+                    .setDescription('Sample budget, e.g. $500 or $30-50/hr'))
+                .addStringOption(option => option
+                    .setName('skills')
+                    .setDescription('Comma-separated skills'))
+                .addStringOption(option => option
+                    .setName('experience')
+                    .setDescription('Experience level')
+                    .addChoices(
+                        { name: 'Entry', value: 'entry' },
+                        { name: 'Intermediate', value: 'intermediate' },
+                        { name: 'Expert', value: 'expert' }
+                    ))
+                .addStringOption(option => option
+                    .setName('location')
+                    .setDescription('Client country'))
+                .addStringOption(option => option
+                    .setName('description')
+                    .setDescription('Sample job description'))
+                .addNumberOption(option => option
+                    .setName('ai_score')
+                    .setDescription('AI score to blend in, 0-10 (default: custom score only)')
+                    .setMinValue(0)
+                    .setMaxValue(10)))
+            .addSubcommand(subcommand => subcommand
+                .setName('reset')
+                .setDescription('Return to the default scoring profile')),
+
+        // Alert commands
+        new SlashCommandBuilder()
+            .setName('alerts')
+            .setDescription('Manage your personal job alerts')
+            .addSubcommand(subcommand => subcommand
+                .setName('list')
+                .setDescription('List your alerts'))
+            .addSubcommand(subcommand => subcommand
+                .setName('add')
+                .setDescription('Save a search and get matching jobs by DM')
+                .addStringOption(option => option
+                    .setName('name')
+                    .setDescription('Alert name')
+                    .setRequired(true))
+                .addStringOption(option => option
+                    .setName('keywords')
+                    .setDescription('Comma-separated keywords (any must appear in title or description)'))
+                .addStringOption(option => option
+                    .setName('skills')
+                    .setDescription('Comma-separated skills (any must match)'))
+                .addNumberOption(option => option
+                    .setName('min_score')
+                    .setDescription('Minimum job score')
+                    .setMinValue(0)
+                    .setMaxValue(10))
+                .addNumberOption(option => option
+                    .setName('min_fit')
+                    .setDescription('Minimum fit score of the best-matching profile')
+                    .setMinValue(0)
+                    .setMaxValue(10))
+                .addNumberOption(option => option
+                    .setName('min_budget')
+                    .setDescription('Minimum budget')
+                    .setMinValue(0))
+                .addStringOption(option => option
+                    .setName('categories')
+                    .setDescription('Comma-separated job categories')))
+            .addSubcommand(subcommand => subcommand
+                .setName('pause')
+                .setDescription('Pause an alert')
+                .addStringOption(option => option
+                    .setName('name')
+                    .setDescription('Alert name')
+                    .setRequired(true)
+                    .setAutocomplete(true)))
+            .addSubcommand(subcommand => subcommand
+                .setName('resume')
+                .setDescription('Resume a paused alert')
+                .addStringOption(option => option
+                    .setName('name')
+                    .setDescription('Alert name')
+                    .setRequired(true)
+                    .setAutocomplete(true)))
+            .addSubcommand(subcommand => subcommand
+                .setName('delete')
+                .setDescription('Delete an alert')
+                .addStringOption(option => option
+                    .setName('name')
+                    .setDescription('Alert name')
+                    .setRequired(true)
+                    .setAutocomplete(true))),
+
+        // Utility commands
+        new SlashCommandBuilder()
+            .setName('help')
+            .setDescription('Show available commands'),
+
+        new SlashCommandBuilder()
+            .setName('ping')
+            .setDescription('Check that the bot is responding')
+    ];
+}
+
+module.exports = { buildSlashCommands };
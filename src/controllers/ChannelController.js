@@ -3,14 +3,32 @@
  * Manages channel creation, job distribution, and category management
  */
 
-const { EmbedBuilder, ChannelType, PermissionFlagsBits } = require('discord.js');
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ChannelType, PermissionFlagsBits } = require('discord.js');
 const Logger = require('../utils/Logger');
+const EventBus = require('../utils/EventBus');
+const CurrencyService = require('../services/CurrencyService');
 
 class ChannelController {
-    constructor(channelService, channelModel) {
+    constructor(channelService, channelModel, eventBus, routingController = null) {
         this.channelService = channelService;
         this.channelModel = channelModel;
+        this.eventBus = eventBus;
+        this.routingController = routingController;
         this.defaultCategory = 'US ONLY';
+        this.defaultCategories = [
+            'US ONLY',
+            'mobile',
+            'full-stack',
+            'full-stack-ai',
+            'frontend',
+            'backend'
+        ];
+        this.actionLabels = {
+            applied: '✅ Applied',
+            saved: '💾 Saved',
+            dismissed: '🚫 Not interested',
+            rescored: '🔄 Rescored'
+        };
     }
 
     /**
@@ -21,10 +39,10 @@ class ChannelController {
      */
     async createChannelForCategory(guildId, category, parentCategoryId = null) {
         try {
-            // Check if channel already exists
-            const existingChannel = await this.channelModel.findByCategory(category);
+            // Check if this guild already has a channel for the category
+            const existingChannel = await this.channelModel.findByCategory(guildId, category);
             if (existingChannel) {
-                Logger.info(`Channel for category ${category} already exists`);
+                Logger.info(`Channel for category ${category} already exists in guild ${guildId}`);
                 return existingChannel;
             }
 
@@ -63,34 +81,74 @@ class ChannelController {
     }
 
     /**
-     * Distribute a job to the appropriate channel
+     * Distribute a job to the channels selected by the guild's routing rules
+     * Falls back to the job's category channel when no rule matches
      * @param {Object} job - The job data
      * @param {string} guildId - The Discord guild ID
      */
     async distributeJob(job, guildId) {
         try {
-            // Find or create channel for job category
-            const channel = await this.getOrCreateChannelForCategory(guildId, job.category);
+            const targets = await this.resolveTargets(guildId, job);
             
-            if (!channel) {
-                Logger.error(`Could not create channel for category ${job.category}`);
+            if (targets.length === 0) {
+                Logger.error(`Could not find a channel for job ${job.title} in guild ${guildId}`);
                 return false;
             }
 
-            // Create job embed
+            // Create job embed with triage buttons
             const embed = this.createJobEmbed(job);
-            
-            // Send job to channel
-            await this.channelService.sendMessage(channel.discordId, { embeds: [embed] });
-            
-            Logger.info(`Distributed job ${job.title} to channel ${channel.name}`);
-            return true;
+            const actionRow = this.createJobActionRow(job);
+            let delivered = 0;
+
+            for (const target of targets) {
+                try {
+                    const mentions = target.mentionRoleIds.map(roleId => `<@&${roleId}>`).join(' ');
+
+                    await this.channelService.sendMessage(target.channelId, {
+                        content: mentions || undefined,
+                        embeds: [embed],
+                        components: [actionRow],
+                        allowedMentions: { roles: target.mentionRoleIds }
+                    });
+
+                    delivered++;
+                    Logger.info(`Distributed job ${job.title} to channel ${target.channelId}`);
+                    this.eventBus.emit(EventBus.EVENTS.JOB_DISTRIBUTED, job, guildId, target);
+                } catch (error) {
+                    Logger.error(`Error sending job ${job.id} to channel ${target.channelId}:`, error);
+                }
+            }
+
+            return delivered > 0;
         } catch (error) {
             Logger.error(`Error distributing job ${job.id}:`, error);
             throw error;
         }
     }
 
+    /**
+     * Resolve the channels a job should be posted to in a guild
+     * @param {string} guildId - The Discord guild ID
+     * @param {Object} job - The job data
+     * @returns {Array} - Targets ({ channelId, mentionRoleIds, rules })
+     */
+    async resolveTargets(guildId, job) {
+        if (this.routingController) {
+            const targets = await this.routingController.resolveTargets(guildId, job);
+            if (targets.length > 0) {
+                return targets;
+            }
+        }
+
+        // Find or create channel for job category
+        const channel = await this.getOrCreateChannelForCategory(guildId, job.category);
+        if (!channel) {
+            return [];
+        }
+
+        return [{ channelId: channel.discordId, mentionRoleIds: [], rules: [] }];
+    }
+
     /**
      * Get or create channel for a category
      * @param {string} guildId - The Discord guild ID
@@ -98,8 +156,8 @@ class ChannelController {
      */
     async getOrCreateChannelForCategory(guildId, category) {
         try {
-            // Try to find existing channel
-            let channel = await this.channelModel.findByCategory(category);
+            // Try to find this guild's existing channel
+            let channel = await this.channelModel.findByCategory(guildId, category);
             
             if (!channel) {
                 // Create new channel
@@ -119,17 +177,40 @@ class ChannelController {
      */
     createJobEmbed(job) {
         const embed = new EmbedBuilder()
-            .setTitle(`🎯 ${job.title}`)
-            .setColor(this.getScoreColor(job.score))
-            .setDescription(job.description.substring(0, 2000))
+            .setTitle(job.isMock ? `🧪 [DEMO] ${job.title}`.substring(0, 256) : `🎯 ${job.title}`)
+            .setColor(job.isMock ? '#808080' : this.getScoreColor(job.score))
+            .setDescription((job.fullDescription || job.description || '').substring(0, 2000) || null)
             .addFields(
                 { name: '💰 Budget', value: this.formatBudget(job.budget), inline: true },
                 { name: '⭐ Score', value: `${job.score}/10`, inline: true },
                 { name: '📂 Category', value: job.category, inline: true },
-                { name: '🔗 Link', value: job.url, inline: false }
+                // Feed and file jobs may have no URL, and Discord rejects empty field values
+                { name: '🔗 Link', value: job.url || 'No link', inline: false }
             )
             .setTimestamp(new Date(job.createdAt))
-            .setFooter({ text: `Job ID: ${job.id}` });
+            .setFooter({ text: job.isMock ? `Demo data, not a real job • Job ID: ${job.id}` : `Job ID: ${job.id}` });
+
+        // Explain how a fixed price compares with hourly rates
+        const impliedRate = this.formatImpliedRate(job.impliedRate);
+        if (impliedRate) {
+            embed.addFields({ name: '⏱️ Implied Rate', value: impliedRate, inline: false });
+        }
+
+        // How well the job fits the team's best-matching profile, next to its generic quality score
+        if (job.fitScore !== null && job.fitScore !== undefined) {
+            embed.addFields({ name: '🧩 Best Fit', value: `${job.bestProfileName || 'Unknown profile'}: ${job.fitScore}/10`, inline: false });
+        }
+
+        // The profile the AI evaluation picked, for reference only: routing and alerts use the fit score above
+        if (job.evaluation?.bestProfileName) {
+            embed.addFields({ name: '🤖 AI Pick', value: `${job.evaluation.bestProfileName}: ${job.evaluation.bestProfileScore}/10`, inline: false });
+        }
+
+        // Problems the AI evaluation pointed out
+        const redFlags = job.evaluation?.redFlags || [];
+        if (redFlags.length > 0) {
+            embed.addFields({ name: '🚩 Red Flags', value: redFlags.map(flag => `• ${flag}`).join('\n').substring(0, 1024), inline: false });
+        }
 
         // Add skills if available
         if (job.skills && job.skills.length > 0) {
@@ -149,9 +230,93 @@ class ChannelController {
             });
         }
 
+        // Add structured client data from the detail page
+        const client = this.formatClient(job.client);
+        if (client) {
+            // Jobs stored before scraped clients lost their derived `fp-` IDs keep them; those IDs mix up clients
+            const lookup = job.clientId && !job.clientId.startsWith('fp-') ? `\nHistory: \`/client ${job.clientId}\`` : '';
+            embed.addFields({ name: '👤 Client', value: `${client}${lookup}`, inline: false });
+        }
+
+        const activity = this.formatActivity(job.activity);
+        if (activity) {
+            embed.addFields({ name: '📨 Proposals', value: activity, inline: false });
+        }
+
+        if (job.screeningQuestions && job.screeningQuestions.length > 0) {
+            embed.addFields({
+                name: '❓ Screening Questions',
+                value: job.screeningQuestions.map((question, index) => `${index + 1}. ${question}`).join('\n').substring(0, 1024),
+                inline: false
+            });
+        }
+
+        // Add triage activity if anyone acted on the job
+        if (job.actions && job.actions.length > 0) {
+            embed.addFields({
+                name: '📝 Activity',
+                value: this.formatJobActions(job.actions),
+                inline: false
+            });
+        }
+
         return embed;
     }
 
+    /**
+     * Create the triage buttons shown under a job embed
+     * Button custom IDs have the form `job:<action>:<jobId>`
+     * @param {Object} job - The job data
+     */
+    createJobActionRow(job) {
+        return new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`job:applied:${job.id}`)
+                .setLabel('Applied')
+                .setEmoji('✅')
+                .setStyle(ButtonStyle.Success)
+                .setDisabled(Boolean(job.applied)),
+            new ButtonBuilder()
+                .setCustomId(`job:saved:${job.id}`)
+                .setLabel('Save')
+                .setEmoji('💾')
+                .setStyle(ButtonStyle.Primary)
+                .setDisabled(Boolean(job.saved)),
+            new ButtonBuilder()
+                .setCustomId(`job:dismissed:${job.id}`)
+                .setLabel('Not interested')
+                .setEmoji('🚫')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(Boolean(job.dismissed)),
+            new ButtonBuilder()
+                .setCustomId(`job:rescore:${job.id}`)
+                .setLabel('Rescore')
+                .setEmoji('🔄')
+                .setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder()
+                .setCustomId(`job:details:${job.id}`)
+                .setLabel('Score details')
+                .setEmoji('🔍')
+                .setStyle(ButtonStyle.Secondary)
+        );
+    }
+
+    /**
+     * Format a job's action history for display
+     * Shows the five most recent actions with relative Discord timestamps
+     * @param {Array} actions - The job's action history
+     */
+    formatJobActions(actions) {
+        return actions
+            .slice(-5)
+            .map(entry => {
+                const label = this.actionLabels[entry.action] || entry.action;
+                const timestamp = Math.floor(new Date(entry.at).getTime() / 1000);
+                return `${label} by <@${entry.userId}> <t:${timestamp}:R>`;
+            })
+            .join('\n');
+    }
+
     /**
      * Get color based on job score
      * @param {number} score - The job score
@@ -164,23 +329,81 @@ class ChannelController {
     }
 
     /**
-     * Format budget for display
+     * Format budget for display, in its own currency with the USD amount alongside
      * @param {Object} budget - The budget object
      */
     formatBudget(budget) {
         if (!budget) return 'Not specified';
+
+        const amount = value => CurrencyService.formatAmount(value, budget.currency);
+        const usd = CurrencyService.formatUsdNote(budget);
         
         if (budget.min && budget.max) {
-            return `$${budget.min} - $${budget.max}`;
+            return `${amount(budget.min)} - ${amount(budget.max)}${usd}`;
         } else if (budget.min) {
-            return `$${budget.min}+`;
+            return `${amount(budget.min)}+${usd}`;
         } else if (budget.max) {
-            return `Up to $${budget.max}`;
+            return `Up to ${amount(budget.max)}${usd}`;
         }
         
         return 'Not specified';
     }
 
+    /**
+     * Explain the hourly rate a fixed-price job implies
+     * @param {Object|null} impliedRate - Implied rate (see ScoringService.getImpliedRate)
+     * @returns {string|null} - e.g. "≈ $18/hr: ~60h for a medium, moderate job (estimated from the description)"
+     */
+    formatImpliedRate(impliedRate) {
+        if (!impliedRate || (!impliedRate.min && !impliedRate.max)) return null;
+
+        const rates = [impliedRate.min, impliedRate.max].filter(Boolean).map(rate => `$${Math.round(rate)}`);
+        const effort = impliedRate.duration && impliedRate.complexity
+            ? ` for a ${impliedRate.duration}, ${impliedRate.complexity} job`
+            : '';
+        const basis = impliedRate.basis === 'analysis' ? 'AI estimate' : 'estimated from the description';
+
+        return `≈ ${rates.join('-')}/hr: ~${impliedRate.hours}h${effort} (${basis})`;
+    }
+
+    /**
+     * Format structured client data in one line
+     * @param {Object|null} client - Client data
+     * @returns {string|null} - Client summary, or null when nothing is known
+     */
+    formatClient(client) {
+        if (!client) return null;
+
+        const parts = [];
+        if (client.paymentVerified !== null && client.paymentVerified !== undefined) {
+            parts.push(client.paymentVerified ? '✅ Payment verified' : '⚠️ Payment not verified');
+        }
+        if (client.rating !== null && client.rating !== undefined) parts.push(`⭐ ${client.rating.toFixed(1)} (${client.reviewsCount || 0} reviews)`);
+        if (client.totalSpent !== null && client.totalSpent !== undefined) parts.push(`$${client.totalSpent.toLocaleString('en-US')} spent`);
+        if (client.hireRate !== null && client.hireRate !== undefined) parts.push(`${client.hireRate}% hire rate`);
+        if (client.avgHourlyRate !== null && client.avgHourlyRate !== undefined) parts.push(`$${client.avgHourlyRate.toFixed(2)}/hr avg paid`);
+        if (client.country) parts.push(client.country);
+        if (client.memberSince) parts.push(`member since ${new Date(client.memberSince).getUTCFullYear()}`);
+
+        return parts.length > 0 ? parts.join(' • ') : null;
+    }
+
+    /**
+     * Format job activity (proposals, interviews, invites) in one line
+     * @param {Object|null} activity - Activity data
+     * @returns {string|null} - Activity summary, or null when nothing is known
+     */
+    formatActivity(activity) {
+        if (!activity) return null;
+
+        const parts = [];
+        if (activity.proposalsText) parts.push(`${activity.proposalsText} proposals`);
+        if (activity.interviewing !== null && activity.interviewing !== undefined) parts.push(`${activity.interviewing} interviewing`);
+        if (activity.invitesSent !== null && activity.invitesSent !== undefined) parts.push(`${activity.invitesSent} invites sent`);
+
+        return parts.length > 0 ? parts.join(' • ') : null;
+    }
+
     /**
      * Format channel name from category
      * @param {string} category - The job category
@@ -193,24 +416,26 @@ class ChannelController {
     }
 
     /**
-     * Get all channels
+     * Get all channels of a guild
+     * @param {string} guildId - The Discord guild ID
      */
-    async getAllChannels() {
+    async getAllChannels(guildId) {
         try {
-            return await this.channelModel.findAll();
+            return await this.channelModel.findByGuild(guildId);
         } catch (error) {
-            Logger.error('Error getting all channels:', error);
+            Logger.error(`Error getting channels for guild ${guildId}:`, error);
             throw error;
         }
     }
 
     /**
-     * Get channel by category
+     * Get a guild's channel by category
+     * @param {string} guildId - The Discord guild ID
      * @param {string} category - The job category
      */
-    async getChannelByCategory(category) {
+    async getChannelByCategory(guildId, category) {
         try {
-            return await this.channelModel.findByCategory(category);
+            return await this.channelModel.findByCategory(guildId, category);
         } catch (error) {
             Logger.error(`Error getting channel for category ${category}:`, error);
             throw error;
@@ -274,12 +499,44 @@ class ChannelController {
         }
     }
 
+    /**
+     * Post an alert to the admin channel (ADMIN_CHANNEL_ID)
+     * @param {Object} alert - { title, description, color, fields }
+     * @returns {boolean} - Whether the alert was posted
+     */
+    async sendAdminAlert(alert) {
+        const channelId = process.env.ADMIN_CHANNEL_ID;
+        if (!channelId) {
+            Logger.warn(`Admin alert not posted, ADMIN_CHANNEL_ID is not set: ${alert.title}`);
+            return false;
+        }
+
+        try {
+            const embed = new EmbedBuilder()
+                .setTitle(alert.title)
+                .setDescription(alert.description)
+                .setColor(alert.color || '#ff0000')
+                .setTimestamp();
+
+            if (alert.fields && alert.fields.length > 0) {
+                embed.addFields(alert.fields);
+            }
+
+            await this.channelService.sendMessage(channelId, { embeds: [embed] });
+            return true;
+        } catch (error) {
+            Logger.error(`Error sending admin alert to channel ${channelId}:`, error);
+            return false;
+        }
+    }
+
     /**
      * Get channel statistics
+     * @param {string} guildId - The Discord guild ID (optional, all guilds when omitted)
      */
-    async getChannelStats() {
+    async getChannelStats(guildId = null) {
         try {
-            const stats = await this.channelModel.getStats();
+            const stats = await this.channelModel.getStats(guildId);
             return {
                 totalChannels: stats.total,
                 channelsByCategory: stats.byCategory,
@@ -294,23 +551,15 @@ class ChannelController {
     /**
      * Create default channels
      * @param {string} guildId - The Discord guild ID
+     * @param {string} parentCategoryId - Parent category ID (optional)
      */
-    async createDefaultChannels(guildId) {
+    async createDefaultChannels(guildId, parentCategoryId = null) {
         try {
-            const defaultCategories = [
-                'US ONLY',
-                'mobile',
-                'full-stack',
-                'full-stack-ai',
-                'frontend',
-                'backend'
-            ];
-
             const createdChannels = [];
 
-            for (const category of defaultCategories) {
+            for (const category of this.defaultCategories) {
                 try {
-                    const channel = await this.createChannelForCategory(guildId, category);
+                    const channel = await this.createChannelForCategory(guildId, category, parentCategoryId);
                     createdChannels.push(channel);
                 } catch (error) {
                     Logger.error(`Error creating default channel for ${category}:`, error);
@@ -325,6 +574,84 @@ class ChannelController {
         }
     }
 
+    /**
+     * Point an existing Discord channel at a job category
+     * Channels that are not tracked yet are registered once Discord confirms they are text channels of the guild.
+     * A category has one channel per guild, so the channels previously mapped to it are unmapped
+     * (their Discord channels are kept)
+     * @param {string} guildId - The Discord guild ID
+     * @param {string} discordId - The Discord channel ID
+     * @param {string} category - The job category
+     * @returns {Object} - { channel, unmapped } with the unmapped channel records
+     */
+    async remapChannel(guildId, discordId, category) {
+        try {
+            const existingChannel = await this.channelModel.findByDiscordId(discordId);
+            if (existingChannel && existingChannel.guildId !== guildId) {
+                throw new Error('Channel belongs to another guild');
+            }
+
+            // Validate a new channel before anything is unmapped, so a bad ID leaves the current mapping alone
+            let info = null;
+            if (!existingChannel) {
+                info = await this.channelService.getChannelInfo(discordId);
+                if (info.guildId !== guildId) {
+                    throw new Error('Channel belongs to another guild');
+                }
+                if (info.type !== ChannelType.GuildText) {
+                    throw new Error('Jobs can only be posted to text channels');
+                }
+            }
+
+            const guildChannels = await this.channelModel.findByGuild(guildId);
+            const unmapped = guildChannels.filter(mapped => mapped.category === category && mapped.discordId !== discordId);
+            for (const previous of unmapped) {
+                await this.channelModel.delete(previous.id);
+                Logger.info(`Unmapped channel ${previous.name} from category ${category}`);
+            }
+
+            let channel;
+            if (existingChannel) {
+                channel = await this.channelModel.updateCategory(existingChannel.id, category);
+                Logger.info(`Remapped channel ${channel.name} to category ${category}`);
+            } else {
+                channel = await this.channelModel.create({
+                    discordId,
+                    guildId,
+                    name: info.name,
+                    category,
+                    parentCategoryId: info.parentId || null
+                });
+                Logger.info(`Registered channel ${channel.name} for category ${category}`);
+            }
+
+            return { channel, unmapped };
+        } catch (error) {
+            Logger.error(`Error remapping channel ${discordId} to category ${category}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a guild's job channel by its Discord ID
+     * @param {string} guildId - The Discord guild ID
+     * @param {string} discordId - The Discord channel ID
+     */
+    async deleteChannelByDiscordId(guildId, discordId) {
+        try {
+            const channel = await this.channelModel.findByDiscordId(discordId);
+            if (!channel || channel.guildId !== guildId) {
+                throw new Error('Channel is not a job channel in this server');
+            }
+
+            await this.deleteChannel(channel.id);
+            return channel;
+        } catch (error) {
+            Logger.error(`Error deleting channel ${discordId}:`, error);
+            throw error;
+        }
+    }
+
     /**
      * Archive old jobs in a channel
      * @param {string} channelId - The channel ID
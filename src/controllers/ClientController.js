@@ -0,0 +1,34 @@
+/**
+ * Controller for handling client reputation data
+ * Looks up clients and the jobs seen from them
+ */
+
+const Logger = require('../utils/Logger');
+
+class ClientController {
+    constructor(clientModel, jobModel) {
+        this.clientModel = clientModel;
+        this.jobModel = jobModel;
+    }
+
+    /**
+     * Get a client with its most recent jobs
+     * @param {string} clientId - Client ID
+     * @param {number} limit - Number of jobs to return
+     * @returns {Object|null} - { client, jobs }, or null when the client is unknown
+     */
+    async getClientHistory(clientId, limit = 10) {
+        try {
+            const client = await this.clientModel.findByClientId(clientId);
+            if (!client) return null;
+
+            const jobs = await this.jobModel.findByClientId(clientId, limit);
+            return { client, jobs };
+        } catch (error) {
+            Logger.error(`Error getting history of client ${clientId}:`, error);
+            throw error;
+        }
+    }
+}
+
+module.exports = ClientController;
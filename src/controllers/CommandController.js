@@ -3,18 +3,45 @@
  * Manages user interactions and command processing
  */
 
-const { EmbedBuilder } = require('discord.js');
+const {
+    EmbedBuilder,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    ModalBuilder,
+    PermissionFlagsBits,
+    TextInputBuilder,
+    TextInputStyle
+} = require('discord.js');
 const Logger = require('../utils/Logger');
+const CurrencyService = require('../services/CurrencyService');
+const { buildSlashCommands } = require('../commands/SlashCommands');
 
 class CommandController {
-    constructor(upworkController, profileController, jobController, channelController) {
+    constructor(upworkController, profileController, jobController, channelController, routingController, subscriptionController, searchQueryController, clientController, scoringProfileController) {
         this.upworkController = upworkController;
         this.profileController = profileController;
         this.jobController = jobController;
         this.channelController = channelController;
+        this.routingController = routingController;
+        this.subscriptionController = subscriptionController;
+        this.searchQueryController = searchQueryController;
+        this.clientController = clientController;
+        this.scoringProfileController = scoringProfileController;
         
         this.commands = new Map();
         this.setupCommands();
+
+        this.componentHandlers = new Map();
+        this.setupComponentHandlers();
+
+        // Profile form values kept between the two modal steps, keyed by `<userId>:<profileId|new>`
+        this.profileDrafts = new Map();
+        this.profileDraftTtl = 15 * 60 * 1000;
+
+        this.slashCommands = new Map(
+            buildSlashCommands().map(command => [command.name, command])
+        );
     }
 
     /**
@@ -29,6 +56,7 @@ class CommandController {
         this.commands.set('!fetch', this.handleFetchCommand.bind(this));
         this.commands.set('!highscore', this.handleHighScoreCommand.bind(this));
         this.commands.set('!recent', this.handleRecentCommand.bind(this));
+        this.commands.set('!client', this.handleClientCommand.bind(this));
 
         // Profile-related commands
         this.commands.set('!profile', this.handleProfileCommand.bind(this));
@@ -37,11 +65,21 @@ class CommandController {
         this.commands.set('!updateprofile', this.handleUpdateProfileCommand.bind(this));
         this.commands.set('!deleteprofile', this.handleDeleteProfileCommand.bind(this));
         this.commands.set('!match', this.handleMatchCommand.bind(this));
+        this.commands.set('!why', this.handleWhyCommand.bind(this));
+
+        // Alert commands
+        this.commands.set('!alerts', this.handleAlertsCommand.bind(this));
 
         // Channel-related commands
         this.commands.set('!channels', this.handleChannelsCommand.bind(this));
+        this.commands.set('!setupchannels', this.handleSetupChannelsCommand.bind(this));
         this.commands.set('!createchannel', this.handleCreateChannelCommand.bind(this));
+        this.commands.set('!remapchannel', this.handleRemapChannelCommand.bind(this));
         this.commands.set('!deletechannel', this.handleDeleteChannelCommand.bind(this));
+        this.commands.set('!rules', this.handleRulesCommand.bind(this));
+        this.commands.set('!monitor', this.handleMonitorCommand.bind(this));
+        this.commands.set('!queries', this.handleQueriesCommand.bind(this));
+        this.commands.set('!scoring', this.handleScoringCommand.bind(this));
 
         // Utility commands
         this.commands.set('!help', this.handleHelpCommand.bind(this));
@@ -49,7 +87,16 @@ class CommandController {
     }
 
     /**
-     * Handle incoming Discord messages
+     * Setup handlers for message components
+     * Keyed by the first segment of the component custom ID
+     */
+    setupComponentHandlers() {
+        this.componentHandlers.set('job', this.handleJobButton.bind(this));
+        this.componentHandlers.set('profile', this.handleProfileComponent.bind(this));
+    }
+
+    /**
+     * Handle incoming Discord messages (prefix fallback)
      * @param {Object} message - The Discord message object
      */
     async handleMessage(message) {
@@ -72,26 +119,245 @@ class CommandController {
         }
     }
 
+    /**
+     * Handle incoming Discord interactions (slash commands and autocomplete)
+     * @param {Object} interaction - The Discord interaction object
+     */
+    async handleInteraction(interaction) {
+        if (interaction.isAutocomplete()) {
+            await this.handleAutocomplete(interaction);
+            return;
+        }
+
+        if (interaction.isButton() || interaction.isModalSubmit()) {
+            await this.handleComponent(interaction);
+            return;
+        }
+
+        if (!interaction.isChatInputCommand()) return;
+
+        const context = this.createInteractionContext(interaction);
+
+        try {
+            const command = this.commands.get(`!${interaction.commandName}`);
+            if (!command) {
+                await context.reply({ content: '❌ Unknown command.', ephemeral: true });
+                return;
+            }
+
+            const args = this.getInteractionArgs(interaction);
+            await command(context, args);
+        } catch (error) {
+            Logger.error(`Error handling /${interaction.commandName}:`, error);
+            await context.reply({ content: '❌ An error occurred while processing your command.', ephemeral: true });
+        }
+    }
+
+    /**
+     * Route a component interaction to its handler by custom ID prefix
+     * @param {Object} interaction - The Discord component interaction
+     */
+    async handleComponent(interaction) {
+        const prefix = interaction.customId.split(':')[0];
+        const handler = this.componentHandlers.get(prefix);
+        if (!handler) return;
+
+        try {
+            await handler(interaction);
+        } catch (error) {
+            Logger.error(`Error handling component ${interaction.customId}:`, error);
+            const options = { content: '❌ An error occurred while processing this action.', ephemeral: true };
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp(options);
+            } else {
+                await interaction.reply(options);
+            }
+        }
+    }
+
+    /**
+     * Handle triage buttons on posted job embeds
+     * Updates the job and edits the embed in place to show who acted;
+     * "Score details" answers only the user who clicked, with the score breakdown
+     * @param {Object} interaction - The Discord button interaction
+     */
+    async handleJobButton(interaction) {
+        const [, action, jobId] = interaction.customId.split(':');
+        const user = { id: interaction.user.id, tag: interaction.user.tag };
+
+        if (action === 'details') {
+            const explanation = await this.scoringProfileController.explainJob(jobId, interaction.guildId);
+            await interaction.reply({ embeds: [this.createScoreBreakdownEmbed(explanation)], ephemeral: true });
+            return;
+        }
+
+        // Rescoring can take longer than the 3 second interaction window
+        await interaction.deferUpdate();
+
+        let job;
+        switch (action) {
+            case 'applied':
+                job = await this.jobController.markJobAsApplied(jobId, user);
+                break;
+            case 'saved':
+                job = await this.jobController.markJobAsSaved(jobId, user);
+                break;
+            case 'dismissed':
+                job = await this.jobController.markJobAsDismissed(jobId, user);
+                break;
+            case 'rescore':
+                job = await this.jobController.rescoreJob(jobId, user);
+                break;
+            default:
+                Logger.warn(`Unknown job action: ${action}`);
+                return;
+        }
+
+        if (!job) {
+            await interaction.followUp({ content: '❌ Job not found.', ephemeral: true });
+            return;
+        }
+
+        // Keep the score the guild's scoring profile gave the posted job
+        if (interaction.guildId) {
+            job = await this.scoringProfileController.applyProfile(job, interaction.guildId);
+        }
+
+        await interaction.editReply({
+            embeds: [this.channelController.createJobEmbed(job)],
+            components: [this.channelController.createJobActionRow(job)]
+        });
+    }
+
+    /**
+     * Wrap an interaction so prefix command handlers can reply to it
+     * The first reply answers the interaction, later replies become follow-ups
+     * @param {Object} interaction - The Discord interaction object
+     */
+    createInteractionContext(interaction) {
+        return {
+            interaction,
+            author: interaction.user,
+            member: interaction.member,
+            guild: interaction.guild,
+            guildId: interaction.guildId,
+            channel: interaction.channel,
+            reply: (options) => {
+                if (interaction.replied || interaction.deferred) {
+                    return interaction.followUp(options);
+                }
+                return interaction.reply(options);
+            }
+        };
+    }
+
+    /**
+     * Convert slash command options into positional arguments
+     * Arguments follow the option order of the command definition;
+     * subcommands become the first argument
+     * @param {Object} interaction - The Discord interaction object
+     */
+    getInteractionArgs(interaction) {
+        const definition = this.slashCommands.get(interaction.commandName);
+        if (!definition) return [];
+
+        const subcommand = interaction.options.getSubcommand(false);
+        const options = subcommand
+            ? definition.options.find(option => option.name === subcommand)?.options || []
+            : definition.options;
+
+        const args = options.map(option => {
+            const value = interaction.options.get(option.name)?.value;
+            return value === undefined || value === null ? undefined : String(value);
+        });
+
+        return subcommand ? [subcommand, ...args] : args;
+    }
+
+    /**
+     * Get the provided slash command options as a name/value object
+     * Values are strings, matching `key=value` prefix arguments
+     * @param {Object} interaction - The Discord interaction object
+     */
+    getInteractionOptions(interaction) {
+        let data = interaction.options.data;
+        if (data.length === 1 && Array.isArray(data[0].options)) {
+            data = data[0].options;
+        }
+
+        return Object.fromEntries(data.map(option => [option.name, String(option.value)]));
+    }
+
+    /**
+     * Handle autocomplete for profile, alert and query names and job categories
+     * @param {Object} interaction - The Discord autocomplete interaction
+     */
+    async handleAutocomplete(interaction) {
+        try {
+            const focused = interaction.options.getFocused(true);
+            const query = String(focused.value || '').toLowerCase();
+            let choices = [];
+
+            if (focused.name === 'name' && interaction.commandName === 'alerts') {
+                const subscriptions = await this.subscriptionController.getSubscriptions(interaction.user.id);
+                choices = subscriptions.map(subscription => subscription.name);
+            } else if (focused.name === 'name' && interaction.commandName === 'queries') {
+                const queries = await this.searchQueryController.getQueries();
+                choices = queries.map(query => query.name);
+            } else if (focused.name === 'name') {
+                const profiles = await this.profileController.getAllProfiles();
+                choices = profiles.map(profile => profile.name);
+            } else if (focused.name === 'category') {
+                choices = await this.jobController.getCategories();
+            }
+
+            const matches = choices
+                .filter(choice => choice && choice.toLowerCase().includes(query))
+                .slice(0, 25)
+                .map(choice => ({ name: choice, value: choice }));
+
+            await interaction.respond(matches);
+        } catch (error) {
+            Logger.error('Error handling autocomplete:', error);
+            await interaction.respond([]).catch(() => {});
+        }
+    }
+
     /**
      * Get command from message content
+     * Only an exact match on the first word selects a command
      * @param {string} content - The message content
      */
     getCommand(content) {
-        for (const [prefix, handler] of this.commands) {
-            if (content.startsWith(prefix)) {
-                return handler;
-            }
-        }
-        return null;
+        const name = content.split(/\s+/)[0].toLowerCase();
+        return this.commands.get(name) || null;
     }
 
     /**
      * Parse command arguments
+     * Splits on any whitespace and keeps "quoted values" (and key="quoted values") together
      * @param {string} content - The message content
      */
     parseArgs(content) {
-        const parts = content.split(' ');
-        return parts.slice(1);
+        const parts = content.match(/(?:[^\s"]+|"[^"]*")+/g) || [];
+        return parts.slice(1).map(part => part.replace(/"/g, ''));
+    }
+
+    /**
+     * Parse `key=value` arguments into an object
+     * @param {Array} args - Command arguments
+     */
+    parseNamedArgs(args) {
+        const named = {};
+
+        for (const arg of args) {
+            const index = arg.indexOf('=');
+            if (index > 0) {
+                named[arg.substring(0, index).toLowerCase()] = arg.substring(index + 1);
+            }
+        }
+
+        return named;
     }
 
     /**
@@ -100,10 +366,13 @@ class CommandController {
     async handleJobsCommand(message, args) {
         try {
             const limit = parseInt(args[0]) || 10;
-            const jobs = await this.jobController.getRecentJobs(24, limit);
+            const category = args[1];
+            const jobs = category
+                ? await this.jobController.getJobsByCategory(category, limit)
+                : await this.jobController.getRecentJobs(24, limit);
             
             if (jobs.length === 0) {
-                message.reply('📭 No recent jobs found.');
+                message.reply(category ? `📭 No jobs found in ${category}.` : '📭 No recent jobs found.');
                 return;
             }
 
@@ -207,6 +476,10 @@ class CommandController {
                     { name: 'Recent Jobs (24h)', value: stats.recentJobs.toString(), inline: true }
                 );
 
+            if (stats.mockJobs > 0) {
+                embed.setDescription(`🧪 ${stats.mockJobs} of these jobs are demo data (DEMO_MODE)`);
+            }
+
             // Add category breakdown
             if (stats.jobsByCategory) {
                 const categoryText = Object.entries(stats.jobsByCategory)
@@ -220,6 +493,25 @@ class CommandController {
                 });
             }
 
+            // Add per-query yield
+            const queries = await this.searchQueryController.getQueries();
+            if (queries.length > 0) {
+                const jobsByQuery = stats.jobsByQuery || {};
+                const queryText = queries
+                    .map(query => {
+                        const tagged = jobsByQuery[query.name] || { count: 0, averageScore: 0 };
+                        return `${query.enabled ? '' : '⏸️ '}**${query.name}**: ${tagged.count} jobs (avg ${tagged.averageScore.toFixed(1)}), ` +
+                            `${query.stats.jobsNew}/${query.stats.jobsFound} new in ${query.stats.runs} runs (${Math.round(query.yield * 100)}% yield)`;
+                    })
+                    .join('\n');
+
+                embed.addFields({
+                    name: 'Jobs by Query',
+                    value: queryText.substring(0, 1024),
+                    inline: false
+                });
+            }
+
             message.reply({ embeds: [embed] });
         } catch (error) {
             Logger.error('Error handling stats command:', error);
@@ -234,9 +526,13 @@ class CommandController {
         try {
             message.reply('🔄 Fetching new jobs from Upwork...');
             
-            await this.upworkController.manualFetch();
+            const run = await this.upworkController.manualFetch();
+            if (!run) {
+                message.reply('⏳ A job fetch is already running, try again when it finishes.');
+                return;
+            }
             
-            message.reply('✅ Job fetching completed!');
+            message.reply(`✅ Job fetching completed! Found ${run.jobsFound}, new ${run.jobsNew}, errors ${run.errorCount}.`);
         } catch (error) {
             Logger.error('Error handling fetch command:', error);
             message.reply('❌ Error fetching jobs.');
@@ -309,6 +605,29 @@ class CommandController {
         }
     }
 
+    /**
+     * Handle client command - show a client's reputation and the jobs seen from it
+     */
+    async handleClientCommand(message, args) {
+        try {
+            if (args.length === 0) {
+                message.reply('❌ Please provide a client ID.');
+                return;
+            }
+
+            const history = await this.clientController.getClientHistory(args[0]);
+            if (!history) {
+                message.reply('❌ Client not found.');
+                return;
+            }
+
+            message.reply({ embeds: [this.createClientEmbed(history.client, history.jobs)] });
+        } catch (error) {
+            Logger.error('Error handling client command:', error);
+            message.reply('❌ Error fetching client details.');
+        }
+    }
+
     /**
      * Handle profile command - show profile details
      */
@@ -377,18 +696,278 @@ class CommandController {
     }
 
     /**
-     * Handle add profile command
+     * Handle add profile command - open the profile form
      */
     async handleAddProfileCommand(message, args) {
         try {
-            // This would need more sophisticated parsing or a different approach
-            message.reply('❌ Profile creation via command not implemented. Use the web interface.');
+            if (!message.interaction) {
+                message.reply('ℹ️ Profile forms are only available as a slash command. Use `/addprofile`.');
+                return;
+            }
+
+            await message.interaction.showModal(this.buildProfileDetailsModal());
         } catch (error) {
             Logger.error('Error handling add profile command:', error);
             message.reply('❌ Error creating profile.');
         }
     }
 
+    /**
+     * Handle update profile command - open the profile form prefilled
+     */
+    async handleUpdateProfileCommand(message, args) {
+        try {
+            if (!message.interaction) {
+                message.reply('ℹ️ Profile forms are only available as a slash command. Use `/updateprofile`.');
+                return;
+            }
+
+            const profile = await this.profileController.getProfileByName(args.join(' '));
+            if (!profile) {
+                message.reply({ content: '❌ Profile not found.', ephemeral: true });
+                return;
+            }
+
+            await message.interaction.showModal(this.buildProfileDetailsModal(profile));
+        } catch (error) {
+            Logger.error('Error handling update profile command:', error);
+            message.reply('❌ Error updating profile.');
+        }
+    }
+
+    /**
+     * Handle delete profile command - ask for confirmation
+     */
+    async handleDeleteProfileCommand(message, args) {
+        try {
+            if (args.length === 0) {
+                message.reply('❌ Please provide a profile name.');
+                return;
+            }
+
+            const profile = await this.profileController.getProfileByName(args.join(' '));
+            if (!profile) {
+                message.reply({ content: '❌ Profile not found.', ephemeral: true });
+                return;
+            }
+
+            // The buttons name the requester, since a message reply is visible to the whole channel
+            const requesterId = message.author.id;
+            const confirmRow = new ActionRowBuilder().addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`profile:delete:${profile.id}:${requesterId}`)
+                    .setLabel('Delete')
+                    .setStyle(ButtonStyle.Danger),
+                new ButtonBuilder()
+                    .setCustomId(`profile:cancel:${profile.id}:${requesterId}`)
+                    .setLabel('Cancel')
+                    .setStyle(ButtonStyle.Secondary)
+            );
+
+            message.reply({
+                content: `⚠️ Delete profile **${profile.name}**? This cannot be undone.`,
+                components: [confirmRow],
+                ephemeral: true
+            });
+        } catch (error) {
+            Logger.error('Error handling delete profile command:', error);
+            message.reply('❌ Error deleting profile.');
+        }
+    }
+
+    /**
+     * Handle profile form modals and buttons
+     * Custom IDs have the form `profile:<step>:<profileId|new>`; delete buttons add `:<requesterId>`
+     * @param {Object} interaction - The Discord button or modal interaction
+     */
+    async handleProfileComponent(interaction) {
+        const [, step, target, requesterId] = interaction.customId.split(':');
+        const profileId = target === 'new' ? null : target;
+
+        if ((step === 'delete' || step === 'cancel') && interaction.user.id !== requesterId) {
+            await interaction.reply({ content: '⛔ Only the person who asked to delete this profile can confirm it.', ephemeral: true });
+            return;
+        }
+
+        switch (step) {
+            case 'details':
+                await this.handleProfileDetailsSubmit(interaction, target);
+                break;
+            case 'continue': {
+                const profile = profileId ? await this.profileController.getProfileById(profileId) : null;
+                await interaction.showModal(this.buildProfileExperienceModal(target, profile));
+                break;
+            }
+            case 'experience':
+                await this.handleProfileExperienceSubmit(interaction, target);
+                break;
+            case 'delete':
+                await this.profileController.deleteProfile(profileId);
+                await interaction.update({ content: '🗑️ Profile deleted.', components: [] });
+                break;
+            case 'cancel':
+                await interaction.update({ content: 'Profile deletion cancelled.', components: [] });
+                break;
+            default:
+                Logger.warn(`Unknown profile step: ${step}`);
+        }
+    }
+
+    /**
+     * Store the first form step and offer the second one
+     * Discord modals hold at most five inputs, so the form is split in two
+     * @param {Object} interaction - The Discord modal submit interaction
+     * @param {string} target - Profile ID or 'new'
+     */
+    async handleProfileDetailsSubmit(interaction, target) {
+        const hourlyRateText = interaction.fields.getTextInputValue('hourlyRate').replace(/[$,\s]/g, '');
+
+        this.pruneProfileDrafts();
+        this.profileDrafts.set(`${interaction.user.id}:${target}`, {
+            createdAt: Date.now(),
+            data: {
+                name: interaction.fields.getTextInputValue('name').trim(),
+                description: interaction.fields.getTextInputValue('description').trim(),
+                skills: this.splitList(interaction.fields.getTextInputValue('skills')),
+                hourlyRate: parseFloat(hourlyRateText),
+                portfolio: interaction.fields.getTextInputValue('portfolio').trim()
+            }
+        });
+
+        const continueRow = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`profile:continue:${target}`)
+                .setLabel('Continue: experience & categories')
+                .setStyle(ButtonStyle.Primary)
+        );
+
+        await interaction.reply({
+            content: '📝 Step 1 of 2 saved. Continue to finish the profile.',
+            components: [continueRow],
+            ephemeral: true
+        });
+    }
+
+    /**
+     * Merge the second form step, validate and persist the profile
+     * @param {Object} interaction - The Discord modal submit interaction
+     * @param {string} target - Profile ID or 'new'
+     */
+    async handleProfileExperienceSubmit(interaction, target) {
+        const draftKey = `${interaction.user.id}:${target}`;
+        const profileId = target === 'new' ? null : target;
+        const draft = this.profileDrafts.get(draftKey);
+        if (!draft || Date.now() - draft.createdAt > this.profileDraftTtl) {
+            this.profileDrafts.delete(draftKey);
+            await interaction.reply({ content: '❌ This form has expired. Please start again.', ephemeral: true });
+            return;
+        }
+
+        const yearsText = interaction.fields.getTextInputValue('years').trim();
+        const profileData = {
+            ...draft.data,
+            experience: {
+                level: interaction.fields.getTextInputValue('level').trim().toLowerCase(),
+                years: yearsText ? parseFloat(yearsText) : 0
+            },
+            categories: this.splitList(interaction.fields.getTextInputValue('categories'))
+        };
+
+        try {
+            this.profileController.validateProfileData(profileData);
+        } catch (error) {
+            await interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
+            return;
+        }
+
+        const profile = profileId
+            ? await this.profileController.updateProfile(profileId, profileData)
+            : await this.profileController.createProfile(profileData);
+
+        this.profileDrafts.delete(draftKey);
+
+        await interaction.reply({
+            content: `✅ Profile **${profile.name}** ${profileId ? 'updated' : 'created'}.`,
+            ephemeral: true
+        });
+    }
+
+    /**
+     * Drop profile drafts whose form was never finished
+     * @param {number} now - Current time in milliseconds
+     */
+    pruneProfileDrafts(now = Date.now()) {
+        for (const [key, draft] of this.profileDrafts) {
+            if (now - draft.createdAt > this.profileDraftTtl) {
+                this.profileDrafts.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Build the first profile form (details)
+     * @param {Object} profile - Existing profile to prefill (optional)
+     */
+    buildProfileDetailsModal(profile = null) {
+        const target = profile ? profile.id : 'new';
+
+        return new ModalBuilder()
+            .setCustomId(`profile:details:${target}`)
+            .setTitle(profile ? `Edit profile: ${profile.name}`.substring(0, 45) : 'New profile (1/2)')
+            .addComponents(
+                this.buildTextInputRow('name', 'Name', TextInputStyle.Short, profile?.name, true, 100),
+                this.buildTextInputRow('description', 'Description', TextInputStyle.Paragraph, profile?.description, true, 4000),
+                this.buildTextInputRow('skills', 'Skills (comma-separated)', TextInputStyle.Paragraph, profile?.skills?.join(', '), true, 1000),
+                this.buildTextInputRow('hourlyRate', 'Hourly rate (USD)', TextInputStyle.Short, profile ? String(profile.hourlyRate) : '', true, 10),
+                this.buildTextInputRow('portfolio', 'Portfolio URL', TextInputStyle.Short, profile?.portfolio, false, 500)
+            );
+    }
+
+    /**
+     * Build the second profile form (experience and categories)
+     * @param {string} target - Profile ID or 'new'
+     * @param {Object} profile - Existing profile to prefill (optional)
+     */
+    buildProfileExperienceModal(target, profile = null) {
+        return new ModalBuilder()
+            .setCustomId(`profile:experience:${target}`)
+            .setTitle(profile ? `Edit profile: ${profile.name}`.substring(0, 45) : 'New profile (2/2)')
+            .addComponents(
+                this.buildTextInputRow('level', 'Level: junior, mid-level, senior or expert', TextInputStyle.Short, profile?.experience?.level || 'mid-level', true, 20),
+                this.buildTextInputRow('years', 'Years of experience', TextInputStyle.Short, profile ? String(profile.experience?.years ?? '') : '', false, 3),
+                this.buildTextInputRow('categories', 'Job categories (comma-separated)', TextInputStyle.Paragraph, profile?.categories?.join(', '), false, 500)
+            );
+    }
+
+    /**
+     * Build a modal row holding a single text input
+     */
+    buildTextInputRow(customId, label, style, value, required, maxLength) {
+        const input = new TextInputBuilder()
+            .setCustomId(customId)
+            .setLabel(label.substring(0, 45))
+            .setStyle(style)
+            .setRequired(required)
+            .setMaxLength(maxLength);
+
+        if (value) {
+            input.setValue(String(value).substring(0, maxLength));
+        }
+
+        return new ActionRowBuilder().addComponents(input);
+    }
+
+    /**
+     * Split a comma or newline separated list into trimmed values
+     * @param {string} text - The list text
+     */
+    splitList(text) {
+        return (text || '')
+            .split(/[,\n]/)
+            .map(item => item.trim())
+            .filter(Boolean);
+    }
+
     /**
      * Handle match command - find best profile for a job
      */
@@ -423,6 +1002,15 @@ class CommandController {
                     { name: 'Match Score', value: `${match.score.toFixed(2)}/10`, inline: true }
                 );
 
+            const others = match.matches.slice(1, 6);
+            if (others.length > 0) {
+                embed.addFields({
+                    name: 'Other Profiles',
+                    value: others.map(other => `${other.profile.name}: ${other.score.toFixed(2)}/10`).join('\n'),
+                    inline: false
+                });
+            }
+
             message.reply({ embeds: [embed] });
         } catch (error) {
             Logger.error('Error handling match command:', error);
@@ -430,12 +1018,104 @@ class CommandController {
         }
     }
 
+    /**
+     * Handle why command - explain how a job got its score
+     */
+    async handleWhyCommand(message, args) {
+        try {
+            if (args.length === 0) {
+                message.reply('❌ Please provide a job ID.');
+                return;
+            }
+
+            const explanation = await this.scoringProfileController.explainJob(args[0], message.guild ? message.guild.id : null);
+            message.reply({ embeds: [this.createScoreBreakdownEmbed(explanation)] });
+        } catch (error) {
+            Logger.error('Error handling why command:', error);
+            message.reply(`❌ Error explaining the job score: ${error.message}`);
+        }
+    }
+
+    /**
+     * Handle alerts command - manage personal job alerts
+     * Usage: !alerts [list] | add <name> [key=value ...] | pause <name> | resume <name> | delete <name>
+     */
+    async handleAlertsCommand(message, args) {
+        try {
+            const userId = message.author.id;
+            const subcommand = (args[0] || 'list').toLowerCase();
+
+            switch (subcommand) {
+                case 'list': {
+                    const subscriptions = await this.subscriptionController.getSubscriptions(userId);
+                    if (subscriptions.length === 0) {
+                        message.reply('📭 You have no alerts. Create one with `!alerts add <name> keywords=... min_score=...`.');
+                        return;
+                    }
+
+                    const embed = new EmbedBuilder()
+                        .setTitle('🔔 Your Alerts')
+                        .setColor('#0099ff');
+
+                    subscriptions.slice(0, 25).forEach(subscription => {
+                        embed.addFields({
+                            name: `${subscription.paused ? '⏸️' : '✅'} ${subscription.name}`,
+                            value: `${this.subscriptionController.describeSubscription(subscription)}\nAlerts sent: ${subscription.notificationCount}`,
+                            inline: false
+                        });
+                    });
+
+                    message.reply({ embeds: [embed] });
+                    break;
+                }
+
+                case 'add': {
+                    const options = message.interaction
+                        ? this.getInteractionOptions(message.interaction)
+                        : { name: args[1], ...this.parseNamedArgs(args.slice(2)) };
+
+                    const subscription = await this.subscriptionController.addSubscription(
+                        { id: userId, tag: message.author.tag },
+                        options
+                    );
+                    message.reply(`✅ Alert **${subscription.name}** saved: ${this.subscriptionController.describeSubscription(subscription)}. Matching jobs will be sent to you by DM.`);
+                    break;
+                }
+
+                case 'pause':
+                case 'resume': {
+                    const paused = subcommand === 'pause';
+                    const subscription = await this.subscriptionController.setPaused(userId, args[1], paused);
+                    message.reply(`${paused ? '⏸️' : '▶️'} Alert **${subscription.name}** ${paused ? 'paused' : 'resumed'}.`);
+                    break;
+                }
+
+                case 'delete': {
+                    const subscription = await this.subscriptionController.removeSubscription(userId, args[1]);
+                    message.reply(`🗑️ Alert **${subscription.name}** deleted.`);
+                    break;
+                }
+
+                default:
+                    message.reply('❌ Usage: !alerts [list] | add <name> [key=value ...] | pause <name> | resume <name> | delete <name>');
+            }
+        } catch (error) {
+            Logger.error('Error handling alerts command:', error);
+            message.reply(`❌ Error managing alerts: ${error.message}`);
+        }
+    }
+
     /**
      * Handle channels command - list all channels
      */
     async handleChannelsCommand(message, args) {
         try {
-            const channels = await this.channelController.getAllChannels();
+            if (!message.guild) {
+                message.reply('❌ This command can only be used in a server.');
+                return;
+            }
+
+            const channels = await this.channelController.getAllChannels(message.guild.id);
             
             if (channels.length === 0) {
                 message.reply('📭 No channels found.');
@@ -469,11 +1149,17 @@ class CommandController {
         const embed = new EmbedBuilder()
             .setTitle('🤖 Discord Bot Commands')
             .setColor('#0099ff')
-            .setDescription('Here are all available commands:')
+            .setDescription('Here are all available commands. Every command works as a slash command (e.g. `/jobs`) or with the `!` prefix.')
             .addFields(
-                { name: '📋 Job Commands', value: '!jobs, !job <id>, !search <keyword>, !stats, !fetch, !highscore [min], !recent [hours]', inline: false },
-                { name: '👤 Profile Commands', value: '!profile <name>, !profiles, !match <job_id>', inline: false },
+                { name: '📋 Job Commands', value: '!jobs [limit] [category], !job <id>, !search <keyword>, !stats, !fetch, !highscore [min], !recent [hours], !client <id>', inline: false },
+                { name: '👤 Profile Commands', value: '!profile <name>, !profiles, !match <job_id>, !why <job_id>, /addprofile, /updateprofile <name>, !deleteprofile <name>', inline: false },
+                { name: '🔔 Alert Commands', value: '!alerts [list], !alerts add <name> [key=value ...], !alerts pause|resume|delete <name>', inline: false },
                 { name: '📺 Channel Commands', value: '!channels', inline: false },
+                { name: '🔧 Admin Commands', value: '!setupchannels [parent], !createchannel <category> [parent], !remapchannel <#channel> <category>, !deletechannel <#channel>', inline: false },
+                { name: '🛰️ Monitor Commands', value: '!monitor [status], !monitor start, !monitor stop, !monitor sources, !monitor schedule [interval=5] [hours=9-17] [days=mon-fri] [timezone=UTC]', inline: false },
+                { name: '🔎 Query Commands', value: '!queries [list], !queries add <name> [key=value ...], !queries pause|resume|remove <name>', inline: false },
+                { name: '🧭 Routing Commands', value: '!rules [list], !rules add <name> <#channel> [key=value ...], !rules test <job_id>, !rules move <name> <position>, !rules remove <name>', inline: false },
+                { name: '⚖️ Scoring Commands', value: '!scoring [show], !scoring weights [budget=0.25 ...], !scoring blend <ai>, !scoring country <name> [score], !scoring preview [job_id=<id>] [key=value ...], !scoring reset', inline: false },
                 { name: '🛠️ Utility Commands', value: '!help, !ping', inline: false }
             );
 
@@ -499,16 +1185,79 @@ class CommandController {
         const embed = new EmbedBuilder()
             .setTitle(`🎯 ${job.title}`)
             .setColor(this.getScoreColor(job.score))
-            .setDescription(job.description.substring(0, 2000))
+            .setDescription((job.description || '').substring(0, 2000) || null)
             .addFields(
                 { name: '💰 Budget', value: this.formatBudget(job.budget), inline: true },
                 { name: '⭐ Score', value: `${job.score}/10`, inline: true },
                 { name: '📂 Category', value: job.category, inline: true },
-                { name: '🔗 Link', value: job.url, inline: false }
+                { name: '🔗 Link', value: job.url || 'No link', inline: false }
             )
             .setTimestamp(new Date(job.createdAt))
             .setFooter({ text: `Job ID: ${job.id}` });
 
+        const impliedRate = this.formatImpliedRate(job.impliedRate);
+        if (impliedRate) {
+            embed.addFields({ name: '⏱️ Implied Rate', value: impliedRate, inline: false });
+        }
+
+        // How well the job fits the team's best-matching profile, next to its generic quality score
+        if (job.fitScore !== null && job.fitScore !== undefined) {
+            embed.addFields({ name: '🧩 Best Fit', value: `${job.bestProfileName || 'Unknown profile'}: ${job.fitScore}/10`, inline: false });
+        }
+
+        // The profile the AI evaluation picked, for reference only: routing and alerts use the fit score above
+        if (job.evaluation?.bestProfileName) {
+            embed.addFields({ name: '🤖 AI Pick', value: `${job.evaluation.bestProfileName}: ${job.evaluation.bestProfileScore}/10`, inline: false });
+        }
+
+        // Problems the AI evaluation pointed out
+        const redFlags = job.evaluation?.redFlags || [];
+        if (redFlags.length > 0) {
+            embed.addFields({ name: '🚩 Red Flags', value: redFlags.map(flag => `• ${flag}`).join('\n').substring(0, 1024), inline: false });
+        }
+
+        return embed;
+    }
+
+    /**
+     * Create client embed with reputation numbers and recent jobs
+     * @param {Object} client - Client document
+     * @param {Array} jobs - The client's most recent jobs
+     */
+    createClientEmbed(client, jobs) {
+        const known = value => value !== null && value !== undefined;
+        const show = (value, format) => (known(value) ? format(value) : 'Unknown');
+
+        const embed = new EmbedBuilder()
+            .setTitle(`👤 Client ${client.clientId}`)
+            .setColor('#0099ff')
+            .addFields(
+                { name: 'Payment', value: show(client.paymentVerified, verified => (verified ? '✅ Verified' : '⚠️ Not verified')), inline: true },
+                { name: 'Total Spent', value: show(client.totalSpent, spent => `$${spent.toLocaleString('en-US')}`), inline: true },
+                { name: 'Hire Rate', value: show(client.hireRate, rate => `${rate}%`), inline: true },
+                { name: 'Avg Hourly Paid', value: show(client.avgHourlyRate, rate => `$${rate.toFixed(2)}/hr`), inline: true },
+                { name: 'Rating', value: show(client.rating, rating => `⭐ ${rating.toFixed(1)} (${client.reviewsCount || 0} reviews)`), inline: true },
+                { name: 'Jobs Posted', value: show(client.jobsPosted, posted => `${posted} (${client.totalHires || 0} hires)`), inline: true },
+                { name: 'Country', value: client.country || 'Unknown', inline: true },
+                { name: 'Member Since', value: show(client.memberSince, since => new Date(since).toISOString().slice(0, 10)), inline: true },
+                { name: 'Jobs Seen', value: `${client.jobsSeen} since <t:${Math.floor(new Date(client.firstSeenAt).getTime() / 1000)}:d>`, inline: true }
+            )
+            .setFooter({ text: 'Last seen' })
+            .setTimestamp(new Date(client.lastSeenAt));
+
+        const jobText = jobs
+            .map(job => {
+                const title = job.title.substring(0, 80);
+                return `• ${job.url ? `[${title}](${job.url})` : title} - ⭐ ${job.score}/10, ${this.formatBudget(job.budget)}`;
+            })
+            .join('\n');
+
+        embed.addFields({
+            name: `Recent Jobs (${jobs.length})`,
+            value: jobText.substring(0, 1024) || 'No stored jobs',
+            inline: false
+        });
+
         return embed;
     }
 
@@ -523,37 +1272,655 @@ class CommandController {
     }
 
     /**
-     * Format budget for display
+     * Explain the hourly rate a fixed-price job implies
+     * @param {Object|null} impliedRate - Implied rate (see ScoringService.getImpliedRate)
+     * @returns {string|null} - e.g. "≈ $18/hr: ~60h for a medium, moderate job (estimated from the description)"
+     */
+    formatImpliedRate(impliedRate) {
+        if (!impliedRate || (!impliedRate.min && !impliedRate.max)) return null;
+
+        const rates = [impliedRate.min, impliedRate.max].filter(Boolean).map(rate => `$${Math.round(rate)}`);
+        const effort = impliedRate.duration && impliedRate.complexity
+            ? ` for a ${impliedRate.duration}, ${impliedRate.complexity} job`
+            : '';
+        const basis = impliedRate.basis === 'analysis' ? 'AI estimate' : 'estimated from the description';
+
+        return `≈ ${rates.join('-')}/hr: ~${impliedRate.hours}h${effort} (${basis})`;
+    }
+
+    /**
+     * Format budget for display, in its own currency with the USD amount alongside
      */
     formatBudget(budget) {
         if (!budget) return 'Not specified';
+
+        const amount = value => CurrencyService.formatAmount(value, budget.currency);
+        const usd = CurrencyService.formatUsdNote(budget);
         
         if (budget.min && budget.max) {
-            return `$${budget.min} - $${budget.max}`;
+            return `${amount(budget.min)} - ${amount(budget.max)}${usd}`;
         } else if (budget.min) {
-            return `$${budget.min}+`;
+            return `${amount(budget.min)}+${usd}`;
         } else if (budget.max) {
-            return `Up to $${budget.max}`;
+            return `Up to ${amount(budget.max)}${usd}`;
         }
         
         return 'Not specified';
     }
 
-    // Additional command handlers for profile and channel management
-    async handleUpdateProfileCommand(message, args) {
-        message.reply('❌ Profile updates via command not implemented. Use the web interface.');
-    }
+    /**
+     * Handle setup channels command - create the default category channels
+     */
+    async handleSetupChannelsCommand(message, args) {
+        try {
+            if (!this.requireAdmin(message)) return;
 
-    async handleDeleteProfileCommand(message, args) {
-        message.reply('❌ Profile deletion via command not implemented. Use the web interface.');
+            const parentCategoryId = this.parseChannelId(args[0]);
+            await message.reply('🔄 Creating default job channels...');
+
+            const channels = await this.channelController.createDefaultChannels(message.guild.id, parentCategoryId);
+
+            message.reply(`✅ Job channels ready: ${channels.map(channel => `<#${channel.discordId}>`).join(', ') || 'none'}`);
+        } catch (error) {
+            Logger.error('Error handling setup channels command:', error);
+            message.reply('❌ Error creating default channels.');
+        }
     }
 
+    /**
+     * Handle create channel command - create a channel for a job category
+     */
     async handleCreateChannelCommand(message, args) {
-        message.reply('❌ Channel creation via command not implemented. Use the web interface.');
+        try {
+            if (!this.requireAdmin(message)) return;
+
+            if (!args[0]) {
+                message.reply('❌ Please provide a job category.');
+                return;
+            }
+
+            const category = args[0];
+            const parentCategoryId = this.parseChannelId(args[1]);
+            const channel = await this.channelController.createChannelForCategory(message.guild.id, category, parentCategoryId);
+
+            message.reply(`✅ Jobs in **${category}** will be posted to <#${channel.discordId}>.`);
+        } catch (error) {
+            Logger.error('Error handling create channel command:', error);
+            message.reply('❌ Error creating channel.');
+        }
+    }
+
+    /**
+     * Handle remap channel command - point an existing channel at a category
+     */
+    async handleRemapChannelCommand(message, args) {
+        try {
+            if (!this.requireAdmin(message)) return;
+
+            const discordId = this.parseChannelId(args[0]);
+            const category = args[1];
+            if (!discordId || !category) {
+                message.reply('❌ Usage: !remapchannel <#channel> <category>');
+                return;
+            }
+            if (!this.canPostInChannel(message.guild, discordId)) {
+                message.reply('❌ The channel must be a text channel in this server that I can post in.');
+                return;
+            }
+
+            const { unmapped } = await this.channelController.remapChannel(message.guild.id, discordId, category);
+
+            const previous = unmapped.map(channel => `<#${channel.discordId}>`).join(', ');
+            message.reply(`✅ <#${discordId}> now receives **${category}** jobs.${previous ? ` ${previous} no longer does.` : ''}`);
+        } catch (error) {
+            Logger.error('Error handling remap channel command:', error);
+            message.reply('❌ Error remapping channel.');
+        }
     }
 
+    /**
+     * Handle delete channel command - delete a job channel and its record
+     */
     async handleDeleteChannelCommand(message, args) {
-        message.reply('❌ Channel deletion via command not implemented. Use the web interface.');
+        try {
+            if (!this.requireAdmin(message)) return;
+
+            const discordId = this.parseChannelId(args[0]);
+            if (!discordId) {
+                message.reply('❌ Please provide a channel.');
+                return;
+            }
+
+            const channel = await this.channelController.deleteChannelByDiscordId(message.guild.id, discordId);
+
+            message.reply(`🗑️ Deleted job channel **${channel.name}** (${channel.category}).`);
+        } catch (error) {
+            Logger.error('Error handling delete channel command:', error);
+            message.reply(`❌ Error deleting channel: ${error.message}`);
+        }
+    }
+
+    /**
+     * Handle rules command - manage job routing rules
+     * Usage: !rules [list] | add <name> <#channel> [key=value ...] | test <job_id> | move <name> <position> | remove <name>
+     */
+    async handleRulesCommand(message, args) {
+        try {
+            if (!this.requireAdmin(message)) return;
+
+            const guildId = message.guild.id;
+            const subcommand = (args[0] || 'list').toLowerCase();
+
+            switch (subcommand) {
+                case 'list':
+                    await this.replyWithRules(message, await this.routingController.getRules(guildId));
+                    break;
+
+                case 'add': {
+                    const options = message.interaction
+                        ? this.getInteractionOptions(message.interaction)
+                        : { name: args[1], channel: args[2], ...this.parseNamedArgs(args.slice(3)) };
+                    options.channel = this.parseChannelId(options.channel);
+                    options.role = this.parseRoleId(options.role);
+                    if (options.channel && !this.canPostInChannel(message.guild, options.channel)) {
+                        message.reply('❌ The rule channel must be a text channel in this server that I can post in.');
+                        return;
+                    }
+
+                    const rule = await this.routingController.addRule(guildId, options);
+                    message.reply(`✅ Rule **${rule.name}** added at position ${rule.position}: ${this.routingController.describeRule(rule)} → <#${rule.channelId}>`);
+                    break;
+                }
+
+                case 'test': {
+                    const job = args[1] ? await this.jobController.getJobById(args[1]) : null;
+                    if (!job) {
+                        message.reply('❌ Job not found.');
+                        return;
+                    }
+
+                    const result = await this.routingController.testJob(guildId, job);
+                    const embed = new EmbedBuilder()
+                        .setTitle(`🧪 Routing test: ${job.title}`.substring(0, 256))
+                        .setColor('#0099ff')
+                        .setDescription(`Evaluated ${result.evaluated} enabled rules`)
+                        .addFields(
+                            {
+                                name: 'Matched Rules',
+                                value: result.matchedRules.map(rule => `#${rule.position} ${rule.name}`).join('\n') || 'None',
+                                inline: false
+                            },
+                            {
+                                name: 'Would Post To',
+                                value: result.targets.map(target => `<#${target.channelId}>`).join(', ') ||
+                                    `Category channel for **${job.category}** (no rule matched)`,
+                                inline: false
+                            }
+                        );
+
+                    message.reply({ embeds: [embed] });
+                    break;
+                }
+
+                case 'move': {
+                    const position = parseInt(args[2]);
+                    if (!args[1] || isNaN(position)) {
+                        message.reply('❌ Usage: !rules move <name> <position>');
+                        return;
+                    }
+
+                    await this.replyWithRules(message, await this.routingController.moveRule(guildId, args[1], position));
+                    break;
+                }
+
+                case 'remove': {
+                    const rule = await this.routingController.removeRule(guildId, args[1]);
+                    message.reply(`🗑️ Rule **${rule.name}** removed.`);
+                    break;
+                }
+
+                default:
+                    message.reply('❌ Usage: !rules [list] | add <name> <#channel> [key=value ...] | test <job_id> | move <name> <position> | remove <name>');
+            }
+        } catch (error) {
+            Logger.error('Error handling rules command:', error);
+            message.reply(`❌ Error managing routing rules: ${error.message}`);
+        }
+    }
+
+    /**
+     * Handle monitor command - control the job monitoring schedule
+     * Usage: !monitor [status] | start | stop | sources | schedule [interval=5] [hours=9-17] [days=mon-fri] [timezone=UTC]
+     */
+    async handleMonitorCommand(message, args) {
+        try {
+            if (!this.requireAdmin(message)) return;
+
+            const subcommand = (args[0] || 'status').toLowerCase();
+            let status;
+
+            switch (subcommand) {
+                case 'status':
+                    status = await this.upworkController.getMonitoringStatus();
+                    break;
+
+                case 'start':
+                    status = await this.upworkController.enableMonitoring();
+                    break;
+
+                case 'stop':
+                    status = await this.upworkController.disableMonitoring();
+                    break;
+
+                case 'sources': {
+                    const results = await this.upworkController.getSourceHealth();
+                    const embed = new EmbedBuilder()
+                        .setTitle('🩺 Job Sources')
+                        .setColor(results.every(result => result.healthy && !result.degraded) ? '#00ff00' : '#ffaa00')
+                        .setDescription(results
+                            .map(result => {
+                                const icon = !result.healthy ? '🔴' : (result.degraded ? '🟠' : '🟢');
+                                const degraded = result.degraded
+                                    ? `\n↳ degraded since <t:${Math.floor(result.degradedSince.getTime() / 1000)}:R>: ${result.lastError}`
+                                    : '';
+                                return `${icon} **${result.name}**: ${result.message}${degraded}`;
+                            })
+                            .join('\n'));
+
+                    message.reply({ embeds: [embed] });
+                    return;
+                }
+
+                case 'schedule': {
+                    const options = message.interaction
+                        ? this.getInteractionOptions(message.interaction)
+                        : this.parseNamedArgs(args.slice(1));
+                    status = await this.upworkController.updateSchedule(options);
+                    break;
+                }
+
+                default:
+                    message.reply('❌ Usage: !monitor [status] | start | stop | sources | schedule [interval=5] [hours=9-17] [days=mon-fri] [timezone=UTC]');
+                    return;
+            }
+
+            message.reply({ embeds: [this.createMonitorStatusEmbed(status)] });
+        } catch (error) {
+            Logger.error('Error handling monitor command:', error);
+            message.reply(`❌ Error controlling job monitoring: ${error.message}`);
+        }
+    }
+
+    /**
+     * Handle queries command - manage saved Upwork search queries
+     * Usage: !queries [list] | add <name> [key=value ...] | pause <name> | resume <name> | remove <name>
+     */
+    async handleQueriesCommand(message, args) {
+        try {
+            if (!this.requireAdmin(message)) return;
+
+            const subcommand = (args[0] || 'list').toLowerCase();
+
+            switch (subcommand) {
+                case 'list': {
+                    const queries = await this.searchQueryController.getQueries();
+                    if (queries.length === 0) {
+                        message.reply('📭 No saved queries. The monitor runs the default search.');
+                        return;
+                    }
+
+                    const embed = new EmbedBuilder()
+                        .setTitle('🔎 Saved Search Queries')
+                        .setColor('#0099ff');
+
+                    queries.slice(0, 25).forEach(query => {
+                        const lastRun = query.lastRunAt
+                            ? `last run <t:${Math.floor(query.lastRunAt.getTime() / 1000)}:R>: ${query.stats.lastJobsFound} found, ${query.stats.lastJobsNew} new`
+                            : 'never run';
+
+                        embed.addFields({
+                            name: `${query.enabled ? '✅' : '⏸️'} ${query.name}`,
+                            value: `${this.searchQueryController.describeQuery(query)}\n${lastRun}${query.stats.lastError ? `\n⚠️ ${query.stats.lastError}` : ''}`,
+                            inline: false
+                        });
+                    });
+
+                    message.reply({ embeds: [embed] });
+                    break;
+                }
+
+                case 'add': {
+                    const options = message.interaction
+                        ? this.getInteractionOptions(message.interaction)
+                        : { name: args[1], ...this.parseNamedArgs(args.slice(2)) };
+
+                    const query = await this.searchQueryController.addQuery(options);
+                    message.reply(`✅ Query **${query.name}** saved: ${this.searchQueryController.describeQuery(query)}`);
+                    break;
+                }
+
+                case 'pause':
+                case 'resume': {
+                    const enabled = subcommand === 'resume';
+                    const query = await this.searchQueryController.setEnabled(args[1], enabled);
+                    message.reply(`${enabled ? '▶️' : '⏸️'} Query **${query.name}** ${enabled ? 'resumed' : 'paused'}.`);
+                    break;
+                }
+
+                case 'remove': {
+                    const query = await this.searchQueryController.removeQuery(args[1]);
+                    message.reply(`🗑️ Query **${query.name}** deleted.`);
+                    break;
+                }
+
+                default:
+                    message.reply('❌ Usage: !queries [list] | add <name> [key=value ...] | pause <name> | resume <name> | remove <name>');
+            }
+        } catch (error) {
+            Logger.error('Error handling queries command:', error);
+            message.reply(`❌ Error managing search queries: ${error.message}`);
+        }
+    }
+
+    /**
+     * Handle scoring command - view and edit the guild's scoring profile
+     * Usage: !scoring [show] | weights [budget=0.25 ...] | blend <ai> | country <name> [score] | preview [job_id=<id>] [key=value ...] | reset
+     */
+    async handleScoringCommand(message, args) {
+        try {
+            if (!this.requireAdmin(message)) return;
+
+            const guildId = message.guild.id;
+            const userId = message.author.id;
+            const subcommand = (args[0] || 'show').toLowerCase();
+
+            switch (subcommand) {
+                case 'show':
+                    message.reply({ embeds: [this.createScoringProfileEmbed(await this.scoringProfileController.getProfile(guildId))] });
+                    break;
+
+                case 'weights': {
+                    const options = message.interaction
+                        ? this.getInteractionOptions(message.interaction)
+                        : this.parseNamedArgs(args.slice(1));
+                    const profile = await this.scoringProfileController.updateWeights(guildId, options, userId);
+                    message.reply({ content: '✅ Scoring weights updated.', embeds: [this.createScoringProfileEmbed(profile)] });
+                    break;
+                }
+
+                case 'blend': {
+                    const value = args[1] && args[1].includes('=') ? this.parseNamedArgs([args[1]]).ai : args[1];
+                    const profile = await this.scoringProfileController.setAiWeight(guildId, value, userId);
+                    message.reply(`✅ Final scores are now ${Math.round(profile.aiWeight * 100)}% AI and ${Math.round((1 - profile.aiWeight) * 100)}% custom.`);
+                    break;
+                }
+
+                case 'country': {
+                    if (!args[1]) {
+                        message.reply('❌ Usage: !scoring country <name> [score] (leave out the score to remove the country)');
+                        return;
+                    }
+
+                    if (args[2] === undefined) {
+                        await this.scoringProfileController.removeCountry(guildId, args[1], userId);
+                        message.reply(`🗑️ **${args[1]}** removed; clients from there now score neutral (5).`);
+                    } else {
+                        await this.scoringProfileController.setCountry(guildId, args[1], args[2], userId);
+                        message.reply(`✅ Clients from **${args[1]}** now score ${parseFloat(args[2])}/10 on location.`);
+                    }
+                    break;
+                }
+
+                case 'preview': {
+                    const options = message.interaction
+                        ? this.getInteractionOptions(message.interaction)
+                        : this.parseNamedArgs(args.slice(1));
+                    message.reply({ embeds: [this.createScorePreviewEmbed(await this.scoringProfileController.previewJob(guildId, options))] });
+                    break;
+                }
+
+                case 'reset': {
+                    const reset = await this.scoringProfileController.resetProfile(guildId);
+                    message.reply(reset ? '♻️ Scoring profile reset to the defaults.' : 'ℹ️ This server already uses the default scoring profile.');
+                    break;
+                }
+
+                default:
+                    message.reply('❌ Usage: !scoring [show] | weights [budget=0.25 ...] | blend <ai> | country <name> [score] | preview [job_id=<id>] [key=value ...] | reset');
+            }
+        } catch (error) {
+            Logger.error('Error handling scoring command:', error);
+            message.reply(`❌ Error managing the scoring profile: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create the scoring profile embed
+     * @param {Object} profile - Resolved scoring profile from ScoringProfileController
+     */
+    createScoringProfileEmbed(profile) {
+        const shares = this.scoringProfileController.getWeightShares(profile.weights);
+        const weights = Object.keys(shares)
+            .map(key => `${key}: ${profile.weights[key]} (${shares[key]}%)`)
+            .join('\n');
+        const countries = [...profile.countries]
+            .sort((a, b) => b.score - a.score)
+            .map(entry => `${entry.country}: ${entry.score}`)
+            .join(', ');
+
+        return new EmbedBuilder()
+            .setTitle('⚖️ Scoring Profile')
+            .setColor('#0099ff')
+            .setDescription(profile.customized
+                ? `Customized${profile.updatedBy ? ` by <@${profile.updatedBy}>` : ''}. Unset values use the defaults.`
+                : 'This server uses the default scoring profile.')
+            .addFields(
+                { name: 'Weights', value: weights, inline: true },
+                { name: 'Blend', value: `AI ${Math.round(profile.aiWeight * 100)}% / custom ${Math.round((1 - profile.aiWeight) * 100)}%`, inline: true },
+                { name: 'Countries (others score 5)', value: (countries || 'None').substring(0, 1024), inline: false }
+            );
+    }
+
+    /**
+     * Create the embed of a score preview
+     * @param {Object} preview - Preview from ScoringProfileController.previewJob
+     */
+    createScorePreviewEmbed(preview) {
+        return this.createScoreBreakdownEmbed(preview)
+            .setTitle(`🧮 Score preview: ${preview.job.title}`.substring(0, 256))
+            .addFields({ name: 'Default Profile', value: `${preview.defaultScore}/10`, inline: true });
+    }
+
+    /**
+     * Create the embed explaining a job's score: each custom factor, the AI score and the AI's reasoning
+     * @param {Object} explanation - { job, breakdown, basis } from ScoringProfileController.explainJob or previewJob
+     */
+    createScoreBreakdownEmbed({ job, breakdown, basis }) {
+        const totalWeight = breakdown.factors.reduce((sum, factor) => sum + factor.weight, 0);
+        const factors = breakdown.factors
+            .map(factor => {
+                const share = totalWeight > 0 ? Math.round(factor.weight / totalWeight * 100) : 0;
+                return `${factor.name}: ${factor.score}/10 × ${factor.weight} (${share}%)`;
+            })
+            .join('\n');
+        const ai = breakdown.aiScore !== null && breakdown.aiScore !== undefined
+            ? `${breakdown.aiScore}/10 (${Math.round(breakdown.aiWeight * 100)}% of the score)`
+            : 'None, so the custom score is used';
+
+        const embed = new EmbedBuilder()
+            .setTitle(`🔍 Why ${job.title} scored ${breakdown.finalScore}/10`.substring(0, 256))
+            .setColor('#0099ff')
+            .addFields(
+                { name: 'Score', value: `${breakdown.finalScore}/10`, inline: true },
+                { name: 'AI Score', value: ai, inline: true },
+                { name: `Custom Score: ${breakdown.customScore}/10`, value: factors || 'No factors', inline: false }
+            );
+
+        if (breakdown.aiReasoning) {
+            embed.addFields({ name: 'AI Reasoning', value: breakdown.aiReasoning.substring(0, 1024), inline: false });
+        }
+
+        const notes = {
+            profile: 'Rescored with this server\'s scoring profile.',
+            current: 'Scored before score details were kept; broken down with the current default profile.'
+        };
+        if (notes[basis]) {
+            embed.setFooter({ text: notes[basis] });
+        }
+        if (breakdown.scoredAt) {
+            embed.setTimestamp(new Date(breakdown.scoredAt));
+        }
+
+        return embed;
+    }
+
+    /**
+     * Create the monitoring status embed
+     * @param {Object} status - Monitoring status from UpworkController
+     */
+    createMonitorStatusEmbed(status) {
+        const state = status.running
+            ? (status.fetching ? '🔄 Running (fetching now)' : '🟢 Running')
+            : (status.enabled ? '🟡 Enabled, not started' : '🔴 Stopped');
+
+        const embed = new EmbedBuilder()
+            .setTitle('🛰️ Job Monitoring')
+            .setColor(status.running ? '#00ff00' : '#ff0000')
+            .addFields(
+                { name: 'State', value: state, inline: true },
+                { name: 'Schedule', value: `${status.schedule}\n\`${status.cronExpression}\``, inline: false },
+                { name: 'Next Run', value: status.nextRun ? `<t:${Math.floor(status.nextRun.getTime() / 1000)}:R>` : 'Not scheduled', inline: true },
+                { name: 'Skipped Cycles', value: status.skippedCycles.toString(), inline: true }
+            )
+            .setTimestamp();
+
+        if (status.demoMode) {
+            embed.setDescription('🧪 **Demo mode**: only mock jobs are fetched (DEMO_MODE)');
+        }
+
+        if (status.degradedSources && status.degradedSources.length > 0) {
+            embed.addFields({
+                name: '⚠️ Degraded Sources',
+                value: status.degradedSources
+                    .map(source => `${source.name} (${source.failures} failed fetches): ${source.lastError}`)
+                    .join('\n')
+                    .substring(0, 1024),
+                inline: false
+            });
+        }
+
+        const run = status.lastRun;
+        if (run && run.startedAt) {
+            embed.addFields(
+                { name: 'Last Run', value: `<t:${Math.floor(new Date(run.startedAt).getTime() / 1000)}:f> (${run.trigger}, ${((run.durationMs || 0) / 1000).toFixed(1)}s)`, inline: false },
+                { name: 'Jobs Found', value: run.jobsFound.toString(), inline: true },
+                { name: 'Jobs New', value: run.jobsNew.toString(), inline: true },
+                { name: 'Errors', value: run.errorCount.toString(), inline: true }
+            );
+
+            if (run.queries && run.queries.length > 0) {
+                const queryText = run.queries
+                    .map(query => `${query.name}: ${query.jobsFound} found, ${query.jobsNew} new${query.errorCount ? `, ${query.errorCount} errors` : ''}`)
+                    .join('\n');
+                embed.addFields({ name: 'Queries', value: queryText.substring(0, 1024), inline: false });
+            }
+
+            if (run.lastError) {
+                embed.addFields({ name: 'Last Error', value: run.lastError.substring(0, 1024), inline: false });
+            }
+        } else {
+            embed.addFields({ name: 'Last Run', value: 'Never', inline: false });
+        }
+
+        return embed;
+    }
+
+    /**
+     * Reply with a guild's routing rules
+     * @param {Object} message - The Discord message or interaction context
+     * @param {Array} rules - Rules in evaluation order
+     */
+    async replyWithRules(message, rules) {
+        if (rules.length === 0) {
+            message.reply('📭 No routing rules. Jobs are posted to their category channel.');
+            return;
+        }
+
+        const embed = new EmbedBuilder()
+            .setTitle('🧭 Routing Rules')
+            .setColor('#0099ff')
+            .setDescription('Rules are evaluated top to bottom. Jobs matching no rule go to their category channel.');
+
+        rules.slice(0, 25).forEach(rule => {
+            const flags = [
+                rule.enabled ? null : 'disabled',
+                rule.exclusive ? 'exclusive' : null,
+                rule.mentionRoleId ? `mentions <@&${rule.mentionRoleId}>` : null
+            ].filter(Boolean).join(', ');
+
+            embed.addFields({
+                name: `#${rule.position} ${rule.name}`,
+                value: `${this.routingController.describeRule(rule)} → <#${rule.channelId}>${flags ? ` (${flags})` : ''}`,
+                inline: false
+            });
+        });
+
+        message.reply({ embeds: [embed] });
+    }
+
+    /**
+     * Check that the command author may manage channels
+     * Replies with an error when they may not
+     * @param {Object} message - The Discord message or interaction context
+     * @returns {boolean} - Whether the author is an admin
+     */
+    requireAdmin(message) {
+        const isAdmin = Boolean(message.guild) &&
+            Boolean(message.member?.permissions?.has(PermissionFlagsBits.ManageChannels));
+
+        if (!isAdmin) {
+            message.reply({ content: '⛔ This command requires the Manage Channels permission.', ephemeral: true });
+        }
+
+        return isAdmin;
+    }
+
+    /**
+     * Check that a channel belongs to the guild and the bot can post jobs in it
+     * @param {Object} guild - The Discord guild
+     * @param {string} channelId - The Discord channel ID
+     * @returns {boolean} - Whether jobs can be posted there
+     */
+    canPostInChannel(guild, channelId) {
+        const channel = guild.channels.cache.get(channelId);
+        if (!channel || !channel.isTextBased()) return false;
+
+        const permissions = channel.permissionsFor(guild.members.me);
+        return Boolean(permissions?.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks]));
+    }
+
+    /**
+     * Extract a role ID from a mention (`<@&123>`) or raw ID
+     * @param {string} value - The role argument
+     * @returns {string|null} - The role ID
+     */
+    parseRoleId(value) {
+        if (!value) return null;
+
+        const match = String(value).match(/^<@&(\d+)>$|^(\d+)$/);
+        return match ? (match[1] || match[2]) : null;
+    }
+
+    /**
+     * Extract a channel ID from a mention (`<#123>`) or raw ID
+     * @param {string} value - The channel argument
+     * @returns {string|null} - The channel ID
+     */
+    parseChannelId(value) {
+        if (!value) return null;
+
+        const match = String(value).match(/^<#(\d+)>$|^(\d+)$/);
+        return match ? (match[1] || match[2]) : null;
     }
 }
 
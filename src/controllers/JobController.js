@@ -6,9 +6,10 @@
 const Logger = require('../utils/Logger');
 
 class JobController {
-    constructor(jobModel, scoringService) {
+    constructor(jobModel, scoringService, profileController = null) {
         this.jobModel = jobModel;
         this.scoringService = scoringService;
+        this.profileController = profileController;
     }
 
     /**
@@ -55,6 +56,18 @@ class JobController {
         }
     }
 
+    /**
+     * Get all known job categories
+     */
+    async getCategories() {
+        try {
+            return await this.jobModel.getCategories();
+        } catch (error) {
+            Logger.error('Error getting job categories:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get high-scoring jobs
      * @param {number} minScore - Minimum score threshold
@@ -85,17 +98,30 @@ class JobController {
     }
 
     /**
-     * Score a job using OpenAI
+     * Score a stored job again the way new jobs are scored: one AI evaluation, then the profile fit
+     * The whole result is stored, so the category, evaluation, breakdown and fit never go stale next to the new score
      * @param {Object} job - The job data
+     * @param {Array|null} profiles - Profiles already loaded; loaded here when not given
      */
-    async scoreJob(job) {
+    async scoreJob(job, profiles = null) {
         try {
-            const score = await this.scoringService.scoreJob(job);
-            
-            // Update job with new score
-            await this.jobModel.update(job.id, { score });
+            const loadedProfiles = profiles || await this.loadProfiles();
+
+            // Start from the description's effort estimate, as new jobs do; the evaluation refines it
+            job.impliedRate = this.scoringService.getImpliedRate(job);
+            const { score, category } = await this.scoringService.evaluateJob(job, loadedProfiles);
+
+            await this.jobModel.update(job.id, {
+                score,
+                category,
+                aiScore: job.aiScore,
+                impliedRate: job.impliedRate,
+                scoreBreakdown: job.scoreBreakdown,
+                evaluation: job.evaluation,
+                ...await this.getBestFit(job, loadedProfiles)
+            });
             
-            Logger.info(`Job ${job.title} scored: ${score}`);
+            Logger.info(`Job ${job.title} scored: ${score} (${category})`);
             return score;
         } catch (error) {
             Logger.error(`Error scoring job ${job.id}:`, error);
@@ -103,6 +129,42 @@ class JobController {
         }
     }
 
+    /**
+     * Load the freelancer profiles jobs are evaluated and matched against
+     * Without profiles the job is still scored, so a failure only logs a warning
+     */
+    async loadProfiles() {
+        if (!this.profileController) return [];
+
+        try {
+            return await this.profileController.getAllProfiles();
+        } catch (error) {
+            Logger.warn(`Could not load profiles: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Get the profile fit fields of a job, as processing a new job stores them
+     * Without a profile controller, or when matching fails, the stored fit is kept
+     * @param {Object} job - The job data
+     * @param {Array} profiles - The loaded profiles
+     * @returns {Object} - { fitScore, bestProfileId, bestProfileName }, or {} to keep the stored fit
+     */
+    async getBestFit(job, profiles) {
+        if (!this.profileController) return {};
+
+        try {
+            const match = await this.profileController.findBestMatchingProfile(job, profiles);
+            return match
+                ? { fitScore: match.score, bestProfileId: String(match.profile.id || match.profile._id), bestProfileName: match.profile.name }
+                : { fitScore: null, bestProfileId: null, bestProfileName: null };
+        } catch (error) {
+            Logger.warn(`Could not match job ${job.id} to profiles: ${error.message}`);
+            return {};
+        }
+    }
+
     /**
      * Categorize a job using OpenAI
      * @param {Object} job - The job data
@@ -130,12 +192,13 @@ class JobController {
         try {
             const analysis = await this.scoringService.analyzeJob(job);
             
-            // Update job with analysis results
+            // Update job with analysis results; the AI effort estimate replaces the one read from the description
             await this.jobModel.update(job.id, { 
                 analysis,
                 skills: analysis.skills,
                 experience: analysis.experience,
-                budget: analysis.budget
+                budget: analysis.budget,
+                impliedRate: this.scoringService.getImpliedRate(job, analysis)
             });
             
             Logger.info(`Job ${job.title} analyzed successfully`);
@@ -154,9 +217,11 @@ class JobController {
             const stats = await this.jobModel.getStats();
             return {
                 totalJobs: stats.total,
+                mockJobs: stats.mock,
                 averageScore: stats.averageScore,
                 jobsByCategory: stats.byCategory,
                 jobsByScore: stats.byScore,
+                jobsByQuery: stats.byQuery,
                 recentJobs: stats.recent
             };
         } catch (error) {
@@ -211,16 +276,18 @@ class JobController {
     /**
      * Mark a job as applied
      * @param {string} jobId - The job ID
+     * @param {Object} user - The Discord user who acted (optional)
      */
-    async markJobAsApplied(jobId) {
+    async markJobAsApplied(jobId, user = null) {
         try {
-            await this.jobModel.update(jobId, { 
+            const job = await this.jobModel.update(jobId, { 
                 applied: true,
-                appliedAt: new Date()
+                appliedAt: new Date(),
+                ...this.buildActionUpdate('applied', user)
             });
             
             Logger.info(`Job ${jobId} marked as applied`);
-            return true;
+            return job;
         } catch (error) {
             Logger.error(`Error marking job ${jobId} as applied:`, error);
             throw error;
@@ -230,22 +297,85 @@ class JobController {
     /**
      * Mark a job as saved
      * @param {string} jobId - The job ID
+     * @param {Object} user - The Discord user who acted (optional)
      */
-    async markJobAsSaved(jobId) {
+    async markJobAsSaved(jobId, user = null) {
         try {
-            await this.jobModel.update(jobId, { 
+            const job = await this.jobModel.update(jobId, { 
                 saved: true,
-                savedAt: new Date()
+                savedAt: new Date(),
+                ...this.buildActionUpdate('saved', user)
             });
             
             Logger.info(`Job ${jobId} marked as saved`);
-            return true;
+            return job;
         } catch (error) {
             Logger.error(`Error marking job ${jobId} as saved:`, error);
             throw error;
         }
     }
 
+    /**
+     * Mark a job as not interesting
+     * @param {string} jobId - The job ID
+     * @param {Object} user - The Discord user who acted (optional)
+     */
+    async markJobAsDismissed(jobId, user = null) {
+        try {
+            const job = await this.jobModel.update(jobId, { 
+                dismissed: true,
+                dismissedAt: new Date(),
+                ...this.buildActionUpdate('dismissed', user)
+            });
+            
+            Logger.info(`Job ${jobId} marked as dismissed`);
+            return job;
+        } catch (error) {
+            Logger.error(`Error marking job ${jobId} as dismissed:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Score a stored job again and record who requested it
+     * @param {string} jobId - The job ID
+     * @param {Object} user - The Discord user who acted (optional)
+     */
+    async rescoreJob(jobId, user = null) {
+        try {
+            const job = await this.jobModel.findById(jobId);
+            if (!job) {
+                return null;
+            }
+
+            await this.scoreJob(job);
+            return await this.jobModel.update(jobId, this.buildActionUpdate('rescored', user));
+        } catch (error) {
+            Logger.error(`Error rescoring job ${jobId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Build the update that appends an entry to a job's action history
+     * @param {string} action - The action name
+     * @param {Object} user - The Discord user who acted
+     */
+    buildActionUpdate(action, user) {
+        if (!user) return {};
+
+        return {
+            $push: {
+                actions: {
+                    action,
+                    userId: user.id,
+                    userTag: user.tag || '',
+                    at: new Date()
+                }
+            }
+        };
+    }
+
     /**
      * Get applied jobs
      * @param {number} limit - Number of jobs to return
@@ -295,11 +425,11 @@ class JobController {
     async bulkUpdateScores(jobIds) {
         try {
             const jobs = await this.jobModel.findByIds(jobIds);
+            const profiles = await this.loadProfiles();
             const updatedJobs = [];
 
             for (const job of jobs) {
-                const score = await this.scoringService.scoreJob(job);
-                await this.jobModel.update(job.id, { score });
+                const score = await this.scoreJob(job, profiles);
                 updatedJobs.push({ ...job, score });
             }
 
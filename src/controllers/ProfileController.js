@@ -4,6 +4,7 @@
  */
 
 const Logger = require('../utils/Logger');
+const CurrencyService = require('../services/CurrencyService');
 
 class ProfileController {
     constructor(profileModel) {
@@ -108,31 +109,27 @@ class ProfileController {
 
     /**
      * Find the best matching profile for a job
+     * Every profile is scored; the best one is returned with all scores, best first
      * @param {Object} job - The job data
+     * @param {Array|null} loadedProfiles - Profiles the caller already loaded; loaded here when not given
+     * @returns {Object|null} - { profile, score, matches: [{ profile, score }] }, or null without profiles
      */
-    async findBestMatchingProfile(job) {
+    async findBestMatchingProfile(job, loadedProfiles = null) {
         try {
-            const profiles = await this.getAllProfiles();
+            const profiles = loadedProfiles || await this.getAllProfiles();
             
             if (profiles.length === 0) {
                 Logger.warn('No profiles available for matching');
                 return null;
             }
 
-            let bestMatch = null;
-            let bestScore = 0;
+            const matches = profiles
+                .map(profile => ({ profile, score: Math.round(this.calculateProfileJobMatch(profile, job) * 10) / 10 }))
+                .sort((a, b) => b.score - a.score);
+            const best = matches[0];
 
-            for (const profile of profiles) {
-                const matchScore = this.calculateProfileJobMatch(profile, job);
-                
-                if (matchScore > bestScore) {
-                    bestScore = matchScore;
-                    bestMatch = profile;
-                }
-            }
-
-            Logger.info(`Best profile match for job ${job.title}: ${bestMatch?.name} (Score: ${bestScore})`);
-            return { profile: bestMatch, score: bestScore };
+            Logger.info(`Best profile match for job ${job.title}: ${best.profile.name} (Score: ${best.score})`);
+            return { profile: best.profile, score: best.score, matches };
         } catch (error) {
             Logger.error('Error finding best matching profile:', error);
             throw error;
@@ -156,7 +153,7 @@ class ProfileController {
         score += experienceMatch * 0.3;
         
         // Rate matching (20% weight)
-        const rateMatch = this.calculateRateMatch(profile.hourlyRate, job.budget);
+        const rateMatch = this.calculateRateMatch(profile.hourlyRate, job.budget, job.impliedRate);
         score += rateMatch * 0.2;
         
         // Category matching (10% weight)
@@ -168,14 +165,16 @@ class ProfileController {
 
     /**
      * Calculate skill match between profile and job
+     * The share of the job's skills the profile has; spellings such as "Node.js" and "NodeJS" are the same skill
      * @param {Array} profileSkills - Profile skills
      * @param {Array} jobSkills - Job required skills
      */
     calculateSkillMatch(profileSkills, jobSkills) {
-        if (!profileSkills || !jobSkills) return 0;
+        if (!profileSkills) return 0;
+        if (!jobSkills || jobSkills.length === 0) return 5; // Neutral when the job lists no skills
         
-        const profileSkillSet = new Set(profileSkills.map(s => s.toLowerCase()));
-        const jobSkillSet = new Set(jobSkills.map(s => s.toLowerCase()));
+        const profileSkillSet = new Set(profileSkills.map(s => this.normalizeSkill(s)));
+        const jobSkillSet = new Set(jobSkills.map(s => this.normalizeSkill(s)));
         
         const matches = [...jobSkillSet].filter(skill => profileSkillSet.has(skill));
         const matchPercentage = matches.length / jobSkillSet.size;
@@ -183,20 +182,32 @@ class ProfileController {
         return matchPercentage * 10; // Scale to 0-10
     }
 
+    /**
+     * Normalize a skill name for comparison: "Node.js", "NodeJS" and "node js" become "node"
+     * @param {string} skill - Skill name
+     */
+    normalizeSkill(skill) {
+        const name = String(skill || '').toLowerCase().replace(/[^a-z0-9+#]/g, '');
+        return name.length > 2 && name.endsWith('js') ? name.slice(0, -2) : name;
+    }
+
     /**
      * Calculate experience level match
      * @param {Object} profileExperience - Profile experience
      * @param {string} jobExperience - Job experience requirement
      */
     calculateExperienceMatch(profileExperience, jobExperience) {
-        // Simple matching logic - can be enhanced
+        // Profile levels (junior to expert) on the job's scale (entry to expert)
         const experienceLevels = {
             'entry': 1,
+            'junior': 1,
             'intermediate': 2,
+            'mid-level': 2,
+            'senior': 3,
             'expert': 3
         };
         
-        const profileLevel = experienceLevels[profileExperience.level] || 1;
+        const profileLevel = experienceLevels[profileExperience?.level] || 1;
         const jobLevel = experienceLevels[jobExperience] || 1;
         
         const difference = Math.abs(profileLevel - jobLevel);
@@ -205,16 +216,31 @@ class ProfileController {
 
     /**
      * Calculate rate match
-     * @param {number} profileRate - Profile hourly rate
-     * @param {Object} jobBudget - Job budget
+     * A fixed price is compared through the hourly rate it implies; a single amount implies a single rate
+     * @param {number} profileRate - Profile hourly rate (USD)
+     * @param {Object} jobBudget - Job budget, compared in USD
+     * @param {Object|null} impliedRate - Implied hourly rate of a fixed-price job (see ScoringService.getImpliedRate)
      */
-    calculateRateMatch(profileRate, jobBudget) {
+    calculateRateMatch(profileRate, jobBudget, impliedRate = null) {
         if (!jobBudget || !profileRate) return 5; // Neutral score
-        
-        const budgetRange = {
-            min: jobBudget.min || 0,
-            max: jobBudget.max || profileRate * 2
-        };
+
+        let budgetRange;
+        if (jobBudget.type === 'fixed') {
+            if (!impliedRate || (!impliedRate.min && !impliedRate.max)) return 5; // A total price says nothing about the rate
+
+            budgetRange = {
+                min: impliedRate.min || 0,
+                max: impliedRate.max || impliedRate.min
+            };
+        } else {
+            const usd = CurrencyService.getUsdRange(jobBudget);
+            if (usd.min === null && usd.max === null) return 5; // Neutral when the currency has no rate
+
+            budgetRange = {
+                min: usd.min || 0,
+                max: usd.max || profileRate * 2
+            };
+        }
         
         if (profileRate >= budgetRange.min && profileRate <= budgetRange.max) {
             return 10; // Perfect match
@@ -257,8 +283,18 @@ class ProfileController {
         if (!profileData.experience || typeof profileData.experience !== 'object') {
             throw new Error('Profile experience is required');
         }
+
+        const experienceLevels = ['junior', 'mid-level', 'senior', 'expert'];
+        if (profileData.experience.level && !experienceLevels.includes(profileData.experience.level)) {
+            throw new Error(`Profile experience level must be one of: ${experienceLevels.join(', ')}`);
+        }
+
+        if (profileData.experience.years !== undefined &&
+            (typeof profileData.experience.years !== 'number' || isNaN(profileData.experience.years) || profileData.experience.years < 0)) {
+            throw new Error('Profile experience years must be a non-negative number');
+        }
         
-        if (typeof profileData.hourlyRate !== 'number' || profileData.hourlyRate <= 0) {
+        if (!Number.isFinite(profileData.hourlyRate) || profileData.hourlyRate <= 0) {
             throw new Error('Profile hourly rate must be a positive number');
         }
     }
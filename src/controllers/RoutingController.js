@@ -0,0 +1,214 @@
+/**
+ * Controller for handling job routing rules
+ * Manages per-guild rules and resolves which channels receive a job
+ */
+
+const Logger = require('../utils/Logger');
+
+class RoutingController {
+    constructor(routingRuleModel, routingService) {
+        this.routingRuleModel = routingRuleModel;
+        this.routingService = routingService;
+    }
+
+    /**
+     * Get all rules of a guild in evaluation order
+     * @param {string} guildId - The Discord guild ID
+     */
+    async getRules(guildId) {
+        try {
+            return await this.routingRuleModel.findByGuild(guildId);
+        } catch (error) {
+            Logger.error(`Error getting routing rules for guild ${guildId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add a routing rule to the end of a guild's rule list
+     * @param {string} guildId - The Discord guild ID
+     * @param {Object} options - Raw rule options (strings from a command)
+     */
+    async addRule(guildId, options) {
+        try {
+            const ruleData = this.buildRuleData(guildId, options);
+
+            const existingRule = await this.routingRuleModel.findByName(guildId, ruleData.name);
+            if (existingRule) {
+                throw new Error(`A rule named "${ruleData.name}" already exists`);
+            }
+
+            const rule = await this.routingRuleModel.create(ruleData);
+
+            Logger.info(`Routing rule added: ${rule.name} (guild ${guildId})`);
+            return rule;
+        } catch (error) {
+            Logger.error(`Error adding routing rule in guild ${guildId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a routing rule
+     * @param {string} guildId - The Discord guild ID
+     * @param {string} name - The rule name
+     */
+    async removeRule(guildId, name) {
+        try {
+            const rule = await this.routingRuleModel.findByName(guildId, name);
+            if (!rule) {
+                throw new Error(`Rule "${name}" not found`);
+            }
+
+            await this.routingRuleModel.delete(rule.id);
+            return rule;
+        } catch (error) {
+            Logger.error(`Error removing routing rule ${name} in guild ${guildId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Move a routing rule to a new position
+     * @param {string} guildId - The Discord guild ID
+     * @param {string} name - The rule name
+     * @param {number} position - New 1-based position
+     */
+    async moveRule(guildId, name, position) {
+        try {
+            const rule = await this.routingRuleModel.findByName(guildId, name);
+            if (!rule) {
+                throw new Error(`Rule "${name}" not found`);
+            }
+
+            return await this.routingRuleModel.reorder(guildId, rule.id, position);
+        } catch (error) {
+            Logger.error(`Error moving routing rule ${name} in guild ${guildId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Evaluate a guild's rules against a job without posting anything
+     * @param {string} guildId - The Discord guild ID
+     * @param {Object} job - The job data
+     * @returns {Object} - Matching rules and resulting targets
+     */
+    async testJob(guildId, job) {
+        try {
+            const rules = await this.routingRuleModel.findByGuild(guildId, true);
+            const matchedRules = this.routingService.getMatchingRules(rules, job);
+
+            return {
+                evaluated: rules.length,
+                matchedRules,
+                targets: this.routingService.buildTargets(matchedRules)
+            };
+        } catch (error) {
+            Logger.error(`Error testing routing rules for job ${job.id}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Resolve the channels a job should be posted to in a guild
+     * @param {string} guildId - The Discord guild ID
+     * @param {Object} job - The job data
+     * @returns {Array} - Targets ({ channelId, mentionRoleIds, rules })
+     */
+    async resolveTargets(guildId, job) {
+        const result = await this.testJob(guildId, job);
+        return result.targets;
+    }
+
+    /**
+     * Describe a rule's conditions in one line
+     * @param {Object} rule - The routing rule
+     */
+    describeRule(rule) {
+        return this.routingService.describeRule(rule);
+    }
+
+    /**
+     * Convert raw command options into a routing rule document
+     * List options are comma-separated; numbers are validated
+     * @param {string} guildId - The Discord guild ID
+     * @param {Object} options - Raw rule options
+     */
+    buildRuleData(guildId, options) {
+        const name = (options.name || '').trim();
+        if (!name) {
+            throw new Error('Rule name is required');
+        }
+
+        if (!options.channel) {
+            throw new Error('Rule channel is required');
+        }
+
+        const conditions = {
+            minScore: this.parseNumber(options.min_score, 'min_score'),
+            maxScore: this.parseNumber(options.max_score, 'max_score'),
+            minFitScore: this.parseNumber(options.min_fit, 'min_fit'),
+            maxFitScore: this.parseNumber(options.max_fit, 'max_fit'),
+            categories: this.parseList(options.categories),
+            skills: this.parseList(options.skills),
+            budgetType: (options.budget_type || 'any').toLowerCase(),
+            minBudget: this.parseNumber(options.min_budget, 'min_budget'),
+            maxBudget: this.parseNumber(options.max_budget, 'max_budget'),
+            locations: this.parseList(options.locations),
+            keywords: this.parseList(options.keywords)
+        };
+
+        if (!['any', 'fixed', 'hourly'].includes(conditions.budgetType)) {
+            throw new Error('budget_type must be any, fixed or hourly');
+        }
+
+        if (conditions.minScore !== null && conditions.maxScore !== null && conditions.minScore > conditions.maxScore) {
+            throw new Error('min_score cannot be greater than max_score');
+        }
+
+        if (conditions.minFitScore !== null && conditions.maxFitScore !== null && conditions.minFitScore > conditions.maxFitScore) {
+            throw new Error('min_fit cannot be greater than max_fit');
+        }
+
+        if (conditions.minBudget !== null && conditions.maxBudget !== null && conditions.minBudget > conditions.maxBudget) {
+            throw new Error('min_budget cannot be greater than max_budget');
+        }
+
+        return {
+            guildId,
+            name,
+            channelId: options.channel,
+            mentionRoleId: options.role || null,
+            exclusive: ['true', 'yes', '1'].includes(String(options.exclusive).toLowerCase()),
+            conditions
+        };
+    }
+
+    /**
+     * Parse an optional number option
+     */
+    parseNumber(value, label) {
+        if (value === undefined || value === null || value === '') return null;
+
+        const number = parseFloat(value);
+        if (isNaN(number) || number < 0) {
+            throw new Error(`${label} must be a non-negative number`);
+        }
+        return number;
+    }
+
+    /**
+     * Parse an optional comma-separated list option
+     */
+    parseList(value) {
+        if (!value) return [];
+
+        return String(value)
+            .split(',')
+            .map(item => item.trim())
+            .filter(Boolean);
+    }
+}
+
+module.exports = RoutingController;
@@ -0,0 +1,352 @@
+/**
+ * Controller for handling per-guild scoring profiles
+ * Manages scoring weights, the AI blend and country preferences, and rescores jobs for a guild
+ */
+
+const Logger = require('../utils/Logger');
+const JobParser = require('../utils/JobParser');
+
+class ScoringProfileController {
+    /**
+     * @param {Object} scoringProfileModel - ScoringProfileModel
+     * @param {Object} scoringService - ScoringService
+     * @param {Object|null} jobModel - JobModel, to preview stored jobs
+     * @param {Object|null} currencyService - CurrencyService, to convert sample budgets to USD
+     */
+    constructor(scoringProfileModel, scoringService, jobModel = null, currencyService = null) {
+        this.scoringProfileModel = scoringProfileModel;
+        this.scoringService = scoringService;
+        this.jobModel = jobModel;
+        this.currencyService = currencyService;
+        this.weightKeys = ['budget', 'skills', 'experience', 'location', 'description', 'client'];
+
+        // Resolved profiles by guild ID; every change goes through this controller, which clears the entry
+        this.profiles = new Map();
+    }
+
+    /**
+     * Get a guild's scoring profile with the defaults filled in
+     * @param {string} guildId - The Discord guild ID
+     * @returns {Object} - { guildId, weights, aiWeight, countries, customized }
+     */
+    async getProfile(guildId) {
+        if (this.profiles.has(guildId)) {
+            return this.profiles.get(guildId);
+        }
+
+        try {
+            const stored = await this.scoringProfileModel.findByGuild(guildId);
+            const profile = {
+                guildId,
+                ...this.scoringService.resolveProfile(stored),
+                customized: Boolean(stored),
+                updatedBy: stored ? stored.updatedBy : null,
+                updatedAt: stored ? stored.updatedAt : null
+            };
+
+            this.profiles.set(guildId, profile);
+            return profile;
+        } catch (error) {
+            Logger.error(`Error getting scoring profile for guild ${guildId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Change some of a guild's scoring weights
+     * Weights are relative: only their proportions matter
+     * @param {string} guildId - The Discord guild ID
+     * @param {Object} options - Raw weights by factor (strings from a command); `clientinfo` is accepted for `client`
+     * @param {string|null} userId - Discord ID of the admin
+     */
+    async updateWeights(guildId, options, userId = null) {
+        try {
+            const values = { ...options };
+            if (values.clientinfo !== undefined && values.client === undefined) {
+                values.client = values.clientinfo;
+            }
+
+            const update = {};
+            for (const key of this.weightKeys) {
+                const weight = this.parseNumber(values[key], key);
+                if (weight !== null) {
+                    update[`weights.${key}`] = weight;
+                }
+            }
+
+            if (Object.keys(update).length === 0) {
+                throw new Error(`Give at least one weight: ${this.weightKeys.join(', ')}`);
+            }
+
+            const current = await this.getProfile(guildId);
+            const total = this.weightKeys.reduce((sum, key) => {
+                const weight = update[`weights.${key}`];
+                return sum + (weight !== undefined ? weight : current.weights[key]);
+            }, 0);
+            if (total <= 0) {
+                throw new Error('At least one weight must be greater than 0');
+            }
+
+            return await this.saveProfile(guildId, { $set: { ...update, updatedBy: userId } });
+        } catch (error) {
+            Logger.error(`Error updating scoring weights in guild ${guildId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Set the share of the AI score in a guild's final score
+     * @param {string} guildId - The Discord guild ID
+     * @param {string} value - 0-1, or a percentage such as "60%"
+     * @param {string|null} userId - Discord ID of the admin
+     */
+    async setAiWeight(guildId, value, userId = null) {
+        try {
+            const text = String(value === undefined || value === null ? '' : value).trim();
+            const number = parseFloat(text);
+            const aiWeight = text.endsWith('%') ? number / 100 : number;
+
+            if (text === '' || isNaN(aiWeight) || aiWeight < 0 || aiWeight > 1) {
+                throw new Error('ai must be between 0 and 1 (or a percentage like 60%)');
+            }
+
+            return await this.saveProfile(guildId, { $set: { aiWeight, updatedBy: userId } });
+        } catch (error) {
+            Logger.error(`Error setting AI weight in guild ${guildId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add a country to a guild's preferences, or change its score
+     * @param {string} guildId - The Discord guild ID
+     * @param {string} country - Country name
+     * @param {string} value - Score from 0-10
+     * @param {string|null} userId - Discord ID of the admin
+     */
+    async setCountry(guildId, country, value, userId = null) {
+        try {
+            const name = String(country || '').trim();
+            if (!name) {
+                throw new Error('Country name is required');
+            }
+
+            const score = this.parseNumber(value, 'score');
+            if (score === null || score > 10) {
+                throw new Error('score must be a number from 0 to 10');
+            }
+
+            const current = await this.getProfile(guildId);
+            const key = this.scoringService.normalizeCountry(name);
+            const countries = current.countries.filter(entry => this.scoringService.normalizeCountry(entry.country) !== key);
+            countries.push({ country: name, score });
+
+            return await this.saveProfile(guildId, { $set: { countries, updatedBy: userId } });
+        } catch (error) {
+            Logger.error(`Error setting country ${country} in guild ${guildId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a country from a guild's preferences, so it scores neutral
+     * @param {string} guildId - The Discord guild ID
+     * @param {string} country - Country name
+     * @param {string|null} userId - Discord ID of the admin
+     */
+    async removeCountry(guildId, country, userId = null) {
+        try {
+            const current = await this.getProfile(guildId);
+            const key = this.scoringService.normalizeCountry(country);
+            const countries = current.countries.filter(entry => this.scoringService.normalizeCountry(entry.country) !== key);
+
+            if (countries.length === current.countries.length) {
+                throw new Error(`Country "${country}" is not in the scoring profile`);
+            }
+
+            return await this.saveProfile(guildId, { $set: { countries, updatedBy: userId } });
+        } catch (error) {
+            Logger.error(`Error removing country ${country} in guild ${guildId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Return a guild to the default scoring profile
+     * @param {string} guildId - The Discord guild ID
+     * @returns {boolean} - Whether the guild had a profile of its own
+     */
+    async resetProfile(guildId) {
+        try {
+            const deleted = await this.scoringProfileModel.delete(guildId);
+            this.profiles.delete(guildId);
+            return deleted;
+        } catch (error) {
+            Logger.error(`Error resetting scoring profile in guild ${guildId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Score a stored or sample job with a guild's profile, next to the default score
+     * @param {string} guildId - The Discord guild ID
+     * @param {Object} options - `job_id` of a stored job, or sample job fields:
+     *   title, description, budget ("$500", "$30-50/hr"), skills (comma-separated), experience, location, ai_score
+     * @returns {Object} - { job, breakdown, defaultScore }; see ScoringService.getScoreBreakdown
+     */
+    async previewJob(guildId, options) {
+        try {
+            const job = options.job_id ? await this.findJob(options.job_id) : this.buildSampleJob(options);
+            const profile = await this.getProfile(guildId);
+
+            return {
+                job,
+                breakdown: this.scoringService.getScoreBreakdown(job, profile),
+                defaultScore: this.scoringService.scoreForProfile(job, null)
+            };
+        } catch (error) {
+            Logger.error(`Error previewing job score in guild ${guildId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Explain how a stored job got its score
+     * Guilds with their own profile see the job rescored with it; otherwise the breakdown stored when the job was scored
+     * is used, and jobs scored before breakdowns were stored are broken down with the current defaults
+     * @param {string} jobId - The job ID
+     * @param {string|null} guildId - The Discord guild ID, null in DMs
+     * @returns {Object} - { job, breakdown, basis: 'stored' | 'profile' | 'current' }
+     */
+    async explainJob(jobId, guildId = null) {
+        try {
+            const job = await this.findJob(jobId);
+            const profile = guildId ? await this.getProfile(guildId) : null;
+
+            if (profile && profile.customized) {
+                return { job, breakdown: this.scoringService.getScoreBreakdown(job, profile), basis: 'profile' };
+            }
+
+            if (job.scoreBreakdown && Array.isArray(job.scoreBreakdown.factors) && job.scoreBreakdown.factors.length > 0) {
+                return { job, breakdown: job.scoreBreakdown, basis: 'stored' };
+            }
+
+            return { job, breakdown: this.scoringService.getScoreBreakdown(job, null), basis: 'current' };
+        } catch (error) {
+            Logger.error(`Error explaining the score of job ${jobId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a copy of a job with the score of a guild's profile
+     * Guilds on the defaults get the job unchanged; a failing profile lookup also keeps the stored score
+     * @param {Object} job - The processed job (document or plain object)
+     * @param {string} guildId - The Discord guild ID
+     * @returns {Object} - The job to post in the guild
+     */
+    async applyProfile(job, guildId) {
+        try {
+            const profile = await this.getProfile(guildId);
+            if (!profile.customized) {
+                return job;
+            }
+
+            const data = typeof job.toObject === 'function' ? job.toObject() : { ...job };
+            return { ...data, score: this.scoringService.scoreForProfile(data, profile) };
+        } catch (error) {
+            Logger.warn(`Using the stored score of job ${job.title} in guild ${guildId}: ${error.message}`);
+            return job;
+        }
+    }
+
+    /**
+     * Get each weight as a share of the total, for display
+     * @param {Object} weights - Weights by factor
+     * @returns {Object} - Percentages by factor, rounded
+     */
+    getWeightShares(weights) {
+        const total = this.weightKeys.reduce((sum, key) => sum + weights[key], 0);
+
+        return this.weightKeys.reduce((shares, key) => {
+            shares[key] = total > 0 ? Math.round(weights[key] / total * 100) : 0;
+            return shares;
+        }, {});
+    }
+
+    /**
+     * Find a stored job as a plain object
+     * @param {string} jobId - The job ID
+     */
+    async findJob(jobId) {
+        if (!this.jobModel) {
+            throw new Error('Stored jobs are not available');
+        }
+
+        const stored = await this.jobModel.findById(jobId);
+        if (!stored) {
+            throw new Error(`Job ${jobId} not found`);
+        }
+        return typeof stored.toObject === 'function' ? stored.toObject() : { ...stored };
+    }
+
+    /**
+     * Build a job from preview options
+     * @param {Object} options - Raw sample job options
+     */
+    buildSampleJob(options) {
+        const budget = options.budget ? JobParser.parseBudget(options.budget) : null;
+        if (options.budget && !budget) {
+            throw new Error(`Could not read a budget from "${options.budget}"`);
+        }
+
+        // A typed budget without a currency is in USD, like the other budget options
+        if (budget && budget.currency === null) {
+            budget.currency = 'USD';
+        }
+
+        const aiScore = this.parseNumber(options.ai_score, 'ai_score');
+        if (aiScore !== null && aiScore > 10) {
+            throw new Error('ai_score must be a number from 0 to 10');
+        }
+
+        return {
+            title: options.title || 'Sample job',
+            description: options.description || '',
+            budget: this.currencyService ? this.currencyService.normalizeBudget(budget) : budget,
+            skills: options.skills ? String(options.skills).split(',').map(skill => skill.trim()).filter(Boolean) : [],
+            experience: options.experience || '',
+            location: options.location || '',
+            aiScore
+        };
+    }
+
+    /**
+     * Store a profile change and drop the cached profile
+     * @param {string} guildId - The Discord guild ID
+     * @param {Object} update - Update data
+     * @returns {Object} - The guild's resolved profile
+     */
+    async saveProfile(guildId, update) {
+        await this.scoringProfileModel.update(guildId, update);
+        this.profiles.delete(guildId);
+
+        Logger.info(`Scoring profile changed in guild ${guildId}`);
+        return await this.getProfile(guildId);
+    }
+
+    /**
+     * Parse an optional number option
+     */
+    parseNumber(value, label) {
+        if (value === undefined || value === null || value === '') return null;
+
+        const number = parseFloat(value);
+        if (isNaN(number) || number < 0) {
+            throw new Error(`${label} must be a non-negative number`);
+        }
+        return number;
+    }
+}
+
+module.exports = ScoringProfileController;
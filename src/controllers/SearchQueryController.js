@@ -0,0 +1,267 @@
+/**
+ * Controller for handling saved Upwork search queries
+ * Manages the named queries the monitor polls and their run statistics
+ */
+
+const net = require('net');
+const Logger = require('../utils/Logger');
+
+class SearchQueryController {
+    constructor(searchQueryModel, sourceRegistry) {
+        this.searchQueryModel = searchQueryModel;
+        this.sourceRegistry = sourceRegistry;
+
+        // Hosts feed URLs may point at (and their subdomains); empty allows any public host
+        this.feedHosts = this.parseList(process.env.FEED_ALLOWED_HOSTS).map(host => host.toLowerCase());
+    }
+
+    /**
+     * Get all saved search queries
+     */
+    async getQueries() {
+        try {
+            return await this.searchQueryModel.findAll();
+        } catch (error) {
+            Logger.error('Error getting search queries:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save a new search query
+     * @param {Object} options - Raw query options (strings from a command)
+     */
+    async addQuery(options) {
+        try {
+            const queryData = this.buildQueryData(options);
+
+            const existingQuery = await this.searchQueryModel.findByName(queryData.name);
+            if (existingQuery) {
+                throw new Error(`A query named "${queryData.name}" already exists`);
+            }
+
+            return await this.searchQueryModel.create(queryData);
+        } catch (error) {
+            Logger.error('Error adding search query:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Enable or disable a search query
+     * @param {string} name - Query name
+     * @param {boolean} enabled - Whether the query should be polled
+     */
+    async setEnabled(name, enabled) {
+        try {
+            const query = await this.findQuery(name);
+            return await this.searchQueryModel.update(query.id, { enabled });
+        } catch (error) {
+            Logger.error(`Error updating search query ${name}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a search query
+     * Jobs keep their query tags
+     * @param {string} name - Query name
+     */
+    async removeQuery(name) {
+        try {
+            const query = await this.findQuery(name);
+            await this.searchQueryModel.delete(query.id);
+            return query;
+        } catch (error) {
+            Logger.error(`Error deleting search query ${name}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Describe a query's filters in one line
+     * @param {Object} query - The search query
+     * @returns {string} - Human readable filters
+     */
+    describeQuery(query) {
+        const filters = query.filters || {};
+        const parts = [query.source];
+
+        if (filters.feedUrl) parts.push(filters.feedUrl);
+        if (filters.filePath) parts.push(filters.filePath);
+
+        if (filters.keywords) parts.push(`"${filters.keywords}"`);
+        if (filters.category) parts.push(`category: ${filters.category}`);
+        if (filters.skills && filters.skills.length > 0) parts.push(`skills: ${filters.skills.join(', ')}`);
+        const hasBudget = [filters.minBudget, filters.maxBudget].some(value => value !== null && value !== undefined);
+        if (hasBudget) {
+            parts.push(`budget $${filters.minBudget ?? 0}-${filters.maxBudget ?? 'any'}`);
+        }
+        parts.push(`every ${query.intervalMinutes} min`);
+
+        return parts.join(' | ');
+    }
+
+    /**
+     * Find a query by name or fail
+     */
+    async findQuery(name) {
+        const query = await this.searchQueryModel.findByName(name);
+        if (!query) {
+            throw new Error(`Query "${name}" not found`);
+        }
+        return query;
+    }
+
+    /**
+     * Convert raw command options into a search query document
+     * @param {Object} options - Raw query options
+     */
+    buildQueryData(options) {
+        const name = (options.name || '').trim();
+        if (!name) {
+            throw new Error('Query name is required');
+        }
+
+        const sourceName = (options.source || 'upwork').toLowerCase();
+        if (!this.sourceRegistry.has(sourceName)) {
+            throw new Error(`source must be one of ${this.sourceRegistry.getNames().join(', ')}`);
+        }
+        const source = this.sourceRegistry.get(sourceName).name;
+        if (source === 'mock') {
+            throw new Error('The mock source only runs on its own in demo mode');
+        }
+
+        const filters = {
+            feedUrl: options.feed_url ? String(options.feed_url).trim() : null,
+            filePath: options.file_path ? String(options.file_path).trim() : null,
+            keywords: options.keywords ? String(options.keywords).trim() : null,
+            category: options.category ? String(options.category).trim() : null,
+            skills: this.parseList(options.skills),
+            minBudget: this.parseNumber(options.min_budget, 'min_budget'),
+            maxBudget: this.parseNumber(options.max_budget, 'max_budget'),
+            limit: this.parseNumber(options.limit, 'limit') ?? 50
+        };
+
+        if (filters.feedUrl && !['upwork-rss', 'feed'].includes(source)) {
+            throw new Error('feed_url can only be used with the upwork-rss and feed sources');
+        }
+
+        if (filters.feedUrl) {
+            this.checkFeedUrl(filters.feedUrl);
+        }
+
+        if (source === 'feed' && !filters.feedUrl) {
+            throw new Error('The feed source needs a feed_url');
+        }
+
+        if (filters.filePath && source !== 'json-file') {
+            throw new Error('file_path can only be used with the json-file source');
+        }
+
+        if (filters.filePath) {
+            this.sourceRegistry.get(source).resolveQueryPath(filters.filePath);
+        }
+
+        // Feeds and files are complete job lists, so they need no search terms
+        const hasTarget = filters.feedUrl || source === 'json-file';
+        if (!hasTarget && !filters.keywords && !filters.category && filters.skills.length === 0) {
+            throw new Error('A query needs keywords, a category, skills or a feed_url');
+        }
+
+        if (filters.minBudget !== null && filters.maxBudget !== null && filters.minBudget > filters.maxBudget) {
+            throw new Error('min_budget cannot be greater than max_budget');
+        }
+
+        if (filters.limit < 1 || filters.limit > 100) {
+            throw new Error('limit must be between 1 and 100');
+        }
+
+        const intervalMinutes = this.parseNumber(options.interval, 'interval') ?? 5;
+        if (!Number.isInteger(intervalMinutes) || intervalMinutes < 1) {
+            throw new Error('interval must be a whole number of minutes');
+        }
+
+        return { name, source, filters, intervalMinutes };
+    }
+
+    /**
+     * Check that a feed URL is an http(s) URL the bot may request
+     * The bot fetches it from its own host, so local and private network addresses are refused
+     * @param {string} feedUrl - The feed URL
+     */
+    checkFeedUrl(feedUrl) {
+        let url;
+        try {
+            url = new URL(feedUrl);
+        } catch (error) {
+            url = null;
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            throw new Error('feed_url must be an http(s) URL');
+        }
+
+        const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+        if (this.feedHosts.length > 0 && !this.feedHosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`))) {
+            throw new Error(`feed_url must be on one of these hosts: ${this.feedHosts.join(', ')}`);
+        }
+
+        if (this.isPrivateHost(host)) {
+            throw new Error('feed_url cannot point at a local or private network address');
+        }
+    }
+
+    /**
+     * Check whether a host name is local or a private, loopback or link-local IP address
+     * @param {string} host - Lower-case host name without IPv6 brackets
+     */
+    isPrivateHost(host) {
+        if (host === 'localhost' || /\.(localhost|local|internal)$/.test(host)) {
+            return true;
+        }
+
+        if (net.isIPv4(host)) {
+            const [a, b] = host.split('.').map(Number);
+            return a === 0 || a === 10 || a === 127 ||
+                (a === 100 && b >= 64 && b <= 127) ||
+                (a === 169 && b === 254) ||
+                (a === 172 && b >= 16 && b <= 31) ||
+                (a === 192 && b === 168);
+        }
+
+        if (net.isIPv6(host)) {
+            // Unspecified, loopback, IPv4-mapped, unique local (fc00::/7) and link-local (fe80::/10) addresses
+            return host === '::' || host === '::1' || host.startsWith('::ffff:') ||
+                /^f[cd]/.test(host) || /^fe[89ab]/.test(host);
+        }
+
+        return false;
+    }
+
+    /**
+     * Parse an optional number option
+     */
+    parseNumber(value, label) {
+        if (value === undefined || value === null || value === '') return null;
+
+        const number = parseFloat(value);
+        if (isNaN(number) || number < 0) {
+            throw new Error(`${label} must be a non-negative number`);
+        }
+        return number;
+    }
+
+    /**
+     * Parse an optional comma-separated list option
+     */
+    parseList(value) {
+        if (!value) return [];
+
+        return String(value)
+            .split(',')
+            .map(item => item.trim())
+            .filter(Boolean);
+    }
+}
+
+module.exports = SearchQueryController;
@@ -0,0 +1,219 @@
+/**
+ * Controller for handling personal job alerts
+ * Manages user subscriptions and sends matching jobs by direct message
+ */
+
+const Logger = require('../utils/Logger');
+
+class SubscriptionController {
+    constructor(subscriptionModel, subscriptionService, channelService, channelController) {
+        this.subscriptionModel = subscriptionModel;
+        this.subscriptionService = subscriptionService;
+        this.channelService = channelService;
+        this.channelController = channelController;
+    }
+
+    /**
+     * Get all subscriptions of a user
+     * @param {string} userId - Discord user ID
+     */
+    async getSubscriptions(userId) {
+        try {
+            return await this.subscriptionModel.findByUser(userId);
+        } catch (error) {
+            Logger.error(`Error getting subscriptions for user ${userId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save a new search for a user
+     * @param {Object} user - The Discord user ({ id, tag })
+     * @param {Object} options - Raw subscription options (strings from a command)
+     */
+    async addSubscription(user, options) {
+        try {
+            const subscriptionData = this.buildSubscriptionData(user, options);
+
+            const existingSubscription = await this.subscriptionModel.findByName(user.id, subscriptionData.name);
+            if (existingSubscription) {
+                throw new Error(`You already have an alert named "${subscriptionData.name}"`);
+            }
+
+            return await this.subscriptionModel.create(subscriptionData);
+        } catch (error) {
+            Logger.error(`Error adding subscription for user ${user.id}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Pause or resume a user's subscription
+     * @param {string} userId - Discord user ID
+     * @param {string} name - Subscription name
+     * @param {boolean} paused - Whether alerts should be paused
+     */
+    async setPaused(userId, name, paused) {
+        try {
+            const subscription = await this.findOwnSubscription(userId, name);
+            return await this.subscriptionModel.update(subscription.id, { paused });
+        } catch (error) {
+            Logger.error(`Error updating subscription ${name} for user ${userId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a user's subscription
+     * @param {string} userId - Discord user ID
+     * @param {string} name - Subscription name
+     */
+    async removeSubscription(userId, name) {
+        try {
+            const subscription = await this.findOwnSubscription(userId, name);
+            await this.subscriptionModel.delete(subscription.id);
+            return subscription;
+        } catch (error) {
+            Logger.error(`Error deleting subscription ${name} for user ${userId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Send a job to every user with a matching subscription
+     * Each user gets at most one DM per job, subject to their rate limit
+     * @param {Object} job - The saved job
+     * @returns {number} - Number of users notified
+     */
+    async notifyMatches(job) {
+        try {
+            const subscriptions = await this.subscriptionModel.findActive();
+            const matches = this.subscriptionService.getMatchesByUser(subscriptions, job);
+            let notified = 0;
+
+            for (const [userId, userSubscriptions] of matches) {
+                if (!this.subscriptionService.tryConsume(userId)) {
+                    Logger.warn(`Alert rate limit reached for user ${userId}, skipping job ${job.id}`);
+                    continue;
+                }
+
+                try {
+                    const names = userSubscriptions.map(subscription => subscription.name).join(', ');
+
+                    await this.channelService.sendDirectMessage(userId, {
+                        content: `🔔 New job matching your alert: **${names}**`,
+                        embeds: [this.channelController.createJobEmbed(job)]
+                    });
+                    await this.subscriptionModel.recordNotification(userSubscriptions.map(subscription => subscription.id));
+
+                    notified++;
+                } catch (error) {
+                    Logger.error(`Error sending alert for job ${job.id} to user ${userId}:`, error);
+                }
+            }
+
+            if (notified > 0) {
+                Logger.info(`Sent job ${job.title} to ${notified} subscribed users`);
+            }
+
+            return notified;
+        } catch (error) {
+            Logger.error(`Error notifying subscriptions for job ${job.id}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Describe a subscription's conditions in one line
+     * @param {Object} subscription - The subscription
+     */
+    describeSubscription(subscription) {
+        return this.subscriptionService.describeSubscription(subscription);
+    }
+
+    /**
+     * Find a subscription owned by a user
+     */
+    async findOwnSubscription(userId, name) {
+        const subscription = await this.subscriptionModel.findByName(userId, name);
+        if (!subscription) {
+            throw new Error(`Alert "${name}" not found`);
+        }
+        return subscription;
+    }
+
+    /**
+     * Convert raw command options into a subscription document
+     * A subscription needs at least one condition so it cannot match every job
+     * @param {Object} user - The Discord user ({ id, tag })
+     * @param {Object} options - Raw subscription options
+     */
+    buildSubscriptionData(user, options) {
+        const name = (options.name || '').trim();
+        if (!name) {
+            throw new Error('Alert name is required');
+        }
+
+        const conditions = {
+            keywords: this.parseList(options.keywords),
+            skills: this.parseList(options.skills),
+            minScore: this.parseNumber(options.min_score, 'min_score'),
+            minFitScore: this.parseNumber(options.min_fit, 'min_fit'),
+            minBudget: this.parseNumber(options.min_budget, 'min_budget'),
+            categories: this.parseList(options.categories)
+        };
+
+        if (conditions.minScore !== null && conditions.minScore > 10) {
+            throw new Error('min_score must be between 0 and 10');
+        }
+
+        if (conditions.minFitScore !== null && conditions.minFitScore > 10) {
+            throw new Error('min_fit must be between 0 and 10');
+        }
+
+        const hasCondition = conditions.keywords.length > 0 ||
+            conditions.skills.length > 0 ||
+            conditions.categories.length > 0 ||
+            conditions.minScore !== null ||
+            conditions.minFitScore !== null ||
+            conditions.minBudget !== null;
+
+        if (!hasCondition) {
+            throw new Error('An alert needs at least one of keywords, skills, min_score, min_fit, min_budget or categories');
+        }
+
+        return {
+            userId: user.id,
+            userTag: user.tag,
+            name,
+            conditions
+        };
+    }
+
+    /**
+     * Parse an optional number option
+     */
+    parseNumber(value, label) {
+        if (value === undefined || value === null || value === '') return null;
+
+        const number = parseFloat(value);
+        if (isNaN(number) || number < 0) {
+            throw new Error(`${label} must be a non-negative number`);
+        }
+        return number;
+    }
+
+    /**
+     * Parse an optional comma-separated list option
+     */
+    parseList(value) {
+        if (!value) return [];
+
+        return String(value)
+            .split(',')
+            .map(item => item.trim())
+            .filter(Boolean);
+    }
+}
+
+module.exports = SubscriptionController;
@@ -5,19 +5,33 @@
 
 const cron = require('node-cron');
 const Logger = require('../utils/Logger');
+const EventBus = require('../utils/EventBus');
 
 class UpworkController {
-    constructor(upworkService, scoringService, jobModel) {
-        this.upworkService = upworkService;
+    constructor(sourceRegistry, scoringService, jobModel, eventBus, monitorConfigModel, scheduleService, searchQueryModel, clientModel = null, seenJobService = null, profileController = null) {
+        this.sourceRegistry = sourceRegistry;
         this.scoringService = scoringService;
         this.jobModel = jobModel;
+        this.eventBus = eventBus;
+        this.monitorConfigModel = monitorConfigModel;
+        this.scheduleService = scheduleService;
+        this.searchQueryModel = searchQueryModel;
+        this.clientModel = clientModel;
+        this.seenJobService = seenJobService;
+        this.profileController = profileController;
         this.monitoringInterval = null;
         this.isMonitoring = false;
+        this.isFetching = false;
+        this.schedule = null;
+        this.lastRun = null;
+
+        // Detail pages cost one extra request per new job; JOB_ENRICHMENT=false skips them
+        this.enrichmentEnabled = process.env.JOB_ENRICHMENT !== 'false';
     }
 
     /**
      * Start real-time job monitoring
-     * Fetches jobs every 5 minutes and processes them
+     * Uses the persisted schedule; does nothing when monitoring was stopped by an admin
      */
     async startMonitoring() {
         if (this.isMonitoring) {
@@ -25,21 +39,41 @@ class UpworkController {
             return;
         }
 
-        this.isMonitoring = true;
-        Logger.info('Starting Upwork job monitoring...');
+        const config = await this.loadMonitorConfig();
+        if (!config.enabled) {
+            Logger.info('Job monitoring is disabled in the monitor configuration, not starting');
+            return;
+        }
+
+        this.scheduleMonitoring(config);
+    }
+
+    /**
+     * (Re)create the cron task for a schedule
+     * @param {Object} config - Monitoring configuration
+     */
+    scheduleMonitoring(config) {
+        if (this.monitoringInterval) {
+            this.monitoringInterval.stop();
+        }
+
+        const expression = this.scheduleService.buildCronExpression(config);
+        Logger.info(`Starting Upwork job monitoring (${this.scheduleService.describeSchedule(config)})...`);
 
-        // Schedule job fetching every 5 minutes
-        this.monitoringInterval = cron.schedule('*/5 * * * *', async () => {
+        this.monitoringInterval = cron.schedule(expression, async () => {
             try {
-                await this.fetchAndProcessJobs();
+                await this.runMonitoringCycle();
             } catch (error) {
                 Logger.error('Error in job monitoring cycle:', error);
             }
         }, {
-            scheduled: false
+            scheduled: false,
+            timezone: config.timezone
         });
 
         this.monitoringInterval.start();
+        this.schedule = config;
+        this.isMonitoring = true;
         Logger.info('Upwork job monitoring started successfully');
     }
 
@@ -49,70 +83,496 @@ class UpworkController {
     stopMonitoring() {
         if (this.monitoringInterval) {
             this.monitoringInterval.stop();
+            this.monitoringInterval = null;
             this.isMonitoring = false;
             Logger.info('Upwork job monitoring stopped');
         }
     }
 
     /**
-     * Fetch and process new jobs from Upwork
+     * Enable monitoring in the persisted configuration and start it
+     * @returns {Object} - Monitoring status
+     */
+    async enableMonitoring() {
+        const config = await this.monitorConfigModel.update({ enabled: true });
+        this.scheduleMonitoring(this.toScheduleConfig(config));
+        return await this.getMonitoringStatus();
+    }
+
+    /**
+     * Disable monitoring in the persisted configuration and stop it
+     * Monitoring stays stopped across restarts until enabled again
+     * @returns {Object} - Monitoring status
+     */
+    async disableMonitoring() {
+        await this.monitorConfigModel.update({ enabled: false });
+        this.stopMonitoring();
+        return await this.getMonitoringStatus();
+    }
+
+    /**
+     * Change the monitoring schedule
+     * A running monitor is rescheduled immediately
+     * @param {Object} options - Raw options ({ interval, hours, days, timezone })
+     * @returns {Object} - Monitoring status
+     */
+    async updateSchedule(options) {
+        const update = this.scheduleService.parseScheduleOptions(options);
+        if (Object.keys(update).length === 0) {
+            throw new Error('Nothing to change: set interval, hours, days or timezone');
+        }
+
+        const config = this.toScheduleConfig(await this.monitorConfigModel.update(update));
+        if (this.isMonitoring) {
+            this.scheduleMonitoring(config);
+        } else {
+            this.schedule = config;
+        }
+
+        return await this.getMonitoringStatus();
+    }
+
+    /**
+     * Get the current monitoring status
+     * @returns {Object} - Schedule, state, last run and next run
+     */
+    async getMonitoringStatus() {
+        const config = await this.loadMonitorConfig();
+
+        return {
+            enabled: config.enabled,
+            running: this.isMonitoring,
+            fetching: this.isFetching,
+            schedule: this.scheduleService.describeSchedule(config),
+            cronExpression: this.scheduleService.buildCronExpression(config),
+            nextRun: this.isMonitoring ? this.scheduleService.getNextRun(this.schedule || config) : null,
+            lastRun: config.lastRun || this.lastRun,
+            skippedCycles: config.skippedCycles || 0,
+            demoMode: this.sourceRegistry.demoMode,
+            degradedSources: this.sourceRegistry.getDegradedSources()
+        };
+    }
+
+    /**
+     * Load the persisted monitoring configuration
+     * Falls back to the default schedule when the database is unavailable
+     * @returns {Object} - Monitoring configuration
      */
-    async fetchAndProcessJobs() {
-        Logger.info('Fetching new jobs from Upwork...');
+    async loadMonitorConfig() {
+        try {
+            return this.toScheduleConfig(await this.monitorConfigModel.get());
+        } catch (error) {
+            Logger.warn('Using default monitoring schedule, could not load monitor configuration');
+            return { ...this.scheduleService.defaults, lastRun: this.lastRun, skippedCycles: 0 };
+        }
+    }
+
+    /**
+     * Convert a configuration document to a plain schedule object
+     */
+    toScheduleConfig(config) {
+        const data = typeof config.toObject === 'function' ? config.toObject() : config;
+
+        return {
+            enabled: data.enabled,
+            intervalMinutes: data.intervalMinutes,
+            activeHours: { start: data.activeHours.start, end: data.activeHours.end },
+            activeDays: data.activeDays,
+            timezone: data.timezone,
+            lastRun: data.lastRun,
+            skippedCycles: data.skippedCycles
+        };
+    }
+
+    /**
+     * Run one scheduled cycle
+     * Skips the cycle when the previous fetch is still running
+     */
+    async runMonitoringCycle() {
+        if (this.isFetching) {
+            Logger.warn('Previous job fetch is still running, skipping this cycle');
+            await this.monitorConfigModel.recordSkippedCycle().catch(() => {});
+            return null;
+        }
+
+        return await this.fetchAndProcessJobs('schedule');
+    }
+
+    /**
+     * Fetch and process new jobs from the registered job sources
+     * Runs every saved search query that is due (all enabled queries on a manual fetch),
+     * or one unfiltered fetch per default source when no queries are saved
+     * @param {string} trigger - What started the run ('schedule' or 'manual')
+     * @returns {Object|null} - Run statistics, or null when a fetch was already running
+     */
+    async fetchAndProcessJobs(trigger = 'schedule') {
+        if (this.isFetching) {
+            Logger.warn('A job fetch is already running');
+            return null;
+        }
+
+        this.isFetching = true;
+        const run = {
+            trigger,
+            startedAt: new Date(),
+            jobsFound: 0,
+            jobsNew: 0,
+            errorCount: 0,
+            lastError: null,
+            queries: []
+        };
+
+        Logger.info('Fetching new jobs...');
         
         try {
-            // Fetch jobs from Upwork
-            const jobs = await this.upworkService.fetchJobs();
-            
-            if (!jobs || jobs.length === 0) {
-                Logger.info('No new jobs found');
-                return;
+            // Pick up edits to the currency rates file before budgets are converted
+            if (this.sourceRegistry.currencyService) {
+                await this.sourceRegistry.currencyService.refresh();
             }
 
-            Logger.info(`Found ${jobs.length} new jobs, processing...`);
+            // Demo mode never touches real sources, saved queries included
+            const queries = this.sourceRegistry.demoMode ? null : await this.getQueriesToRun(trigger);
 
-            // Process each job
-            for (const job of jobs) {
-                await this.processJob(job);
+            if (queries === null) {
+                for (const source of this.sourceRegistry.getDefaultSources()) {
+                    await this.runSearch(null, run, source);
+                }
+            } else if (queries.length === 0) {
+                Logger.info('No saved search queries are due');
+            } else {
+                for (const query of queries) {
+                    await this.runSearch(query, run);
+                }
             }
 
             Logger.info('Job processing completed');
         } catch (error) {
             Logger.error('Error fetching and processing jobs:', error);
+            run.errorCount++;
+            run.lastError = error.message;
+        } finally {
+            this.isFetching = false;
         }
+
+        run.finishedAt = new Date();
+        run.durationMs = run.finishedAt - run.startedAt;
+        this.lastRun = run;
+
+        await this.monitorConfigModel.recordRun(run).catch(() => {});
+        return run;
+    }
+
+    /**
+     * Run the health check of every registered job source
+     * @returns {Array} - { name, healthy, message }
+     */
+    async getSourceHealth() {
+        return await this.sourceRegistry.healthCheckAll();
+    }
+
+    /**
+     * Get the saved search queries to run
+     * @param {string} trigger - What started the run ('schedule' or 'manual')
+     * @returns {Array|null} - Queries to run, or null when no queries are saved
+     */
+    async getQueriesToRun(trigger) {
+        let total;
+        try {
+            total = await this.searchQueryModel.count();
+        } catch (error) {
+            Logger.warn('Could not load saved search queries, using the default search');
+            return null;
+        }
+
+        if (total === 0) {
+            return null;
+        }
+
+        return trigger === 'manual'
+            ? await this.searchQueryModel.findEnabled()
+            : await this.searchQueryModel.findDue();
+    }
+
+    /**
+     * Fetch and process the jobs of one search
+     * Adds the search's results to the run totals
+     * @param {Object|null} query - Saved search query, or null for an unfiltered fetch
+     * @param {Object} run - Run statistics
+     * @param {Object} source - Job source for an unfiltered fetch (queries name their own source)
+     */
+    async runSearch(query, run, source = null) {
+        const name = query ? query.name : null;
+        const label = name ? `query ${name}` : `source ${source.name}`;
+        const queryRun = { name: name || source.name, jobsFound: 0, jobsNew: 0, errorCount: 0, lastError: null };
+        let adapter = source;
+
+        try {
+            adapter = adapter || this.sourceRegistry.get(query.source);
+            const options = query ? { ...this.toFetchOptions(query.filters), queryId: name } : {};
+            const jobs = await adapter.fetch(options);
+
+            const recovered = this.sourceRegistry.markHealthy(adapter.name);
+            if (recovered) {
+                this.eventBus.emit(EventBus.EVENTS.SOURCE_RECOVERED, { source: adapter.name, ...recovered });
+            }
+            
+            if (!jobs || jobs.length === 0) {
+                Logger.info(`No new jobs found for ${label}`);
+            } else {
+                queryRun.jobsFound = jobs.length;
+                Logger.info(`Found ${jobs.length} new jobs for ${label}, processing...`);
+                this.eventBus.emit(EventBus.EVENTS.JOB_FETCHED, jobs);
+
+                // Process each job
+                for (const job of jobs) {
+                    const result = await this.processJob(job, name, adapter);
+                    if (result === 'new') queryRun.jobsNew++;
+                    if (result === 'failed') queryRun.errorCount++;
+                }
+            }
+        } catch (error) {
+            Logger.error(`Error fetching jobs for ${label}:`, error);
+            queryRun.errorCount++;
+            queryRun.lastError = error.message;
+
+            // Alert once when a source starts failing instead of on every cycle
+            if (adapter && this.sourceRegistry.markDegraded(adapter.name, error)) {
+                this.eventBus.emit(EventBus.EVENTS.SOURCE_DEGRADED, {
+                    source: adapter.name,
+                    query: name,
+                    error: error.message
+                });
+            }
+        }
+
+        run.jobsFound += queryRun.jobsFound;
+        run.jobsNew += queryRun.jobsNew;
+        run.errorCount += queryRun.errorCount;
+        run.lastError = queryRun.lastError || run.lastError;
+
+        if (query) {
+            run.queries.push({
+                name,
+                jobsFound: queryRun.jobsFound,
+                jobsNew: queryRun.jobsNew,
+                errorCount: queryRun.errorCount
+            });
+            await this.searchQueryModel.recordRun(query.id, queryRun).catch(() => {});
+        }
+    }
+
+    /**
+     * Convert stored query filters into job source fetch options
+     * @param {Object} filters - Search query filters
+     */
+    toFetchOptions(filters) {
+        const options = { limit: filters.limit || 50, skills: filters.skills || [] };
+
+        if (filters.feedUrl) options.feedUrl = filters.feedUrl;
+        if (filters.filePath) options.filePath = filters.filePath;
+        if (filters.keywords) options.keywords = filters.keywords;
+        if (filters.category) options.category = filters.category;
+        if (filters.minBudget !== null && filters.minBudget !== undefined) options.minBudget = filters.minBudget;
+        if (filters.maxBudget !== null && filters.maxBudget !== undefined) options.maxBudget = filters.maxBudget;
+
+        return options;
     }
 
     /**
      * Process a single job
-     * @param {Object} job - The job data from Upwork
+     * @param {Object} job - The job data from a job source (with `source` and `externalId`)
+     * @param {string|null} queryName - Saved search query that found the job
+     * @param {Object|null} source - Job source the job came from, used for enrichment
+     * @returns {string} - 'new', 'duplicate' or 'failed'
      */
-    async processJob(job) {
+    async processJob(job, queryName = null, source = null) {
+        let claimed = false;
+
         try {
-            // Check if job already exists
-            const existingJob = await this.jobModel.findByUpworkId(job.upworkId);
+            // The seen jobs store survives restarts and is shared with other processes
+            const seen = this.seenJobService ? await this.seenJobService.check(job) : { duplicate: false };
+            if (seen.duplicate) {
+                if (seen.reason === 'repost') {
+                    Logger.info(`Job ${job.source}:${job.externalId} is a repost of ${seen.original.source}:${seen.original.externalId}, skipping`);
+                    await this.seenJobService.markSeen(job);
+                } else if (queryName) {
+                    await this.tagQuery(job, queryName);
+                }
+
+                Logger.debug(`Job ${job.source}:${job.externalId} was already seen, skipping`);
+                return 'duplicate';
+            }
+
+            // Check if job already exists (jobs stored before the seen jobs store was added)
+            const existingJob = await this.jobModel.findBySourceId(job.source, job.externalId);
             if (existingJob) {
-                Logger.debug(`Job ${job.upworkId} already exists, skipping`);
-                return;
+                // Another query found it first; record that this query found it too
+                if (queryName && !(existingJob.queries || []).includes(queryName)) {
+                    await this.jobModel.addQueries(job.source, job.externalId, [queryName]);
+                }
+                if (this.seenJobService) {
+                    await this.seenJobService.markSeen(job);
+                }
+
+                Logger.debug(`Job ${job.source}:${job.externalId} already exists, skipping`);
+                return 'duplicate';
+            }
+
+            // Claim the job before the expensive steps so another process does not post it too
+            if (this.seenJobService) {
+                claimed = await this.seenJobService.markSeen(job);
+                if (!claimed) {
+                    Logger.debug(`Job ${job.source}:${job.externalId} is handled by another process, skipping`);
+                    return 'duplicate';
+                }
             }
 
-            // Score the job using OpenAI
-            const score = await this.scoringService.scoreJob(job);
+            job.queries = queryName ? [queryName] : [];
+
+            // Pull the detail page before scoring so scoring sees the full job
+            await this.enrichJob(job, source);
+            await this.updateClient(job);
+
+            // Fixed prices are compared with hourly rates through the effort they imply
+            job.impliedRate = this.scoringService.getImpliedRate(job);
+
+            // Score, categorize and analyze the job with a single OpenAI request
+            const profiles = await this.loadProfiles();
+            const { score, category } = await this.scoringService.evaluateJob(job, profiles);
             job.score = score;
+            this.eventBus.emit(EventBus.EVENTS.JOB_SCORED, job, score);
 
-            // Categorize the job
-            const category = await this.scoringService.categorizeJob(job);
-            job.category = category;
+            // Score how well the job fits each freelancer profile (uses the category); this fit, not the AI's pick, drives routing
+            await this.matchProfiles(job, profiles);
 
             // Save job to database
             const savedJob = await this.jobModel.create(job);
             
             Logger.info(`Processed job: ${job.title} (Score: ${score}, Category: ${category})`);
 
-            // Emit event for job processing (will be handled by ChannelController)
-            this.emit('jobProcessed', savedJob);
+            // Hand the saved job to pipeline subscribers (channel distribution)
+            this.eventBus.emit(EventBus.EVENTS.JOB_PROCESSED, savedJob);
+            return 'new';
+        } catch (error) {
+            Logger.error(`Error processing job ${job.source}:${job.externalId}:`, error);
+
+            // Let the next poll retry the job; queries fetch with their name as the adapter's query ID
+            if (source) {
+                source.forgetSeen(job.externalId, { queryId: queryName });
+            }
+            if (claimed) {
+                await this.seenJobService.forget(job);
+            }
+            return 'failed';
+        }
+    }
+
+    /**
+     * Record that a saved search query found an already stored job
+     * A failure only costs the tag, so it is logged and ignored
+     * @param {Object} job - The job data
+     * @param {string} queryName - Saved search query that found the job
+     */
+    async tagQuery(job, queryName) {
+        try {
+            await this.jobModel.addQueries(job.source, job.externalId, [queryName]);
+        } catch (error) {
+            Logger.warn(`Could not tag job ${job.source}:${job.externalId} with query ${queryName}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Enrich a card-level job with its detail page
+     * A failed enrichment is recorded on the job and never stops it from being processed
+     * @param {Object} job - The job data (updated in place)
+     * @param {Object|null} source - Job source the job came from
+     * @returns {boolean} - Whether details were added
+     */
+    async enrichJob(job, source) {
+        if (!this.enrichmentEnabled || !source || !source.enrichDetails) {
+            return false;
+        }
+
+        try {
+            const details = await source.getDetails(job.externalId);
+            if (!details) {
+                return false;
+            }
+
+            job.fullDescription = details.fullDescription || job.fullDescription || '';
+            job.client = details.client || job.client || null;
+            job.clientId = details.clientId || job.clientId || null;
+            job.activity = details.activity || job.activity || null;
+            job.screeningQuestions = details.screeningQuestions || [];
+            job.experience = details.experience || job.experience;
+            job.budget = job.budget || details.budget || null;
+            job.location = job.location || details.location || '';
+            if ((!job.skills || job.skills.length === 0) && details.skills) {
+                job.skills = details.skills;
+            }
+
+            job.enrichedAt = new Date();
+            job.enrichmentError = null;
+            return true;
+        } catch (error) {
+            Logger.warn(`Could not enrich job ${job.source}:${job.externalId}: ${error.message}`);
+            job.enrichmentError = error.message;
+            return false;
+        }
+    }
+
+    /**
+     * Record the job's client in the client collection
+     * A failed update is logged and never stops the job from being processed
+     * @param {Object} job - The job data
+     */
+    async updateClient(job) {
+        if (!this.clientModel || !job.clientId) return;
+
+        try {
+            await this.clientModel.upsertFromJob(job);
+        } catch (error) {
+            Logger.warn(`Could not update client ${job.clientId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load the freelancer profiles a job is evaluated and matched against
+     * A failure only costs the profile match, so it is logged and no profiles are used
+     * @returns {Array} - Profiles
+     */
+    async loadProfiles() {
+        if (!this.profileController) return [];
+
+        try {
+            return await this.profileController.getAllProfiles();
+        } catch (error) {
+            Logger.warn(`Could not load profiles: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Store the best-fitting profile and its fit score on the job
+     * Without profiles, or when matching fails, the job has no fit score and is still processed
+     * @param {Object} job - The job data
+     * @param {Array|null} profiles - Profiles already loaded for the job; loaded again when not given
+     */
+    async matchProfiles(job, profiles = null) {
+        job.fitScore = null;
+        job.bestProfileId = null;
+        job.bestProfileName = null;
+        if (!this.profileController) return;
+
+        try {
+            const match = await this.profileController.findBestMatchingProfile(job, profiles);
+            if (!match) return;
 
+            job.fitScore = match.score;
+            job.bestProfileId = String(match.profile.id || match.profile._id);
+            job.bestProfileName = match.profile.name;
         } catch (error) {
-            Logger.error(`Error processing job ${job.upworkId}:`, error);
+            Logger.warn(`Could not match job ${job.source}:${job.externalId} to profiles: ${error.message}`);
         }
     }
 
@@ -121,7 +581,7 @@ class UpworkController {
      */
     async manualFetch() {
         Logger.info('Manual job fetch requested');
-        await this.fetchAndProcessJobs();
+        return await this.fetchAndProcessJobs('manual');
     }
 
     /**
@@ -11,39 +11,70 @@ const UpworkController = require('./controllers/UpworkController');
 const ProfileController = require('./controllers/ProfileController');
 const JobController = require('./controllers/JobController');
 const ChannelController = require('./controllers/ChannelController');
+const RoutingController = require('./controllers/RoutingController');
+const SubscriptionController = require('./controllers/SubscriptionController');
+const SearchQueryController = require('./controllers/SearchQueryController');
+const ClientController = require('./controllers/ClientController');
+const ScoringProfileController = require('./controllers/ScoringProfileController');
 const CommandController = require('./controllers/CommandController');
 
 // Import models
 const JobModel = require('./models/JobModel');
 const ProfileModel = require('./models/ProfileModel');
 const ChannelModel = require('./models/ChannelModel');
+const RoutingRuleModel = require('./models/RoutingRuleModel');
+const SubscriptionModel = require('./models/SubscriptionModel');
+const MonitorConfigModel = require('./models/MonitorConfigModel');
+const SearchQueryModel = require('./models/SearchQueryModel');
+const ApiTokenModel = require('./models/ApiTokenModel');
+const ClientModel = require('./models/ClientModel');
+const SeenJobModel = require('./models/SeenJobModel');
+const ScoringProfileModel = require('./models/ScoringProfileModel');
 
 // Import services
 const UpworkService = require('./services/UpworkService');
+const UpworkRssService = require('./services/UpworkRssService');
+const UpworkApiService = require('./services/UpworkApiService');
+const JobSourceRegistry = require('./services/sources/JobSourceRegistry');
+const UpworkSource = require('./services/sources/UpworkSource');
+const UpworkRssSource = require('./services/sources/UpworkRssSource');
+const UpworkApiSource = require('./services/sources/UpworkApiSource');
+const RssSource = require('./services/sources/RssSource');
+const JsonFileSource = require('./services/sources/JsonFileSource');
+const MockSource = require('./services/sources/MockSource');
 const OpenAIService = require('./services/OpenAIService');
 const ScoringService = require('./services/ScoringService');
 const ChannelService = require('./services/ChannelService');
+const RoutingService = require('./services/RoutingService');
+const SubscriptionService = require('./services/SubscriptionService');
+const ScheduleService = require('./services/ScheduleService');
+const SeenJobService = require('./services/SeenJobService');
+const CurrencyService = require('./services/CurrencyService');
 
 // Import utilities
 const Logger = require('./utils/Logger');
 const Database = require('./utils/Database');
+const EventBus = require('./utils/EventBus');
 
 class DiscordBot {
     constructor() {
         this.client = new Client({
             intents: [
                 GatewayIntentBits.Guilds,
-                GatewayIntentBits.GuildMessages
+                GatewayIntentBits.GuildMessages,
+                GatewayIntentBits.MessageContent
             ]
         });
 
         this.controllers = {};
         this.services = {};
         this.models = {};
+        this.eventBus = new EventBus();
         
         this.initializeDatabase();
         this.initializeServices();
         this.initializeControllers();
+        this.setupPipeline();
         this.setupEventHandlers();
     }
 
@@ -58,6 +89,14 @@ class DiscordBot {
             await this.database.init();
             
             Logger.info('MongoDB connection established successfully');
+
+            // Models are created synchronously by the constructor while the connection is pending
+            await this.models.job.migrateSourceIds().catch(error => {
+                Logger.error('Failed to migrate job source IDs:', error);
+            });
+            await this.models.job.migrateBudgetCurrencies().catch(error => {
+                Logger.error('Failed to migrate job budget currencies:', error);
+            });
         } catch (error) {
             Logger.error('Failed to initialize MongoDB connection:', error);
             Logger.warn('Bot will continue without database functionality');
@@ -74,8 +113,37 @@ class DiscordBot {
         // Initialize services
         this.services.openai = new OpenAIService();
         this.services.upwork = new UpworkService();
+        this.services.upworkRss = new UpworkRssService();
+
+        // The API client persists its OAuth2 tokens, so its model is needed before the controllers
+        this.models.apiToken = new ApiTokenModel();
+        this.services.upworkApi = new UpworkApiService(this.models.apiToken);
+
+        // Budgets are converted to USD as jobs are fetched; the rates file is read before each fetch when it changed
+        this.services.currency = new CurrencyService();
+
+        const demoMode = process.env.DEMO_MODE === 'true';
+        this.services.sources = new JobSourceRegistry({ demoMode, currencyService: this.services.currency })
+            .register(new UpworkSource(this.services.upwork))
+            .register(new UpworkRssSource(this.services.upworkRss))
+            .register(new UpworkApiSource(this.services.upworkApi))
+            .register(new RssSource())
+            .register(new JsonFileSource());
+
+        // Mock jobs exist only in demo mode, never as a stand-in for a failing source
+        if (demoMode) {
+            this.services.sources.register(new MockSource());
+            Logger.warn('DEMO_MODE is on: only mock jobs will be fetched');
+        }
         this.services.scoring = new ScoringService(this.services.openai);
         this.services.channel = new ChannelService(this.client);
+        this.services.routing = new RoutingService();
+        this.services.subscription = new SubscriptionService(this.services.routing);
+        this.services.schedule = new ScheduleService();
+
+        // Deduplication falls back to a file when MongoDB is down, so its model is created here too
+        this.models.seenJob = new SeenJobModel();
+        this.services.seenJobs = new SeenJobService(this.models.seenJob);
         
         Logger.info('Services initialized successfully');
     }
@@ -90,38 +158,142 @@ class DiscordBot {
         this.models.job = new JobModel();
         this.models.profile = new ProfileModel();
         this.models.channel = new ChannelModel();
+        this.models.routingRule = new RoutingRuleModel();
+        this.models.subscription = new SubscriptionModel();
+        this.models.monitorConfig = new MonitorConfigModel();
+        this.models.searchQuery = new SearchQueryModel();
+        this.models.client = new ClientModel();
+        this.models.scoringProfile = new ScoringProfileModel();
         
         // Initialize controllers
-        this.controllers.upwork = new UpworkController(
-            this.services.upwork,
-            this.services.scoring,
-            this.models.job
-        );
-        
         this.controllers.profile = new ProfileController(
             this.models.profile
         );
         
+        this.controllers.upwork = new UpworkController(
+            this.services.sources,
+            this.services.scoring,
+            this.models.job,
+            this.eventBus,
+            this.models.monitorConfig,
+            this.services.schedule,
+            this.models.searchQuery,
+            this.models.client,
+            this.services.seenJobs,
+            this.controllers.profile
+        );
+        
         this.controllers.job = new JobController(
             this.models.job,
-            this.services.scoring
+            this.services.scoring,
+            this.controllers.profile
+        );
+        
+        this.controllers.routing = new RoutingController(
+            this.models.routingRule,
+            this.services.routing
         );
         
         this.controllers.channel = new ChannelController(
             this.services.channel,
-            this.models.channel
+            this.models.channel,
+            this.eventBus,
+            this.controllers.routing
+        );
+        
+        this.controllers.subscription = new SubscriptionController(
+            this.models.subscription,
+            this.services.subscription,
+            this.services.channel,
+            this.controllers.channel
+        );
+        
+        this.controllers.searchQuery = new SearchQueryController(
+            this.models.searchQuery,
+            this.services.sources
+        );
+        
+        this.controllers.client = new ClientController(
+            this.models.client,
+            this.models.job
+        );
+        
+        this.controllers.scoringProfile = new ScoringProfileController(
+            this.models.scoringProfile,
+            this.services.scoring,
+            this.models.job,
+            this.services.currency
         );
         
         this.controllers.command = new CommandController(
             this.controllers.upwork,
             this.controllers.profile,
             this.controllers.job,
-            this.controllers.channel
+            this.controllers.channel,
+            this.controllers.routing,
+            this.controllers.subscription,
+            this.controllers.searchQuery,
+            this.controllers.client,
+            this.controllers.scoringProfile
         );
         
         Logger.info('Controllers initialized successfully');
     }
 
+    /**
+     * Subscribe controllers to job pipeline events
+     */
+    setupPipeline() {
+        this.eventBus.subscribe(EventBus.EVENTS.JOB_PROCESSED, async (job) => {
+            for (const guildId of this.getConfiguredGuildIds()) {
+                try {
+                    const guildJob = await this.controllers.scoringProfile.applyProfile(job, guildId);
+                    await this.controllers.channel.distributeJob(guildJob, guildId);
+                } catch (error) {
+                    Logger.error(`Error distributing job ${job.id} to guild ${guildId}:`, error);
+                }
+            }
+        });
+
+        this.eventBus.subscribe(EventBus.EVENTS.JOB_PROCESSED, async (job) => {
+            await this.controllers.subscription.notifyMatches(job);
+        });
+
+        this.eventBus.subscribe(EventBus.EVENTS.SOURCE_DEGRADED, async ({ source, query, error }) => {
+            await this.controllers.channel.sendAdminAlert({
+                title: `⚠️ Job source degraded: ${source}`,
+                description: `Fetching jobs from **${source}**${query ? ` (query ${query})` : ''} failed. No jobs are posted from this source until it recovers.`,
+                fields: [{ name: 'Error', value: error.substring(0, 1024), inline: false }]
+            });
+        });
+
+        this.eventBus.subscribe(EventBus.EVENTS.SOURCE_RECOVERED, async ({ source, since, failures }) => {
+            await this.controllers.channel.sendAdminAlert({
+                title: `✅ Job source recovered: ${source}`,
+                description: `**${source}** is fetching jobs again after ${failures} failed fetches since <t:${Math.floor(since.getTime() / 1000)}:f>.`,
+                color: '#00ff00'
+            });
+        });
+    }
+
+    /**
+     * Get the guild IDs jobs should be distributed to
+     * Uses DISCORD_GUILD_IDS when set, otherwise every guild the bot is in
+     * @returns {Array} - Array of guild IDs
+     */
+    getConfiguredGuildIds() {
+        const configured = (process.env.DISCORD_GUILD_IDS || '')
+            .split(',')
+            .map(id => id.trim())
+            .filter(Boolean);
+
+        if (configured.length > 0) {
+            return configured;
+        }
+
+        return Array.from(this.client.guilds.cache.keys());
+    }
+
     /**
      * Setup Discord event handlers
      */
@@ -142,6 +314,14 @@ class DiscordBot {
             }
         });
 
+        this.client.on('interactionCreate', async (interaction) => {
+            try {
+                await this.controllers.command.handleInteraction(interaction);
+            } catch (error) {
+                Logger.error('Error handling interaction:', error);
+            }
+        });
+
         this.client.on('error', (error) => {
             Logger.error('Discord client error:', error);
         });
@@ -0,0 +1,64 @@
+/**
+ * Model for persisted OAuth2 API tokens using Mongoose
+ * Keeps access and (rotating) refresh tokens across restarts
+ */
+
+const mongoose = require('mongoose');
+const ApiTokenSchema = require('./schemas/ApiTokenSchema');
+const Logger = require('../utils/Logger');
+
+class ApiTokenModel {
+    constructor() {
+        this.ApiToken = mongoose.model('ApiToken', ApiTokenSchema);
+    }
+
+    /**
+     * Get the stored token of a provider
+     * @param {string} provider - Provider name (e.g. 'upwork')
+     * @returns {Object|null} - Token document or null
+     */
+    async get(provider) {
+        try {
+            return await this.ApiToken.findOne({ provider }).lean();
+        } catch (error) {
+            Logger.error(`Error getting API token for ${provider}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store the token of a provider, replacing the previous one
+     * @param {string} provider - Provider name
+     * @param {Object} token - { accessToken, refreshToken, tokenType, scope, grantType, expiresAt }
+     * @returns {Object} - Stored token
+     */
+    async save(provider, token) {
+        try {
+            return await this.ApiToken.findOneAndUpdate(
+                { provider },
+                { ...token, provider },
+                { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+            ).lean();
+        } catch (error) {
+            Logger.error(`Error saving API token for ${provider}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove the stored token of a provider
+     * @param {string} provider - Provider name
+     * @returns {boolean} - Whether a token was removed
+     */
+    async clear(provider) {
+        try {
+            const result = await this.ApiToken.deleteOne({ provider });
+            return result.deletedCount > 0;
+        } catch (error) {
+            Logger.error(`Error clearing API token for ${provider}:`, error);
+            throw error;
+        }
+    }
+}
+
+module.exports = ApiTokenModel;
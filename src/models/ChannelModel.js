@@ -61,16 +61,17 @@ class ChannelModel {
     }
 
     /**
-     * Find channel by category
+     * Find a guild's channel for a category
+     * @param {string} guildId - Guild ID
      * @param {string} category - Channel category
      * @returns {Object|null} - Channel object or null
      */
-    async findByCategory(category) {
+    async findByCategory(guildId, category) {
         try {
-            const channel = await this.Channel.findOne({ category });
+            const channel = await this.Channel.findOne({ guildId, category });
             return channel;
         } catch (error) {
-            Logger.error(`Error finding channel by category ${category}:`, error);
+            Logger.error(`Error finding channel by category ${category} in guild ${guildId}:`, error);
             throw error;
         }
     }
@@ -207,11 +208,12 @@ class ChannelModel {
 
     /**
      * Get channel statistics
+     * @param {string} guildId - Guild ID (optional, all guilds when omitted)
      * @returns {Object} - Statistics object
      */
-    async getStats() {
+    async getStats(guildId = null) {
         try {
-            const stats = await this.Channel.getStats();
+            const stats = await this.Channel.getStats(guildId);
             return stats;
         } catch (error) {
             Logger.error('Error getting channel stats:', error);
@@ -221,11 +223,12 @@ class ChannelModel {
 
     /**
      * Count total channels
+     * @param {string} guildId - Guild ID (optional, all guilds when omitted)
      * @returns {number} - Total channel count
      */
-    async count() {
+    async count(guildId = null) {
         try {
-            return await this.Channel.countDocuments();
+            return await this.Channel.countDocuments(guildId ? { guildId } : {});
         } catch (error) {
             Logger.error('Error counting channels:', error);
             throw error;
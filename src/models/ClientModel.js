@@ -0,0 +1,70 @@
+/**
+ * Model for client reputation data using Mongoose
+ * Keeps the latest known numbers of each client and how many of its jobs were seen
+ */
+
+const mongoose = require('mongoose');
+const ClientSchema = require('./schemas/ClientSchema');
+const Logger = require('../utils/Logger');
+
+// Client values copied from a job; the rest of the document is bookkeeping
+const CLIENT_FIELDS = [
+    'paymentVerified', 'totalSpent', 'hireRate', 'totalHires', 'jobsPosted',
+    'avgHourlyRate', 'rating', 'reviewsCount', 'country', 'memberSince'
+];
+
+class ClientModel {
+    constructor() {
+        this.Client = mongoose.model('Client', ClientSchema);
+    }
+
+    /**
+     * Create or update the client of a job
+     * Values the job does not know keep their stored value
+     * @param {Object} job - Job with `clientId` and structured `client` data
+     * @returns {Object|null} - Updated client, or null when the job has no client ID
+     */
+    async upsertFromJob(job) {
+        if (!job.clientId) return null;
+
+        try {
+            const now = new Date();
+            const known = {};
+            for (const field of CLIENT_FIELDS) {
+                const value = job.client ? job.client[field] : null;
+                if (value !== null && value !== undefined) {
+                    known[field] = value;
+                }
+            }
+
+            return await this.Client.findOneAndUpdate(
+                { clientId: job.clientId },
+                {
+                    $set: { ...known, source: job.source || 'upwork', lastSeenAt: now },
+                    $setOnInsert: { firstSeenAt: now },
+                    $inc: { jobsSeen: 1 }
+                },
+                { new: true, upsert: true, runValidators: true }
+            ).lean();
+        } catch (error) {
+            Logger.error(`Error updating client ${job.clientId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a client by its ID
+     * @param {string} clientId - Client ID
+     * @returns {Object|null} - Client or null
+     */
+    async findByClientId(clientId) {
+        try {
+            return await this.Client.findOne({ clientId }).lean();
+        } catch (error) {
+            Logger.error(`Error finding client ${clientId}:`, error);
+            throw error;
+        }
+    }
+}
+
+module.exports = ClientModel;
@@ -60,6 +60,93 @@ class JobModel {
         }
     }
 
+    /**
+     * Find job by source and source-specific ID
+     * @param {string} source - Job source (e.g. 'upwork')
+     * @param {string} externalId - Source-specific job ID
+     * @returns {Object|null} - Job object or null
+     */
+    async findBySourceId(source, externalId) {
+        try {
+            return await this.Job.findOne({ source, externalId });
+        } catch (error) {
+            Logger.error(`Error finding job ${source}:${externalId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Tag a job with the saved search queries that found it
+     * @param {string} source - Job source
+     * @param {string} externalId - Source-specific job ID
+     * @param {Array} queries - Query names
+     * @returns {Object|null} - Updated job or null
+     */
+    async addQueries(source, externalId, queries) {
+        try {
+            return await this.Job.findOneAndUpdate(
+                { source, externalId },
+                { $addToSet: { queries: { $each: queries } } },
+                { new: true }
+            );
+        } catch (error) {
+            Logger.error(`Error tagging job ${source}:${externalId} with queries:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Give jobs saved before sources were tracked a source and external ID
+     * Older jobs all came from Upwork, so their Upwork ID becomes the external ID.
+     * Indexes are rebuilt afterwards because the (source, externalId) index cannot be built until then.
+     * @returns {number} - Number of migrated jobs
+     */
+    async migrateSourceIds() {
+        try {
+            const result = await this.Job.updateMany(
+                { externalId: { $exists: false } },
+                [{ $set: { source: { $ifNull: ['$source', 'upwork'] }, externalId: '$upworkId' } }]
+            );
+
+            if (result.modifiedCount > 0) {
+                Logger.info(`Migrated ${result.modifiedCount} jobs to source IDs`);
+            }
+
+            await this.Job.createIndexes();
+            return result.modifiedCount;
+        } catch (error) {
+            Logger.error('Error migrating job source IDs:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Give jobs stored before currencies were tracked a USD currency and USD amounts
+     * Those budgets were always read as dollars
+     * @returns {number} - Number of migrated jobs
+     */
+    async migrateBudgetCurrencies() {
+        try {
+            const result = await this.Job.updateMany(
+                { budget: { $exists: true }, 'budget.usdMin': { $exists: false } },
+                [{ $set: {
+                    'budget.currency': { $ifNull: ['$budget.currency', 'USD'] },
+                    'budget.usdMin': '$budget.min',
+                    'budget.usdMax': '$budget.max'
+                } }]
+            );
+
+            if (result.modifiedCount > 0) {
+                Logger.info(`Migrated ${result.modifiedCount} job budgets to USD amounts`);
+            }
+
+            return result.modifiedCount;
+        } catch (error) {
+            Logger.error('Error migrating job budget currencies:', error);
+            throw error;
+        }
+    }
+
     /**
      * Update a job
      * @param {string} id - Job ID
@@ -179,6 +266,23 @@ class JobModel {
         }
     }
 
+    /**
+     * Find the jobs of a client, newest first
+     * @param {string} clientId - Client ID
+     * @param {number} limit - Number of jobs to return
+     * @returns {Array} - Array of jobs
+     */
+    async findByClientId(clientId, limit = 10) {
+        try {
+            return await this.Job.find({ clientId })
+                .sort({ createdAt: -1 })
+                .limit(limit);
+        } catch (error) {
+            Logger.error(`Error finding jobs of client ${clientId}:`, error);
+            throw error;
+        }
+    }
+
     /**
      * Find jobs by date range
      * @param {Date} startDate - Start date
@@ -234,9 +338,9 @@ class JobModel {
     }
 
     /**
-     * Find jobs by budget range
-     * @param {number} minBudget - Minimum budget
-     * @param {number} maxBudget - Maximum budget
+     * Find jobs by budget range in USD
+     * @param {number} minBudget - Minimum budget (USD)
+     * @param {number} maxBudget - Maximum budget (USD)
      * @param {number} limit - Number of jobs to return
      * @returns {Array} - Array of jobs
      */
@@ -244,8 +348,8 @@ class JobModel {
         try {
             const jobs = await this.Job.find({
                 $or: [
-                    { 'budget.min': { $gte: minBudget, $lte: maxBudget } },
-                    { 'budget.max': { $gte: minBudget, $lte: maxBudget } }
+                    { 'budget.usdMin': { $gte: minBudget, $lte: maxBudget } },
+                    { 'budget.usdMax': { $gte: minBudget, $lte: maxBudget } }
                 ]
             })
             .sort({ createdAt: -1 })
@@ -369,6 +473,20 @@ class JobModel {
         }
     }
 
+    /**
+     * Get all distinct job categories
+     * @returns {Array} - Array of category names
+     */
+    async getCategories() {
+        try {
+            const categories = await this.Job.distinct('category');
+            return categories.sort();
+        } catch (error) {
+            Logger.error('Error getting job categories:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get job statistics
      * @returns {Object} - Statistics object
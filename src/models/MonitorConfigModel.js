@@ -0,0 +1,88 @@
+/**
+ * Model for the persisted job monitoring configuration using Mongoose
+ * Stores a single schedule document together with the last run statistics
+ */
+
+const mongoose = require('mongoose');
+const MonitorConfigSchema = require('./schemas/MonitorConfigSchema');
+const Logger = require('../utils/Logger');
+
+class MonitorConfigModel {
+    constructor() {
+        this.MonitorConfig = mongoose.model('MonitorConfig', MonitorConfigSchema);
+        this.key = 'default';
+    }
+
+    /**
+     * Get the monitoring configuration, creating it with defaults if missing
+     * @returns {Object} - Monitoring configuration
+     */
+    async get() {
+        try {
+            return await this.MonitorConfig.findOneAndUpdate(
+                { key: this.key },
+                { $setOnInsert: { key: this.key } },
+                { new: true, upsert: true, setDefaultsOnInsert: true }
+            );
+        } catch (error) {
+            Logger.error('Error getting monitor configuration:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update the monitoring configuration
+     * @param {Object} updateData - Update data
+     * @returns {Object} - Updated configuration
+     */
+    async update(updateData) {
+        try {
+            const config = await this.MonitorConfig.findOneAndUpdate(
+                { key: this.key },
+                updateData,
+                { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+            );
+
+            Logger.info('Updated monitor configuration');
+            return config;
+        } catch (error) {
+            Logger.error('Error updating monitor configuration:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store the statistics of a finished run
+     * @param {Object} run - Run statistics
+     */
+    async recordRun(run) {
+        try {
+            await this.MonitorConfig.updateOne(
+                { key: this.key },
+                { $set: { lastRun: run } },
+                { upsert: true }
+            );
+        } catch (error) {
+            Logger.error('Error recording monitor run:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Count a cycle skipped because the previous one was still running
+     */
+    async recordSkippedCycle() {
+        try {
+            await this.MonitorConfig.updateOne(
+                { key: this.key },
+                { $inc: { skippedCycles: 1 } },
+                { upsert: true }
+            );
+        } catch (error) {
+            Logger.error('Error recording skipped monitor cycle:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = MonitorConfigModel;
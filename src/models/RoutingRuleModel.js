@@ -0,0 +1,150 @@
+/**
+ * Model for managing job routing rules using Mongoose
+ * Handles routing rule CRUD operations and ordering
+ */
+
+const mongoose = require('mongoose');
+const RoutingRuleSchema = require('./schemas/RoutingRuleSchema');
+const Logger = require('../utils/Logger');
+
+class RoutingRuleModel {
+    constructor() {
+        this.RoutingRule = mongoose.model('RoutingRule', RoutingRuleSchema);
+    }
+
+    /**
+     * Create a new routing rule at the end of the guild's rule list
+     * @param {Object} ruleData - Routing rule data
+     * @returns {Object} - Created routing rule
+     */
+    async create(ruleData) {
+        try {
+            const last = await this.RoutingRule.findOne({ guildId: ruleData.guildId })
+                .sort({ position: -1 });
+
+            const rule = new this.RoutingRule({
+                ...ruleData,
+                position: last ? last.position + 1 : 1
+            });
+            const savedRule = await rule.save();
+
+            Logger.info(`Created routing rule: ${savedRule.name} (ID: ${savedRule._id})`);
+            return savedRule;
+        } catch (error) {
+            Logger.error('Error creating routing rule:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a guild's routing rule by name
+     * @param {string} guildId - Guild ID
+     * @param {string} name - Rule name
+     * @returns {Object|null} - Routing rule or null
+     */
+    async findByName(guildId, name) {
+        try {
+            return await this.RoutingRule.findOne({ guildId, name });
+        } catch (error) {
+            Logger.error(`Error finding routing rule ${name} in guild ${guildId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a guild's routing rules in evaluation order
+     * @param {string} guildId - Guild ID
+     * @param {boolean} enabledOnly - Only return enabled rules
+     * @returns {Array} - Array of routing rules
+     */
+    async findByGuild(guildId, enabledOnly = false) {
+        try {
+            return await this.RoutingRule.findByGuild(guildId, enabledOnly);
+        } catch (error) {
+            Logger.error(`Error finding routing rules for guild ${guildId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a routing rule
+     * @param {string} id - Rule ID
+     * @param {Object} updateData - Update data
+     * @returns {Object} - Updated routing rule
+     */
+    async update(id, updateData) {
+        try {
+            const updatedRule = await this.RoutingRule.findByIdAndUpdate(
+                id,
+                updateData,
+                { new: true, runValidators: true }
+            );
+
+            if (updatedRule) {
+                Logger.info(`Updated routing rule: ${updatedRule.name} (ID: ${id})`);
+            }
+
+            return updatedRule;
+        } catch (error) {
+            Logger.error(`Error updating routing rule ${id}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a routing rule
+     * @param {string} id - Rule ID
+     * @returns {boolean} - Success status
+     */
+    async delete(id) {
+        try {
+            const result = await this.RoutingRule.findByIdAndDelete(id);
+            const success = result !== null;
+
+            if (success) {
+                Logger.info(`Deleted routing rule with ID: ${id}`);
+            }
+
+            return success;
+        } catch (error) {
+            Logger.error(`Error deleting routing rule ${id}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Move a rule to a new position and renumber the guild's rules
+     * @param {string} guildId - Guild ID
+     * @param {string} id - Rule ID
+     * @param {number} position - New 1-based position
+     * @returns {Array} - The guild's rules in their new order
+     */
+    async reorder(guildId, id, position) {
+        try {
+            const rules = await this.RoutingRule.findByGuild(guildId);
+            const index = rules.findIndex(rule => rule.id === id);
+            if (index === -1) {
+                throw new Error('Routing rule not found');
+            }
+
+            const [rule] = rules.splice(index, 1);
+            const target = Math.max(0, Math.min(rules.length, position - 1));
+            rules.splice(target, 0, rule);
+
+            await this.RoutingRule.bulkWrite(rules.map((item, i) => ({
+                updateOne: {
+                    filter: { _id: item._id },
+                    update: { $set: { position: i + 1 } }
+                }
+            })));
+
+            Logger.info(`Moved routing rule ${rule.name} to position ${target + 1} in guild ${guildId}`);
+            return await this.RoutingRule.findByGuild(guildId);
+        } catch (error) {
+            Logger.error(`Error reordering routing rule ${id}:`, error);
+            throw error;
+        }
+    }
+}
+
+module.exports = RoutingRuleModel;
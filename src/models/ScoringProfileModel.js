@@ -0,0 +1,71 @@
+/**
+ * Model for per-guild scoring profiles using Mongoose
+ * Stores the scoring weights, AI blend and country preferences each guild changed
+ */
+
+const mongoose = require('mongoose');
+const ScoringProfileSchema = require('./schemas/ScoringProfileSchema');
+const Logger = require('../utils/Logger');
+
+class ScoringProfileModel {
+    constructor() {
+        this.ScoringProfile = mongoose.model('ScoringProfile', ScoringProfileSchema);
+    }
+
+    /**
+     * Find a guild's scoring profile
+     * @param {string} guildId - Guild ID
+     * @returns {Object|null} - Scoring profile or null when the guild uses the defaults
+     */
+    async findByGuild(guildId) {
+        try {
+            return await this.ScoringProfile.findOne({ guildId });
+        } catch (error) {
+            Logger.error(`Error finding scoring profile for guild ${guildId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a guild's scoring profile, creating it if missing
+     * @param {string} guildId - Guild ID
+     * @param {Object} updateData - Update data
+     * @returns {Object} - Updated scoring profile
+     */
+    async update(guildId, updateData) {
+        try {
+            const profile = await this.ScoringProfile.findOneAndUpdate(
+                { guildId },
+                updateData,
+                { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+            );
+
+            Logger.info(`Updated scoring profile for guild ${guildId}`);
+            return profile;
+        } catch (error) {
+            Logger.error(`Error updating scoring profile for guild ${guildId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a guild's scoring profile, returning it to the defaults
+     * @param {string} guildId - Guild ID
+     * @returns {boolean} - Whether a profile was deleted
+     */
+    async delete(guildId) {
+        try {
+            const result = await this.ScoringProfile.deleteOne({ guildId });
+
+            if (result.deletedCount > 0) {
+                Logger.info(`Deleted scoring profile for guild ${guildId}`);
+            }
+            return result.deletedCount > 0;
+        } catch (error) {
+            Logger.error(`Error deleting scoring profile for guild ${guildId}:`, error);
+            throw error;
+        }
+    }
+}
+
+module.exports = ScoringProfileModel;
@@ -0,0 +1,178 @@
+/**
+ * Model for managing saved Upwork search queries using Mongoose
+ * Handles search query CRUD operations and per-query run statistics
+ */
+
+const mongoose = require('mongoose');
+const SearchQuerySchema = require('./schemas/SearchQuerySchema');
+const Logger = require('../utils/Logger');
+
+class SearchQueryModel {
+    constructor() {
+        this.SearchQuery = mongoose.model('SearchQuery', SearchQuerySchema);
+    }
+
+    /**
+     * Create a new search query
+     * @param {Object} queryData - Search query data
+     * @returns {Object} - Created search query
+     */
+    async create(queryData) {
+        try {
+            const query = new this.SearchQuery(queryData);
+            const savedQuery = await query.save();
+
+            Logger.info(`Created search query: ${savedQuery.name} (ID: ${savedQuery._id})`);
+            return savedQuery;
+        } catch (error) {
+            Logger.error('Error creating search query:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a search query by name
+     * @param {string} name - Query name
+     * @returns {Object|null} - Search query or null
+     */
+    async findByName(name) {
+        try {
+            return await this.SearchQuery.findOne({ name });
+        } catch (error) {
+            Logger.error(`Error finding search query ${name}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get all search queries
+     * @returns {Array} - Array of search queries
+     */
+    async findAll() {
+        try {
+            return await this.SearchQuery.find().sort({ name: 1 });
+        } catch (error) {
+            Logger.error('Error finding search queries:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get enabled search queries
+     * @returns {Array} - Array of search queries
+     */
+    async findEnabled() {
+        try {
+            return await this.SearchQuery.findEnabled();
+        } catch (error) {
+            Logger.error('Error finding enabled search queries:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get enabled search queries that are due to run
+     * @param {Date} now - Current time
+     * @returns {Array} - Array of search queries
+     */
+    async findDue(now = new Date()) {
+        try {
+            const queries = await this.SearchQuery.findEnabled();
+            return queries.filter(query => query.isDue(now));
+        } catch (error) {
+            Logger.error('Error finding due search queries:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Count search queries
+     * @returns {number} - Total query count
+     */
+    async count() {
+        try {
+            return await this.SearchQuery.countDocuments();
+        } catch (error) {
+            Logger.error('Error counting search queries:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a search query
+     * @param {string} id - Query ID
+     * @param {Object} updateData - Update data
+     * @returns {Object} - Updated search query
+     */
+    async update(id, updateData) {
+        try {
+            const updatedQuery = await this.SearchQuery.findByIdAndUpdate(
+                id,
+                updateData,
+                { new: true, runValidators: true }
+            );
+
+            if (updatedQuery) {
+                Logger.info(`Updated search query: ${updatedQuery.name} (ID: ${id})`);
+            }
+
+            return updatedQuery;
+        } catch (error) {
+            Logger.error(`Error updating search query ${id}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a search query
+     * @param {string} id - Query ID
+     * @returns {boolean} - Success status
+     */
+    async delete(id) {
+        try {
+            const result = await this.SearchQuery.findByIdAndDelete(id);
+            const success = result !== null;
+
+            if (success) {
+                Logger.info(`Deleted search query with ID: ${id}`);
+            }
+
+            return success;
+        } catch (error) {
+            Logger.error(`Error deleting search query ${id}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store the result of one query run
+     * @param {string} id - Query ID
+     * @param {Object} run - Run statistics ({ jobsFound, jobsNew, errorCount, lastError })
+     */
+    async recordRun(id, run) {
+        try {
+            await this.SearchQuery.updateOne(
+                { _id: id },
+                {
+                    $inc: {
+                        'stats.runs': 1,
+                        'stats.jobsFound': run.jobsFound,
+                        'stats.jobsNew': run.jobsNew,
+                        'stats.errorCount': run.errorCount
+                    },
+                    $set: {
+                        lastRunAt: new Date(),
+                        'stats.lastJobsFound': run.jobsFound,
+                        'stats.lastJobsNew': run.jobsNew,
+                        'stats.lastError': run.lastError || null
+                    }
+                }
+            );
+        } catch (error) {
+            Logger.error(`Error recording run for search query ${id}:`, error);
+            throw error;
+        }
+    }
+}
+
+module.exports = SearchQueryModel;
@@ -0,0 +1,116 @@
+/**
+ * Model for seen jobs using Mongoose
+ * Records jobs once across restarts and processes; expired records are removed by a TTL index
+ */
+
+const mongoose = require('mongoose');
+const SeenJobSchema = require('./schemas/SeenJobSchema');
+const Logger = require('../utils/Logger');
+
+class SeenJobModel {
+    constructor() {
+        this.SeenJob = mongoose.model('SeenJob', SeenJobSchema);
+    }
+
+    /**
+     * Check whether MongoDB is connected
+     * Queries would otherwise wait in Mongoose's buffer until they time out
+     * @returns {boolean} - Connection status
+     */
+    isAvailable() {
+        return mongoose.connection.readyState === 1;
+    }
+
+    /**
+     * Find the record of a job
+     * @param {string} source - Job source
+     * @param {string} externalId - Source-specific job ID
+     * @returns {Object|null} - Seen job or null
+     */
+    async findBySourceId(source, externalId) {
+        try {
+            return await this.SeenJob.findOne({ source, externalId }).lean();
+        } catch (error) {
+            Logger.error(`Error finding seen job ${source}:${externalId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find jobs sharing the most words with a job
+     * Titles and descriptions are edited between reposts, so candidates are matched on words rather than exact keys
+     * @param {Object} entry - Seen job entry with `tokens`
+     * @param {number} minShared - Number of words a candidate must share with the job
+     * @param {number} limit - Number of candidates to return
+     * @returns {Array} - Seen jobs, most shared words first
+     */
+    async findCandidates(entry, minShared = 1, limit = 20) {
+        try {
+            return await this.SeenJob.aggregate([
+                { $match: { tokens: { $in: entry.tokens }, descriptionKey: { $ne: null } } },
+                { $addFields: { sharedTokens: { $size: { $setIntersection: ['$tokens', entry.tokens] } } } },
+                { $match: { sharedTokens: { $gte: minShared } } },
+                { $sort: { sharedTokens: -1, createdAt: -1 } },
+                { $limit: limit },
+                { $unset: 'sharedTokens' }
+            ]);
+        } catch (error) {
+            Logger.error(`Error finding repost candidates of ${entry.source}:${entry.externalId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record a job unless it is already recorded
+     * The unique (source, externalId) index makes this safe across processes
+     * @param {Object} entry - Seen job entry
+     * @returns {boolean} - Whether this call recorded the job
+     */
+    async claim(entry) {
+        try {
+            const result = await this.SeenJob.updateOne(
+                { source: entry.source, externalId: entry.externalId },
+                { $setOnInsert: entry },
+                { upsert: true }
+            );
+            return result.upsertedCount > 0;
+        } catch (error) {
+            // Two processes inserting at once: the other one won
+            if (error.code === 11000) return false;
+
+            Logger.error(`Error recording seen job ${entry.source}:${entry.externalId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Push back the expiry of a job that is still being listed
+     * @param {string} source - Job source
+     * @param {string} externalId - Source-specific job ID
+     * @param {Date} expiresAt - New expiry date
+     */
+    async touch(source, externalId, expiresAt) {
+        try {
+            await this.SeenJob.updateOne({ source, externalId }, { $set: { expiresAt } });
+        } catch (error) {
+            Logger.error(`Error updating seen job ${source}:${externalId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove the record of a job
+     * @param {string} source - Job source
+     * @param {string} externalId - Source-specific job ID
+     */
+    async remove(source, externalId) {
+        try {
+            await this.SeenJob.deleteOne({ source, externalId });
+        } catch (error) {
+            Logger.error(`Error removing seen job ${source}:${externalId}:`, error);
+            throw error;
+        }
+    }
+}
+
+module.exports = SeenJobModel;
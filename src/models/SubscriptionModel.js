@@ -0,0 +1,138 @@
+/**
+ * Model for managing personal job alert subscriptions using Mongoose
+ * Handles subscription CRUD operations and notification bookkeeping
+ */
+
+const mongoose = require('mongoose');
+const SubscriptionSchema = require('./schemas/SubscriptionSchema');
+const Logger = require('../utils/Logger');
+
+class SubscriptionModel {
+    constructor() {
+        this.Subscription = mongoose.model('Subscription', SubscriptionSchema);
+    }
+
+    /**
+     * Create a new subscription
+     * @param {Object} subscriptionData - Subscription data
+     * @returns {Object} - Created subscription
+     */
+    async create(subscriptionData) {
+        try {
+            const subscription = new this.Subscription(subscriptionData);
+            const savedSubscription = await subscription.save();
+
+            Logger.info(`Created subscription: ${savedSubscription.name} for user ${savedSubscription.userId}`);
+            return savedSubscription;
+        } catch (error) {
+            Logger.error('Error creating subscription:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a user's subscription by name
+     * @param {string} userId - Discord user ID
+     * @param {string} name - Subscription name
+     * @returns {Object|null} - Subscription or null
+     */
+    async findByName(userId, name) {
+        try {
+            return await this.Subscription.findOne({ userId, name });
+        } catch (error) {
+            Logger.error(`Error finding subscription ${name} for user ${userId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find all subscriptions of a user
+     * @param {string} userId - Discord user ID
+     * @returns {Array} - Array of subscriptions
+     */
+    async findByUser(userId) {
+        try {
+            return await this.Subscription.findByUser(userId);
+        } catch (error) {
+            Logger.error(`Error finding subscriptions for user ${userId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find all subscriptions that are not paused
+     * @returns {Array} - Array of subscriptions
+     */
+    async findActive() {
+        try {
+            return await this.Subscription.findActive();
+        } catch (error) {
+            Logger.error('Error finding active subscriptions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a subscription
+     * @param {string} id - Subscription ID
+     * @param {Object} updateData - Update data
+     * @returns {Object} - Updated subscription
+     */
+    async update(id, updateData) {
+        try {
+            const updatedSubscription = await this.Subscription.findByIdAndUpdate(
+                id,
+                updateData,
+                { new: true, runValidators: true }
+            );
+
+            if (updatedSubscription) {
+                Logger.info(`Updated subscription: ${updatedSubscription.name} (ID: ${id})`);
+            }
+
+            return updatedSubscription;
+        } catch (error) {
+            Logger.error(`Error updating subscription ${id}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a subscription
+     * @param {string} id - Subscription ID
+     * @returns {boolean} - Success status
+     */
+    async delete(id) {
+        try {
+            const result = await this.Subscription.findByIdAndDelete(id);
+            const success = result !== null;
+
+            if (success) {
+                Logger.info(`Deleted subscription with ID: ${id}`);
+            }
+
+            return success;
+        } catch (error) {
+            Logger.error(`Error deleting subscription ${id}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record that subscriptions triggered a notification
+     * @param {Array} ids - Subscription IDs
+     */
+    async recordNotification(ids) {
+        try {
+            await this.Subscription.updateMany(
+                { _id: { $in: ids } },
+                { $inc: { notificationCount: 1 }, $set: { lastNotifiedAt: new Date() } }
+            );
+        } catch (error) {
+            Logger.error('Error recording subscription notification:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = SubscriptionModel;
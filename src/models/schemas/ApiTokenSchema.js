@@ -0,0 +1,44 @@
+/**
+ * Mongoose schema for ApiToken model
+ * Defines persisted OAuth2 tokens of external APIs, one document per provider
+ */
+
+const mongoose = require('mongoose');
+
+const ApiTokenSchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    accessToken: {
+        type: String,
+        default: null
+    },
+    refreshToken: {
+        type: String,
+        default: null
+    },
+    tokenType: {
+        type: String,
+        default: 'Bearer'
+    },
+    scope: {
+        type: String,
+        default: null
+    },
+    grantType: {
+        type: String,
+        enum: ['client_credentials', 'refresh_token'],
+        default: 'client_credentials'
+    },
+    expiresAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = ApiTokenSchema;
@@ -39,6 +39,7 @@ const ChannelSchema = new mongoose.Schema({
 });
 
 // Indexes for better query performance
+// Each guild routes a category independently, so lookups go through { guildId, category }
 ChannelSchema.index({ guildId: 1, category: 1 });
 ChannelSchema.index({ parentCategoryId: 1, name: 1 });
 
@@ -65,9 +66,9 @@ ChannelSchema.statics.findByGuild = function(guildId) {
         .sort({ name: 1 });
 };
 
-// Static method to find channels by category
-ChannelSchema.statics.findByCategory = function(category) {
-    return this.find({ category })
+// Static method to find a guild's channels by category
+ChannelSchema.statics.findByCategory = function(guildId, category) {
+    return this.find({ guildId, category })
         .sort({ name: 1 });
 };
 
@@ -77,15 +78,17 @@ ChannelSchema.statics.findByParentCategory = function(parentCategoryId) {
         .sort({ name: 1 });
 };
 
-// Static method to get statistics
-ChannelSchema.statics.getStats = async function() {
+// Static method to get statistics, optionally scoped to one guild
+ChannelSchema.statics.getStats = async function(guildId = null) {
     const stats = {};
+    const match = guildId ? { guildId } : {};
     
     // Total channels
-    stats.total = await this.countDocuments();
+    stats.total = await this.countDocuments(match);
     
     // Channels by category
     const categoryResult = await this.aggregate([
+        { $match: match },
         { $group: { _id: '$category', count: { $sum: 1 } } },
         { $sort: { count: -1 } }
     ]);
@@ -96,6 +99,7 @@ ChannelSchema.statics.getStats = async function() {
     
     // Channels by guild
     const guildResult = await this.aggregate([
+        { $match: match },
         { $group: { _id: '$guildId', count: { $sum: 1 } } },
         { $sort: { count: -1 } }
     ]);
@@ -107,6 +111,7 @@ ChannelSchema.statics.getStats = async function() {
     // Recent channels (last 7 days)
     const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
     stats.recent = await this.countDocuments({
+        ...match,
         createdAt: { $gte: sevenDaysAgo }
     });
     
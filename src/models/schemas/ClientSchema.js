@@ -0,0 +1,76 @@
+/**
+ * Mongoose schema for Client model
+ * Defines the reputation of Upwork clients, one document per client ID, updated from every new job
+ */
+
+const mongoose = require('mongoose');
+
+const ClientSchema = new mongoose.Schema({
+    clientId: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    source: {
+        type: String,
+        default: 'upwork'
+    },
+    paymentVerified: {
+        type: Boolean,
+        default: null
+    },
+    totalSpent: {
+        type: Number,
+        default: null
+    },
+    hireRate: {
+        type: Number,
+        default: null
+    },
+    totalHires: {
+        type: Number,
+        default: null
+    },
+    jobsPosted: {
+        type: Number,
+        default: null
+    },
+    avgHourlyRate: {
+        type: Number,
+        default: null
+    },
+    rating: {
+        type: Number,
+        default: null
+    },
+    reviewsCount: {
+        type: Number,
+        default: null
+    },
+    country: {
+        type: String,
+        default: null
+    },
+    memberSince: {
+        type: Date,
+        default: null
+    },
+    jobsSeen: {
+        type: Number,
+        default: 0
+    },
+    firstSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now,
+        index: true
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = ClientSchema;
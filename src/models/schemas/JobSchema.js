@@ -5,11 +5,114 @@
 
 const mongoose = require('mongoose');
 
+const JobActionSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['applied', 'saved', 'dismissed', 'rescored'],
+        required: true
+    },
+    userId: {
+        type: String,
+        required: true
+    },
+    userTag: {
+        type: String,
+        default: ''
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// Client data from the job detail page; unknown values stay null
+const JobClientSchema = new mongoose.Schema({
+    paymentVerified: { type: Boolean, default: null },
+    totalSpent: { type: Number, default: null },
+    hireRate: { type: Number, default: null },
+    totalHires: { type: Number, default: null },
+    jobsPosted: { type: Number, default: null },
+    avgHourlyRate: { type: Number, default: null },
+    rating: { type: Number, default: null },
+    reviewsCount: { type: Number, default: null },
+    country: { type: String, default: null },
+    memberSince: { type: Date, default: null }
+}, { _id: false });
+
+// Competition on the job when it was enriched
+const JobActivitySchema = new mongoose.Schema({
+    proposalsText: { type: String, default: null },
+    proposalsMin: { type: Number, default: null },
+    proposalsMax: { type: Number, default: null },
+    interviewing: { type: Number, default: null },
+    invitesSent: { type: Number, default: null },
+    unansweredInvites: { type: Number, default: null }
+}, { _id: false });
+
+// Hourly rate (USD) a fixed-price job implies from its estimated effort
+const JobImpliedRateSchema = new mongoose.Schema({
+    min: { type: Number, default: null },
+    max: { type: Number, default: null },
+    hours: { type: Number, default: null },
+    duration: { type: String, default: null },
+    complexity: { type: String, default: null },
+    basis: { type: String, enum: ['analysis', 'description'], default: 'description' }
+}, { _id: false });
+
+// One custom scoring factor: its 0-10 score and the weight it had in the custom score
+const JobScoreFactorSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    score: { type: Number, default: 0 },
+    weight: { type: Number, default: 0 }
+}, { _id: false });
+
+// How the stored score was reached, for /why and the "Score details" button
+const JobScoreBreakdownSchema = new mongoose.Schema({
+    factors: { type: [JobScoreFactorSchema], default: [] },
+    customScore: { type: Number, default: null },
+    aiScore: { type: Number, default: null },
+    aiWeight: { type: Number, default: null },
+    aiReasoning: { type: String, default: null },
+    finalScore: { type: Number, default: null },
+    scoredAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// The AI's estimate of the work in its evaluation (the implied rate of fixed-price jobs is based on it)
+const JobAnalysisSchema = new mongoose.Schema({
+    duration: { type: String, default: null },
+    complexity: { type: String, default: null },
+    estimatedHours: { type: Number, default: null }
+}, { _id: false });
+
+// The parts of the combined AI evaluation not stored elsewhere (the score is in scoreBreakdown, the category on the job)
+const JobEvaluationSchema = new mongoose.Schema({
+    analysis: { type: JobAnalysisSchema, default: null },
+    redFlags: { type: [String], default: [] },
+    bestProfileName: { type: String, default: null },
+    bestProfileScore: { type: Number, default: null },
+    evaluatedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 const JobSchema = new mongoose.Schema({
-    upworkId: {
+    source: {
         type: String,
         required: true,
+        default: 'upwork',
+        index: true
+    },
+    externalId: {
+        type: String,
+        required: true
+    },
+    upworkId: {
+        type: String,
+        default: undefined,
         unique: true,
+        sparse: true
+    },
+    isMock: {
+        type: Boolean,
+        default: false,
         index: true
     },
     title: {
@@ -28,7 +131,15 @@ const JobSchema = new mongoose.Schema({
     budget: {
         min: { type: Number, default: 0 },
         max: { type: Number, default: 0 },
-        type: { type: String, enum: ['fixed', 'hourly'], default: 'fixed' }
+        type: { type: String, enum: ['fixed', 'hourly'], default: 'fixed' },
+        // Currency of min/max (null when the listing named none); usdMin/usdMax hold them in USD (null when the currency is unknown or has no rate)
+        currency: { type: String, default: 'USD' },
+        usdMin: { type: Number },
+        usdMax: { type: Number }
+    },
+    impliedRate: {
+        type: JobImpliedRateSchema,
+        default: null
     },
     skills: {
         type: [String],
@@ -46,6 +157,35 @@ const JobSchema = new mongoose.Schema({
         max: 10,
         index: true
     },
+    // OpenAI part of the score, blended again with the custom score for guilds with their own scoring profile
+    aiScore: {
+        type: Number,
+        default: null
+    },
+    scoreBreakdown: {
+        type: JobScoreBreakdownSchema,
+        default: null
+    },
+    evaluation: {
+        type: JobEvaluationSchema,
+        default: null
+    },
+    // How well the job fits the best-matching freelancer profile (null without profiles)
+    fitScore: {
+        type: Number,
+        default: null,
+        min: 0,
+        max: 10,
+        index: true
+    },
+    bestProfileId: {
+        type: String,
+        default: null
+    },
+    bestProfileName: {
+        type: String,
+        default: null
+    },
     location: {
         type: String,
         default: ''
@@ -54,6 +194,35 @@ const JobSchema = new mongoose.Schema({
         type: String,
         default: ''
     },
+    client: {
+        type: JobClientSchema,
+        default: null
+    },
+    clientId: {
+        type: String,
+        default: null,
+        index: true
+    },
+    activity: {
+        type: JobActivitySchema,
+        default: null
+    },
+    fullDescription: {
+        type: String,
+        default: ''
+    },
+    screeningQuestions: {
+        type: [String],
+        default: []
+    },
+    enrichedAt: {
+        type: Date,
+        default: null
+    },
+    enrichmentError: {
+        type: String,
+        default: null
+    },
     experience: {
         type: String,
         enum: ['entry', 'intermediate', 'expert'],
@@ -76,6 +245,24 @@ const JobSchema = new mongoose.Schema({
     savedAt: {
         type: Date,
         default: null
+    },
+    dismissed: {
+        type: Boolean,
+        default: false,
+        index: true
+    },
+    dismissedAt: {
+        type: Date,
+        default: null
+    },
+    actions: {
+        type: [JobActionSchema],
+        default: []
+    },
+    queries: {
+        type: [String],
+        default: [],
+        index: true
     }
 }, {
     timestamps: true,
@@ -84,11 +271,14 @@ const JobSchema = new mongoose.Schema({
 });
 
 // Indexes for better query performance
+// Jobs are deduplicated per source on the source's own ID
+JobSchema.index({ source: 1, externalId: 1 }, { unique: true });
 JobSchema.index({ createdAt: -1 });
 JobSchema.index({ score: -1, createdAt: -1 });
 JobSchema.index({ category: 1, createdAt: -1 });
 JobSchema.index({ skills: 1 });
 JobSchema.index({ 'budget.min': 1, 'budget.max': 1 });
+JobSchema.index({ 'budget.usdMin': 1, 'budget.usdMax': 1 });
 
 // Virtual for budget range
 JobSchema.virtual('budgetRange').get(function() {
@@ -166,6 +356,7 @@ JobSchema.statics.getStats = async function() {
     
     // Total jobs
     stats.total = await this.countDocuments();
+    stats.mock = await this.countDocuments({ isMock: true });
     
     // Average score
     const avgResult = await this.aggregate([
@@ -207,6 +398,17 @@ JobSchema.statics.getStats = async function() {
         return acc;
     }, {});
     
+    // Jobs by saved search query (a job can be found by several queries)
+    const queryResult = await this.aggregate([
+        { $unwind: '$queries' },
+        { $group: { _id: '$queries', count: { $sum: 1 }, averageScore: { $avg: '$score' } } },
+        { $sort: { count: -1 } }
+    ]);
+    stats.byQuery = queryResult.reduce((acc, item) => {
+        acc[item._id] = { count: item.count, averageScore: item.averageScore };
+        return acc;
+    }, {});
+    
     // Recent jobs (last 24 hours)
     const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
     stats.recent = await this.countDocuments({
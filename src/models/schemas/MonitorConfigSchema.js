@@ -0,0 +1,74 @@
+/**
+ * Mongoose schema for MonitorConfig model
+ * Defines the persisted job monitoring schedule and the last run statistics
+ */
+
+const mongoose = require('mongoose');
+
+const MonitorQueryRunSchema = new mongoose.Schema({
+    name: String,
+    jobsFound: { type: Number, default: 0 },
+    jobsNew: { type: Number, default: 0 },
+    errorCount: { type: Number, default: 0 }
+}, { _id: false });
+
+const MonitorRunSchema = new mongoose.Schema({
+    trigger: {
+        type: String,
+        enum: ['schedule', 'manual'],
+        default: 'schedule'
+    },
+    startedAt: Date,
+    finishedAt: Date,
+    durationMs: Number,
+    jobsFound: { type: Number, default: 0 },
+    jobsNew: { type: Number, default: 0 },
+    errorCount: { type: Number, default: 0 },
+    lastError: { type: String, default: null },
+    queries: { type: [MonitorQueryRunSchema], default: [] }
+}, { _id: false });
+
+const MonitorConfigSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        default: 'default'
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    intervalMinutes: {
+        type: Number,
+        default: 5,
+        min: 1,
+        max: 720
+    },
+    activeHours: {
+        start: { type: Number, default: 0, min: 0, max: 23 },
+        end: { type: Number, default: 24, min: 1, max: 24 }
+    },
+    activeDays: {
+        type: [Number],
+        default: [0, 1, 2, 3, 4, 5, 6]
+    },
+    timezone: {
+        type: String,
+        default: 'UTC'
+    },
+    lastRun: {
+        type: MonitorRunSchema,
+        default: null
+    },
+    skippedCycles: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+module.exports = MonitorConfigSchema;
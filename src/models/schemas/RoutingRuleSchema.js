@@ -0,0 +1,72 @@
+/**
+ * Mongoose schema for RoutingRule model
+ * Defines the structure and validation for job routing rule documents
+ */
+
+const mongoose = require('mongoose');
+
+const RoutingRuleSchema = new mongoose.Schema({
+    guildId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    position: {
+        type: Number,
+        default: 0
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    channelId: {
+        type: String,
+        required: true
+    },
+    mentionRoleId: {
+        type: String,
+        default: null
+    },
+    exclusive: {
+        type: Boolean,
+        default: false
+    },
+    conditions: {
+        minScore: { type: Number, default: null, min: 0, max: 10 },
+        maxScore: { type: Number, default: null, min: 0, max: 10 },
+        minFitScore: { type: Number, default: null, min: 0, max: 10 },
+        maxFitScore: { type: Number, default: null, min: 0, max: 10 },
+        categories: { type: [String], default: [] },
+        skills: { type: [String], default: [] },
+        budgetType: { type: String, enum: ['any', 'fixed', 'hourly'], default: 'any' },
+        minBudget: { type: Number, default: null, min: 0 },
+        maxBudget: { type: Number, default: null, min: 0 },
+        locations: { type: [String], default: [] },
+        keywords: { type: [String], default: [] }
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+RoutingRuleSchema.index({ guildId: 1, position: 1 });
+RoutingRuleSchema.index({ guildId: 1, name: 1 }, { unique: true });
+
+// Static method to find a guild's rules in evaluation order
+RoutingRuleSchema.statics.findByGuild = function(guildId, enabledOnly = false) {
+    const query = { guildId };
+    if (enabledOnly) {
+        query.enabled = true;
+    }
+
+    return this.find(query)
+        .sort({ position: 1, createdAt: 1 });
+};
+
+module.exports = RoutingRuleSchema;
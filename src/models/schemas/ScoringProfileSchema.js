@@ -0,0 +1,49 @@
+/**
+ * Mongoose schema for ScoringProfile model
+ * Defines a guild's scoring weights, AI blend and country preferences; unset values keep the built-in defaults
+ */
+
+const mongoose = require('mongoose');
+
+const ScoringCountrySchema = new mongoose.Schema({
+    country: { type: String, required: true, trim: true },
+    score: { type: Number, required: true, min: 0, max: 10 }
+}, { _id: false });
+
+const ScoringProfileSchema = new mongoose.Schema({
+    guildId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    weights: {
+        budget: { type: Number, default: null, min: 0 },
+        skills: { type: Number, default: null, min: 0 },
+        experience: { type: Number, default: null, min: 0 },
+        location: { type: Number, default: null, min: 0 },
+        description: { type: Number, default: null, min: 0 },
+        client: { type: Number, default: null, min: 0 }
+    },
+    // Share of the AI score in the final score (0-1)
+    aiWeight: {
+        type: Number,
+        default: null,
+        min: 0,
+        max: 1
+    },
+    // Replaces the built-in country list once set
+    countries: {
+        type: [ScoringCountrySchema],
+        default: undefined
+    },
+    updatedBy: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+module.exports = ScoringProfileSchema;
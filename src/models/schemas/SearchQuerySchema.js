@@ -0,0 +1,82 @@
+/**
+ * Mongoose schema for SearchQuery model
+ * Defines the structure and validation for saved Upwork search query documents
+ */
+
+const mongoose = require('mongoose');
+
+const SearchQuerySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    enabled: {
+        type: Boolean,
+        default: true,
+        index: true
+    },
+    source: {
+        type: String,
+        default: 'upwork'
+    },
+    filters: {
+        feedUrl: { type: String, default: null },
+        filePath: { type: String, default: null },
+        keywords: { type: String, default: null },
+        category: { type: String, default: null },
+        skills: { type: [String], default: [] },
+        minBudget: { type: Number, default: null, min: 0 },
+        maxBudget: { type: Number, default: null, min: 0 },
+        limit: { type: Number, default: 50, min: 1, max: 100 }
+    },
+    intervalMinutes: {
+        type: Number,
+        default: 5,
+        min: 1
+    },
+    lastRunAt: {
+        type: Date,
+        default: null
+    },
+    stats: {
+        runs: { type: Number, default: 0 },
+        jobsFound: { type: Number, default: 0 },
+        jobsNew: { type: Number, default: 0 },
+        errorCount: { type: Number, default: 0 },
+        lastJobsFound: { type: Number, default: 0 },
+        lastJobsNew: { type: Number, default: 0 },
+        lastError: { type: String, default: null }
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual for the share of fetched jobs that were new
+SearchQuerySchema.virtual('yield').get(function() {
+    if (!this.stats || this.stats.jobsFound === 0) {
+        return 0;
+    }
+    return this.stats.jobsNew / this.stats.jobsFound;
+});
+
+// Instance method to check whether the query should run again
+SearchQuerySchema.methods.isDue = function(now = new Date()) {
+    if (!this.enabled) return false;
+    if (!this.lastRunAt) return true;
+
+    // Cron fires on the minute, so allow a little drift before the interval is up
+    const elapsed = now.getTime() - this.lastRunAt.getTime();
+    return elapsed >= this.intervalMinutes * 60 * 1000 - 30 * 1000;
+};
+
+// Static method to find enabled queries
+SearchQuerySchema.statics.findEnabled = function() {
+    return this.find({ enabled: true })
+        .sort({ name: 1 });
+};
+
+module.exports = SearchQuerySchema;
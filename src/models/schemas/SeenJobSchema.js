@@ -0,0 +1,48 @@
+/**
+ * Mongoose schema for SeenJob model
+ * Defines the jobs already handled, kept until they expire so restarts and other processes skip them
+ */
+
+const mongoose = require('mongoose');
+
+const SeenJobSchema = new mongoose.Schema({
+    source: {
+        type: String,
+        required: true
+    },
+    externalId: {
+        type: String,
+        required: true
+    },
+    title: {
+        type: String,
+        default: ''
+    },
+    // Normalized title and a hash of the normalized description (null when it is too short to compare)
+    titleKey: {
+        type: String,
+        default: ''
+    },
+    descriptionKey: {
+        type: String,
+        default: null
+    },
+    // Distinct words of the title and description, used to find and compare repost candidates
+    tokens: {
+        type: [String],
+        default: [],
+        index: true
+    },
+    // MongoDB removes the document once this date has passed
+    expiresAt: {
+        type: Date,
+        required: true,
+        expires: 0
+    }
+}, {
+    timestamps: true
+});
+
+SeenJobSchema.index({ source: 1, externalId: 1 }, { unique: true });
+
+module.exports = SeenJobSchema;
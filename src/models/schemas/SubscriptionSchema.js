@@ -0,0 +1,63 @@
+/**
+ * Mongoose schema for Subscription model
+ * Defines the structure and validation for personal job alert documents
+ */
+
+const mongoose = require('mongoose');
+
+const SubscriptionSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    userTag: {
+        type: String,
+        default: null
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    paused: {
+        type: Boolean,
+        default: false,
+        index: true
+    },
+    conditions: {
+        keywords: { type: [String], default: [] },
+        skills: { type: [String], default: [] },
+        minScore: { type: Number, default: null, min: 0, max: 10 },
+        minFitScore: { type: Number, default: null, min: 0, max: 10 },
+        minBudget: { type: Number, default: null, min: 0 },
+        categories: { type: [String], default: [] }
+    },
+    notificationCount: {
+        type: Number,
+        default: 0
+    },
+    lastNotifiedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+SubscriptionSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+// Static method to find subscriptions that should receive alerts
+SubscriptionSchema.statics.findActive = function() {
+    return this.find({ paused: false });
+};
+
+// Static method to find a user's subscriptions
+SubscriptionSchema.statics.findByUser = function(userId) {
+    return this.find({ userId })
+        .sort({ createdAt: 1 });
+};
+
+module.exports = SubscriptionSchema;
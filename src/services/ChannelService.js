@@ -62,6 +62,28 @@ class ChannelService {
         }
     }
 
+    /**
+     * Send a direct message to a user
+     * @param {string} userId - The user ID
+     * @param {Object} messageOptions - Message options
+     * @returns {Object} - Sent message
+     */
+    async sendDirectMessage(userId, messageOptions) {
+        try {
+            const user = await this.client.users.fetch(userId);
+            if (!user) {
+                throw new Error(`User ${userId} not found`);
+            }
+
+            const message = await user.send(messageOptions);
+            Logger.info(`Sent direct message to user ${user.tag}`);
+            return message;
+        } catch (error) {
+            Logger.error(`Error sending direct message to user ${userId}:`, error);
+            throw error;
+        }
+    }
+
     /**
      * Delete a Discord channel
      * @param {string} channelId - The channel ID
@@ -0,0 +1,196 @@
+/**
+ * Service for converting job budgets to US dollars
+ * Uses a built-in rate table that a local JSON file can override and refresh
+ */
+
+const fs = require('fs').promises;
+const Logger = require('../utils/Logger');
+
+// USD value of one unit of each currency; CURRENCY_RATES_PATH overrides these
+const DEFAULT_RATES = {
+    USD: 1,
+    EUR: 1.08,
+    GBP: 1.27,
+    CAD: 0.73,
+    AUD: 0.66,
+    NZD: 0.6,
+    CHF: 1.13,
+    JPY: 0.0067,
+    CNY: 0.14,
+    INR: 0.012,
+    PHP: 0.018,
+    PKR: 0.0036,
+    BRL: 0.18,
+    MXN: 0.055,
+    PLN: 0.25,
+    SEK: 0.095,
+    NOK: 0.093,
+    DKK: 0.145,
+    SGD: 0.74,
+    HKD: 0.128,
+    ZAR: 0.054,
+    NGN: 0.00065,
+    UAH: 0.024,
+    AED: 0.27
+};
+
+// Display symbols; other currencies are shown with their code ("500 CHF")
+const SYMBOLS = {
+    USD: '$', EUR: '€', GBP: '£', CAD: 'CA$', AUD: 'A$', NZD: 'NZ$', SGD: 'S$', HKD: 'HK$',
+    BRL: 'R$', JPY: '¥', INR: '₹', PHP: '₱', NGN: '₦', UAH: '₴'
+};
+
+class CurrencyService {
+    /**
+     * @param {Object} options - Service options
+     * @param {string} options.filePath - JSON rates file, { "rates": { "EUR": 1.08, ... } } in USD per unit
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.CURRENCY_RATES_PATH || 'data/currency-rates.json';
+        this.rates = { ...DEFAULT_RATES };
+        this.updatedAt = null;
+
+        // Modification time of the loaded file, so refresh only reads it after an edit
+        this.loadedMtime = null;
+    }
+
+    /**
+     * Reload the rates file when it changed since it was last read
+     * A missing or broken file leaves the current rates in place
+     */
+    async refresh() {
+        try {
+            const stats = await fs.stat(this.filePath);
+            if (stats.mtimeMs !== this.loadedMtime) {
+                await this.reload(stats.mtimeMs);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                Logger.warn(`Could not check currency rates file ${this.filePath}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Read the rates file over the built-in rates
+     * @param {number|null} mtime - Modification time of the file being read
+     * @returns {number} - Number of rates read from the file
+     */
+    async reload(mtime = null) {
+        try {
+            const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+            const rates = {};
+
+            for (const [code, rate] of Object.entries(data.rates || data)) {
+                if (/^[A-Za-z]{3}$/.test(code) && typeof rate === 'number' && rate > 0) {
+                    rates[code.toUpperCase()] = rate;
+                }
+            }
+
+            this.rates = { ...DEFAULT_RATES, ...rates, USD: 1 };
+            this.updatedAt = data.updatedAt ? new Date(data.updatedAt) : new Date();
+            this.loadedMtime = mtime;
+
+            Logger.info(`Loaded ${Object.keys(rates).length} currency rates from ${this.filePath}`);
+            return Object.keys(rates).length;
+        } catch (error) {
+            Logger.warn(`Could not read currency rates file ${this.filePath}: ${error.message}`);
+            return 0;
+        }
+    }
+
+    /**
+     * Get the USD value of one unit of a currency
+     * @param {string} currency - ISO currency code
+     * @returns {number|null} - Rate, or null for an unknown currency
+     */
+    getRate(currency) {
+        return this.rates[String(currency || 'USD').toUpperCase()] || null;
+    }
+
+    /**
+     * Convert an amount to USD
+     * @param {number|null} amount - Amount in the given currency
+     * @param {string} currency - ISO currency code
+     * @returns {number|null} - USD amount rounded to cents, or null when the amount or rate is unknown
+     */
+    toUSD(amount, currency) {
+        const rate = this.getRate(currency);
+        if (amount === null || amount === undefined || !rate) return null;
+
+        return Math.round(amount * rate * 100) / 100;
+    }
+
+    /**
+     * Add the currency and USD amounts to a budget
+     * A budget without a `currency` field is in USD; a null currency (text that named none) is unknown
+     * @param {Object|null} budget - { type, min, max, currency }
+     * @returns {Object|null} - Budget with `currency`, `usdMin` and `usdMax` (null when the currency is unknown or has no rate)
+     */
+    normalizeBudget(budget) {
+        if (!budget) return null;
+
+        if (budget.currency === null) {
+            return { ...budget, usdMin: null, usdMax: null };
+        }
+
+        const currency = String(budget.currency || 'USD').toUpperCase();
+        if (!this.getRate(currency)) {
+            Logger.warn(`No USD rate for currency ${currency}, budget left unconverted`);
+        }
+
+        return {
+            ...budget,
+            currency,
+            usdMin: this.toUSD(budget.min, currency),
+            usdMax: this.toUSD(budget.max, currency)
+        };
+    }
+
+    /**
+     * Get the USD range of a budget for comparisons
+     * Budgets stored before currencies were tracked have no USD amounts and are in USD
+     * @param {Object|null} budget - The budget object
+     * @returns {Object} - { min, max } in USD; both null when unknown
+     */
+    static getUsdRange(budget) {
+        if (!budget) return { min: null, max: null };
+
+        if (budget.usdMin !== undefined || budget.usdMax !== undefined) {
+            return { min: budget.usdMin ?? null, max: budget.usdMax ?? null };
+        }
+
+        if (budget.currency === undefined || String(budget.currency).toUpperCase() === 'USD') {
+            return { min: budget.min || null, max: budget.max || null };
+        }
+
+        return { min: null, max: null };
+    }
+
+    /**
+     * Format an amount in its own currency, e.g. "$1500", "€500" or "500 CHF"
+     * @param {number} amount - The amount
+     * @param {string|null} currency - ISO currency code; null shows the bare amount
+     */
+    static formatAmount(amount, currency = 'USD') {
+        if (currency === null) return String(amount);
+
+        const code = String(currency || 'USD').toUpperCase();
+        return SYMBOLS[code] ? `${SYMBOLS[code]}${amount}` : `${amount} ${code}`;
+    }
+
+    /**
+     * Format the USD equivalent of a non-USD budget, e.g. " (≈ $540-$864)"
+     * @param {Object|null} budget - The budget object
+     * @returns {string} - The note, or an empty string for USD or unconverted budgets
+     */
+    static formatUsdNote(budget) {
+        if (!budget || !budget.currency || String(budget.currency).toUpperCase() === 'USD') return '';
+
+        const { min, max } = CurrencyService.getUsdRange(budget);
+        const amounts = [min, max].filter(amount => amount !== null).map(amount => `$${Math.round(amount)}`);
+        return amounts.length > 0 ? ` (≈ ${amounts.join('-')})` : '';
+    }
+}
+
+module.exports = CurrencyService;
@@ -5,8 +5,12 @@
 
 const OpenAI = require('openai');
 const Logger = require('../utils/Logger');
+const CurrencyService = require('./CurrencyService');
 
 class OpenAIService {
+    // Job categories; every category has (or gets) a Discord channel, so the model must not invent new ones
+    static CATEGORIES = ['mobile', 'full-stack', 'full-stack-ai', 'frontend', 'backend', 'us-only', 'other'];
+
     constructor() {
         // Check if OpenAI API key is available
         if (!process.env.OPENAI_API_KEY) {
@@ -18,130 +22,134 @@ class OpenAIService {
             });
         }
         
-        this.model = 'gpt-4';
+        // Responses are constrained to JSON schemas, so the model must support structured outputs
+        this.model = process.env.OPENAI_MODEL || 'gpt-4o-mini';
         this.maxTokens = 1000;
         this.temperature = 0.3;
+
+        // Times an invalid response is sent back to be fixed before the request fails
+        this.repairAttempts = 1;
+
+        // Requests and tokens used since startup, as reported by the API
+        this.usage = { requests: 0, promptTokens: 0, completionTokens: 0 };
+    }
+
+    /**
+     * Evaluate a job with a single request: score and reasoning, category, effort, red flags and best profile
+     * Replaces the separate scoreJob and categorizeJob requests that each resend the job. The analysis only holds
+     * the effort estimate (duration, complexity, estimated hours); the job's own skills, budget and location are not asked back
+     * @param {Object} job - The job data
+     * @param {Array} profiles - Freelancer profiles to pick the best one from (may be empty)
+     * @returns {Object|null} - { score, reasoning, category, analysis, redFlags, bestProfile }, null without an API key
+     */
+    async evaluateJob(job, profiles = []) {
+        if (!this.openai) {
+            Logger.warn('OpenAI service not available, evaluating the job with the heuristics');
+            return null;
+        }
+
+        try {
+            const evaluation = await this.requestJson({
+                name: 'job_evaluation',
+                schema: this.getEvaluationSchema(),
+                system: 'You are an expert job evaluator for freelancers.',
+                prompt: this.buildEvaluationPrompt(job, profiles),
+                validate: data => this.validateEvaluation(data, profiles)
+            });
+
+            Logger.info(`Job ${job.title} evaluated: ${evaluation.score}/10, ${evaluation.category}, ${evaluation.redFlags.length} red flags`);
+            return evaluation;
+        } catch (error) {
+            Logger.error(`Error evaluating job ${job.title}:`, error);
+            throw error;
+        }
     }
 
     /**
      * Score a job based on various criteria
+     * Fails when OpenAI errors or keeps returning an invalid score, so ScoringService falls back to the custom score
      * @param {Object} job - The job data
-     * @returns {number} - Score from 0-10
+     * @returns {Object|null} - { score: 0-10, reasoning: the model's explanation or null }, null without an API key
      */
     async scoreJob(job) {
+        if (!this.openai) {
+            Logger.warn('OpenAI service not available, scoring the job with the heuristics');
+            return null;
+        }
+
         try {
-            if (!this.openai) {
-                Logger.warn('OpenAI service not available, using default score');
-                return 5; // Default neutral score
-            }
-            
-            const prompt = this.buildScoringPrompt(job);
-            
-            const response = await this.openai.chat.completions.create({
-                model: this.model,
-                messages: [
-                    {
-                        role: 'system',
-                        content: 'You are an expert job evaluator. Score jobs from 0-10 based on quality, budget, requirements, and potential.'
-                    },
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ],
-                max_tokens: this.maxTokens,
-                temperature: this.temperature
+            const result = await this.requestJson({
+                name: 'job_score',
+                schema: this.getScoreSchema(),
+                system: 'You are an expert job evaluator. Score jobs from 0-10 based on quality, budget, requirements, and potential, and explain the score briefly.',
+                prompt: this.buildScoringPrompt(job),
+                validate: data => this.validateScore(data)
             });
-
-            const scoreText = response.choices[0].message.content.trim();
-            const score = this.parseScore(scoreText);
             
-            Logger.info(`Job ${job.title} scored: ${score}/10`);
-            return score;
+            Logger.info(`Job ${job.title} scored: ${result.score}/10`);
+            return result;
         } catch (error) {
-            Logger.error('Error scoring job:', error);
-            return 5; // Default neutral score
+            Logger.error(`Error scoring job ${job.title}:`, error);
+            throw error;
         }
     }
 
     /**
      * Categorize a job into predefined categories
+     * Fails when OpenAI errors or keeps answering with an unknown category, so ScoringService categorizes by skills
      * @param {Object} job - The job data
-     * @returns {string} - Job category
+     * @returns {string} - Job category, one of OpenAIService.CATEGORIES
      */
     async categorizeJob(job) {
+        if (!this.openai) {
+            Logger.warn('OpenAI service not available, using default category');
+            return 'other';
+        }
+
         try {
-            if (!this.openai) {
-                Logger.warn('OpenAI service not available, using default category');
-                return 'other';
-            }
-            
-            const prompt = this.buildCategorizationPrompt(job);
-            
-            const response = await this.openai.chat.completions.create({
-                model: this.model,
-                messages: [
-                    {
-                        role: 'system',
-                        content: 'You are an expert job categorizer. Categorize jobs into one of these categories: mobile, full-stack, full-stack-ai, frontend, backend, us-only, or other. Respond with only the category name.'
-                    },
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ],
-                max_tokens: 50,
-                temperature: this.temperature
+            const category = await this.requestJson({
+                name: 'job_category',
+                schema: this.getCategorySchema(),
+                system: `You are an expert job categorizer. Categorize jobs into one of these categories: ${OpenAIService.CATEGORIES.join(', ')}.`,
+                prompt: this.buildCategorizationPrompt(job),
+                validate: data => this.validateCategory(data),
+                maxTokens: 50
             });
-
-            const category = response.choices[0].message.content.trim().toLowerCase();
             
             Logger.info(`Job ${job.title} categorized as: ${category}`);
             return category;
         } catch (error) {
-            Logger.error('Error categorizing job:', error);
-            return 'other';
+            Logger.error(`Error categorizing job ${job.title}:`, error);
+            throw error;
         }
     }
 
     /**
      * Analyze job requirements and extract key information
+     * Fails when OpenAI errors or keeps returning an invalid analysis, so ScoringService analyzes the job itself
      * @param {Object} job - The job data
      * @returns {Object} - Analysis results
      */
     async analyzeJob(job) {
+        if (!this.openai) {
+            Logger.warn('OpenAI service not available, using default analysis');
+            return this.getDefaultAnalysis(job);
+        }
+
         try {
-            if (!this.openai) {
-                Logger.warn('OpenAI service not available, using default analysis');
-                return this.getDefaultAnalysis(job);
-            }
-            
-            const prompt = this.buildAnalysisPrompt(job);
-            
-            const response = await this.openai.chat.completions.create({
-                model: this.model,
-                messages: [
-                    {
-                        role: 'system',
-                        content: 'You are an expert job analyst. Analyze job requirements and extract key information in JSON format.'
-                    },
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ],
-                max_tokens: this.maxTokens,
-                temperature: this.temperature
+            const analysis = await this.requestJson({
+                name: 'job_analysis',
+                schema: this.getAnalysisSchema(),
+                system: 'You are an expert job analyst. Analyze job requirements and extract key information.',
+                prompt: this.buildAnalysisPrompt(job),
+                validate: data => this.validateAnalysis(data)
             });
-
-            const analysisText = response.choices[0].message.content.trim();
-            const analysis = this.parseAnalysis(analysisText);
             
             Logger.info(`Job ${job.title} analyzed successfully`);
             return analysis;
         } catch (error) {
-            Logger.error('Error analyzing job:', error);
-            return this.getDefaultAnalysis(job);
+            Logger.error(`Error analyzing job ${job.title}:`, error);
+            throw error;
         }
     }
 
@@ -152,38 +160,102 @@ class OpenAIService {
      * @returns {Object} - Best match with score
      */
     async findBestProfileMatch(job, profiles) {
+        if (!this.openai || profiles.length === 0) {
+            Logger.warn('OpenAI service not available, using default profile match');
+            return { profile: null, score: 0 };
+        }
+
         try {
-            if (!this.openai) {
-                Logger.warn('OpenAI service not available, using default profile match');
-                return this.parseProfileMatch('default', profiles);
-            }
-            
-            const prompt = this.buildProfileMatchingPrompt(job, profiles);
+            const match = await this.requestJson({
+                name: 'profile_match',
+                schema: this.getProfileMatchSchema(),
+                system: 'You are an expert profile matcher. Find the best matching profile for a job and provide a match score from 0-10.',
+                prompt: this.buildProfileMatchingPrompt(job, profiles),
+                validate: data => this.validateProfileMatch(data, profiles)
+            });
             
+            Logger.info(`Best profile match for job ${job.title}: ${match.profile.name} (Score: ${match.score})`);
+            return match;
+        } catch (error) {
+            Logger.error(`Error finding profile match for job ${job.title}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Request a response constrained to a JSON schema and validate it
+     * An invalid response is sent back with the problems found, up to `repairAttempts` times, before the request fails
+     * @param {Object} request - The request
+     * @param {string} request.name - Name of the response format
+     * @param {Object} request.schema - JSON schema of the response
+     * @param {string} request.system - System message
+     * @param {string} request.prompt - User message
+     * @param {Function} request.validate - Returns the parsed response normalized, or throws with the problems found
+     * @param {number} request.maxTokens - Token limit of the response
+     * @returns {*} - The validated response
+     */
+    async requestJson({ name, schema, system, prompt, validate, maxTokens = this.maxTokens }) {
+        const messages = [
+            { role: 'system', content: system },
+            { role: 'user', content: prompt }
+        ];
+
+        for (let attempt = 0; ; attempt++) {
             const response = await this.openai.chat.completions.create({
                 model: this.model,
-                messages: [
-                    {
-                        role: 'system',
-                        content: 'You are an expert profile matcher. Find the best matching profile for a job and provide a match score from 0-10.'
-                    },
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ],
-                max_tokens: this.maxTokens,
-                temperature: this.temperature
+                messages,
+                max_tokens: maxTokens,
+                temperature: this.temperature,
+                response_format: {
+                    type: 'json_schema',
+                    json_schema: { name, schema, strict: true }
+                }
             });
 
-            const matchText = response.choices[0].message.content.trim();
-            const match = this.parseProfileMatch(matchText, profiles);
-            
-            Logger.info(`Best profile match for job ${job.title}: ${match.profile?.name} (Score: ${match.score})`);
-            return match;
+            this.recordUsage(response.usage);
+
+            const message = response.choices[0].message;
+            if (message.refusal) {
+                throw new Error(`OpenAI refused the ${name} request: ${message.refusal}`);
+            }
+
+            try {
+                return validate(this.parseJson(message.content));
+            } catch (error) {
+                if (attempt >= this.repairAttempts) {
+                    throw new Error(`Invalid ${name} response from OpenAI: ${error.message}`);
+                }
+
+                Logger.warn(`Invalid ${name} response from OpenAI, asking for a fix: ${error.message}`);
+                messages.push(
+                    { role: 'assistant', content: message.content || '' },
+                    { role: 'user', content: `That response is invalid: ${error.message}. Reply again with only the corrected JSON.` }
+                );
+            }
+        }
+    }
+
+    /**
+     * Add the token usage of a response to the totals
+     * @param {Object|undefined} usage - `usage` of a chat completion
+     */
+    recordUsage(usage) {
+        this.usage.requests++;
+        if (!usage) return;
+
+        this.usage.promptTokens += usage.prompt_tokens || 0;
+        this.usage.completionTokens += usage.completion_tokens || 0;
+    }
+
+    /**
+     * Parse the JSON content of a response
+     * @param {string} content - Response content
+     */
+    parseJson(content) {
+        try {
+            return JSON.parse(content);
         } catch (error) {
-            Logger.error('Error finding profile match:', error);
-            return { profile: null, score: 0 };
+            throw new Error('the response is not valid JSON');
         }
     }
 
@@ -194,19 +266,11 @@ class OpenAIService {
     buildScoringPrompt(job) {
         return `
 Please score this job from 0-10 based on the following criteria:
-- Job quality and clarity
-- Budget adequacy
-- Skill requirements match
-- Project scope and timeline
-- Client reputation and location
+${this.formatScoringCriteria()}
 
-Job Title: ${job.title}
-Description: ${job.description}
-Budget: ${this.formatBudget(job.budget)}
-Skills: ${job.skills?.join(', ') || 'Not specified'}
-Location: ${job.location || 'Not specified'}
+${this.formatJobDetails(job)}
 
-Provide only a number from 0-10 as your response.
+Give the score and one to three sentences on the main reasons for it.
         `.trim();
     }
 
@@ -217,19 +281,11 @@ Provide only a number from 0-10 as your response.
     buildCategorizationPrompt(job) {
         return `
 Please categorize this job into one of these categories:
-- mobile (mobile app development)
-- full-stack (full-stack web development)
-- full-stack-ai (AI/ML full-stack development)
-- frontend (frontend development only)
-- backend (backend development only)
-- us-only (US-based projects only)
-- other (doesn't fit above categories)
+${this.formatCategories()}
 
 Job Title: ${job.title}
 Description: ${job.description}
 Skills: ${job.skills?.join(', ') || 'Not specified'}
-
-Respond with only the category name.
         `.trim();
     }
 
@@ -239,27 +295,13 @@ Respond with only the category name.
      */
     buildAnalysisPrompt(job) {
         return `
-Please analyze this job and extract key information in JSON format:
+Please analyze this job and extract its skills, experience level, budget, duration, complexity,
+estimated hours of work (null if you cannot tell), client location and category:
 
 Job Title: ${job.title}
 Description: ${job.description}
 Budget: ${this.formatBudget(job.budget)}
 Skills: ${job.skills?.join(', ') || 'Not specified'}
-
-Return a JSON object with the following structure:
-{
-  "skills": ["skill1", "skill2"],
-  "experience": "entry|intermediate|expert",
-  "budget": {
-    "type": "hourly|fixed|unknown",
-    "min": number,
-    "max": number
-  },
-  "duration": "short|medium|long",
-  "complexity": "simple|moderate|complex",
-  "location": "string",
-  "category": "string"
-}
         `.trim();
     }
 
@@ -269,13 +311,6 @@ Return a JSON object with the following structure:
      * @param {Array} profiles - Available profiles
      */
     buildProfileMatchingPrompt(job, profiles) {
-        const profilesText = profiles.map((profile, index) => `
-Profile ${index + 1}: ${profile.name}
-Skills: ${profile.skills.join(', ')}
-Experience: ${profile.experience.level}
-Rate: $${profile.hourlyRate}/hr
-        `).join('\n');
-
         return `
 Please find the best matching profile for this job:
 
@@ -285,81 +320,350 @@ Budget: ${this.formatBudget(job.budget)}
 Required Skills: ${job.skills?.join(', ') || 'Not specified'}
 
 Available Profiles:
+${this.formatProfiles(profiles)}
+
+Give the number of the best profile (bestProfileIndex, starting at 1), its match score from 0-10 and the reasoning.
+        `.trim();
+    }
+
+    /**
+     * Build the prompt of a combined job evaluation
+     * Kept short: the job is sent once, and profiles as one line each
+     * @param {Object} job - The job data
+     * @param {Array} profiles - Available profiles
+     */
+    buildEvaluationPrompt(job, profiles) {
+        const profilesText = profiles.length > 0
+            ? profiles.map((profile, index) => `${index + 1}. ${profile.name} - ${(profile.skills || []).join(', ')} ($${profile.hourlyRate}/hr)`).join('\n')
+            : 'none';
+
+        return `
+Evaluate this job:
+- score 0-10 on clarity, budget, skills, scope and client, with reasoning in one to three sentences
+- category: mobile, full-stack, full-stack-ai (AI/ML), frontend, backend, us-only (US clients only) or other
+- duration, complexity and estimatedHours of the work (null if you cannot tell)
+- redFlags, e.g. unrealistic budget or scope, free work, off-platform contact or payment; empty if none
+- bestProfileIndex (from 1) and matchScore 0-10 of the profile that fits best; null without profiles
+
+${this.formatJobDetails(job)}
+
+Profiles:
 ${profilesText}
+        `.trim();
+    }
 
-Return a JSON object with:
-{
-  "bestProfileIndex": number,
-  "matchScore": number (0-10),
-  "reasoning": "string"
-}
+    /**
+     * Format the job for a prompt
+     * @param {Object} job - The job data
+     */
+    formatJobDetails(job) {
+        return `
+Job Title: ${job.title}
+Description: ${job.fullDescription || job.description}
+Budget: ${this.formatBudget(job.budget)}
+Implied Hourly Rate: ${this.formatImpliedRate(job.impliedRate)}
+Skills: ${job.skills?.join(', ') || 'Not specified'}
+Location: ${job.location || 'Not specified'}
+Client: ${this.formatClient(job.client)}
+Proposals: ${job.activity?.proposalsText || 'Unknown'}
+Screening Questions: ${job.screeningQuestions?.length ? job.screeningQuestions.join(' | ') : 'None'}
         `.trim();
     }
 
     /**
-     * Parse score from OpenAI response
-     * @param {string} scoreText - Score text from OpenAI
+     * Format the criteria a job is scored on for a prompt
      */
-    parseScore(scoreText) {
-        try {
-            const score = parseFloat(scoreText);
-            if (isNaN(score) || score < 0 || score > 10) {
-                return 5; // Default neutral score
-            }
-            return Math.round(score * 10) / 10; // Round to 1 decimal place
-        } catch (error) {
-            Logger.error('Error parsing score:', error);
-            return 5;
+    formatScoringCriteria() {
+        return `
+- Job quality and clarity
+- Budget adequacy
+- Skill requirements match
+- Project scope and timeline
+- Client reputation and location
+        `.trim();
+    }
+
+    /**
+     * Format the job categories for a prompt
+     */
+    formatCategories() {
+        return `
+- mobile (mobile app development)
+- full-stack (full-stack web development)
+- full-stack-ai (AI/ML full-stack development)
+- frontend (frontend development only)
+- backend (backend development only)
+- us-only (US-based projects only)
+- other (doesn't fit above categories)
+        `.trim();
+    }
+
+    /**
+     * Format freelancer profiles for a prompt, numbered from 1
+     * @param {Array} profiles - Available profiles
+     */
+    formatProfiles(profiles) {
+        return profiles.map((profile, index) => `
+Profile ${index + 1}: ${profile.name}
+Skills: ${(profile.skills || []).join(', ')}
+Experience: ${profile.experience?.level || 'Not specified'}
+Rate: $${profile.hourlyRate}/hr
+        `.trim()).join('\n\n');
+    }
+
+    /**
+     * JSON schema of a combined job evaluation
+     * Flat and without descriptions, as the schema is sent with every request
+     */
+    getEvaluationSchema() {
+        const analysis = this.getAnalysisSchema().properties;
+        const properties = {
+            score: { type: 'number' },
+            reasoning: { type: 'string' },
+            category: analysis.category,
+            duration: analysis.duration,
+            complexity: analysis.complexity,
+            estimatedHours: analysis.estimatedHours,
+            redFlags: { type: 'array', items: { type: 'string' } },
+            bestProfileIndex: { type: ['integer', 'null'] },
+            matchScore: { type: ['number', 'null'] }
+        };
+
+        return {
+            type: 'object',
+            properties,
+            required: Object.keys(properties),
+            additionalProperties: false
+        };
+    }
+
+    /**
+     * JSON schema of a job score
+     */
+    getScoreSchema() {
+        return {
+            type: 'object',
+            properties: {
+                score: { type: 'number', description: 'Score from 0 to 10' },
+                reasoning: { type: 'string', description: 'One to three sentences on the main reasons for the score' }
+            },
+            required: ['score', 'reasoning'],
+            additionalProperties: false
+        };
+    }
+
+    /**
+     * JSON schema of a job category
+     */
+    getCategorySchema() {
+        return {
+            type: 'object',
+            properties: {
+                category: { type: 'string', enum: OpenAIService.CATEGORIES }
+            },
+            required: ['category'],
+            additionalProperties: false
+        };
+    }
+
+    /**
+     * JSON schema of a job analysis
+     */
+    getAnalysisSchema() {
+        return {
+            type: 'object',
+            properties: {
+                skills: { type: 'array', items: { type: 'string' } },
+                experience: { type: 'string', enum: ['entry', 'intermediate', 'expert'] },
+                budget: {
+                    type: 'object',
+                    properties: {
+                        type: { type: 'string', enum: ['hourly', 'fixed', 'unknown'] },
+                        min: { type: ['number', 'null'] },
+                        max: { type: ['number', 'null'] }
+                    },
+                    required: ['type', 'min', 'max'],
+                    additionalProperties: false
+                },
+                duration: { type: 'string', enum: ['short', 'medium', 'long'] },
+                complexity: { type: 'string', enum: ['simple', 'moderate', 'complex'] },
+                estimatedHours: { type: ['number', 'null'] },
+                location: { type: 'string' },
+                category: { type: 'string', enum: OpenAIService.CATEGORIES }
+            },
+            required: ['skills', 'experience', 'budget', 'duration', 'complexity', 'estimatedHours', 'location', 'category'],
+            additionalProperties: false
+        };
+    }
+
+    /**
+     * JSON schema of a profile match
+     */
+    getProfileMatchSchema() {
+        return {
+            type: 'object',
+            properties: {
+                bestProfileIndex: { type: 'integer', description: 'Number of the best profile, starting at 1' },
+                matchScore: { type: 'number', description: 'Match score from 0 to 10' },
+                reasoning: { type: 'string' }
+            },
+            required: ['bestProfileIndex', 'matchScore', 'reasoning'],
+            additionalProperties: false
+        };
+    }
+
+    /**
+     * Validate a job score response
+     * @param {Object} data - Parsed response
+     * @returns {Object} - { score (1 decimal place), reasoning (null when empty) }
+     */
+    validateScore(data) {
+        if (!this.isNumberInRange(data?.score, 0, 10)) {
+            throw new Error('score must be a number from 0 to 10');
+        }
+
+        const reasoning = typeof data.reasoning === 'string' ? data.reasoning.trim() : '';
+        return {
+            score: Math.round(data.score * 10) / 10,
+            reasoning: reasoning ? reasoning.substring(0, 1000) : null
+        };
+    }
+
+    /**
+     * Validate a job category response
+     * @param {Object} data - Parsed response
+     * @returns {string} - The category
+     */
+    validateCategory(data) {
+        const category = typeof data?.category === 'string' ? data.category.trim().toLowerCase() : '';
+        if (!OpenAIService.CATEGORIES.includes(category)) {
+            throw new Error(`category must be one of ${OpenAIService.CATEGORIES.join(', ')}, not "${data?.category}"`);
         }
+        return category;
     }
 
     /**
-     * Parse analysis from OpenAI response
-     * @param {string} analysisText - Analysis text from OpenAI
+     * Validate a job analysis response
+     * @param {Object} data - Parsed response
+     * @returns {Object} - The analysis
      */
-    parseAnalysis(analysisText) {
-        try {
-            // Try to extract JSON from the response
-            const jsonMatch = analysisText.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                return JSON.parse(jsonMatch[0]);
+    validateAnalysis(data) {
+        const errors = [];
+        const oneOf = (field, value, allowed) => {
+            if (!allowed.includes(value)) errors.push(`${field} must be one of ${allowed.join(', ')}`);
+        };
+        const budget = data?.budget || {};
+
+        if (!Array.isArray(data?.skills) || data.skills.some(skill => typeof skill !== 'string')) {
+            errors.push('skills must be a list of strings');
+        }
+        oneOf('experience', data?.experience, ['entry', 'intermediate', 'expert']);
+        oneOf('budget.type', budget.type, ['hourly', 'fixed', 'unknown']);
+        for (const field of ['min', 'max']) {
+            if (budget[field] !== null && !this.isNumberInRange(budget[field], 0, Infinity)) {
+                errors.push(`budget.${field} must be a non-negative number or null`);
             }
-            
-            // Fallback to default analysis
-            return this.getDefaultAnalysis();
-        } catch (error) {
-            Logger.error('Error parsing analysis:', error);
-            return this.getDefaultAnalysis();
         }
+        errors.push(...this.getEffortErrors(data));
+        if (typeof data?.location !== 'string') {
+            errors.push('location must be a string');
+        }
+        oneOf('category', data?.category, OpenAIService.CATEGORIES);
+
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+        return data;
     }
 
     /**
-     * Parse profile match from OpenAI response
-     * @param {string} matchText - Match text from OpenAI
-     * @param {Array} profiles - Available profiles
+     * Check the effort estimate of an analysis or evaluation
+     * @param {Object} data - Parsed response
+     * @returns {Array} - The problems found
      */
-    parseProfileMatch(matchText, profiles) {
-        try {
-            // Try to extract JSON from the response
-            const jsonMatch = matchText.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                const match = JSON.parse(jsonMatch[0]);
-                const profileIndex = match.bestProfileIndex - 1;
-                
-                if (profileIndex >= 0 && profileIndex < profiles.length) {
-                    return {
-                        profile: profiles[profileIndex],
-                        score: match.matchScore,
-                        reasoning: match.reasoning
-                    };
-                }
+    getEffortErrors(data) {
+        const errors = [];
+        if (!['short', 'medium', 'long'].includes(data?.duration)) {
+            errors.push('duration must be one of short, medium, long');
+        }
+        if (!['simple', 'moderate', 'complex'].includes(data?.complexity)) {
+            errors.push('complexity must be one of simple, moderate, complex');
+        }
+        if (data?.estimatedHours !== null && !this.isNumberInRange(data?.estimatedHours, 0, Infinity)) {
+            errors.push('estimatedHours must be a non-negative number or null');
+        }
+        return errors;
+    }
+
+    /**
+     * Validate a profile match response
+     * @param {Object} data - Parsed response
+     * @param {Array} profiles - The profiles in the prompt
+     * @returns {Object} - { profile, score, reasoning }
+     */
+    validateProfileMatch(data, profiles) {
+        if (!Number.isInteger(data?.bestProfileIndex) || data.bestProfileIndex < 1 || data.bestProfileIndex > profiles.length) {
+            throw new Error(`bestProfileIndex must be a profile number from 1 to ${profiles.length}`);
+        }
+        if (!this.isNumberInRange(data.matchScore, 0, 10)) {
+            throw new Error('matchScore must be a number from 0 to 10');
+        }
+
+        return {
+            profile: profiles[data.bestProfileIndex - 1],
+            score: data.matchScore,
+            reasoning: data.reasoning
+        };
+    }
+
+    /**
+     * Validate a combined job evaluation response, collecting the problems of every part
+     * @param {Object} data - Parsed response
+     * @param {Array} profiles - The profiles in the prompt
+     * @returns {Object} - { score, reasoning, category, analysis: { duration, complexity, estimatedHours }, redFlags,
+     *                      bestProfile: { profile, score } or null }
+     */
+    validateEvaluation(data, profiles) {
+        const errors = [];
+        const check = validate => {
+            try {
+                return validate();
+            } catch (error) {
+                errors.push(error.message);
+                return null;
             }
-            
-            return { profile: null, score: 0 };
-        } catch (error) {
-            Logger.error('Error parsing profile match:', error);
-            return { profile: null, score: 0 };
+        };
+
+        const score = check(() => this.validateScore(data));
+        const category = check(() => this.validateCategory(data));
+        errors.push(...this.getEffortErrors(data));
+        if (!Array.isArray(data?.redFlags) || data.redFlags.some(flag => typeof flag !== 'string')) {
+            errors.push('redFlags must be a list of strings');
         }
+
+        // The best profile is optional: without profiles, or when the model picked none
+        const bestProfile = profiles.length > 0 && data?.bestProfileIndex !== null && data?.bestProfileIndex !== undefined
+            ? check(() => this.validateProfileMatch({ ...data, reasoning: null }, profiles))
+            : null;
+
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+
+        return {
+            ...score,
+            category,
+            analysis: { duration: data.duration, complexity: data.complexity, estimatedHours: data.estimatedHours },
+            redFlags: data.redFlags.map(flag => flag.trim()).filter(Boolean).slice(0, 10),
+            bestProfile: bestProfile ? { profile: bestProfile.profile, score: bestProfile.score } : null
+        };
+    }
+
+    /**
+     * Check a value is a number within a range
+     */
+    isNumberInRange(value, min, max) {
+        return typeof value === 'number' && !isNaN(value) && value >= min && value <= max;
     }
 
     /**
@@ -373,35 +677,70 @@ Return a JSON object with:
             budget: job.budget || { type: 'unknown', min: 0, max: 0 },
             duration: 'medium',
             complexity: 'moderate',
+            estimatedHours: null,
             location: job.location || 'Unknown',
             category: 'other'
         };
     }
 
+    /**
+     * Format structured client data for a prompt
+     * @param {Object|null} client - Client data from the job detail page
+     */
+    formatClient(client) {
+        if (!client) return 'Unknown';
+
+        const parts = [];
+        if (client.paymentVerified !== null && client.paymentVerified !== undefined) {
+            parts.push(client.paymentVerified ? 'payment verified' : 'payment not verified');
+        }
+        if (client.totalSpent !== null && client.totalSpent !== undefined) parts.push(`$${client.totalSpent} spent`);
+        if (client.hireRate !== null && client.hireRate !== undefined) parts.push(`${client.hireRate}% hire rate`);
+        if (client.avgHourlyRate !== null && client.avgHourlyRate !== undefined) parts.push(`$${client.avgHourlyRate}/hr average paid`);
+        if (client.rating !== null && client.rating !== undefined) parts.push(`${client.rating} rating from ${client.reviewsCount || 0} reviews`);
+        if (client.country) parts.push(client.country);
+
+        return parts.length > 0 ? parts.join(', ') : 'Unknown';
+    }
+
     /**
      * Format budget for display
      * @param {Object} budget - Budget object
      */
     formatBudget(budget) {
         if (!budget) return 'Not specified';
+
+        const amount = value => CurrencyService.formatAmount(value, budget.currency);
+        const usd = CurrencyService.formatUsdNote(budget);
         
         if (budget.type === 'hourly') {
             if (budget.min && budget.max) {
-                return `$${budget.min}-$${budget.max}/hr`;
+                return `${amount(budget.min)}-${amount(budget.max)}/hr${usd}`;
             } else if (budget.min) {
-                return `$${budget.min}+/hr`;
+                return `${amount(budget.min)}+/hr${usd}`;
             }
         } else if (budget.type === 'fixed') {
             if (budget.min && budget.max) {
-                return `$${budget.min}-$${budget.max} fixed`;
+                return `${amount(budget.min)}-${amount(budget.max)} fixed${usd}`;
             } else if (budget.min) {
-                return `$${budget.min}+ fixed`;
+                return `${amount(budget.min)}+ fixed${usd}`;
             }
         }
         
         return 'Not specified';
     }
 
+    /**
+     * Format the implied hourly rate of a fixed-price job for a prompt
+     * @param {Object|null} impliedRate - Implied rate (see ScoringService.getImpliedRate)
+     */
+    formatImpliedRate(impliedRate) {
+        if (!impliedRate || (!impliedRate.min && !impliedRate.max)) return 'Not applicable';
+
+        const rates = [impliedRate.min, impliedRate.max].filter(Boolean).map(rate => `$${Math.round(rate)}`);
+        return `${rates.join('-')}/hr over an estimated ${impliedRate.hours} hours`;
+    }
+
     /**
      * Test OpenAI connection
      */
@@ -439,7 +778,8 @@ Return a JSON object with:
         return {
             model: this.model,
             maxTokens: this.maxTokens,
-            temperature: this.temperature
+            temperature: this.temperature,
+            usage: { ...this.usage }
         };
     }
 }
@@ -0,0 +1,241 @@
+/**
+ * Service for rule-based job routing
+ * Evaluates routing rules against jobs to decide which channels receive them
+ */
+
+const Logger = require('../utils/Logger');
+const CurrencyService = require('./CurrencyService');
+
+class RoutingService {
+    constructor() {
+        // Location spellings that all mean the United States
+        this.locationAliases = {
+            'us': 'united states',
+            'usa': 'united states',
+            'u.s.': 'united states',
+            'us only': 'united states',
+            'united states of america': 'united states'
+        };
+    }
+
+    /**
+     * Get the rules that match a job, in evaluation order
+     * Evaluation stops after the first matching exclusive rule
+     * @param {Array} rules - Rules sorted by position
+     * @param {Object} job - The job data
+     * @returns {Array} - Matching rules
+     */
+    getMatchingRules(rules, job) {
+        const matches = [];
+
+        for (const rule of rules) {
+            if (rule.enabled === false) continue;
+
+            try {
+                if (!this.matchesRule(rule, job)) continue;
+            } catch (error) {
+                Logger.error(`Error evaluating routing rule ${rule.name}:`, error);
+                continue;
+            }
+
+            matches.push(rule);
+            if (rule.exclusive) break;
+        }
+
+        return matches;
+    }
+
+    /**
+     * Turn matching rules into delivery targets, one per channel
+     * @param {Array} rules - Matching rules
+     * @returns {Array} - Targets ({ channelId, mentionRoleIds, rules })
+     */
+    buildTargets(rules) {
+        const targets = new Map();
+
+        for (const rule of rules) {
+            if (!targets.has(rule.channelId)) {
+                targets.set(rule.channelId, { channelId: rule.channelId, mentionRoleIds: [], rules: [] });
+            }
+
+            const target = targets.get(rule.channelId);
+            target.rules.push(rule.name);
+            if (rule.mentionRoleId && !target.mentionRoleIds.includes(rule.mentionRoleId)) {
+                target.mentionRoleIds.push(rule.mentionRoleId);
+            }
+        }
+
+        return Array.from(targets.values());
+    }
+
+    /**
+     * Check whether a job satisfies every condition of a rule
+     * Empty conditions always match
+     * @param {Object} rule - The routing rule
+     * @param {Object} job - The job data
+     * @returns {boolean} - Whether the rule matches
+     */
+    matchesRule(rule, job) {
+        const conditions = rule.conditions || {};
+
+        return this.matchesScore(conditions, job) &&
+            this.matchesFitScore(conditions, job) &&
+            this.matchesCategory(conditions, job) &&
+            this.matchesSkills(conditions, job) &&
+            this.matchesBudget(conditions, job) &&
+            this.matchesLocation(conditions, job) &&
+            this.matchesKeywords(conditions, job);
+    }
+
+    /**
+     * Check the score range condition
+     */
+    matchesScore(conditions, job) {
+        const score = job.score || 0;
+
+        if (this.isSet(conditions.minScore) && score < conditions.minScore) return false;
+        if (this.isSet(conditions.maxScore) && score > conditions.maxScore) return false;
+
+        return true;
+    }
+
+    /**
+     * Check the profile fit score range condition
+     * Jobs without a fit score (no profiles when they were processed) never match it
+     */
+    matchesFitScore(conditions, job) {
+        if (!this.isSet(conditions.minFitScore) && !this.isSet(conditions.maxFitScore)) return true;
+        if (!this.isSet(job.fitScore)) return false;
+
+        if (this.isSet(conditions.minFitScore) && job.fitScore < conditions.minFitScore) return false;
+        if (this.isSet(conditions.maxFitScore) && job.fitScore > conditions.maxFitScore) return false;
+
+        return true;
+    }
+
+    /**
+     * Check the category condition
+     */
+    matchesCategory(conditions, job) {
+        if (!this.hasItems(conditions.categories)) return true;
+        if (!job.category) return false;
+
+        const category = job.category.toLowerCase();
+        return conditions.categories.some(item => item.toLowerCase() === category);
+    }
+
+    /**
+     * Check the skills condition (any listed skill)
+     */
+    matchesSkills(conditions, job) {
+        if (!this.hasItems(conditions.skills)) return true;
+
+        const jobSkills = (job.skills || []).map(skill => skill.toLowerCase());
+        return conditions.skills.some(skill => jobSkills.includes(skill.toLowerCase()));
+    }
+
+    /**
+     * Check the budget type and range conditions
+     * A job matches the range (in USD) when its budget overlaps it
+     */
+    matchesBudget(conditions, job) {
+        const budget = job.budget || {};
+
+        if (conditions.budgetType && conditions.budgetType !== 'any' && budget.type !== conditions.budgetType) {
+            return false;
+        }
+
+        if (!this.isSet(conditions.minBudget) && !this.isSet(conditions.maxBudget)) return true;
+
+        const usd = CurrencyService.getUsdRange(job.budget);
+        const low = usd.min || usd.max || 0;
+        const high = usd.max || usd.min || 0;
+        if (!low && !high) return false;
+
+        if (this.isSet(conditions.minBudget) && high < conditions.minBudget) return false;
+        if (this.isSet(conditions.maxBudget) && low > conditions.maxBudget) return false;
+
+        return true;
+    }
+
+    /**
+     * Check the location condition
+     * Locations are compared as whole names, so "US" never matches "Russia"
+     */
+    matchesLocation(conditions, job) {
+        if (!this.hasItems(conditions.locations)) return true;
+
+        const wanted = conditions.locations.map(location => this.normalizeLocation(location));
+        const jobLocation = this.normalizeLocation(job.location || '');
+
+        if (wanted.includes(jobLocation)) return true;
+
+        // Jobs categorized as US-only count as United States jobs
+        return wanted.includes('united states') && job.category === 'us-only';
+    }
+
+    /**
+     * Check the keyword condition (any keyword in title or description)
+     */
+    matchesKeywords(conditions, job) {
+        if (!this.hasItems(conditions.keywords)) return true;
+
+        const text = `${job.title || ''} ${job.description || ''}`.toLowerCase();
+        return conditions.keywords.some(keyword => {
+            const escaped = keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return new RegExp(`(^|\\W)${escaped}($|\\W)`).test(text);
+        });
+    }
+
+    /**
+     * Normalize a location name for comparison
+     * @param {string} location - Location name
+     */
+    normalizeLocation(location) {
+        const normalized = location.trim().toLowerCase();
+        return this.locationAliases[normalized] || normalized;
+    }
+
+    /**
+     * Describe a rule's conditions in one line
+     * @param {Object} rule - The routing rule
+     * @returns {string} - Human readable conditions
+     */
+    describeRule(rule) {
+        const conditions = rule.conditions || {};
+        const parts = [];
+
+        if (this.isSet(conditions.minScore) || this.isSet(conditions.maxScore)) {
+            parts.push(`score ${conditions.minScore ?? 0}-${conditions.maxScore ?? 10}`);
+        }
+        if (this.isSet(conditions.minFitScore) || this.isSet(conditions.maxFitScore)) {
+            parts.push(`fit ${conditions.minFitScore ?? 0}-${conditions.maxFitScore ?? 10}`);
+        }
+        if (this.hasItems(conditions.categories)) parts.push(`category: ${conditions.categories.join(', ')}`);
+        if (this.hasItems(conditions.skills)) parts.push(`skills: ${conditions.skills.join(', ')}`);
+        if (conditions.budgetType && conditions.budgetType !== 'any') parts.push(`${conditions.budgetType} only`);
+        if (this.isSet(conditions.minBudget) || this.isSet(conditions.maxBudget)) {
+            parts.push(`budget $${conditions.minBudget ?? 0}-${this.isSet(conditions.maxBudget) ? `$${conditions.maxBudget}` : 'any'}`);
+        }
+        if (this.hasItems(conditions.locations)) parts.push(`location: ${conditions.locations.join(', ')}`);
+        if (this.hasItems(conditions.keywords)) parts.push(`keywords: ${conditions.keywords.join(', ')}`);
+
+        return parts.length > 0 ? parts.join(' | ') : 'all jobs';
+    }
+
+    /**
+     * Check that a numeric condition is configured
+     */
+    isSet(value) {
+        return value !== null && value !== undefined;
+    }
+
+    /**
+     * Check that a list condition is configured
+     */
+    hasItems(list) {
+        return Array.isArray(list) && list.length > 0;
+    }
+}
+
+module.exports = RoutingService;
@@ -0,0 +1,287 @@
+/**
+ * Service for job monitoring schedules
+ * Builds cron expressions from a monitoring configuration and works out when the next run happens
+ */
+
+class ScheduleService {
+    constructor() {
+        this.defaults = {
+            enabled: true,
+            intervalMinutes: 5,
+            activeHours: { start: 0, end: 24 },
+            activeDays: [0, 1, 2, 3, 4, 5, 6],
+            timezone: 'UTC'
+        };
+
+        // Intervals that divide an hour or a day evenly, so runs stay evenly spaced
+        this.validIntervals = [1, 2, 3, 4, 5, 6, 10, 12, 15, 20, 30, 60, 120, 180, 240, 360, 480, 720];
+
+        this.dayNames = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+        // Timezone -> cached Intl formatter (building one is slow)
+        this.formatters = new Map();
+    }
+
+    /**
+     * Build the cron expression for a schedule
+     * Active hours and days are part of the expression, so cron never fires outside them
+     * @param {Object} config - Monitoring configuration
+     * @returns {string} - Cron expression
+     */
+    buildCronExpression(config) {
+        const interval = config.intervalMinutes;
+        const days = this.normalizeDays(config.activeDays);
+        const dayField = days.length === 7 ? '*' : days.join(',');
+
+        if (interval < 60) {
+            const minuteField = interval === 1 ? '*' : `*/${interval}`;
+            const hours = this.getActiveHours(config.activeHours);
+            const hourField = hours.length === 24 ? '*' : hours.join(',');
+            return `${minuteField} ${hourField} * * ${dayField}`;
+        }
+
+        const hours = this.getRunHours(config);
+        return `0 ${hours.join(',')} * * ${dayField}`;
+    }
+
+    /**
+     * Get the next time a schedule will run
+     * @param {Object} config - Monitoring configuration
+     * @param {Date} from - Time to search from
+     * @returns {Date|null} - Next run time, or null when the schedule never runs
+     */
+    getNextRun(config, from = new Date()) {
+        const candidate = new Date(from);
+        candidate.setUTCSeconds(0, 0);
+
+        // A week plus a day covers every combination of active hours and days
+        for (let i = 0; i < 8 * 24 * 60; i++) {
+            candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+            if (this.matchesTime(config, candidate)) {
+                return new Date(candidate);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether a schedule runs at a given minute
+     * @param {Object} config - Monitoring configuration
+     * @param {Date} date - The time to check
+     * @returns {boolean} - Whether a run is scheduled
+     */
+    matchesTime(config, date) {
+        const { minute, hour, day } = this.getZonedTime(date, config.timezone);
+
+        if (!this.normalizeDays(config.activeDays).includes(day)) return false;
+
+        if (config.intervalMinutes < 60) {
+            return minute % config.intervalMinutes === 0 && this.getActiveHours(config.activeHours).includes(hour);
+        }
+
+        return minute === 0 && this.getRunHours(config).includes(hour);
+    }
+
+    /**
+     * Validate a schedule update and return the normalized values
+     * @param {Object} options - Raw options ({ interval, hours, days, timezone })
+     * @returns {Object} - Validated configuration fields
+     */
+    parseScheduleOptions(options) {
+        const update = {};
+
+        if (options.interval !== undefined && options.interval !== null && options.interval !== '') {
+            const interval = parseInt(options.interval);
+            if (!this.validIntervals.includes(interval)) {
+                throw new Error(`Interval must be one of ${this.validIntervals.join(', ')} minutes`);
+            }
+            update.intervalMinutes = interval;
+        }
+
+        if (options.hours) {
+            update.activeHours = this.parseActiveHours(options.hours);
+        }
+
+        if (options.days) {
+            update.activeDays = this.parseActiveDays(options.days);
+        }
+
+        if (options.timezone) {
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone: options.timezone });
+            } catch (error) {
+                throw new Error(`Unknown timezone: ${options.timezone}`);
+            }
+            update.timezone = options.timezone;
+        }
+
+        return update;
+    }
+
+    /**
+     * Parse active hours such as `9-17`, `22-6` or `all`
+     * The end hour is exclusive; a start after the end wraps past midnight
+     * @param {string} value - Active hours
+     * @returns {Object} - { start, end }
+     */
+    parseActiveHours(value) {
+        const text = String(value).trim().toLowerCase();
+        if (text === 'all' || text === '*') {
+            return { start: 0, end: 24 };
+        }
+
+        const match = text.match(/^(\d{1,2})(?::00)?\s*-\s*(\d{1,2})(?::00)?$/);
+        if (!match) {
+            throw new Error('Hours must look like 9-17 (end hour exclusive) or "all"');
+        }
+
+        const start = parseInt(match[1]);
+        const end = parseInt(match[2]);
+        if (start > 23 || end < 1 || end > 24 || start === end) {
+            throw new Error('Hours must be between 0 and 24 and the start must differ from the end');
+        }
+
+        return { start, end };
+    }
+
+    /**
+     * Parse active days such as `mon-fri`, `mon,wed,fri` or `all`
+     * @param {string} value - Active days
+     * @returns {Array} - Day numbers (0 = Sunday)
+     */
+    parseActiveDays(value) {
+        const text = String(value).trim().toLowerCase();
+        if (text === 'all' || text === '*') {
+            return [0, 1, 2, 3, 4, 5, 6];
+        }
+
+        const days = new Set();
+        for (const part of text.split(',').map(item => item.trim()).filter(Boolean)) {
+            const [from, to] = part.split('-').map(name => this.parseDayName(name));
+            if (to === undefined) {
+                days.add(from);
+                continue;
+            }
+
+            // Ranges may wrap around the week, e.g. sat-mon
+            for (let day = from; ; day = (day + 1) % 7) {
+                days.add(day);
+                if (day === to) break;
+            }
+        }
+
+        if (days.size === 0) {
+            throw new Error('At least one active day is required');
+        }
+
+        return Array.from(days).sort((a, b) => a - b);
+    }
+
+    /**
+     * Describe a schedule in one line
+     * @param {Object} config - Monitoring configuration
+     * @returns {string} - Human readable schedule
+     */
+    describeSchedule(config) {
+        const interval = config.intervalMinutes;
+        const every = interval < 60
+            ? `every ${interval} minute${interval === 1 ? '' : 's'}`
+            : `every ${interval / 60} hour${interval === 60 ? '' : 's'}`;
+
+        const { start, end } = config.activeHours;
+        const hours = start === 0 && end === 24
+            ? 'all day'
+            : `${String(start).padStart(2, '0')}:00-${String(end).padStart(2, '0')}:00`;
+
+        const days = this.normalizeDays(config.activeDays);
+        const dayText = days.length === 7
+            ? 'every day'
+            : days.map(day => this.dayNames[day].charAt(0).toUpperCase() + this.dayNames[day].slice(1)).join(', ');
+
+        return `${every}, ${hours}, ${dayText} (${config.timezone})`;
+    }
+
+    /**
+     * Get the hours inside the active window
+     * @param {Object} activeHours - { start, end }
+     * @returns {Array} - Hours (0-23)
+     */
+    getActiveHours(activeHours) {
+        const { start, end } = activeHours;
+        const hours = [];
+
+        if (start < end) {
+            for (let hour = start; hour < end; hour++) hours.push(hour);
+        } else {
+            for (let hour = start; hour < 24; hour++) hours.push(hour);
+            for (let hour = 0; hour < end; hour++) hours.push(hour);
+        }
+
+        return hours.sort((a, b) => a - b);
+    }
+
+    /**
+     * Get the hours an hourly (or slower) schedule runs at
+     * Counted from the start of the active window
+     * @param {Object} config - Monitoring configuration
+     * @returns {Array} - Hours (0-23)
+     */
+    getRunHours(config) {
+        const step = config.intervalMinutes / 60;
+        const start = config.activeHours.start;
+
+        return this.getActiveHours(config.activeHours)
+            .filter(hour => ((hour - start + 24) % 24) % step === 0);
+    }
+
+    /**
+     * Get minute, hour and weekday of a time in a timezone
+     */
+    getZonedTime(date, timezone) {
+        if (!this.formatters.has(timezone)) {
+            this.formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                hourCycle: 'h23',
+                weekday: 'short',
+                hour: 'numeric',
+                minute: 'numeric'
+            }));
+        }
+
+        const parts = this.formatters.get(timezone).formatToParts(date);
+
+        const value = type => parts.find(part => part.type === type).value;
+
+        return {
+            minute: parseInt(value('minute')),
+            hour: parseInt(value('hour')),
+            day: this.dayNames.indexOf(value('weekday').toLowerCase())
+        };
+    }
+
+    /**
+     * Parse a day name (sun-sat) or number (0-6)
+     */
+    parseDayName(name) {
+        const text = String(name).trim().toLowerCase();
+        const number = parseInt(text);
+        if (!isNaN(number) && number >= 0 && number <= 6) return number;
+
+        const index = this.dayNames.indexOf(text.substring(0, 3));
+        if (index === -1) {
+            throw new Error(`Unknown day: ${name}`);
+        }
+        return index;
+    }
+
+    /**
+     * Normalize stored days to a sorted list of unique numbers
+     */
+    normalizeDays(days) {
+        const list = Array.isArray(days) && days.length > 0 ? days : this.defaults.activeDays;
+        return Array.from(new Set(list.map(Number))).sort((a, b) => a - b);
+    }
+}
+
+module.exports = ScheduleService;
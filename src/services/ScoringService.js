@@ -4,6 +4,7 @@
  */
 
 const Logger = require('../utils/Logger');
+const CurrencyService = require('./CurrencyService');
 
 class ScoringService {
     constructor(openaiService) {
@@ -14,33 +15,207 @@ class ScoringService {
             experience: 0.15,
             location: 0.10,
             description: 0.15,
-            clientInfo: 0.15
+            client: 0.15
+        };
+
+        // Share of the AI score in the final score; the rest comes from the custom score
+        this.aiWeight = 0.7;
+
+        // Client country scores, matched on the exact country name; other countries score 5
+        this.countryScores = [
+            { country: 'United States', score: 10 },
+            { country: 'Canada', score: 9 },
+            { country: 'United Kingdom', score: 8 },
+            { country: 'Australia', score: 8 },
+            { country: 'Germany', score: 7 },
+            { country: 'France', score: 7 },
+            { country: 'Japan', score: 7 },
+            { country: 'Singapore', score: 6 },
+            { country: 'Sweden', score: 6 },
+            { country: 'Netherlands', score: 6 },
+            { country: 'Switzerland', score: 6 },
+            { country: 'India', score: 4 },
+            { country: 'Philippines', score: 4 },
+            { country: 'Pakistan', score: 3 },
+            { country: 'Bangladesh', score: 3 }
+        ];
+
+        // Other names of countries, by normalized name
+        this.countryAliases = {
+            'us': 'united states',
+            'usa': 'united states',
+            'united states of america': 'united states',
+            'uk': 'united kingdom',
+            'great britain': 'united kingdom',
+            'england': 'united kingdom'
+        };
+
+        // Estimated hours of work by project duration and complexity, used to turn a fixed price into an hourly rate
+        this.effortHours = {
+            short: { simple: 10, moderate: 20, complex: 40 },
+            medium: { simple: 30, moderate: 60, complex: 120 },
+            long: { simple: 80, moderate: 160, complex: 320 }
         };
     }
 
     /**
      * Score a job using multiple criteria
+     * The OpenAI score is kept on `job.aiScore`, so guild scoring profiles can blend it again without another request,
+     * and the breakdown of the final score on `job.scoreBreakdown`
      * @param {Object} job - The job data
+     * @param {Object|null} profile - Scoring profile (see getDefaultProfile); the defaults when not given
      * @returns {number} - Score from 0-10
      */
-    async scoreJob(job) {
+    async scoreJob(job, profile = null) {
+        let reasoning = null;
+
         try {
-            // Get OpenAI score
-            const openaiScore = await this.openaiService.scoreJob(job);
-            
-            // Calculate custom score
-            const customScore = this.calculateCustomScore(job);
-            
-            // Combine scores (70% OpenAI, 30% custom)
-            const finalScore = (openaiScore * 0.7) + (customScore * 0.3);
-            
-            Logger.info(`Job ${job.title} - OpenAI: ${openaiScore}, Custom: ${customScore}, Final: ${finalScore}`);
-            
-            return Math.round(finalScore * 10) / 10; // Round to 1 decimal place
+            // Get OpenAI score and the reasons for it; none without an API key
+            const result = await this.openaiService.scoreJob(job);
+            job.aiScore = result ? result.score : null;
+            reasoning = result ? result.reasoning || null : null;
         } catch (error) {
             Logger.error('Error scoring job:', error);
-            return this.calculateCustomScore(job); // Fallback to custom scoring
+            job.aiScore = null; // Fallback to custom scoring
+        }
+
+        // Combine scores (70% OpenAI, 30% custom unless the profile says otherwise)
+        job.scoreBreakdown = this.getScoreBreakdown(job, profile, reasoning);
+
+        Logger.info(`Job ${job.title} - OpenAI: ${job.aiScore}, Custom: ${job.scoreBreakdown.customScore}, Final: ${job.scoreBreakdown.finalScore}`);
+
+        return job.scoreBreakdown.finalScore;
+    }
+
+    /**
+     * Score, categorize and analyze a job with a single AI request
+     * The evaluation's effort estimate refines the implied rate before the custom score is calculated; without an
+     * evaluation (no API key, a failed or invalid response) the custom score, categorization by skills and the
+     * implied rate from the description are used
+     * @param {Object} job - The job data (updated in place: aiScore, impliedRate, category, scoreBreakdown, evaluation)
+     * @param {Array} profiles - Freelancer profiles the AI picks the best one from
+     * @param {Object|null} profile - Scoring profile (see getDefaultProfile); the defaults when not given
+     * @returns {Object} - { score, category }
+     */
+    async evaluateJob(job, profiles = [], profile = null) {
+        let evaluation = null;
+
+        try {
+            evaluation = await this.openaiService.evaluateJob(job, profiles);
+        } catch (error) {
+            Logger.error('Error evaluating job:', error);
+        }
+
+        job.aiScore = evaluation ? evaluation.score : null;
+        job.category = evaluation ? evaluation.category : this.categorizeJobBySkills(job);
+        if (evaluation) {
+            job.impliedRate = this.getImpliedRate(job, evaluation.analysis);
         }
+
+        job.scoreBreakdown = this.getScoreBreakdown(job, profile, evaluation ? evaluation.reasoning : null);
+        job.evaluation = evaluation ? {
+            analysis: evaluation.analysis,
+            redFlags: evaluation.redFlags,
+            bestProfileName: evaluation.bestProfile ? evaluation.bestProfile.profile.name : null,
+            bestProfileScore: evaluation.bestProfile ? evaluation.bestProfile.score : null,
+            evaluatedAt: new Date()
+        } : null;
+
+        Logger.info(`Job ${job.title} - OpenAI: ${job.aiScore}, Custom: ${job.scoreBreakdown.customScore}, Final: ${job.scoreBreakdown.finalScore}, Category: ${job.category}`);
+
+        return { score: job.scoreBreakdown.finalScore, category: job.category };
+    }
+
+    /**
+     * Score an already scored job for a scoring profile, reusing its AI score
+     * Jobs without an AI score get the custom score
+     * @param {Object} job - The job data (with `aiScore`)
+     * @param {Object|null} profile - Scoring profile
+     * @returns {number} - Score from 0-10
+     */
+    scoreForProfile(job, profile) {
+        return this.getScoreBreakdown(job, profile).finalScore;
+    }
+
+    /**
+     * Break a job's final score down into its parts
+     * @param {Object} job - The job data (with `aiScore` when it has one)
+     * @param {Object|null} profile - Scoring profile
+     * @param {string|null} aiReasoning - The AI's explanation; the one already stored with the job when not given
+     * @returns {Object} - { factors: [{ name, score, weight }], customScore, aiScore, aiWeight, aiReasoning, finalScore, scoredAt }
+     */
+    getScoreBreakdown(job, profile = null, aiReasoning = undefined) {
+        const resolved = this.resolveProfile(profile);
+        const round = value => Math.round(value * 10) / 10;
+
+        const factors = Object.entries(this.getScoreParts(job, resolved))
+            .map(([name, part]) => ({ name, score: round(part.score), weight: part.weight }));
+        const customScore = this.calculateCustomScore(job, resolved);
+        const aiScore = typeof job.aiScore === 'number' ? job.aiScore : null;
+
+        return {
+            factors,
+            customScore: round(customScore),
+            aiScore,
+            aiWeight: resolved.aiWeight,
+            aiReasoning: aiReasoning !== undefined ? aiReasoning : (job.scoreBreakdown?.aiReasoning || null),
+            finalScore: this.blendScores(aiScore, customScore, resolved.aiWeight),
+            scoredAt: new Date()
+        };
+    }
+
+    /**
+     * Blend the AI and custom scores
+     * @param {number|null} aiScore - OpenAI score, null when there is none
+     * @param {number} customScore - Custom score
+     * @param {number} aiWeight - Share of the AI score (0-1)
+     * @returns {number} - Score from 0-10, rounded to 1 decimal place
+     */
+    blendScores(aiScore, customScore, aiWeight) {
+        const score = typeof aiScore === 'number'
+            ? (aiScore * aiWeight) + (customScore * (1 - aiWeight))
+            : customScore;
+
+        return Math.round(score * 10) / 10;
+    }
+
+    /**
+     * Get the built-in scoring profile
+     * @returns {Object} - { weights, aiWeight, countries }
+     */
+    getDefaultProfile() {
+        return {
+            weights: { ...this.scoringWeights },
+            aiWeight: this.aiWeight,
+            countries: this.countryScores.map(entry => ({ ...entry }))
+        };
+    }
+
+    /**
+     * Fill in the parts of a scoring profile that are not set with the defaults
+     * Weights, the AI weight and the country list that are null keep their default
+     * @param {Object|null} profile - Stored or partial scoring profile
+     * @returns {Object} - { weights, aiWeight, countries }
+     */
+    resolveProfile(profile) {
+        const defaults = this.getDefaultProfile();
+        if (!profile) return defaults;
+
+        const weights = { ...defaults.weights };
+        for (const key of Object.keys(weights)) {
+            const value = profile.weights ? profile.weights[key] : null;
+            if (typeof value === 'number' && value >= 0) {
+                weights[key] = value;
+            }
+        }
+
+        return {
+            weights,
+            aiWeight: typeof profile.aiWeight === 'number' ? profile.aiWeight : defaults.aiWeight,
+            countries: Array.isArray(profile.countries)
+                ? profile.countries.map(entry => ({ country: entry.country, score: entry.score }))
+                : defaults.countries
+        };
     }
 
     /**
@@ -74,60 +249,66 @@ class ScoringService {
     /**
      * Calculate custom score based on multiple factors
      * @param {Object} job - The job data
+     * @param {Object|null} profile - Scoring profile with the weights and country scores to use
      * @returns {number} - Score from 0-10
      */
-    calculateCustomScore(job) {
+    calculateCustomScore(job, profile = null) {
         let totalScore = 0;
         let totalWeight = 0;
 
-        // Budget scoring
-        const budgetScore = this.scoreBudget(job.budget);
-        totalScore += budgetScore * this.scoringWeights.budget;
-        totalWeight += this.scoringWeights.budget;
-
-        // Skills scoring
-        const skillsScore = this.scoreSkills(job.skills);
-        totalScore += skillsScore * this.scoringWeights.skills;
-        totalWeight += this.scoringWeights.skills;
-
-        // Experience scoring
-        const experienceScore = this.scoreExperience(job.experience);
-        totalScore += experienceScore * this.scoringWeights.experience;
-        totalWeight += this.scoringWeights.experience;
-
-        // Location scoring
-        const locationScore = this.scoreLocation(job.location);
-        totalScore += locationScore * this.scoringWeights.location;
-        totalWeight += this.scoringWeights.location;
+        for (const part of Object.values(this.getScoreParts(job, profile))) {
+            totalScore += part.score * part.weight;
+            totalWeight += part.weight;
+        }
 
-        // Description scoring
-        const descriptionScore = this.scoreDescription(job.description);
-        totalScore += descriptionScore * this.scoringWeights.description;
-        totalWeight += this.scoringWeights.description;
+        return totalWeight > 0 ? totalScore / totalWeight : 5;
+    }
 
-        // Client info scoring
-        const clientScore = this.scoreClientInfo(job.clientInfo);
-        totalScore += clientScore * this.scoringWeights.clientInfo;
-        totalWeight += this.scoringWeights.clientInfo;
+    /**
+     * Score each factor of the custom score
+     * @param {Object} job - The job data
+     * @param {Object|null} profile - Scoring profile with the weights and country scores to use
+     * @returns {Object} - { budget, skills, experience, location, description, client }, each { score, weight }
+     */
+    getScoreParts(job, profile = null) {
+        const { weights, countries } = this.resolveProfile(profile);
 
-        return totalWeight > 0 ? totalScore / totalWeight : 5;
+        return {
+            // Fixed prices are scored on their implied hourly rate
+            budget: { score: this.scoreBudget(job.budget, job.impliedRate || this.getImpliedRate(job)), weight: weights.budget },
+            skills: { score: this.scoreSkills(job.skills), weight: weights.skills },
+            experience: { score: this.scoreExperience(job.experience), weight: weights.experience },
+            location: { score: this.scoreLocation(job.location || (job.client && job.client.country), countries), weight: weights.location },
+            description: { score: this.scoreDescription(job.description), weight: weights.description },
+            client: { score: this.scoreClient(job.client), weight: weights.client }
+        };
     }
 
     /**
-     * Score budget adequacy
+     * Score budget adequacy on its USD amounts
+     * Hourly budgets and fixed prices with an implied rate are scored as hourly rates;
+     * fixed prices without one fall back to the total amount
      * @param {Object} budget - Budget object
+     * @param {Object|null} impliedRate - Implied hourly rate of a fixed-price job (see getImpliedRate)
      * @returns {number} - Score from 0-10
      */
-    scoreBudget(budget) {
+    scoreBudget(budget, impliedRate = null) {
         if (!budget) return 5; // Neutral score for unknown budget
 
-        const { type, min, max } = budget;
+        const usd = CurrencyService.getUsdRange(budget);
+        if (usd.min === null && usd.max === null) return 5; // Neutral when the currency has no rate
+
+        const type = budget.type;
+        const min = usd.min ?? usd.max;
+        const hourlyRate = type === 'hourly'
+            ? min
+            : (impliedRate ? (impliedRate.min ?? impliedRate.max) : null);
 
-        if (type === 'hourly') {
-            if (min >= 50) return 10; // Excellent hourly rate
-            if (min >= 30) return 8;  // Good hourly rate
-            if (min >= 20) return 6;  // Average hourly rate
-            if (min >= 10) return 4;  // Low hourly rate
+        if (hourlyRate !== null) {
+            if (hourlyRate >= 50) return 10; // Excellent hourly rate
+            if (hourlyRate >= 30) return 8;  // Good hourly rate
+            if (hourlyRate >= 20) return 6;  // Average hourly rate
+            if (hourlyRate >= 10) return 4;  // Low hourly rate
             return 2; // Very low hourly rate
         } else if (type === 'fixed') {
             if (min >= 5000) return 10; // Excellent fixed budget
@@ -200,37 +381,28 @@ class ScoringService {
     }
 
     /**
-     * Score location desirability
-     * @param {string} location - Location string
+     * Score location desirability on the exact country name, so "Russia" never matches "us"
+     * @param {string} location - Client country
+     * @param {Array} countries - Country scores, [{ country, score }]; the defaults when not given
      * @returns {number} - Score from 0-10
      */
-    scoreLocation(location) {
+    scoreLocation(location, countries = this.countryScores) {
         if (!location) return 5;
 
-        const locationLower = location.toLowerCase();
-        
-        // High-value locations
-        if (locationLower.includes('united states') || locationLower.includes('us')) return 10;
-        if (locationLower.includes('canada')) return 9;
-        if (locationLower.includes('uk') || locationLower.includes('united kingdom')) return 8;
-        if (locationLower.includes('australia')) return 8;
-        if (locationLower.includes('germany')) return 7;
-        if (locationLower.includes('france')) return 7;
-        if (locationLower.includes('japan')) return 7;
-        
-        // Medium-value locations
-        if (locationLower.includes('singapore')) return 6;
-        if (locationLower.includes('sweden')) return 6;
-        if (locationLower.includes('netherlands')) return 6;
-        if (locationLower.includes('switzerland')) return 6;
-        
-        // Lower-value locations (but still acceptable)
-        if (locationLower.includes('india')) return 4;
-        if (locationLower.includes('philippines')) return 4;
-        if (locationLower.includes('pakistan')) return 3;
-        if (locationLower.includes('bangladesh')) return 3;
+        const country = this.normalizeCountry(location);
+        const entry = countries.find(candidate => this.normalizeCountry(candidate.country) === country);
 
-        return 5; // Default neutral score
+        return entry ? entry.score : 5; // Default neutral score
+    }
+
+    /**
+     * Normalize a country name for comparison: "U.S.A." and "United States of America" become "united states"
+     * @param {string} country - Country name
+     * @returns {string} - Lower-case name
+     */
+    normalizeCountry(country) {
+        const name = String(country || '').toLowerCase().replace(/\./g, '').replace(/\s+/g, ' ').trim();
+        return this.countryAliases[name] || name;
     }
 
     /**
@@ -274,27 +446,46 @@ class ScoringService {
     }
 
     /**
-     * Score client information
-     * @param {string} clientInfo - Client information
+     * Score client reputation from the structured client data
+     * Each known value moves the score away from neutral; unknown values are ignored
+     * @param {Object|null} client - Client data (payment, spend, hire rate, rating, hourly rate paid)
      * @returns {number} - Score from 0-10
      */
-    scoreClientInfo(clientInfo) {
-        if (!clientInfo) return 5;
+    scoreClient(client) {
+        if (!client) return 5;
 
+        const known = value => value !== null && value !== undefined;
         let score = 5; // Base score
-        const clientLower = clientInfo.toLowerCase();
 
-        // Positive indicators
-        if (clientLower.includes('verified')) score += 2;
-        if (clientLower.includes('payment verified')) score += 2;
-        if (clientLower.includes('top rated')) score += 1;
-        if (clientLower.includes('plus')) score += 1;
-        if (clientLower.includes('enterprise')) score += 1;
+        if (known(client.paymentVerified)) {
+            score += client.paymentVerified ? 1.5 : -2;
+        }
 
-        // Negative indicators
-        if (clientLower.includes('new')) score -= 1;
-        if (clientLower.includes('0%')) score -= 2;
-        if (clientLower.includes('no feedback')) score -= 1;
+        if (known(client.totalSpent)) {
+            if (client.totalSpent >= 100000) score += 2;
+            else if (client.totalSpent >= 10000) score += 1.5;
+            else if (client.totalSpent >= 1000) score += 0.5;
+            else if (client.totalSpent === 0) score -= 1;
+        }
+
+        // A low hire rate only means something once the client has posted a few jobs
+        if (known(client.hireRate) && (client.jobsPosted || 0) >= 3) {
+            if (client.hireRate >= 70) score += 1;
+            else if (client.hireRate >= 40) score += 0.5;
+            else if (client.hireRate < 20) score -= 1.5;
+        }
+
+        if (known(client.rating) && client.reviewsCount > 0) {
+            if (client.rating >= 4.8) score += 1;
+            else if (client.rating >= 4.5) score += 0.5;
+            else if (client.rating < 4) score -= 1.5;
+        }
+
+        if (known(client.avgHourlyRate)) {
+            if (client.avgHourlyRate >= 50) score += 1;
+            else if (client.avgHourlyRate >= 25) score += 0.5;
+            else if (client.avgHourlyRate < 15) score -= 1;
+        }
 
         return Math.max(0, Math.min(10, score));
     }
@@ -364,6 +555,56 @@ class ScoringService {
         };
     }
 
+    /**
+     * Estimate the hours of work a job needs
+     * An AI analysis with `estimatedHours` is used as is; otherwise duration and complexity
+     * (from the analysis, or read from the description) are looked up in the effort table
+     * @param {Object} job - The job data
+     * @param {Object|null} analysis - AI analysis of the job (see analyzeJob)
+     * @returns {Object} - { hours, duration, complexity, basis: 'analysis' | 'description' }
+     */
+    estimateEffort(job, analysis = null) {
+        if (analysis && analysis.estimatedHours > 0) {
+            return {
+                hours: analysis.estimatedHours,
+                duration: analysis.duration || null,
+                complexity: analysis.complexity || null,
+                basis: 'analysis'
+            };
+        }
+
+        const text = `${job.title || ''} ${job.fullDescription || job.description || ''}`;
+        const fromAnalysis = Boolean(analysis && this.effortHours[analysis.duration] &&
+            this.effortHours[analysis.duration][analysis.complexity]);
+        const duration = fromAnalysis ? analysis.duration : this.extractDuration(text);
+        const complexity = fromAnalysis ? analysis.complexity : this.extractComplexity(text);
+
+        return {
+            hours: this.effortHours[duration][complexity],
+            duration,
+            complexity,
+            basis: fromAnalysis ? 'analysis' : 'description'
+        };
+    }
+
+    /**
+     * Get the hourly rate a fixed-price job implies, in USD
+     * @param {Object} job - The job data
+     * @param {Object|null} analysis - AI analysis of the job, when there is one
+     * @returns {Object|null} - { min, max, hours, duration, complexity, basis }, or null for hourly and unknown budgets
+     */
+    getImpliedRate(job, analysis = null) {
+        if (!job.budget || job.budget.type !== 'fixed') return null;
+
+        const usd = CurrencyService.getUsdRange(job.budget);
+        if (usd.min === null && usd.max === null) return null;
+
+        const effort = this.estimateEffort(job, analysis);
+        const rate = amount => (amount === null ? null : Math.round(amount / effort.hours * 100) / 100);
+
+        return { min: rate(usd.min), max: rate(usd.max), ...effort };
+    }
+
     /**
      * Extract experience level from description
      * @param {string} description - Job description
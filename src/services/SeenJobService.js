@@ -0,0 +1,270 @@
+/**
+ * Service for persistent job deduplication
+ * Remembers handled jobs in MongoDB (or a JSON file while MongoDB is unavailable) and detects reposts under a new ID
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const Logger = require('../utils/Logger');
+
+class SeenJobService {
+    /**
+     * @param {Object|null} seenJobModel - SeenJobModel; without it only the file store is used
+     * @param {Object} options - Store options
+     * @param {string} options.filePath - Fallback file used while MongoDB is unavailable
+     * @param {number} options.ttlDays - Days a job is remembered after it was last listed
+     * @param {number} options.similarity - Word overlap (0-1) from which a job counts as a repost
+     */
+    constructor(seenJobModel, options = {}) {
+        this.seenJobModel = seenJobModel;
+        this.filePath = options.filePath || process.env.SEEN_JOBS_PATH || 'data/seen-jobs.json';
+        this.ttlMs = (options.ttlDays || parseFloat(process.env.SEEN_JOB_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+        this.similarity = options.similarity || parseFloat(process.env.REPOST_SIMILARITY) || 0.85;
+
+        // Reposts are only compared on descriptions with enough words to tell jobs apart
+        this.minDescriptionWords = 5;
+
+        // File store entries, loaded on first use
+        this.fileEntries = null;
+        this.fileWrite = Promise.resolve();
+    }
+
+    /**
+     * Check whether a job was seen before, under its own ID or as a repost
+     * A job seen again under its own ID has its expiry pushed back
+     * @param {Object} job - The job data (with `source` and `externalId`)
+     * @returns {Object} - { duplicate, reason: 'id' | 'repost', original }
+     */
+    async check(job) {
+        const entry = this.buildEntry(job);
+        const fileEntries = await this.loadFileEntries();
+        const useDatabase = this.isDatabaseAvailable();
+
+        let stored = fileEntries.find(candidate => this.isSameJob(candidate, entry));
+        if (!stored && useDatabase) {
+            stored = await this.fromDatabase(() => this.seenJobModel.findBySourceId(entry.source, entry.externalId));
+        }
+
+        if (stored) {
+            await this.touch(entry, useDatabase);
+            return { duplicate: true, reason: 'id', original: stored };
+        }
+
+        if (!entry.descriptionKey) {
+            return { duplicate: false };
+        }
+
+        // Jobs sharing fewer words than this cannot reach the similarity threshold, whatever their length
+        const minShared = Math.ceil(this.similarity * entry.tokens.length);
+
+        let candidates = fileEntries.filter(candidate => candidate.descriptionKey);
+        if (useDatabase) {
+            candidates = candidates.concat(await this.fromDatabase(() => this.seenJobModel.findCandidates(entry, minShared)) || []);
+        }
+
+        let original = null;
+        let bestSimilarity = this.similarity;
+        for (const candidate of candidates) {
+            if (this.isSameJob(candidate, entry)) continue;
+
+            const similarity = this.getSimilarity(candidate.tokens, entry.tokens);
+            if (similarity >= bestSimilarity) {
+                original = candidate;
+                bestSimilarity = similarity;
+            }
+        }
+
+        return original ? { duplicate: true, reason: 'repost', original } : { duplicate: false };
+    }
+
+    /**
+     * Record a job as seen
+     * @param {Object} job - The job data
+     * @returns {boolean} - Whether this call recorded the job (false when it, or another process, already had)
+     */
+    async markSeen(job) {
+        const entry = this.buildEntry(job);
+
+        if (this.isDatabaseAvailable()) {
+            const claimed = await this.fromDatabase(() => this.seenJobModel.claim(entry));
+            if (claimed !== undefined) return claimed;
+        }
+
+        const fileEntries = await this.loadFileEntries();
+        if (fileEntries.some(candidate => this.isSameJob(candidate, entry))) {
+            return false;
+        }
+
+        fileEntries.push(entry);
+        await this.saveFileEntries();
+        return true;
+    }
+
+    /**
+     * Forget a job, so the next poll handles it again (used when processing it failed)
+     * @param {Object} job - The job data
+     */
+    async forget(job) {
+        const entry = this.buildEntry(job);
+
+        if (this.isDatabaseAvailable()) {
+            await this.fromDatabase(() => this.seenJobModel.remove(entry.source, entry.externalId));
+        }
+
+        const fileEntries = await this.loadFileEntries();
+        const index = fileEntries.findIndex(candidate => this.isSameJob(candidate, entry));
+        if (index !== -1) {
+            fileEntries.splice(index, 1);
+            await this.saveFileEntries();
+        }
+    }
+
+    /**
+     * Push back the expiry of a job that is still being listed
+     * @param {Object} entry - Seen job entry with the new expiry
+     * @param {boolean} useDatabase - Whether MongoDB is available
+     */
+    async touch(entry, useDatabase) {
+        if (useDatabase) {
+            await this.fromDatabase(() => this.seenJobModel.touch(entry.source, entry.externalId, entry.expiresAt));
+        }
+
+        const stored = (this.fileEntries || []).find(candidate => this.isSameJob(candidate, entry));
+        if (stored) {
+            stored.expiresAt = entry.expiresAt;
+            await this.saveFileEntries();
+        }
+    }
+
+    /**
+     * Build the stored entry of a job
+     * @param {Object} job - The job data
+     * @returns {Object} - Seen job entry
+     */
+    buildEntry(job) {
+        const description = this.normalize(job.description);
+        const descriptionWords = description ? description.split(' ') : [];
+
+        return {
+            source: job.source || 'upwork',
+            externalId: String(job.externalId),
+            title: job.title || '',
+            titleKey: this.normalize(job.title),
+            descriptionKey: descriptionWords.length >= this.minDescriptionWords
+                ? crypto.createHash('sha1').update(description.substring(0, 300)).digest('hex')
+                : null,
+            tokens: this.tokenize(`${job.title || ''} ${job.description || ''}`),
+            expiresAt: new Date(Date.now() + this.ttlMs)
+        };
+    }
+
+    /**
+     * Lower-case text and reduce it to words separated by single spaces
+     * @param {string} text - Text to normalize
+     */
+    normalize(text) {
+        return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    }
+
+    /**
+     * Get the distinct words of a text, ignoring very short ones
+     * @param {string} text - Text to split
+     * @returns {Array} - At most 300 words
+     */
+    tokenize(text) {
+        const words = this.normalize(text).split(' ').filter(word => word.length >= 3);
+        return Array.from(new Set(words)).slice(0, 300);
+    }
+
+    /**
+     * Jaccard similarity of two word lists
+     * @param {Array} a - Words of one job
+     * @param {Array} b - Words of another job
+     * @returns {number} - 0 (nothing shared) to 1 (same words)
+     */
+    getSimilarity(a = [], b = []) {
+        if (a.length === 0 || b.length === 0) return 0;
+
+        const words = new Set(a);
+        const shared = b.filter(word => words.has(word)).length;
+        return shared / (words.size + b.length - shared);
+    }
+
+    /**
+     * Check whether two entries are the same job
+     */
+    isSameJob(a, b) {
+        return a.source === b.source && a.externalId === b.externalId;
+    }
+
+    /**
+     * Check whether the MongoDB store can be used
+     */
+    isDatabaseAvailable() {
+        return Boolean(this.seenJobModel && this.seenJobModel.isAvailable());
+    }
+
+    /**
+     * Run a MongoDB store operation, falling back to the file store when it fails
+     * @param {Function} operation - Store operation
+     * @returns {*} - The operation's result, or undefined when it failed
+     */
+    async fromDatabase(operation) {
+        try {
+            return await operation();
+        } catch (error) {
+            Logger.warn(`Seen jobs database unavailable, using ${this.filePath}: ${error.message}`);
+            return undefined;
+        }
+    }
+
+    /**
+     * Load the file store, dropping expired entries
+     * @returns {Array} - Seen job entries
+     */
+    async loadFileEntries() {
+        if (this.fileEntries) {
+            return this.fileEntries;
+        }
+
+        let entries = [];
+        try {
+            entries = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                Logger.warn(`Could not read seen jobs file ${this.filePath}: ${error.message}`);
+            }
+        }
+
+        const now = Date.now();
+        this.fileEntries = (Array.isArray(entries) ? entries : [])
+            .map(entry => ({ ...entry, expiresAt: new Date(entry.expiresAt) }))
+            .filter(entry => entry.expiresAt.getTime() > now);
+
+        return this.fileEntries;
+    }
+
+    /**
+     * Write the file store, dropping expired entries
+     * Writes are queued so they never interleave
+     */
+    async saveFileEntries() {
+        const now = Date.now();
+        this.fileEntries = this.fileEntries.filter(entry => entry.expiresAt.getTime() > now);
+        const data = JSON.stringify(this.fileEntries);
+
+        this.fileWrite = this.fileWrite.then(async () => {
+            try {
+                await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.writeFile(this.filePath, data);
+            } catch (error) {
+                Logger.error(`Error writing seen jobs file ${this.filePath}:`, error);
+            }
+        });
+
+        await this.fileWrite;
+    }
+}
+
+module.exports = SeenJobService;
@@ -0,0 +1,90 @@
+/**
+ * Service for personal job alerts
+ * Matches jobs against user subscriptions and rate limits direct messages per user
+ */
+
+class SubscriptionService {
+    /**
+     * @param {Object} routingService - Shared condition matcher (subscriptions use a subset of routing conditions)
+     * @param {Object} options - Rate limit options
+     */
+    constructor(routingService, options = {}) {
+        this.routingService = routingService;
+        this.maxAlerts = options.maxAlerts || parseInt(process.env.ALERT_DM_LIMIT) || 10;
+        this.windowMs = (options.windowMinutes || parseInt(process.env.ALERT_DM_WINDOW_MINUTES) || 60) * 60 * 1000;
+
+        // User ID -> timestamps of recent alert DMs
+        this.deliveries = new Map();
+    }
+
+    /**
+     * Group matching subscriptions by user
+     * @param {Array} subscriptions - Active subscriptions
+     * @param {Object} job - The job data
+     * @returns {Map} - User ID -> matching subscriptions
+     */
+    getMatchesByUser(subscriptions, job) {
+        const matches = new Map();
+
+        for (const subscription of subscriptions) {
+            if (subscription.paused || !this.matchesSubscription(subscription, job)) continue;
+
+            if (!matches.has(subscription.userId)) {
+                matches.set(subscription.userId, []);
+            }
+            matches.get(subscription.userId).push(subscription);
+        }
+
+        return matches;
+    }
+
+    /**
+     * Check whether a job satisfies a subscription
+     * @param {Object} subscription - The subscription
+     * @param {Object} job - The job data
+     * @returns {boolean} - Whether the subscription matches
+     */
+    matchesSubscription(subscription, job) {
+        const conditions = subscription.conditions || {};
+
+        return this.routingService.matchesRule({
+            conditions: {
+                minScore: conditions.minScore,
+                minFitScore: conditions.minFitScore,
+                minBudget: conditions.minBudget,
+                categories: conditions.categories,
+                skills: conditions.skills,
+                keywords: conditions.keywords
+            }
+        }, job);
+    }
+
+    /**
+     * Take one alert from a user's allowance
+     * @param {string} userId - Discord user ID
+     * @param {number} now - Current time in milliseconds
+     * @returns {boolean} - Whether the user may receive another alert
+     */
+    tryConsume(userId, now = Date.now()) {
+        const recent = (this.deliveries.get(userId) || []).filter(time => now - time < this.windowMs);
+
+        if (recent.length >= this.maxAlerts) {
+            this.deliveries.set(userId, recent);
+            return false;
+        }
+
+        recent.push(now);
+        this.deliveries.set(userId, recent);
+        return true;
+    }
+
+    /**
+     * Describe a subscription's conditions in one line
+     * @param {Object} subscription - The subscription
+     */
+    describeSubscription(subscription) {
+        return this.routingService.describeRule(subscription);
+    }
+}
+
+module.exports = SubscriptionService;
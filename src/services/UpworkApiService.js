@@ -0,0 +1,436 @@
+/**
+ * Service for the official Upwork GraphQL API
+ * Handles OAuth2 tokens (client credentials or refresh token) and paginated marketplace job search
+ */
+
+const axios = require('axios');
+const Logger = require('../utils/Logger');
+
+const JOB_SEARCH_QUERY = `
+query marketplaceJobPostingsSearch($filter: MarketplaceJobPostingsSearchFilter, $sort: [MarketplaceJobPostingSearchSortAttribute]) {
+    marketplaceJobPostingsSearch(marketPlaceJobFilter: $filter, searchType: USER_JOBS_SEARCH, sortAttributes: $sort) {
+        totalCount
+        edges {
+            node {
+                id
+                ciphertext
+                title
+                description
+                category
+                subcategory
+                createdDateTime
+                publishedDateTime
+                experienceLevel
+                duration
+                amount { rawValue currency }
+                hourlyBudgetMin { rawValue currency }
+                hourlyBudgetMax { rawValue currency }
+                skills { name prettyName }
+                client {
+                    companyRid
+                    totalHires
+                    totalPostedJobs
+                    totalReviews
+                    totalFeedback
+                    verificationStatus
+                    location { country city }
+                    totalSpent { rawValue currency }
+                }
+            }
+        }
+        pageInfo {
+            hasNextPage
+            endCursor
+        }
+    }
+}`;
+
+class UpworkApiService {
+    /**
+     * @param {Object} tokenStore - Token persistence with get(provider) and save(provider, token) (ApiTokenModel)
+     * @param {Object} options - Overrides for the UPWORK_* environment settings
+     */
+    constructor(tokenStore = null, options = {}) {
+        this.tokenStore = tokenStore;
+        this.provider = 'upwork';
+
+        this.apiUrl = options.apiUrl || process.env.UPWORK_API_URL || 'https://api.upwork.com/graphql';
+        this.tokenUrl = options.tokenUrl || process.env.UPWORK_TOKEN_URL || 'https://www.upwork.com/api/v3/oauth2/token';
+        this.clientId = options.clientId || process.env.UPWORK_CLIENT_ID || null;
+        this.clientSecret = options.clientSecret || process.env.UPWORK_CLIENT_SECRET || null;
+        this.refreshToken = options.refreshToken || process.env.UPWORK_REFRESH_TOKEN || null;
+
+        this.pageSize = options.pageSize || 50;
+        this.maxPages = options.maxPages || 10;
+
+        // Refresh a little early so a token never expires mid-request
+        this.expiryMarginMs = 60 * 1000;
+
+        this.token = null;
+        this.tokenLoaded = false;
+        this.pendingToken = null;
+        this.lastFetchTime = null;
+    }
+
+    /**
+     * Check whether API credentials are configured
+     */
+    isConfigured() {
+        return Boolean(this.clientId && this.clientSecret);
+    }
+
+    /**
+     * Search marketplace job postings, following pages until the limit is reached
+     * @param {Object} options - Search options
+     * @param {string} options.keywords - Search expression
+     * @param {Array} options.skills - Skills (any must match)
+     * @param {number} options.limit - Maximum number of jobs
+     * @returns {Array} - Jobs in the common job shape
+     */
+    async searchJobs(options = {}) {
+        try {
+            Logger.info('Fetching jobs from the Upwork API...');
+
+            const limit = options.limit || 50;
+            const jobs = [];
+            let after = null;
+
+            for (let page = 0; page < this.maxPages && jobs.length < limit; page++) {
+                const data = await this.request(JOB_SEARCH_QUERY, {
+                    filter: this.buildSearchFilter(options, after, Math.min(this.pageSize, limit - jobs.length)),
+                    sort: [{ field: 'RECENCY' }]
+                });
+
+                const result = data.marketplaceJobPostingsSearch;
+                if (!result) {
+                    throw new Error('Upwork API response has no marketplaceJobPostingsSearch result');
+                }
+
+                for (const edge of result.edges || []) {
+                    if (edge && edge.node && jobs.length < limit) {
+                        jobs.push(this.mapJob(edge.node));
+                    }
+                }
+
+                if (!result.pageInfo || !result.pageInfo.hasNextPage || !result.pageInfo.endCursor) {
+                    break;
+                }
+                after = result.pageInfo.endCursor;
+            }
+
+            this.lastFetchTime = new Date();
+            Logger.info(`Fetched ${jobs.length} jobs from the Upwork API`);
+
+            return jobs;
+        } catch (error) {
+            Logger.error('Error fetching jobs from the Upwork API:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Build the job search filter
+     * @param {Object} options - Search options
+     * @param {string|null} after - Cursor of the previous page
+     * @param {number} first - Page size
+     */
+    buildSearchFilter(options, after, first) {
+        const filter = {
+            pagination_eq: { first }
+        };
+
+        if (after) {
+            filter.pagination_eq.after = after;
+        }
+
+        if (options.keywords) {
+            filter.searchExpression_eq = options.keywords;
+        }
+
+        if (options.skills && options.skills.length > 0) {
+            filter.skillExpression_eq = options.skills.join(' OR ');
+        }
+
+        return filter;
+    }
+
+    /**
+     * Run a GraphQL request, refreshing the access token once if it was rejected
+     * @param {string} query - GraphQL query
+     * @param {Object} variables - Query variables
+     * @returns {Object} - Response data
+     */
+    async request(query, variables = {}) {
+        for (let attempt = 1; attempt <= 2; attempt++) {
+            const token = await this.getAccessToken();
+
+            try {
+                const response = await axios.post(this.apiUrl, { query, variables }, {
+                    headers: {
+                        'Authorization': `${token.tokenType || 'Bearer'} ${token.accessToken}`,
+                        'Content-Type': 'application/json'
+                    },
+                    timeout: 30000
+                });
+
+                const { data, errors } = response.data || {};
+                if (errors && errors.length > 0) {
+                    throw new Error(`Upwork API error: ${errors.map(error => error.message).join('; ')}`);
+                }
+
+                return data || {};
+            } catch (error) {
+                if (attempt === 1 && error.response && error.response.status === 401) {
+                    Logger.warn('Upwork API rejected the access token, requesting a new one');
+                    // Only the access token is dropped: the stored refresh token is used to replace it
+                    this.token = { ...this.token, accessToken: null };
+                    continue;
+                }
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Get a valid access token, loading it from the token store or requesting a new one
+     * Concurrent callers share a single token request
+     * @returns {Object} - Token ({ accessToken, refreshToken, tokenType, expiresAt })
+     */
+    async getAccessToken() {
+        if (!this.isConfigured()) {
+            throw new Error('Upwork API credentials are not configured (UPWORK_CLIENT_ID, UPWORK_CLIENT_SECRET)');
+        }
+
+        if (!this.tokenLoaded) {
+            this.token = await this.loadToken();
+            this.tokenLoaded = true;
+        }
+
+        if (this.isTokenValid(this.token)) {
+            return this.token;
+        }
+
+        if (!this.pendingToken) {
+            this.pendingToken = this.obtainToken().finally(() => {
+                this.pendingToken = null;
+            });
+        }
+
+        return await this.pendingToken;
+    }
+
+    /**
+     * Request a new token, preferring the refresh token grant when a refresh token is known
+     * Falls back to client credentials when the refresh token is rejected
+     */
+    async obtainToken() {
+        const refreshToken = (this.token && this.token.refreshToken) || this.refreshToken;
+
+        let token;
+        if (refreshToken) {
+            try {
+                token = await this.requestToken({ grant_type: 'refresh_token', refresh_token: refreshToken });
+            } catch (error) {
+                if (!error.response || ![400, 401].includes(error.response.status)) {
+                    throw error;
+                }
+                Logger.warn('Upwork refresh token was rejected, falling back to client credentials');
+            }
+        }
+
+        if (!token) {
+            token = await this.requestToken({ grant_type: 'client_credentials' });
+        }
+
+        // Keep the previous refresh token when the server does not rotate it
+        if (!token.refreshToken && token.grantType === 'refresh_token') {
+            token.refreshToken = refreshToken;
+        }
+
+        this.token = token;
+        await this.saveToken(token);
+
+        Logger.info(`Obtained Upwork API access token (${token.grantType}), expires ${token.expiresAt.toISOString()}`);
+        return token;
+    }
+
+    /**
+     * Call the OAuth2 token endpoint
+     * @param {Object} params - Grant parameters
+     * @returns {Object} - Token
+     */
+    async requestToken(params) {
+        const body = new URLSearchParams({
+            ...params,
+            client_id: this.clientId,
+            client_secret: this.clientSecret
+        });
+
+        const response = await axios.post(this.tokenUrl, body.toString(), {
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'Accept': 'application/json'
+            },
+            timeout: 30000
+        });
+
+        const data = response.data || {};
+        if (!data.access_token) {
+            throw new Error('Upwork token response has no access_token');
+        }
+
+        return {
+            accessToken: data.access_token,
+            refreshToken: data.refresh_token || null,
+            tokenType: data.token_type || 'Bearer',
+            scope: data.scope || null,
+            grantType: params.grant_type,
+            expiresAt: new Date(Date.now() + (parseInt(data.expires_in) || 3600) * 1000)
+        };
+    }
+
+    /**
+     * Check whether a token exists and is not about to expire
+     * @param {Object|null} token - Token
+     */
+    isTokenValid(token) {
+        return Boolean(token && token.accessToken && token.expiresAt &&
+            new Date(token.expiresAt).getTime() - this.expiryMarginMs > Date.now());
+    }
+
+    /**
+     * Load the persisted token; a missing store or database only costs a new token request
+     */
+    async loadToken() {
+        if (!this.tokenStore) return null;
+
+        try {
+            const token = await this.tokenStore.get(this.provider);
+            return token ? { ...token, expiresAt: token.expiresAt ? new Date(token.expiresAt) : null } : null;
+        } catch (error) {
+            Logger.warn(`Could not load the stored Upwork API token: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Persist a token so refresh tokens survive restarts
+     * @param {Object} token - Token
+     */
+    async saveToken(token) {
+        if (!this.tokenStore) return;
+
+        try {
+            await this.tokenStore.save(this.provider, token);
+        } catch (error) {
+            Logger.warn(`Could not store the Upwork API token: ${error.message}`);
+        }
+    }
+
+    /**
+     * Map a job posting node into the common job shape
+     * @param {Object} node - MarketplaceJobPosting node
+     * @returns {Object} - Job
+     */
+    mapJob(node) {
+        const ciphertext = node.ciphertext || `~${node.id}`;
+        const client = node.client || {};
+
+        return {
+            upworkId: ciphertext.replace(/^~/, ''),
+            title: node.title || '',
+            description: node.description || '',
+            url: `https://www.upwork.com/jobs/${ciphertext}`,
+            budget: this.mapBudget(node),
+            skills: (node.skills || []).map(skill => skill.prettyName || skill.name).filter(Boolean),
+            clientInfo: this.describeClient(client),
+            client: this.mapClient(client),
+            clientId: client.companyRid ? String(client.companyRid) : null,
+            location: (client.location && client.location.country) || '',
+            category: node.category || undefined,
+            createdAt: new Date(node.publishedDateTime || node.createdDateTime || Date.now()),
+            source: 'upwork'
+        };
+    }
+
+    /**
+     * Build a budget from the hourly range or the fixed amount
+     * @param {Object} node - MarketplaceJobPosting node
+     */
+    mapBudget(node) {
+        const value = money => (money && parseFloat(money.rawValue)) || null;
+
+        const currency = money => (money && money.currency) || 'USD';
+
+        const hourlyMin = value(node.hourlyBudgetMin);
+        const hourlyMax = value(node.hourlyBudgetMax);
+        if (hourlyMin || hourlyMax) {
+            return {
+                type: 'hourly',
+                min: hourlyMin || hourlyMax,
+                max: hourlyMin ? hourlyMax : null,
+                currency: currency(node.hourlyBudgetMin || node.hourlyBudgetMax)
+            };
+        }
+
+        const amount = value(node.amount);
+        return amount ? { type: 'fixed', min: amount, max: null, currency: currency(node.amount) } : null;
+    }
+
+    /**
+     * Map the client node into the structured client data stored on jobs
+     * @param {Object} client - Client node
+     */
+    mapClient(client) {
+        const number = value => (value === undefined || value === null ? null : Number(value));
+        const jobsPosted = number(client.totalPostedJobs);
+        const totalHires = number(client.totalHires);
+
+        return {
+            paymentVerified: client.verificationStatus ? client.verificationStatus === 'VERIFIED' : null,
+            totalSpent: client.totalSpent ? number(parseFloat(client.totalSpent.rawValue)) : null,
+            hireRate: jobsPosted && totalHires !== null ? Math.min(100, Math.round(totalHires / jobsPosted * 100)) : null,
+            totalHires,
+            jobsPosted,
+            avgHourlyRate: null,
+            rating: client.totalReviews ? number(client.totalFeedback) : null,
+            reviewsCount: number(client.totalReviews),
+            country: (client.location && client.location.country) || null,
+            memberSince: null
+        };
+    }
+
+    /**
+     * Summarize the client in one line, like the client info of scraped job cards
+     * @param {Object} client - Client node
+     */
+    describeClient(client) {
+        const parts = [];
+
+        if (client.verificationStatus === 'VERIFIED') parts.push('Payment verified');
+        if (client.totalFeedback) parts.push(`${Number(client.totalFeedback).toFixed(1)} rating (${client.totalReviews || 0} reviews)`);
+        if (client.totalSpent && parseFloat(client.totalSpent.rawValue)) parts.push(`$${Math.round(parseFloat(client.totalSpent.rawValue))} spent`);
+        if (client.totalHires) parts.push(`${client.totalHires} hires`);
+
+        return parts.join(', ');
+    }
+
+    /**
+     * Check that credentials are configured and a token can be obtained
+     * @returns {Object} - { healthy, message }
+     */
+    async checkAccess() {
+        if (!this.isConfigured()) {
+            return { healthy: false, message: 'Not configured (set UPWORK_CLIENT_ID and UPWORK_CLIENT_SECRET)' };
+        }
+
+        try {
+            const token = await this.getAccessToken();
+            return { healthy: true, message: `Token valid until ${new Date(token.expiresAt).toISOString()}` };
+        } catch (error) {
+            return { healthy: false, message: error.message };
+        }
+    }
+}
+
+module.exports = UpworkApiService;
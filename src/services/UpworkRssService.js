@@ -0,0 +1,206 @@
+/**
+ * Service for fetching jobs from Upwork RSS/Atom search feeds
+ * Parses feed items into the same job shape as scraped job cards
+ */
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const UpworkService = require('./UpworkService');
+const Logger = require('../utils/Logger');
+const JobParser = require('../utils/JobParser');
+
+class UpworkRssService extends UpworkService {
+    constructor() {
+        super();
+        this.feedUrl = process.env.UPWORK_RSS_URL || 'https://www.upwork.com/ab/feed/jobs/rss';
+    }
+
+    /**
+     * Fetch jobs from an Upwork search feed
+     * @param {Object} options - Fetch options (same as UpworkService.fetchJobs)
+     * @param {string} options.feedUrl - Full feed URL, used as-is instead of building one from the filters
+     */
+    async fetchJobs(options = {}) {
+        try {
+            Logger.info('Fetching jobs from Upwork RSS feed...');
+
+            const url = options.feedUrl || this.feedUrl;
+            const params = options.feedUrl ? undefined : this.buildFeedParams(options);
+
+            const response = await axios.get(url, {
+                params,
+                headers: {
+                    'User-Agent': this.headers['User-Agent'],
+                    'Accept': 'application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8'
+                },
+                timeout: 30000
+            });
+
+            if (response.status !== 200) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const jobs = this.parseFeed(response.data);
+            const processedJobs = await this.processJobs(jobs, options);
+
+            this.lastFetchTime = new Date();
+            Logger.info(`Fetched ${processedJobs.length} jobs from Upwork RSS feed`);
+
+            return processedJobs;
+        } catch (error) {
+            Logger.error('Error fetching jobs from Upwork RSS feed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Build query parameters for the search feed
+     * @param {Object} options - Search options
+     */
+    buildFeedParams(options) {
+        const params = {
+            sort: 'recency',
+            paging: `0;${options.limit || 50}`
+        };
+
+        const terms = [options.keywords, ...(options.skills || [])].filter(Boolean);
+        if (terms.length > 0) {
+            params.q = terms.join(' ');
+        }
+
+        return params;
+    }
+
+    /**
+     * Parse an RSS 2.0 or Atom feed into jobs
+     * @param {string} xml - Feed XML
+     * @returns {Array} - Parsed jobs
+     */
+    parseFeed(xml) {
+        const $ = cheerio.load(xml, { xmlMode: true });
+        const jobs = [];
+
+        $('item, entry').each((index, element) => {
+            try {
+                const job = this.parseFeedItem($, element);
+                if (job) {
+                    jobs.push(job);
+                }
+            } catch (error) {
+                Logger.error(`Error parsing feed item ${index}:`, error);
+            }
+        });
+
+        return jobs;
+    }
+
+    /**
+     * Parse a single RSS item or Atom entry
+     * @param {Object} $ - Cheerio object
+     * @param {Object} element - Item or entry element
+     */
+    parseFeedItem($, element) {
+        const $item = $(element);
+
+        const title = $item.children('title').first().text().trim().replace(/\s+-\s+Upwork$/, '');
+        const $link = $item.children('link').first();
+        const url = ($link.attr('href') || $link.text()).trim();
+        const html = $item.children('description, content, summary').first().text();
+        const published = $item.children('pubDate, published, updated').first().text().trim();
+
+        if (!title || !url) {
+            return null;
+        }
+
+        const fields = this.parseDescriptionFields(html);
+
+        return {
+            upworkId: this.extractJobId(this.decodeUrl(url)) || $item.children('guid, id').first().text().trim(),
+            title,
+            description: this.htmlToText(html.split(/<b>/i)[0]),
+            url: url.replace(/\?source=rss$/, ''),
+            budget: this.parseFeedBudget(fields),
+            skills: this.splitSkills(fields.skills),
+            clientInfo: '',
+            location: fields.country || '',
+            createdAt: this.parseFeedDate(fields['posted on'] || published),
+            source: 'upwork'
+        };
+    }
+
+    /**
+     * Extract the `<b>Label</b>: value` fields Upwork appends to feed descriptions
+     * @param {string} html - Item description HTML
+     * @returns {Object} - Lowercased label -> text value
+     */
+    parseDescriptionFields(html) {
+        const fields = {};
+        const pattern = /<b>\s*([^<]+?)\s*<\/b>\s*:?\s*([\s\S]*?)(?=<br\s*\/?>|<b>|$)/gi;
+        let match;
+
+        while ((match = pattern.exec(html)) !== null) {
+            fields[match[1].toLowerCase()] = this.htmlToText(match[2]);
+        }
+
+        return fields;
+    }
+
+    /**
+     * Build a budget from the Hourly Range or Budget field
+     * @param {Object} fields - Description fields
+     */
+    parseFeedBudget(fields) {
+        const hourly = fields['hourly range'];
+        const fixed = fields['budget'];
+
+        return JobParser.parseBudget(hourly || fixed, { type: hourly ? 'hourly' : 'fixed' });
+    }
+
+    /**
+     * Split the Skills field into a list
+     * @param {string} text - Comma-separated skills
+     */
+    splitSkills(text) {
+        if (!text) return [];
+
+        return text.split(',')
+            .map(skill => skill.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Parse a feed date such as "October 18, 2026 14:03 UTC" or an RFC 822/ISO date
+     * @param {string} text - Date text
+     */
+    parseFeedDate(text) {
+        return JobParser.parseDate(text) || new Date();
+    }
+
+    /**
+     * Convert an HTML fragment to plain text, keeping line breaks
+     * @param {string} html - HTML fragment
+     */
+    htmlToText(html) {
+        const withBreaks = (html || '').replace(/<br\s*\/?>/gi, '\n');
+
+        return cheerio.load(withBreaks, null, false).text()
+            .replace(/[ \t]+/g, ' ')
+            .replace(/ *\n */g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * Decode a feed link so encoded `%7E` job IDs can be extracted
+     * @param {string} url - Feed link
+     */
+    decodeUrl(url) {
+        try {
+            return decodeURIComponent(url);
+        } catch (error) {
+            return url;
+        }
+    }
+}
+
+module.exports = UpworkRssService;
@@ -6,6 +6,8 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
 const Logger = require('../utils/Logger');
+const JobParser = require('../utils/JobParser');
+const CurrencyService = require('./CurrencyService');
 
 class UpworkService {
     constructor() {
@@ -26,7 +28,6 @@ class UpworkService {
         };
         
         this.lastFetchTime = null;
-        this.jobCache = new Map();
         this.retryCount = 0;
         this.maxRetries = 3;
     }
@@ -38,6 +39,8 @@ class UpworkService {
      * @param {string} options.category - Job category filter
      * @param {number} options.minBudget - Minimum budget filter
      * @param {number} options.maxBudget - Maximum budget filter
+     * @param {Array} options.skills - Skills filter (any must match)
+     * @param {string} options.keywords - Search keywords
      */
     async fetchJobs(options = {}) {
         try {
@@ -48,7 +51,8 @@ class UpworkService {
                 category = null,
                 minBudget = null,
                 maxBudget = null,
-                skills = []
+                skills = [],
+                keywords = null
             } = options;
 
             // Build search parameters
@@ -57,7 +61,8 @@ class UpworkService {
                 category,
                 minBudget,
                 maxBudget,
-                skills
+                skills,
+                keywords
             });
 
             // Add random delay to avoid rate limiting
@@ -85,14 +90,9 @@ class UpworkService {
         } catch (error) {
             Logger.error('Error fetching jobs from Upwork:', error);
             
-            // If it's a 403 error, try with different headers
+            // Anti-bot protection blocks the search page; the API source is the supported alternative
             if (error.response && error.response.status === 403) {
-                Logger.warn('Received 403 error, Upwork may have anti-bot protection enabled');
-                Logger.warn('Consider using Upwork API or implementing proper authentication');
-                
-                // Return mock data for testing purposes
-                Logger.info('Returning mock job data for testing');
-                return this.getMockJobs(options);
+                throw new Error('Upwork blocked the search page (HTTP 403). Configure the upwork-api source (UPWORK_CLIENT_ID, UPWORK_CLIENT_SECRET) instead');
             }
             
             throw error;
@@ -158,6 +158,11 @@ class UpworkService {
             limit: options.limit || 50
         };
 
+        // Add keyword search
+        if (options.keywords) {
+            params.q = options.keywords;
+        }
+
         // Add category filter
         if (options.category) {
             params.category = options.category;
@@ -278,70 +283,19 @@ class UpworkService {
     /**
      * Parse budget text into structured object
      * @param {string} budgetText - Budget text from job listing
+     * @returns {Object|null} - { type: 'fixed'|'hourly', min, max, currency }
      */
     parseBudget(budgetText) {
-        try {
-            if (!budgetText) return null;
-            
-            // Handle different budget formats
-            const hourlyMatch = budgetText.match(/\$(\d+)-?\$?(\d+)?\s*\/hr/);
-            const fixedMatch = budgetText.match(/\$(\d+)-?\$?(\d+)?\s*fixed/);
-            const rangeMatch = budgetText.match(/\$(\d+)-?\$?(\d+)?/);
-            
-            if (hourlyMatch) {
-                return {
-                    type: 'hourly',
-                    min: parseInt(hourlyMatch[1]),
-                    max: hourlyMatch[2] ? parseInt(hourlyMatch[2]) : null
-                };
-            } else if (fixedMatch) {
-                return {
-                    type: 'fixed',
-                    min: parseInt(fixedMatch[1]),
-                    max: fixedMatch[2] ? parseInt(fixedMatch[2]) : null
-                };
-            } else if (rangeMatch) {
-                return {
-                    type: 'unknown',
-                    min: parseInt(rangeMatch[1]),
-                    max: rangeMatch[2] ? parseInt(rangeMatch[2]) : null
-                };
-            }
-            
-            return null;
-        } catch (error) {
-            Logger.error('Error parsing budget:', error);
-            return null;
-        }
+        return JobParser.parseBudget(budgetText);
     }
 
     /**
      * Parse posted time into Date object
+     * Unknown text falls back to the current time
      * @param {string} postedTime - Posted time text
      */
     parsePostedTime(postedTime) {
-        try {
-            if (!postedTime) return new Date();
-            
-            const now = new Date();
-            
-            // Handle different time formats
-            if (postedTime.includes('hour')) {
-                const hours = parseInt(postedTime.match(/(\d+)/)[1]);
-                return new Date(now.getTime() - hours * 60 * 60 * 1000);
-            } else if (postedTime.includes('day')) {
-                const days = parseInt(postedTime.match(/(\d+)/)[1]);
-                return new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
-            } else if (postedTime.includes('week')) {
-                const weeks = parseInt(postedTime.match(/(\d+)/)[1]);
-                return new Date(now.getTime() - weeks * 7 * 24 * 60 * 60 * 1000);
-            }
-            
-            return new Date();
-        } catch (error) {
-            Logger.error('Error parsing posted time:', error);
-            return new Date();
-        }
+        return JobParser.parsePostedTime(postedTime) || new Date();
     }
 
     /**
@@ -355,19 +309,11 @@ class UpworkService {
             
             for (const job of jobs) {
                 try {
-                    // Skip if job already exists in cache
-                    if (this.jobCache.has(job.upworkId)) {
-                        continue;
-                    }
-                    
                     // Apply filters
                     if (!this.applyFilters(job, options)) {
                         continue;
                     }
                     
-                    // Add to cache
-                    this.jobCache.set(job.upworkId, job);
-                    
                     // Add to processed jobs
                     processedJobs.push(job);
                     
@@ -394,16 +340,17 @@ class UpworkService {
      */
     applyFilters(job, filters) {
         try {
-            // Category filter
-            if (filters.category && job.category !== filters.category) {
+            // Category filter (scraped jobs are only categorized after scoring)
+            if (filters.category && job.category && job.category !== filters.category) {
                 return false;
             }
             
-            // Budget filters
-            if (filters.minBudget && job.budget && job.budget.min < filters.minBudget) {
+            // Budget filters are in USD; Upwork lists budgets in USD, so other currencies are not filtered here
+            const budget = CurrencyService.getUsdRange(job.budget);
+            if (filters.minBudget && budget.min !== null && budget.min < filters.minBudget) {
                 return false;
             }
-            if (filters.maxBudget && job.budget && job.budget.max > filters.maxBudget) {
+            if (filters.maxBudget && budget.max !== null && budget.max > filters.maxBudget) {
                 return false;
             }
             
@@ -453,17 +400,19 @@ class UpworkService {
     }
 
     /**
-     * Parse detailed job information
+     * Parse detailed job information from a job detail page
      * @param {string} html - HTML content
      * @param {string} jobId - Job ID
+     * @returns {Object} - Job details with structured client, activity and screening questions
      */
     async parseJobDetails(html, jobId) {
         try {
             const $ = cheerio.load(html);
             
-            const title = $('[data-test="job-title"]').text().trim();
-            const description = $('[data-test="job-description"]').text().trim();
-            const budget = this.parseBudget($('[data-test="budget"]').text().trim());
+            const title = $('[data-test="job-title"]').first().text().trim();
+            const fullDescription = this.parseDetailDescription($);
+            const $budget = $('[data-test="budget"]').first();
+            const budget = this.parseDetailBudget($budget.text(), $budget.closest('li').text());
             const skills = [];
             
             $('[data-test="skills"] span').each((index, element) => {
@@ -473,21 +422,24 @@ class UpworkService {
                 }
             });
             
-            const clientInfo = $('[data-test="client-info"]').text().trim();
-            const location = $('[data-test="location"]').text().trim();
-            const experience = $('[data-test="experience-level"]').text().trim();
+            const client = this.parseClientDetails($);
+            const experience = this.parseExperienceLevel($('[data-test="experience-level"]').first().text());
             
             return {
                 upworkId: jobId,
                 title,
-                description,
+                description: fullDescription,
+                fullDescription,
                 budget,
                 skills,
-                clientInfo,
-                location,
                 experience,
+                client,
+                // Detail pages show no client ID; only the API's company ID links a client's jobs
+                clientId: null,
+                activity: this.parseClientActivity($),
+                screeningQuestions: this.parseScreeningQuestions($),
+                location: client.country || '',
                 url: `${this.baseUrl}/jobs/~${jobId}`,
-                createdAt: new Date(),
                 source: 'upwork'
             };
         } catch (error) {
@@ -497,107 +449,202 @@ class UpworkService {
     }
 
     /**
-     * Clear job cache
+     * Get the full description, keeping paragraph and list breaks
+     * @param {Object} $ - Cheerio object
+     */
+    parseDetailDescription($) {
+        // Source formatting whitespace is collapsed first, so only tags produce line breaks
+        const html = ($('[data-test="Description"], [data-test="job-description"]').first().html() || '').replace(/\s+/g, ' ');
+        const $description = cheerio.load(html, null, false);
+
+        $description('br').replaceWith('\n');
+        $description('p, li').each((index, element) => {
+            const $element = $description(element);
+            $element.prepend($element.is('li') ? '\n- ' : '\n\n');
+        });
+
+        return $description.root().text()
+            .replace(/[ \t]+/g, ' ')
+            .replace(/ *\n */g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * Build a budget from the detail page amount and its label (Hourly / Fixed-price)
+     * @param {string} amountText - Budget amount, e.g. "$35.00-$60.00"
+     * @param {string} labelText - Text around the amount
      */
-    clearCache() {
-        this.jobCache.clear();
-        Logger.info('Job cache cleared');
+    parseDetailBudget(amountText, labelText) {
+        return JobParser.parseBudget(amountText, {
+            type: /hourly|\/hr/i.test(labelText || '') ? 'hourly' : 'fixed'
+        });
     }
 
     /**
-     * Get cache statistics
+     * Map an experience level label to the stored level
+     * @param {string} text - e.g. "Expert", "Intermediate", "Entry level"
+     * @returns {string|null} - entry, intermediate, expert or null
+     */
+    parseExperienceLevel(text) {
+        const value = (text || '').toLowerCase();
+
+        if (value.includes('expert')) return 'expert';
+        if (value.includes('intermediate')) return 'intermediate';
+        if (value.includes('entry')) return 'entry';
+        return null;
+    }
+
+    /**
+     * Parse the "About the client" section
+     * Missing values stay null so unknown is never mistaken for zero
+     * @param {Object} $ - Cheerio object
+     * @returns {Object} - Structured client data
+     */
+    parseClientDetails($) {
+        const $client = $('[data-test="about-client-container"]').first();
+        const text = $client.text().replace(/\s+/g, ' ');
+
+        const verification = text.match(/payment method (not )?verified/i);
+        const rating = text.match(/(\d(?:\.\d+)?) of ([\d,]+) reviews?/i);
+        const jobsPosted = text.match(/([\d,]+) jobs? posted/i);
+        const hireRate = text.match(/(\d+)% hire rate/i);
+        const totalSpent = text.match(/\$([\d,.]+)\s*([KM])?\+? total spent/i);
+        const hires = text.match(/([\d,]+) hires?\b/i);
+        const avgHourlyRate = text.match(/\$([\d,]+(?:\.\d+)?)\s*\/hr avg hourly rate paid/i);
+        const memberSince = text.match(/member since ([A-Za-z]{3,9}\.? \d{1,2}, \d{4})/i);
+
+        return {
+            paymentVerified: verification ? !verification[1] : null,
+            totalSpent: totalSpent ? this.parseAmount(totalSpent[1], totalSpent[2]) : null,
+            hireRate: hireRate ? parseInt(hireRate[1]) : null,
+            totalHires: hires ? this.parseCount(hires[1]) : null,
+            jobsPosted: jobsPosted ? this.parseCount(jobsPosted[1]) : null,
+            avgHourlyRate: avgHourlyRate ? parseFloat(avgHourlyRate[1].replace(/,/g, '')) : null,
+            rating: rating ? parseFloat(rating[1]) : null,
+            reviewsCount: rating ? this.parseCount(rating[2]) : (/no reviews yet/i.test(text) ? 0 : null),
+            country: $client.find('[data-qa="client-location"] strong').first().text().trim() || null,
+            memberSince: memberSince ? this.parseDetailDate(memberSince[1]) : null
+        };
+    }
+
+    /**
+     * Parse the "Activity on this job" section
+     * @param {Object} $ - Cheerio object
+     * @returns {Object} - Proposal range, interviews and invites
      */
-    getCacheStats() {
+    parseClientActivity($) {
+        const values = {};
+
+        $('[data-test="client-activity"] li').each((index, element) => {
+            const $item = $(element);
+            const label = $item.find('.title').text().replace(/:$/, '').trim().toLowerCase();
+            values[label] = $item.find('.value').text().trim();
+        });
+
+        const proposals = this.parseProposals(values.proposals);
+        const count = value => (value === undefined || value === '' ? null : this.parseCount(value));
+
         return {
-            size: this.jobCache.size,
-            lastFetch: this.lastFetchTime
+            proposalsText: values.proposals || null,
+            proposalsMin: proposals.min,
+            proposalsMax: proposals.max,
+            interviewing: count(values.interviewing),
+            invitesSent: count(values['invites sent']),
+            unansweredInvites: count(values['unanswered invites'])
         };
     }
 
     /**
-     * Get mock job data for testing when Upwork is not accessible
-     * @param {Object} options - Job options
-     * @returns {Array} - Mock job data
+     * Parse a proposal count band such as "Less than 5", "10 to 15" or "50+"
+     * @param {string} text - Proposal count text
+     * @returns {Object} - { min, max } (max is null for open-ended bands)
+     */
+    parseProposals(text) {
+        if (!text) return { min: null, max: null };
+
+        const lessThan = text.match(/less than (\d+)/i);
+        if (lessThan) return { min: 0, max: parseInt(lessThan[1]) - 1 };
+
+        const range = text.match(/(\d+)\s*to\s*(\d+)/i);
+        if (range) return { min: parseInt(range[1]), max: parseInt(range[2]) };
+
+        const open = text.match(/(\d+)\+/);
+        if (open) return { min: parseInt(open[1]), max: null };
+
+        const exact = text.match(/\d+/);
+        return exact ? { min: parseInt(exact[0]), max: parseInt(exact[0]) } : { min: null, max: null };
+    }
+
+    /**
+     * Parse the screening questions asked when submitting a proposal
+     * @param {Object} $ - Cheerio object
+     * @returns {Array} - Questions
      */
-    getMockJobs(options = {}) {
-        const mockJobs = [
-            {
-                upworkId: 'mock-1',
-                title: 'React Developer Needed for E-commerce Platform',
-                description: 'We are looking for an experienced React developer to help build a modern e-commerce platform. The ideal candidate should have experience with React, Node.js, and MongoDB.',
-                url: 'https://www.upwork.com/jobs/~mock1',
-                budget: { min: 2000, max: 5000, type: 'fixed' },
-                skills: ['React', 'Node.js', 'MongoDB', 'JavaScript'],
-                category: 'Web Development',
-                score: 8.5,
-                location: 'United States',
-                clientInfo: 'Established company with 50+ projects',
-                experience: 'intermediate',
-                postedAt: new Date()
-            },
-            {
-                upworkId: 'mock-2',
-                title: 'Python Data Scientist for Machine Learning Project',
-                description: 'Seeking a Python developer with expertise in machine learning and data analysis. Experience with TensorFlow, Pandas, and NumPy required.',
-                url: 'https://www.upwork.com/jobs/~mock2',
-                budget: { min: 3000, max: 8000, type: 'fixed' },
-                skills: ['Python', 'Machine Learning', 'TensorFlow', 'Pandas'],
-                category: 'Data Science',
-                score: 9.2,
-                location: 'Remote',
-                clientInfo: 'Startup with innovative AI solutions',
-                experience: 'expert',
-                postedAt: new Date()
-            },
-            {
-                upworkId: 'mock-3',
-                title: 'UI/UX Designer for Mobile App',
-                description: 'Looking for a creative UI/UX designer to design a mobile app interface. Experience with Figma, Adobe XD, and mobile design principles required.',
-                url: 'https://www.upwork.com/jobs/~mock3',
-                budget: { min: 1500, max: 3000, type: 'fixed' },
-                skills: ['UI/UX Design', 'Figma', 'Adobe XD', 'Mobile Design'],
-                category: 'Design & Creative',
-                score: 7.8,
-                location: 'Canada',
-                clientInfo: 'Mobile app development company',
-                experience: 'intermediate',
-                postedAt: new Date()
+    parseScreeningQuestions($) {
+        const questions = [];
+
+        $('[data-test="screening-questions"] li').each((index, element) => {
+            const question = $(element).text().replace(/\s+/g, ' ').trim();
+            if (question) {
+                questions.push(question);
             }
-        ];
+        });
 
-        // Filter mock jobs based on options
-        let filteredJobs = mockJobs;
-        
-        if (options.category) {
-            filteredJobs = filteredJobs.filter(job => 
-                job.category.toLowerCase().includes(options.category.toLowerCase())
-            );
-        }
+        return questions;
+    }
 
-        if (options.minBudget) {
-            filteredJobs = filteredJobs.filter(job => 
-                job.budget.max >= options.minBudget
-            );
-        }
+    /**
+     * Parse an amount such as "25", "1.2" with an optional K or M suffix
+     */
+    parseAmount(value, suffix) {
+        const amount = parseFloat(value.replace(/,/g, ''));
+        const multiplier = { K: 1000, M: 1000000 }[(suffix || '').toUpperCase()] || 1;
+        return Math.round(amount * multiplier);
+    }
 
-        if (options.maxBudget) {
-            filteredJobs = filteredJobs.filter(job => 
-                job.budget.min <= options.maxBudget
-            );
-        }
+    /**
+     * Parse a count such as "1,980"
+     */
+    parseCount(value) {
+        const count = parseInt(String(value).replace(/,/g, ''));
+        return isNaN(count) ? null : count;
+    }
 
-        if (options.skills && options.skills.length > 0) {
-            filteredJobs = filteredJobs.filter(job => 
-                options.skills.some(skill => 
-                    job.skills.some(jobSkill => 
-                        jobSkill.toLowerCase().includes(skill.toLowerCase())
-                    )
-                )
-            );
-        }
+    /**
+     * Parse a date such as "Mar 12, 2019" as a UTC date
+     */
+    parseDetailDate(text) {
+        return JobParser.parseDate(text);
+    }
 
-        return filteredJobs.slice(0, options.limit || 50);
+    /**
+     * Check that an Upwork URL answers without blocking us
+     * Makes a single request, without the retries of makeRequest
+     * @param {string} url - URL to check
+     * @returns {Object} - { healthy, message }
+     */
+    async checkAccess(url) {
+        try {
+            const response = await axios.get(url, {
+                headers: this.headers,
+                timeout: 10000,
+                validateStatus: () => true
+            });
+
+            if (response.status === 200) {
+                return { healthy: true, message: 'OK' };
+            }
+
+            return {
+                healthy: false,
+                message: response.status === 403 ? 'Blocked by anti-bot protection (HTTP 403)' : `HTTP ${response.status}`
+            };
+        } catch (error) {
+            return { healthy: false, message: error.message };
+        }
     }
+
 }
 
 module.exports = UpworkService; 
\ No newline at end of file
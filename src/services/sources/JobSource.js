@@ -0,0 +1,161 @@
+/**
+ * Base class for job source adapters
+ * Adapters fetch jobs from one place (a site, a feed, a file) and return them in the common job shape
+ */
+
+const CurrencyService = require('../CurrencyService');
+
+class JobSource {
+    /**
+     * @param {string} name - Registry name of the adapter (e.g. 'upwork', 'feed')
+     * @param {string} jobSource - Value stored in each job's `source` field; jobs are deduplicated on (source, externalId)
+     */
+    constructor(name, jobSource = name) {
+        this.name = name;
+        this.jobSource = jobSource;
+
+        // Whether fetched jobs are card-level and worth enriching through getDetails
+        this.enrichDetails = false;
+
+        // Recent external IDs per query, so repeated polls only return new jobs;
+        // older jobs are caught by the persistent seen jobs store
+        this.seen = new Map();
+        this.seenLimit = 1000;
+
+        // Set by the registry; converts budgets to USD when jobs are stamped
+        this.currencyService = null;
+    }
+
+    /**
+     * Fetch new jobs
+     * @param {Object} options - Fetch options (keywords, skills, minBudget, maxBudget, limit, queryId and adapter-specific options)
+     * @returns {Array} - Jobs with `source` and `externalId` set
+     */
+    async fetch(options = {}) {
+        throw new Error(`Job source ${this.name} does not implement fetch`);
+    }
+
+    /**
+     * Get full details of a job
+     * @param {string} externalId - Source-specific job ID
+     * @returns {Object|null} - Job details (fullDescription, client, activity, screeningQuestions, ...), or null when the source has no detail view
+     */
+    async getDetails(externalId) {
+        return null;
+    }
+
+    /**
+     * Check whether the source is reachable and configured
+     * @returns {Object} - { healthy, message }
+     */
+    async healthCheck() {
+        return { healthy: true, message: 'OK' };
+    }
+
+    /**
+     * Stamp a job with this adapter's source and external ID, and add USD amounts to its budget
+     * @param {Object} job - The job data
+     * @param {string} externalId - Source-specific job ID
+     */
+    toJob(job, externalId) {
+        const stamped = {
+            ...job,
+            source: this.jobSource,
+            externalId: String(externalId)
+        };
+
+        if (job.budget && this.currencyService) {
+            stamped.budget = this.currencyService.normalizeBudget(job.budget);
+        }
+
+        return stamped;
+    }
+
+    /**
+     * Drop jobs already returned for a query and jobs that do not match the filters
+     * @param {Array} jobs - Fetched jobs
+     * @param {Object} options - Fetch options
+     * @returns {Array} - New matching jobs, at most `options.limit`
+     */
+    filterNew(jobs, options = {}) {
+        return this.dropSeen(jobs.filter(job => this.matchesFilters(job, options)), options);
+    }
+
+    /**
+     * Drop jobs already returned for a query
+     * Each query remembers its last `seenLimit` IDs
+     * @param {Array} jobs - Fetched jobs
+     * @param {Object} options - Fetch options (`queryId`, `limit`)
+     * @returns {Array} - New jobs, at most `options.limit`
+     */
+    dropSeen(jobs, options = {}) {
+        const scope = options.queryId || 'default';
+        if (!this.seen.has(scope)) {
+            this.seen.set(scope, new Set());
+        }
+
+        const seen = this.seen.get(scope);
+        const results = [];
+
+        for (const job of jobs) {
+            if (seen.has(job.externalId)) continue;
+
+            seen.add(job.externalId);
+            if (seen.size > this.seenLimit) {
+                // Sets iterate in insertion order, so this is the oldest ID
+                seen.delete(seen.values().next().value);
+            }
+            results.push(job);
+
+            if (results.length >= (options.limit || 50)) break;
+        }
+
+        return results;
+    }
+
+    /**
+     * Forget a job returned for a query, so the next poll returns it again (used when processing it failed)
+     * @param {string} externalId - Source-specific job ID
+     * @param {Object} options - Fetch options (`queryId`)
+     */
+    forgetSeen(externalId, options = {}) {
+        const seen = this.seen.get(options.queryId || 'default');
+        if (seen) {
+            seen.delete(String(externalId));
+        }
+    }
+
+    /**
+     * Check a job against the common fetch filters
+     * @param {Object} job - The job data
+     * @param {Object} options - Fetch options
+     */
+    matchesFilters(job, options) {
+        if (options.keywords) {
+            const text = `${job.title || ''} ${job.description || ''}`.toLowerCase();
+            const words = String(options.keywords).toLowerCase().split(/\s+/).filter(Boolean);
+            if (!words.every(word => text.includes(word))) return false;
+        }
+
+        // Only sources that know a job's category can filter on it
+        if (options.category && job.category && job.category.toLowerCase() !== String(options.category).toLowerCase()) {
+            return false;
+        }
+
+        if (options.skills && options.skills.length > 0) {
+            const jobSkills = (job.skills || []).map(skill => skill.toLowerCase());
+            if (!options.skills.some(skill => jobSkills.includes(skill.toLowerCase()))) return false;
+        }
+
+        // Budget filters are in USD; budgets in a currency without a rate are not filtered
+        const budget = CurrencyService.getUsdRange(job.budget);
+        if (budget.min !== null || budget.max !== null) {
+            if (options.minBudget && (budget.max || budget.min || 0) < options.minBudget) return false;
+            if (options.maxBudget && (budget.min || 0) > options.maxBudget) return false;
+        }
+
+        return true;
+    }
+}
+
+module.exports = JobSource;
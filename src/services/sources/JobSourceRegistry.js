@@ -0,0 +1,188 @@
+/**
+ * Registry of job source adapters
+ * Lets the monitor look up adapters by name and poll any number of them
+ */
+
+const Logger = require('../../utils/Logger');
+
+class JobSourceRegistry {
+    /**
+     * @param {Object} options - Registry options
+     * @param {boolean} options.demoMode - Poll only the mock source (DEMO_MODE)
+     * @param {Object} options.currencyService - CurrencyService given to every adapter for budget conversion
+     */
+    constructor(options = {}) {
+        this.sources = new Map();
+        this.demoMode = Boolean(options.demoMode);
+        this.currencyService = options.currencyService || null;
+
+        // Source name -> { degraded, since, lastError, failures } from the latest fetches
+        this.status = new Map();
+
+        // Names used by earlier saved queries
+        this.aliases = {
+            scrape: 'upwork',
+            rss: 'upwork-rss'
+        };
+    }
+
+    /**
+     * Register an adapter under its name
+     * @param {Object} source - A JobSource instance
+     */
+    register(source) {
+        if (this.sources.has(source.name)) {
+            throw new Error(`Job source ${source.name} is already registered`);
+        }
+
+        if (this.currencyService && !source.currencyService) {
+            source.currencyService = this.currencyService;
+        }
+
+        this.sources.set(source.name, source);
+        Logger.info(`Registered job source: ${source.name}`);
+        return this;
+    }
+
+    /**
+     * Get an adapter by name
+     * @param {string} name - Adapter name
+     * @returns {Object} - The adapter
+     */
+    get(name) {
+        const source = this.sources.get(this.aliases[name] || name);
+        if (!source) {
+            throw new Error(`Unknown job source: ${name}`);
+        }
+        return source;
+    }
+
+    /**
+     * Check whether an adapter is registered
+     * @param {string} name - Adapter name
+     */
+    has(name) {
+        return this.sources.has(this.aliases[name] || name);
+    }
+
+    /**
+     * Get the names of all registered adapters
+     * @returns {Array} - Adapter names
+     */
+    getNames() {
+        return Array.from(this.sources.keys());
+    }
+
+    /**
+     * Get the adapters to poll when no saved queries exist
+     * Reads JOB_SOURCES (comma-separated names), defaulting to Upwork; demo mode polls only the mock source
+     * @returns {Array} - Adapters
+     */
+    getDefaultSources() {
+        if (this.demoMode) {
+            return [this.get('mock')];
+        }
+
+        const names = (process.env.JOB_SOURCES || 'upwork')
+            .split(',')
+            .map(name => name.trim())
+            .filter(Boolean);
+
+        return names
+            .filter(name => {
+                if (this.has(name)) return true;
+                Logger.warn(`JOB_SOURCES lists unknown job source ${name}, ignoring it`);
+                return false;
+            })
+            .map(name => this.get(name));
+    }
+
+    /**
+     * Run the health check of every adapter
+     * A source whose last fetch failed is reported as degraded even when its check passes
+     * @returns {Array} - { name, healthy, message, degraded, degradedSince, lastError }
+     */
+    async healthCheckAll() {
+        const results = [];
+
+        for (const source of this.sources.values()) {
+            let result;
+            try {
+                result = { name: source.name, ...(await source.healthCheck()) };
+            } catch (error) {
+                result = { name: source.name, healthy: false, message: error.message };
+            }
+
+            const status = this.getStatus(source.name);
+            results.push({
+                ...result,
+                degraded: status.degraded,
+                degradedSince: status.since,
+                lastError: status.lastError
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * Get the fetch status of a source
+     * @param {string} name - Adapter name
+     * @returns {Object} - { degraded, since, lastError, failures }
+     */
+    getStatus(name) {
+        return this.status.get(name) || { degraded: false, since: null, lastError: null, failures: 0 };
+    }
+
+    /**
+     * Get the sources whose last fetch failed
+     * @returns {Array} - { name, since, lastError, failures }
+     */
+    getDegradedSources() {
+        return Array.from(this.status.entries())
+            .filter(([, status]) => status.degraded)
+            .map(([name, status]) => ({ name, ...status }));
+    }
+
+    /**
+     * Record a failed fetch
+     * @param {string} name - Adapter name
+     * @param {Error} error - The fetch error
+     * @returns {boolean} - Whether the source just became degraded
+     */
+    markDegraded(name, error) {
+        const status = this.getStatus(name);
+        const becameDegraded = !status.degraded;
+
+        this.status.set(name, {
+            degraded: true,
+            since: status.since || new Date(),
+            lastError: error.message,
+            failures: status.failures + 1
+        });
+
+        if (becameDegraded) {
+            Logger.warn(`Job source ${name} is degraded: ${error.message}`);
+        }
+        return becameDegraded;
+    }
+
+    /**
+     * Record a successful fetch
+     * @param {string} name - Adapter name
+     * @returns {Object|null} - The previous degraded status when the source just recovered, otherwise null
+     */
+    markHealthy(name) {
+        const status = this.getStatus(name);
+        this.status.delete(name);
+
+        if (!status.degraded) {
+            return null;
+        }
+
+        Logger.info(`Job source ${name} recovered after ${status.failures} failed fetches`);
+        return status;
+    }
+}
+
+module.exports = JobSourceRegistry;
@@ -0,0 +1,101 @@
+/**
+ * Job source adapter for a local JSON file
+ * Useful for feeding jobs exported from other boards or for testing the pipeline
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const JobSource = require('./JobSource');
+
+class JsonFileSource extends JobSource {
+    /**
+     * @param {string} filePath - Default file, set by the bot's configuration
+     * @param {string} directory - Directory that holds the files saved queries may name
+     */
+    constructor(filePath = process.env.JOB_SOURCE_JSON_PATH || 'data/jobs.json', directory = process.env.JOB_SOURCE_JSON_DIR || 'data') {
+        super('json-file', 'json-file');
+        this.filePath = filePath;
+        this.directory = directory;
+    }
+
+    /**
+     * Read new jobs from the file
+     * @param {Object} options - Fetch options; `filePath` overrides the default file and is resolved inside the query directory
+     */
+    async fetch(options = {}) {
+        const jobs = await this.readJobs(options.filePath ? this.resolveQueryPath(options.filePath) : this.filePath);
+        return this.filterNew(jobs, options);
+    }
+
+    /**
+     * Resolve a file named by a saved query
+     * Queries are created from Discord, so they may only read files inside the query directory
+     * @param {string} filePath - Path relative to the query directory
+     * @returns {string} - Absolute path of the file
+     */
+    resolveQueryPath(filePath) {
+        if (path.isAbsolute(filePath)) {
+            throw new Error(`file_path must be relative to ${this.directory}`);
+        }
+
+        const root = path.resolve(this.directory);
+        const resolved = path.resolve(root, filePath);
+        if (!resolved.startsWith(root + path.sep)) {
+            throw new Error(`file_path must be a file inside ${this.directory}`);
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Get a job from the default file by ID
+     * @param {string} externalId - The job's `id` in the file
+     */
+    async getDetails(externalId) {
+        const jobs = await this.readJobs(this.filePath);
+        return jobs.find(job => job.externalId === String(externalId)) || null;
+    }
+
+    /**
+     * Check that the default file exists and parses
+     */
+    async healthCheck() {
+        try {
+            const jobs = await this.readJobs(this.filePath);
+            return { healthy: true, message: `${jobs.length} jobs in ${this.filePath}` };
+        } catch (error) {
+            return { healthy: false, message: error.message };
+        }
+    }
+
+    /**
+     * Read and map the jobs in a file
+     * The file holds an array of jobs, or an object with a `jobs` array
+     * @param {string} filePath - Path to the JSON file
+     * @returns {Array} - Jobs
+     */
+    async readJobs(filePath) {
+        const content = await fs.readFile(path.resolve(filePath), 'utf8');
+        const data = JSON.parse(content);
+        const items = Array.isArray(data) ? data : data.jobs;
+
+        if (!Array.isArray(items)) {
+            throw new Error(`${filePath} must contain an array of jobs or a { "jobs": [...] } object`);
+        }
+
+        return items
+            .filter(item => item && item.id !== undefined && item.title)
+            .map(item => this.toJob({
+                title: item.title,
+                description: item.description || '',
+                url: item.url || '',
+                budget: item.budget || null,
+                skills: item.skills || [],
+                clientInfo: item.clientInfo || '',
+                location: item.location || '',
+                createdAt: item.createdAt ? new Date(item.createdAt) : new Date()
+            }, item.id));
+    }
+}
+
+module.exports = JsonFileSource;
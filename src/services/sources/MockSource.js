@@ -0,0 +1,81 @@
+/**
+ * Job source adapter producing demo jobs
+ * Only registered in demo mode (DEMO_MODE=true); every job it returns is flagged with `isMock`
+ */
+
+const JobSource = require('./JobSource');
+
+class MockSource extends JobSource {
+    constructor() {
+        super('mock', 'mock');
+
+        this.templates = [
+            {
+                title: 'React Developer Needed for E-commerce Platform',
+                description: 'We are looking for an experienced React developer to help build a modern e-commerce platform. The ideal candidate should have experience with React, Node.js, and MongoDB.',
+                budget: { min: 2000, max: 5000, type: 'fixed' },
+                skills: ['React', 'Node.js', 'MongoDB', 'JavaScript'],
+                location: 'United States',
+                clientInfo: 'Established company with 50+ projects',
+                experience: 'intermediate'
+            },
+            {
+                title: 'Python Data Scientist for Machine Learning Project',
+                description: 'Seeking a Python developer with expertise in machine learning and data analysis. Experience with TensorFlow, Pandas, and NumPy required.',
+                budget: { min: 3000, max: 8000, type: 'fixed' },
+                skills: ['Python', 'Machine Learning', 'TensorFlow', 'Pandas'],
+                location: 'Remote',
+                clientInfo: 'Startup with innovative AI solutions',
+                experience: 'expert'
+            },
+            {
+                title: 'UI/UX Designer for Mobile App',
+                description: 'Looking for a creative UI/UX designer to design a mobile app interface. Experience with Figma, Adobe XD, and mobile design principles required.',
+                budget: { min: 1500, max: 3000, type: 'fixed' },
+                skills: ['UI/UX Design', 'Figma', 'Adobe XD', 'Mobile Design'],
+                location: 'Canada',
+                clientInfo: 'Mobile app development company',
+                experience: 'intermediate'
+            }
+        ];
+    }
+
+    /**
+     * Generate a fresh batch of demo jobs
+     * IDs are unique per fetch so every demo cycle has new jobs to process
+     * @param {Object} options - Fetch options (the common filters apply)
+     */
+    async fetch(options = {}) {
+        const batch = Date.now().toString(36);
+
+        const jobs = this.templates.map((template, index) => {
+            const externalId = `demo-${batch}-${index + 1}`;
+
+            return this.toJob({
+                ...template,
+                url: `https://www.upwork.com/jobs/~${externalId}`,
+                createdAt: new Date()
+            }, externalId);
+        });
+
+        return this.filterNew(jobs, options);
+    }
+
+    /**
+     * Stamp a demo job with its source, ID and mock flag
+     * @param {Object} job - The job data
+     * @param {string} externalId - Demo job ID
+     */
+    toJob(job, externalId) {
+        return { ...super.toJob(job, externalId), isMock: true };
+    }
+
+    /**
+     * Demo jobs are generated locally, so the source is always available
+     */
+    async healthCheck() {
+        return { healthy: true, message: 'Demo mode: generating mock jobs' };
+    }
+}
+
+module.exports = MockSource;
@@ -0,0 +1,107 @@
+/**
+ * Job source adapter for generic RSS 2.0 and Atom feeds
+ * Each saved query supplies its own feed URL; item categories become skills
+ */
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const JobSource = require('./JobSource');
+const Logger = require('../../utils/Logger');
+
+class RssSource extends JobSource {
+    constructor() {
+        super('feed', 'feed');
+    }
+
+    /**
+     * Fetch new jobs from a feed
+     * @param {Object} options - Fetch options; `feedUrl` is required
+     */
+    async fetch(options = {}) {
+        if (!options.feedUrl) {
+            throw new Error('The feed job source needs a feed URL');
+        }
+
+        const response = await axios.get(options.feedUrl, {
+            headers: { 'Accept': 'application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8' },
+            timeout: 30000
+        });
+
+        const jobs = this.parseFeed(response.data);
+        Logger.info(`Fetched ${jobs.length} items from feed ${options.feedUrl}`);
+
+        return this.filterNew(jobs, options);
+    }
+
+    /**
+     * Parse an RSS 2.0 or Atom feed into jobs
+     * @param {string} xml - Feed XML
+     * @returns {Array} - Parsed jobs
+     */
+    parseFeed(xml) {
+        const $ = cheerio.load(xml, { xmlMode: true });
+        const jobs = [];
+
+        $('item, entry').each((index, element) => {
+            try {
+                const job = this.parseItem($, element);
+                if (job) {
+                    jobs.push(job);
+                }
+            } catch (error) {
+                Logger.error(`Error parsing feed item ${index}:`, error);
+            }
+        });
+
+        return jobs;
+    }
+
+    /**
+     * Parse a single RSS item or Atom entry
+     * @param {Object} $ - Cheerio object
+     * @param {Object} element - Item or entry element
+     */
+    parseItem($, element) {
+        const $item = $(element);
+
+        const title = $item.children('title').first().text().trim();
+        const $link = $item.children('link').first();
+        const url = ($link.attr('href') || $link.text()).trim();
+        const externalId = $item.children('guid, id').first().text().trim() || url;
+
+        if (!title || !externalId) {
+            return null;
+        }
+
+        const html = $item.children('description, content, summary').first().text();
+        const published = new Date($item.children('pubDate, published, updated').first().text().trim());
+
+        const skills = [];
+        $item.children('category').each((index, category) => {
+            const value = ($(category).attr('term') || $(category).text()).trim();
+            if (value) {
+                skills.push(value);
+            }
+        });
+
+        return this.toJob({
+            title,
+            description: cheerio.load(html.replace(/<br\s*\/?>/gi, '\n'), null, false).text().trim(),
+            url,
+            budget: null,
+            skills,
+            clientInfo: '',
+            location: '',
+            createdAt: isNaN(published.getTime()) ? new Date() : published
+        }, externalId);
+    }
+
+    /**
+     * The feed URL is configured per query, so there is nothing to check globally
+     */
+    async healthCheck() {
+        return { healthy: true, message: 'Feed URLs are configured per query' };
+    }
+}
+
+module.exports = RssSource;
@@ -0,0 +1,32 @@
+/**
+ * Job source adapter for the official Upwork GraphQL API
+ * Wraps UpworkApiService; jobs share the `upwork` source with scraped and feed jobs so all three dedupe together
+ */
+
+const JobSource = require('./JobSource');
+
+class UpworkApiSource extends JobSource {
+    constructor(upworkApiService) {
+        super('upwork-api', 'upwork');
+        this.upworkApiService = upworkApiService;
+    }
+
+    /**
+     * Fetch new jobs from the marketplace job search
+     * Keywords and skills are searched by the API; budget and category are filtered here
+     * @param {Object} options - Fetch options
+     */
+    async fetch(options = {}) {
+        const jobs = await this.upworkApiService.searchJobs(options);
+        return this.filterNew(jobs.map(job => this.toJob(job, job.upworkId)), options);
+    }
+
+    /**
+     * Check that credentials are configured and a token can be obtained
+     */
+    async healthCheck() {
+        return await this.upworkApiService.checkAccess();
+    }
+}
+
+module.exports = UpworkApiSource;
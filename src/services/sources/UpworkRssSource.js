@@ -0,0 +1,42 @@
+/**
+ * Job source adapter for Upwork RSS/Atom search feeds
+ * Wraps UpworkRssService; jobs share the `upwork` source with scraped jobs so both dedupe together
+ */
+
+const JobSource = require('./JobSource');
+
+class UpworkRssSource extends JobSource {
+    constructor(upworkRssService) {
+        super('upwork-rss', 'upwork');
+        this.upworkRssService = upworkRssService;
+        this.enrichDetails = true;
+    }
+
+    /**
+     * Fetch new jobs from an Upwork search feed
+     * Jobs already returned for the query are dropped
+     * @param {Object} options - Fetch options; `feedUrl` overrides the built feed URL
+     */
+    async fetch(options = {}) {
+        const jobs = await this.upworkRssService.fetchJobs(options);
+        return this.dropSeen(jobs.map(job => this.toJob(job, job.upworkId)), options);
+    }
+
+    /**
+     * Get full details of an Upwork job from its job page
+     * @param {string} externalId - Upwork job ID
+     */
+    async getDetails(externalId) {
+        const job = await this.upworkRssService.getJobDetails(externalId);
+        return this.toJob(job, externalId);
+    }
+
+    /**
+     * Check that the default feed answers
+     */
+    async healthCheck() {
+        return await this.upworkRssService.checkAccess(this.upworkRssService.feedUrl);
+    }
+}
+
+module.exports = UpworkRssSource;
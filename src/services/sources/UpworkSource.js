@@ -0,0 +1,42 @@
+/**
+ * Job source adapter for the Upwork job search page
+ * Wraps UpworkService scraping
+ */
+
+const JobSource = require('./JobSource');
+
+class UpworkSource extends JobSource {
+    constructor(upworkService) {
+        super('upwork', 'upwork');
+        this.upworkService = upworkService;
+        this.enrichDetails = true;
+    }
+
+    /**
+     * Fetch new jobs from the Upwork search page
+     * UpworkService applies the filters; jobs already returned for the query are dropped
+     * @param {Object} options - Fetch options
+     */
+    async fetch(options = {}) {
+        const jobs = await this.upworkService.fetchJobs(options);
+        return this.dropSeen(jobs.map(job => this.toJob(job, job.upworkId)), options);
+    }
+
+    /**
+     * Get full details of an Upwork job
+     * @param {string} externalId - Upwork job ID
+     */
+    async getDetails(externalId) {
+        const job = await this.upworkService.getJobDetails(externalId);
+        return this.toJob(job, externalId);
+    }
+
+    /**
+     * Check that the Upwork search page answers without blocking us
+     */
+    async healthCheck() {
+        return await this.upworkService.checkAccess(this.upworkService.searchUrl);
+    }
+}
+
+module.exports = UpworkSource;
@@ -0,0 +1,48 @@
+/**
+ * Event bus for the job pipeline
+ * Connects job fetching, scoring, storage and Discord distribution
+ */
+
+const EventEmitter = require('events');
+const Logger = require('./Logger');
+
+class EventBus extends EventEmitter {
+    /**
+     * Job pipeline event names
+     */
+    static EVENTS = {
+        JOB_FETCHED: 'jobFetched',
+        JOB_SCORED: 'jobScored',
+        JOB_PROCESSED: 'jobProcessed',
+        JOB_DISTRIBUTED: 'jobDistributed',
+        SOURCE_DEGRADED: 'sourceDegraded',
+        SOURCE_RECOVERED: 'sourceRecovered'
+    };
+
+    constructor() {
+        super();
+        this.setMaxListeners(50);
+    }
+
+    /**
+     * Subscribe an async handler to an event
+     * Errors thrown by the handler are logged instead of crashing the emitter
+     * @param {string} event - Event name
+     * @param {Function} handler - Async event handler
+     * @returns {Function} - The wrapped listener (for removal)
+     */
+    subscribe(event, handler) {
+        const listener = async (...args) => {
+            try {
+                await handler(...args);
+            } catch (error) {
+                Logger.error(`Error in ${event} handler:`, error);
+            }
+        };
+
+        this.on(event, listener);
+        return listener;
+    }
+}
+
+module.exports = EventBus;
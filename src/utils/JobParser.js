@@ -0,0 +1,180 @@
+/**
+ * Parsing utility for job listing text
+ * Turns budget and posted-time text from pages and feeds into structured values
+ */
+
+// Currency symbols found in budgets; longer symbols first so "CA$" wins over "A$" and "$"
+const CURRENCY_SYMBOLS = [
+    ['CA$', 'CAD'], ['AU$', 'AUD'], ['NZ$', 'NZD'], ['US$', 'USD'], ['HK$', 'HKD'],
+    ['A$', 'AUD'], ['C$', 'CAD'], ['S$', 'SGD'], ['R$', 'BRL'], ['$', 'USD'],
+    ['€', 'EUR'], ['£', 'GBP'], ['¥', 'JPY'], ['₹', 'INR'], ['₱', 'PHP'], ['₦', 'NGN'], ['₴', 'UAH'], ['zł', 'PLN']
+].map(([symbol, code]) => [new RegExp(`(?<![A-Za-z])${symbol.replace('$', '\\$')}`), code]);
+
+const CURRENCY_CODES = [
+    'USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'CHF', 'JPY', 'CNY', 'INR', 'PHP', 'PKR',
+    'BRL', 'MXN', 'PLN', 'SEK', 'NOK', 'DKK', 'SGD', 'HKD', 'ZAR', 'NGN', 'UAH', 'AED'
+];
+
+const NUMBER_PATTERN = /\d[\d.,]*(?:\s?[kKmM](?![a-zA-Z]))?/g;
+
+const UNIT_MS = {
+    second: 1000,
+    minute: 60 * 1000,
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000,
+    year: 365 * 24 * 60 * 60 * 1000
+};
+
+const UNIT_ALIASES = {
+    s: 'second', sec: 'second', secs: 'second', second: 'second', seconds: 'second',
+    m: 'minute', min: 'minute', mins: 'minute', minute: 'minute', minutes: 'minute',
+    h: 'hour', hr: 'hour', hrs: 'hour', hour: 'hour', hours: 'hour',
+    d: 'day', day: 'day', days: 'day',
+    w: 'week', wk: 'week', wks: 'week', week: 'week', weeks: 'week',
+    mo: 'month', month: 'month', months: 'month',
+    y: 'year', yr: 'year', yrs: 'year', year: 'year', years: 'year'
+};
+
+class JobParser {
+    /**
+     * Parse budget text such as "$1,500", "Hourly: $25.00 - $45.00", "Est. budget: €500" or "Up to £1.2K"
+     * @param {string} text - Budget text
+     * @param {Object} options - Parse options
+     * @param {string} options.type - Budget type to use when the text does not say ('fixed' or 'hourly')
+     * @returns {Object|null} - { type: 'fixed'|'hourly', min, max, currency }, or null when the text has no amount;
+     * `currency` is null when the text names no currency
+     */
+    static parseBudget(text, options = {}) {
+        if (!text) return null;
+
+        const value = String(text).replace(/\s+/g, ' ').trim();
+        const amounts = (value.match(NUMBER_PATTERN) || [])
+            .map(amount => JobParser.parseAmount(amount))
+            .filter(amount => amount !== null);
+        if (amounts.length === 0) return null;
+
+        const type = /\/\s*h(?:ou)?r\b|\bper hour\b|\bhourly\b|\ban hour\b/i.test(value)
+            ? 'hourly'
+            : (/\bfixed\b|\best\.? budget\b/i.test(value) ? 'fixed' : (options.type || 'fixed'));
+        const currency = JobParser.parseCurrency(value);
+
+        // "Up to $500" and "Less than $500" only give an upper bound
+        if (amounts.length === 1 && /\b(?:up to|less than|under|max(?:imum)?)\b/i.test(value)) {
+            return { type, min: null, max: amounts[0], currency };
+        }
+
+        const [min, max] = amounts.length > 1 ? [Math.min(amounts[0], amounts[1]), Math.max(amounts[0], amounts[1])] : [amounts[0], null];
+        return { type, min, max: max === min ? null : max, currency };
+    }
+
+    /**
+     * Parse an amount such as "1,500", "25.00", "1.500,00" or "2.5K"
+     * A single separator followed by exactly three digits is a thousands separator ("1,500", "1.500");
+     * otherwise the last separator is the decimal point
+     * @param {string} text - Amount text
+     * @returns {number|null} - Amount, or null when it is not a number
+     */
+    static parseAmount(text) {
+        const match = String(text || '').trim().match(/^(\d[\d.,]*)\s?([kKmM])?$/);
+        if (!match) return null;
+
+        let digits = match[1].replace(/[.,]$/, '');
+        const separators = digits.match(/[.,]/g) || [];
+        const last = Math.max(digits.lastIndexOf('.'), digits.lastIndexOf(','));
+
+        if (separators.length > 0) {
+            const decimals = digits.length - last - 1;
+            const mixed = new Set(separators).size > 1;
+            const thousandsOnly = !mixed && (separators.length > 1 || decimals === 3);
+
+            digits = thousandsOnly
+                ? digits.replace(/[.,]/g, '')
+                : `${digits.slice(0, last).replace(/[.,]/g, '')}.${digits.slice(last + 1)}`;
+        }
+
+        const amount = parseFloat(digits);
+        if (isNaN(amount)) return null;
+
+        const multiplier = { K: 1000, M: 1000000 }[(match[2] || '').toUpperCase()] || 1;
+        return Math.round(amount * multiplier * 100) / 100;
+    }
+
+    /**
+     * Find the currency of an amount by ISO code or symbol
+     * Common codes are found anywhere in the text; any other upper-case code must be written next to the amount ("500 MYR")
+     * @param {string} text - Budget text
+     * @returns {string|null} - ISO currency code, or null when none is given
+     */
+    static parseCurrency(text) {
+        const value = String(text || '');
+
+        const code = value.toUpperCase().match(/\b([A-Z]{3})\b/g);
+        const known = (code || []).find(candidate => CURRENCY_CODES.includes(candidate));
+        if (known) return known;
+
+        const adjacent = value.match(/\b([A-Z]{3}) ?\d|\d(?: ?[kKmM])? ?([A-Z]{3})\b/);
+        if (adjacent) return adjacent[1] || adjacent[2];
+
+        const symbol = CURRENCY_SYMBOLS.find(([pattern]) => pattern.test(value));
+        return symbol ? symbol[1] : null;
+    }
+
+    /**
+     * Parse when a job was posted: "5 minutes ago", "an hour ago", "yesterday", "last week",
+     * "Posted 2 days ago", or an absolute date ("Oct 18, 2026", "2026-10-18T10:00:00Z", RFC 822)
+     * @param {string} text - Posted time text
+     * @param {Date} now - Reference time for relative times
+     * @returns {Date|null} - Posting time, or null when the text is not a time
+     */
+    static parsePostedTime(text, now = new Date()) {
+        if (!text) return null;
+
+        const value = String(text).toLowerCase().replace(/^\s*posted\s+(?:on\s+)?/, '').replace(/\s+/g, ' ').trim();
+        const ago = ms => new Date(now.getTime() - ms);
+
+        if (/^(?:just now|now|moments? ago|a moment ago|a few seconds ago|seconds ago|today)$/.test(value)) {
+            return new Date(now.getTime());
+        }
+        if (value === 'yesterday') return ago(UNIT_MS.day);
+
+        const last = value.match(/^(?:last|a|an|one) (second|minute|hour|day|week|month|year)(?: ago)?$/);
+        if (last) return ago(UNIT_MS[last[1]]);
+
+        const relative = value.match(/^(\d+(?:\.\d+)?|a few|few|several)\+? ?([a-z]+) ago$/);
+        if (relative && UNIT_ALIASES[relative[2]]) {
+            const count = /\d/.test(relative[1]) ? parseFloat(relative[1]) : 3;
+            return ago(count * UNIT_MS[UNIT_ALIASES[relative[2]]]);
+        }
+
+        return JobParser.parseDate(text);
+    }
+
+    /**
+     * Parse an absolute date; dates without a time zone are read as UTC
+     * @param {string} text - Date text, e.g. "Mar 12, 2019", "12 March 2019", "2019-03-12" or an RFC 822/ISO date
+     * @returns {Date|null} - Date, or null when the text is not a date
+     */
+    static parseDate(text) {
+        if (!text) return null;
+
+        const trimmed = String(text).replace(/^\s*(?:posted\s+(?:on\s+)?|member since\s+)/i, '').trim();
+
+        // ISO dates carry their own zone (a bare date is UTC already)
+        if (/^\d{4}-\d{2}-\d{2}/.test(trimmed)) {
+            const date = new Date(trimmed);
+            return isNaN(date.getTime()) ? null : date;
+        }
+
+        // "Mar. 12th, 2019" -> "Mar 12, 2019"
+        const value = trimmed.replace(/(\d)(st|nd|rd|th)\b/g, '$1').replace(/\./g, '');
+        if (!/\d{4}|\d{1,2}\/\d{1,2}/.test(value)) return null;
+
+        const hasZone = /\b(?:utc|gmt)\b|[+-]\d{2}:?\d{2}$/i.test(value);
+        const date = new Date(hasZone ? value : `${value} UTC`);
+        return isNaN(date.getTime()) ? null : date;
+    }
+}
+
+module.exports = JobParser;
@@ -186,7 +186,8 @@ class Logger {
     static jobProcess(job, action) {
         Logger.info(`Job ${action}: ${job.title}`, {
             jobId: job.id,
-            upworkId: job.upworkId,
+            source: job.source,
+            externalId: job.externalId,
             score: job.score,
             category: job.category
         });
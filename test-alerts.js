@@ -0,0 +1,157 @@
+/**
+ * Personal job alert tests
+ * Matches jobs against user subscriptions and checks the direct messages and their rate limit
+ */
+
+const assert = require('assert');
+const RoutingService = require('./src/services/RoutingService');
+const SubscriptionService = require('./src/services/SubscriptionService');
+const SubscriptionController = require('./src/controllers/SubscriptionController');
+const ChannelController = require('./src/controllers/ChannelController');
+const CommandController = require('./src/controllers/CommandController');
+
+const job = {
+    id: 'job-1',
+    title: 'React Native app for a fitness startup',
+    description: 'Build the iOS and Android app with a Node.js backend.',
+    url: 'https://www.upwork.com/jobs/~01',
+    category: 'mobile',
+    score: 8,
+    fitScore: 6,
+    skills: ['React Native', 'Node.js'],
+    budget: { type: 'fixed', min: 4000, max: 4000 },
+    location: 'Germany',
+    createdAt: new Date('2026-01-05T10:00:00Z')
+};
+
+/**
+ * Build an in-memory subscription model
+ * @param {Array} subscriptions - The stored subscriptions
+ */
+function createSubscriptionModel(subscriptions = []) {
+    const store = subscriptions.map(subscription => ({ notificationCount: 0, paused: false, ...subscription }));
+    let nextId = store.length + 1;
+
+    return {
+        store,
+        create: async data => {
+            const subscription = { ...data, id: `sub-${nextId++}`, paused: false, notificationCount: 0 };
+            store.push(subscription);
+            return subscription;
+        },
+        findByUser: async userId => store.filter(subscription => subscription.userId === userId),
+        findByName: async (userId, name) => store.find(subscription => subscription.userId === userId && subscription.name === name) || null,
+        findActive: async () => store.filter(subscription => !subscription.paused),
+        update: async (id, data) => Object.assign(store.find(subscription => subscription.id === id), data),
+        delete: async id => store.splice(store.findIndex(subscription => subscription.id === id), 1),
+        recordNotification: async ids => store
+            .filter(subscription => ids.includes(subscription.id))
+            .forEach(subscription => subscription.notificationCount++)
+    };
+}
+
+async function run() {
+    console.log('🧪 Testing personal job alerts...\n');
+
+    const routingService = new RoutingService();
+
+    // Test 1: Subscriptions use the keyword, skill, score, fit, budget and category conditions only
+    const service = new SubscriptionService(routingService, { maxAlerts: 2, windowMinutes: 1 });
+    const matches = conditions => service.matchesSubscription({ conditions }, job);
+    assert.strictEqual(matches({ keywords: ['react native'] }), true);
+    assert.strictEqual(matches({ skills: ['node.js'], minScore: 7 }), true);
+    assert.strictEqual(matches({ skills: ['flutter'] }), false);
+    assert.strictEqual(matches({ minFitScore: 7 }), false);
+    assert.strictEqual(matches({ minBudget: 5000 }), false);
+    assert.strictEqual(matches({ categories: ['mobile'], locations: ['US'], maxScore: 2 }), true, 'routing-only conditions are ignored');
+    console.log('✅ Subscription conditions matched');
+
+    // Test 2: Matching subscriptions are grouped per user, skipping paused ones
+    const grouped = service.getMatchesByUser([
+        { id: 'a', userId: 'u1', conditions: { keywords: ['app'] } },
+        { id: 'b', userId: 'u1', conditions: { minScore: 5 } },
+        { id: 'c', userId: 'u2', conditions: { keywords: ['wordpress'] } },
+        { id: 'd', userId: 'u3', paused: true, conditions: { minScore: 5 } },
+        { id: 'e', userId: 'u4', conditions: { categories: ['mobile'] } }
+    ], job);
+    assert.deepStrictEqual(
+        [...grouped].map(([userId, subscriptions]) => [userId, subscriptions.map(subscription => subscription.id)]),
+        [['u1', ['a', 'b']], ['u4', ['e']]]
+    );
+    console.log('✅ Matches grouped by user');
+
+    // Test 3: Each user gets a limited number of alerts per window
+    const start = Date.now();
+    assert.strictEqual(service.tryConsume('u1', start), true);
+    assert.strictEqual(service.tryConsume('u1', start + 1000), true);
+    assert.strictEqual(service.tryConsume('u1', start + 2000), false);
+    assert.strictEqual(service.tryConsume('u2', start + 2000), true, 'limits are per user');
+    assert.strictEqual(service.tryConsume('u1', start + 60 * 1000), true, 'the oldest alert left the window');
+    assert.strictEqual(service.tryConsume('u1', start + 60 * 1000), false);
+    console.log('✅ Alerts rate limited');
+
+    // Test 4: A matching job sends one DM per user naming all their matching alerts; a failed DM does not stop the others
+    const subscriptionModel = createSubscriptionModel([
+        { id: 'sub-1', userId: 'u1', name: 'Mobile', conditions: { categories: ['mobile'] } },
+        { id: 'sub-2', userId: 'u1', name: 'Big budget', conditions: { minBudget: 3000 } },
+        { id: 'sub-3', userId: 'u2', name: 'Node', conditions: { skills: ['Node.js'] } },
+        { id: 'sub-4', userId: 'u3', name: 'Closed DMs', conditions: { minScore: 5 } },
+        { id: 'sub-5', userId: 'u4', name: 'PHP', conditions: { skills: ['PHP'] } }
+    ]);
+    const sent = [];
+    const channelService = {
+        sendDirectMessage: async (userId, message) => {
+            if (userId === 'u3') throw new Error('Cannot send messages to this user');
+            sent.push({ userId, message });
+        }
+    };
+    const alertService = new SubscriptionService(routingService, { maxAlerts: 1, windowMinutes: 60 });
+    const subscriptions = new SubscriptionController(subscriptionModel, alertService, channelService, new ChannelController(null, null, null));
+
+    assert.strictEqual(await subscriptions.notifyMatches(job), 2);
+    assert.deepStrictEqual(sent.map(({ userId, message }) => [userId, message.content]), [
+        ['u1', '🔔 New job matching your alert: **Mobile, Big budget**'],
+        ['u2', '🔔 New job matching your alert: **Node**']
+    ]);
+    assert.ok(sent[0].message.embeds[0].data.title.endsWith(job.title));
+    assert.deepStrictEqual(subscriptionModel.store.map(subscription => subscription.notificationCount), [1, 1, 1, 0, 0]);
+
+    assert.strictEqual(await subscriptions.notifyMatches({ ...job, id: 'job-2' }), 0, 'every user used their one alert');
+    assert.strictEqual(sent.length, 2);
+    console.log('✅ One DM per user and job');
+
+    // Test 5: Users manage their own alerts with the alerts command
+    const commands = new CommandController(null, null, null, null, null, subscriptions);
+    const send = async (content, userId = 'u5') => {
+        const replies = [];
+        await commands.handleMessage({ content, author: { id: userId, tag: `${userId}#0001` }, reply: async reply => replies.push(reply) });
+        return replies;
+    };
+
+    assert.deepStrictEqual(await send('!alerts'), ['📭 You have no alerts. Create one with `!alerts add <name> keywords=... min_score=...`.']);
+    assert.deepStrictEqual(
+        await send('!alerts add "React work" keywords="react, react native" min_score=7'),
+        ['✅ Alert **React work** saved: score 7-10 | keywords: react, react native. Matching jobs will be sent to you by DM.']
+    );
+    assert.deepStrictEqual(
+        await send('!alerts add Everything'),
+        ['❌ Error managing alerts: An alert needs at least one of keywords, skills, min_score, min_fit, min_budget or categories']
+    );
+    assert.deepStrictEqual(await send('!alerts add High min_score=11'), ['❌ Error managing alerts: min_score must be between 0 and 10']);
+    assert.deepStrictEqual(await send('!alerts add "React work" skills=React'), ['❌ Error managing alerts: You already have an alert named "React work"']);
+
+    assert.deepStrictEqual(await send('!alerts pause "React work"'), ['⏸️ Alert **React work** paused.']);
+    const [list] = await send('!alerts list');
+    assert.deepStrictEqual(list.embeds[0].data.fields.map(field => field.name), ['⏸️ React work']);
+    assert.deepStrictEqual(await send('!alerts resume "React work"', 'u1'), ['❌ Error managing alerts: Alert "React work" not found'], 'other users cannot change the alert');
+    assert.deepStrictEqual(await send('!alerts delete "React work"'), ['🗑️ Alert **React work** deleted.']);
+    assert.strictEqual((await subscriptionModel.findByUser('u5')).length, 0);
+    console.log('✅ Alerts managed per user');
+
+    console.log('\n🎉 Personal alert tests passed');
+}
+
+run().catch(error => {
+    console.error('❌ Personal alert test failed:', error);
+    process.exit(1);
+});
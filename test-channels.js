@@ -0,0 +1,203 @@
+/**
+ * Channel admin command tests
+ * Runs the channel commands against recorded Discord channels and an in-memory channel store
+ */
+
+const assert = require('assert');
+const { ChannelType, PermissionFlagsBits } = require('discord.js');
+const ChannelController = require('./src/controllers/ChannelController');
+const CommandController = require('./src/controllers/CommandController');
+
+/**
+ * Build an in-memory channel model
+ * @param {Array} channels - The stored channel records
+ */
+function createChannelModel(channels = []) {
+    const store = new Map(channels.map(channel => [channel.id, { ...channel }]));
+    let nextId = channels.length + 1;
+
+    return {
+        store,
+        create: async data => {
+            const channel = { ...data, id: `record-${nextId++}` };
+            store.set(channel.id, channel);
+            return channel;
+        },
+        findById: async id => store.get(id) || null,
+        findByDiscordId: async discordId => [...store.values()].find(channel => channel.discordId === discordId) || null,
+        findByCategory: async (guildId, category) => [...store.values()].find(channel => channel.guildId === guildId && channel.category === category) || null,
+        findByGuild: async guildId => [...store.values()].filter(channel => channel.guildId === guildId),
+        updateCategory: async (id, category) => Object.assign(store.get(id), { category }),
+        delete: async id => store.delete(id)
+    };
+}
+
+// Discord channels the bot can see, by ID: the guild they are in and their type
+const discordChannels = {
+    77: { guildId: '1', type: ChannelType.GuildText },
+    60: { guildId: '2', type: ChannelType.GuildText },
+    61: { guildId: '1', type: ChannelType.GuildVoice }
+};
+
+/**
+ * Build a guild whose text channels the bot can post in
+ * @param {string} id - The guild ID
+ */
+function createGuild(id) {
+    const me = { id: 'bot' };
+    const postable = ['77', '100', '101', '102', '103', '104', '105'];
+    const cache = new Map(postable.map(channelId => [channelId, {
+        isTextBased: () => true,
+        permissionsFor: member => member === me ? { has: () => true } : null
+    }]));
+
+    return { id, channels: { cache }, members: { me } };
+}
+
+/**
+ * Build a channel service that records the Discord channels it creates and deletes
+ * @param {Array} failing - Channel names whose creation fails
+ */
+function createChannelService(failing = []) {
+    let nextId = 100;
+    const service = {
+        created: [],
+        deleted: [],
+        createChannel: async (guildId, options) => {
+            if (failing.includes(options.name)) throw new Error('Missing Permissions');
+            service.created.push({ guildId, ...options });
+            return { id: String(nextId++) };
+        },
+        deleteChannel: async discordId => service.deleted.push(discordId),
+        getChannelInfo: async discordId => {
+            if (!discordChannels[discordId]) throw new Error(`Channel ${discordId} not found`);
+            return { id: discordId, name: `existing-${discordId}`, parentId: '900', ...discordChannels[discordId] };
+        }
+    };
+
+    return service;
+}
+
+/**
+ * Build a prefix command message
+ * @param {string} content - The message content
+ * @param {Object} options - { admin: whether the author may manage channels, guildId }
+ */
+function createMessage(content, { admin = true, guildId = '1' } = {}) {
+    const message = {
+        content,
+        replies: [],
+        author: { id: 'user-1' },
+        guild: guildId ? createGuild(guildId) : null,
+        member: { permissions: { has: flag => admin && flag === PermissionFlagsBits.ManageChannels } },
+        reply: async reply => message.replies.push(reply)
+    };
+
+    return message;
+}
+
+async function run() {
+    console.log('🧪 Testing channel admin commands...\n');
+
+    const channelModel = createChannelModel([
+        { id: 'record-0', discordId: '50', guildId: '2', name: 'backend', category: 'backend' }
+    ]);
+    const channelService = createChannelService(['frontend']);
+    const channelController = new ChannelController(channelService, channelModel, null);
+    const commands = new CommandController(null, null, null, channelController);
+
+    // Test 1: Channel commands need the Manage Channels permission in a server
+    for (const message of [createMessage('!createchannel mobile', { admin: false }), createMessage('!createchannel mobile', { guildId: null })]) {
+        await commands.handleMessage(message);
+        assert.deepStrictEqual(message.replies, [{ content: '⛔ This command requires the Manage Channels permission.', ephemeral: true }]);
+    }
+    assert.strictEqual(channelService.created.length, 0);
+    console.log('✅ Admin permission required');
+
+    // Test 2: Setting up creates the default channels under the parent and skips the ones that fail
+    const setup = createMessage('!setupchannels <#900>');
+    await commands.handleMessage(setup);
+    assert.deepStrictEqual(
+        channelService.created.map(channel => [channel.name, channel.parent]),
+        [['us-only', '900'], ['mobile', '900'], ['full-stack', '900'], ['full-stack-ai', '900'], ['backend', '900']]
+    );
+    assert.strictEqual(setup.replies[0], '🔄 Creating default job channels...');
+    assert.strictEqual(setup.replies[1], '✅ Job channels ready: <#100>, <#101>, <#102>, <#103>, <#104>');
+    assert.strictEqual((await channelModel.findByCategory('1', 'backend')).discordId, '104', 'the other guild\'s backend channel is not reused');
+    console.log('✅ Default channels created');
+
+    // Test 3: Creating a channel for a category that has one returns the existing channel
+    const existing = createMessage('!createchannel mobile');
+    await commands.handleMessage(existing);
+    assert.deepStrictEqual(existing.replies, ['✅ Jobs in **mobile** will be posted to <#101>.']);
+
+    const created = createMessage('!createchannel "Data Science"');
+    await commands.handleMessage(created);
+    assert.deepStrictEqual(created.replies, ['✅ Jobs in **Data Science** will be posted to <#105>.']);
+    assert.strictEqual(channelService.created.at(-1).name, 'data-science');
+    console.log('✅ Category channel created');
+
+    // Test 4: Remapping moves the category to the new channel and unmaps the previous one
+    const remap = createMessage('!remapchannel <#77> mobile');
+    await commands.handleMessage(remap);
+    assert.deepStrictEqual(remap.replies, ['✅ <#77> now receives **mobile** jobs. <#101> no longer does.']);
+    assert.deepStrictEqual(
+        (await channelModel.findByGuild('1')).filter(channel => channel.category === 'mobile').map(channel => [channel.discordId, channel.name, channel.parentCategoryId]),
+        [['77', 'existing-77', '900']]
+    );
+    assert.strictEqual(await channelModel.findByDiscordId('101'), null);
+    assert.deepStrictEqual(channelService.deleted, [], 'the unmapped Discord channel is kept');
+
+    const tracked = createMessage('!remapchannel 104 mobile');
+    await commands.handleMessage(tracked);
+    assert.deepStrictEqual(tracked.replies, ['✅ <#104> now receives **mobile** jobs. <#77> no longer does.']);
+    assert.strictEqual((await channelModel.findByCategory('1', 'backend')), null);
+    assert.strictEqual((await channelModel.findByCategory('2', 'backend')).discordId, '50', 'other guilds keep their mapping');
+
+    const again = createMessage('!remapchannel 104 mobile');
+    await commands.handleMessage(again);
+    assert.deepStrictEqual(again.replies, ['✅ <#104> now receives **mobile** jobs.']);
+
+    for (const channel of ['<#50>', '60', '61', '404']) {
+        const rejected = createMessage(`!remapchannel ${channel} mobile`);
+        await commands.handleMessage(rejected);
+        assert.deepStrictEqual(rejected.replies, ['❌ The channel must be a text channel in this server that I can post in.'], `channel ${channel}`);
+    }
+    assert.strictEqual((await channelModel.findByDiscordId('50')).category, 'backend');
+
+    // The controller checks untracked channels with Discord before unmapping anything
+    for (const [discordId, error] of [
+        ['60', 'Channel belongs to another guild'],
+        ['61', 'Jobs can only be posted to text channels'],
+        ['404', 'Channel 404 not found']
+    ]) {
+        await assert.rejects(channelController.remapChannel('1', discordId, 'mobile'), { message: error });
+    }
+    assert.strictEqual((await channelModel.findByCategory('1', 'mobile')).discordId, '104', 'a rejected channel keeps the current mapping');
+    assert.strictEqual(await channelModel.findByDiscordId('60'), null);
+
+    const usage = createMessage('!remapchannel mobile');
+    await commands.handleMessage(usage);
+    assert.deepStrictEqual(usage.replies, ['❌ Usage: !remapchannel <#channel> <category>']);
+    console.log('✅ Channels remapped');
+
+    // Test 5: Deleting removes the Discord channel and its record, only within the server
+    const remove = createMessage('!deletechannel <#105>');
+    await commands.handleMessage(remove);
+    assert.deepStrictEqual(remove.replies, ['🗑️ Deleted job channel **data-science** (Data Science).']);
+    assert.deepStrictEqual(channelService.deleted, ['105']);
+    assert.strictEqual(await channelModel.findByDiscordId('105'), null);
+
+    const other = createMessage('!deletechannel <#50>');
+    await commands.handleMessage(other);
+    assert.deepStrictEqual(other.replies, ['❌ Error deleting channel: Channel is not a job channel in this server']);
+    assert.deepStrictEqual(channelService.deleted, ['105']);
+    console.log('✅ Channels deleted');
+
+    console.log('\n🎉 Channel admin tests passed');
+}
+
+run().catch(error => {
+    console.error('❌ Channel admin test failed:', error);
+    process.exit(1);
+});
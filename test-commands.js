@@ -0,0 +1,165 @@
+/**
+ * Command parsing tests
+ * Checks that prefix messages and slash command interactions reach the same handlers with the same arguments
+ */
+
+const assert = require('assert');
+const CommandController = require('./src/controllers/CommandController');
+
+/**
+ * Build a chat input interaction with the given option values
+ * @param {string} commandName - The slash command name
+ * @param {Object} values - Option values by name
+ * @param {string} subcommand - The subcommand name, if any
+ */
+function createInteraction(commandName, values = {}, subcommand = null) {
+    const options = Object.entries(values).map(([name, value]) => ({ name, value }));
+    const replies = [];
+
+    const interaction = {
+        commandName,
+        user: { id: 'user-1' },
+        guildId: 'guild-1',
+        replied: false,
+        deferred: false,
+        replies,
+        isAutocomplete: () => false,
+        isButton: () => false,
+        isModalSubmit: () => false,
+        isChatInputCommand: () => true,
+        options: {
+            data: subcommand ? [{ name: subcommand, options }] : options,
+            getSubcommand: () => subcommand,
+            get: name => options.find(option => option.name === name) || null
+        },
+        reply: async message => {
+            interaction.replied = true;
+            replies.push(['reply', message]);
+        },
+        followUp: async message => replies.push(['followUp', message])
+    };
+
+    return interaction;
+}
+
+/**
+ * Build an autocomplete interaction for a focused option
+ * @param {string} commandName - The slash command name
+ * @param {string} name - The focused option name
+ * @param {string} value - The typed value
+ */
+function createAutocomplete(commandName, name, value) {
+    const interaction = {
+        commandName,
+        user: { id: 'user-1' },
+        responses: [],
+        isAutocomplete: () => true,
+        options: { getFocused: () => ({ name, value }) },
+        respond: async choices => interaction.responses.push(choices)
+    };
+
+    return interaction;
+}
+
+async function run() {
+    console.log('🧪 Testing command parsing...\n');
+
+    const profileController = {
+        getAllProfiles: async () => Array.from({ length: 30 }, (value, index) => ({ name: `Profile ${index}` }))
+            .concat({ name: 'React Native Lead' })
+    };
+    const jobController = { getCategories: async () => { throw new Error('Database unavailable'); } };
+    const controller = new CommandController(null, profileController, jobController);
+
+    // Test 1: Quoted values stay together, with or without a key, across any whitespace
+    assert.deepStrictEqual(controller.parseArgs('!search "react native"  ios'), ['react native', 'ios']);
+    assert.deepStrictEqual(
+        controller.parseArgs('!rules add name="Big budget"\tchannel=#jobs\nmin_score=7'),
+        ['add', 'name=Big budget', 'channel=#jobs', 'min_score=7']
+    );
+    assert.deepStrictEqual(controller.parseArgs('!stats'), []);
+    assert.deepStrictEqual(
+        controller.parseNamedArgs(['add', 'Name=Big budget', 'keywords=a=b', '=x']),
+        { name: 'Big budget', keywords: 'a=b' },
+        'keys are lowercased and only the first = splits'
+    );
+    console.log('✅ Quote-aware arguments parsed');
+
+    // Test 2: Only an exact, case-insensitive first word selects a command
+    assert.ok(controller.getCommand('!JOBS 5'));
+    assert.ok(controller.getCommand('!jobs\t5'));
+    assert.strictEqual(controller.getCommand('!jobsx'), null, 'a command name prefix is not a match');
+    assert.strictEqual(controller.getCommand('jobs'), null);
+    console.log('✅ Prefix commands matched');
+
+    // Test 3: Slash options map to the positional arguments of the prefix command
+    assert.deepStrictEqual(controller.getInteractionArgs(createInteraction('jobs', { category: 'backend' })), [undefined, 'backend']);
+    assert.deepStrictEqual(controller.getInteractionArgs(createInteraction('jobs', { limit: 5, category: 'mobile' })), ['5', 'mobile']);
+    assert.deepStrictEqual(
+        controller.getInteractionArgs(createInteraction('monitor', { interval: 15, timezone: 'Europe/Berlin' }, 'schedule')),
+        ['schedule', '15', undefined, undefined, 'Europe/Berlin'],
+        'the subcommand comes first'
+    );
+    assert.deepStrictEqual(controller.getInteractionArgs(createInteraction('unknown')), []);
+    assert.deepStrictEqual(
+        controller.getInteractionOptions(createInteraction('rules', { name: 'Big budget', min_score: 7 }, 'add')),
+        { name: 'Big budget', min_score: '7' }
+    );
+    console.log('✅ Slash options mapped');
+
+    // Test 4: Interactions run the prefix handler; later replies become follow-ups
+    const calls = [];
+    controller.commands.set('!jobs', async (context, args) => {
+        calls.push({ author: context.author.id, guildId: context.guildId, args });
+        await context.reply({ content: 'first' });
+        await context.reply({ content: 'second' });
+    });
+    const jobs = createInteraction('jobs', { limit: 3 });
+    await controller.handleInteraction(jobs);
+    assert.deepStrictEqual(calls, [{ author: 'user-1', guildId: 'guild-1', args: ['3', undefined] }]);
+    assert.deepStrictEqual(jobs.replies.map(([type]) => type), ['reply', 'followUp']);
+
+    const unknown = createInteraction('nothing');
+    await controller.handleInteraction(unknown);
+    assert.deepStrictEqual(unknown.replies, [['reply', { content: '❌ Unknown command.', ephemeral: true }]]);
+
+    controller.commands.set('!stats', async () => { throw new Error('boom'); });
+    const failing = createInteraction('stats');
+    await controller.handleInteraction(failing);
+    assert.strictEqual(failing.replies[0][1].content, '❌ An error occurred while processing your command.');
+    console.log('✅ Slash commands routed');
+
+    // Test 5: Prefix messages reach the same handler with parsed arguments
+    calls.length = 0;
+    await controller.handleMessage({
+        content: '  !jobs 3 "web dev"  ',
+        author: { id: 'user-2' },
+        reply: async () => {}
+    });
+    assert.deepStrictEqual(calls.map(call => call.args), [['3', 'web dev']]);
+    await controller.handleMessage({ content: 'hello there', reply: async () => { throw new Error('should not reply'); } });
+    assert.strictEqual(calls.length, 1);
+    console.log('✅ Prefix messages routed');
+
+    // Test 6: Autocomplete filters the choices, caps them at 25 and answers empty on errors
+    const names = createAutocomplete('profile', 'name', 'PROFILE');
+    await controller.handleAutocomplete(names);
+    assert.strictEqual(names.responses[0].length, 25);
+    assert.deepStrictEqual(names.responses[0][0], { name: 'Profile 0', value: 'Profile 0' });
+
+    const react = createAutocomplete('profile', 'name', 'native');
+    await controller.handleInteraction(react);
+    assert.deepStrictEqual(react.responses, [[{ name: 'React Native Lead', value: 'React Native Lead' }]]);
+
+    const categories = createAutocomplete('jobs', 'category', '');
+    await controller.handleAutocomplete(categories);
+    assert.deepStrictEqual(categories.responses, [[]]);
+    console.log('✅ Autocomplete filtered');
+
+    console.log('\n🎉 Command parsing tests passed');
+}
+
+run().catch(error => {
+    console.error('❌ Command parsing test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,142 @@
+/**
+ * Currency normalization tests
+ * Converts the budgets in fixtures/currency to USD and checks scoring, filters, routing and display use the USD amounts
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CurrencyService = require('./src/services/CurrencyService');
+const ScoringService = require('./src/services/ScoringService');
+const RoutingService = require('./src/services/RoutingService');
+const JobSourceRegistry = require('./src/services/sources/JobSourceRegistry');
+const JsonFileSource = require('./src/services/sources/JsonFileSource');
+const ProfileController = require('./src/controllers/ProfileController');
+const ChannelController = require('./src/controllers/ChannelController');
+const OpenAIService = require('./src/services/OpenAIService');
+const EventBus = require('./src/utils/EventBus');
+const JobParser = require('./src/utils/JobParser');
+
+const fixturePath = name => path.join(__dirname, 'fixtures', 'currency', name);
+
+async function run() {
+    console.log('🧪 Testing currency normalization...\n');
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'currency-rates-'));
+
+    try {
+        // Test 1: Built-in rates
+        const builtIn = new CurrencyService({ filePath: path.join(tempDir, 'missing.json') });
+        await builtIn.refresh();
+        assert.strictEqual(builtIn.toUSD(100, 'USD'), 100);
+        assert.strictEqual(builtIn.toUSD(100, 'eur'), 108);
+        assert.strictEqual(builtIn.toUSD(100, 'XYZ'), null);
+        assert.strictEqual(builtIn.toUSD(null, 'EUR'), null);
+        assert.deepStrictEqual(
+            builtIn.normalizeBudget({ type: 'hourly', min: 40, max: 60, currency: 'GBP' }),
+            { type: 'hourly', min: 40, max: 60, currency: 'GBP', usdMin: 50.8, usdMax: 76.2 }
+        );
+        assert.deepStrictEqual(
+            builtIn.normalizeBudget({ type: 'fixed', min: 300, max: null }),
+            { type: 'fixed', min: 300, max: null, currency: 'USD', usdMin: 300, usdMax: null }
+        );
+        assert.strictEqual(builtIn.normalizeBudget(null), null);
+
+        // Budget text that names no currency stays unconverted instead of being read as dollars
+        const unknown = builtIn.normalizeBudget(JobParser.parseBudget('Budget: 750'));
+        assert.deepStrictEqual(unknown, { type: 'fixed', min: 750, max: null, currency: null, usdMin: null, usdMax: null });
+        assert.deepStrictEqual(CurrencyService.getUsdRange(unknown), { min: null, max: null });
+        assert.deepStrictEqual(CurrencyService.getUsdRange({ type: 'fixed', min: 750, max: null, currency: null }), { min: null, max: null });
+        assert.strictEqual(new ChannelController(null, null, null).formatBudget(unknown), '750+');
+        console.log('✅ Built-in rates');
+
+        // Test 2: The rates file overrides the table and is re-read only after it changes
+        const ratesPath = path.join(tempDir, 'rates.json');
+        fs.copyFileSync(fixturePath('rates.json'), ratesPath);
+        const currency = new CurrencyService({ filePath: ratesPath });
+
+        await currency.refresh();
+        assert.strictEqual(currency.getRate('EUR'), 1.1);
+        assert.strictEqual(currency.getRate('XTS'), 0.5);
+        assert.strictEqual(currency.getRate('JPY'), 0.0067, 'invalid rates keep the built-in value');
+        assert.strictEqual(currency.getRate('USD'), 1);
+        assert.deepStrictEqual(
+            currency.normalizeBudget(JobParser.parseBudget('Budget: 500 XTS')),
+            { type: 'fixed', min: 500, max: null, currency: 'XTS', usdMin: 250, usdMax: null },
+            'a currency added to the rates file is converted'
+        );
+        assert.strictEqual(currency.updatedAt.toISOString(), '2026-10-19T00:00:00.000Z');
+
+        fs.writeFileSync(ratesPath, JSON.stringify({ rates: { EUR: 1.2 } }));
+        const later = new Date(Date.now() + 60 * 1000);
+        fs.utimesSync(ratesPath, later, later);
+        await currency.refresh();
+        assert.strictEqual(currency.getRate('EUR'), 1.2);
+        assert.strictEqual(currency.getRate('XTS'), null, 'rates dropped from the file fall back to the built-in table');
+
+        // A broken file keeps the current rates
+        fs.writeFileSync(ratesPath, '{ not json');
+        const latest = new Date(Date.now() + 120 * 1000);
+        fs.utimesSync(ratesPath, latest, latest);
+        await currency.refresh();
+        assert.strictEqual(currency.getRate('EUR'), 1.2);
+        console.log('✅ Rates file loaded and refreshed');
+
+        // Test 3: Sources convert budgets when jobs are fetched, and budget filters are in USD
+        const registry = new JobSourceRegistry({ currencyService: builtIn })
+            .register(new JsonFileSource(fixturePath('jobs.json')));
+        const source = registry.get('json-file');
+        const jobs = await source.fetch({ queryId: 'all' });
+        const byId = id => jobs.find(job => job.externalId === id);
+
+        assert.strictEqual(byId('eur-fixed').budget.usdMin, 1080);
+        assert.strictEqual(byId('inr-fixed').budget.usdMin, 240);
+        assert.deepStrictEqual(byId('usd-legacy').budget, { type: 'fixed', min: 300, max: null, currency: 'USD', usdMin: 300, usdMax: null });
+        assert.deepStrictEqual([byId('unknown-currency').budget.usdMin, byId('unknown-currency').budget.currency], [null, 'XYZ']);
+
+        // ₹20,000 is a large number but only $240; unconverted budgets are never filtered out
+        const filtered = await source.fetch({ queryId: 'min-budget', minBudget: 1000 });
+        assert.deepStrictEqual(filtered.map(job => job.externalId), ['eur-fixed', 'unknown-currency']);
+        console.log('✅ Budgets converted when fetched');
+
+        // Test 4: Scoring, rate matching and routing compare USD amounts
+        const scoring = new ScoringService(null);
+        assert.strictEqual(scoring.scoreBudget(byId('inr-fixed').budget), 2);
+        assert.strictEqual(scoring.scoreBudget(byId('eur-fixed').budget), 6);
+        assert.strictEqual(scoring.scoreBudget(byId('gbp-hourly').budget), 10);
+        assert.strictEqual(scoring.scoreBudget(byId('unknown-currency').budget), 5);
+        assert.strictEqual(scoring.scoreBudget({ type: 'fixed', min: 1000, max: 0 }), 6, 'stored budgets without a currency are USD');
+
+        const profiles = new ProfileController(null);
+        assert.strictEqual(profiles.calculateRateMatch(55, byId('gbp-hourly').budget), 10);
+        assert.strictEqual(profiles.calculateRateMatch(45, { type: 'hourly', min: 50, max: 70, currency: 'USD', usdMin: 50, usdMax: 70 }), 9.5);
+        assert.strictEqual(profiles.calculateRateMatch(45, byId('unknown-currency').budget), 5);
+
+        const routing = new RoutingService();
+        assert.strictEqual(routing.matchesBudget({ minBudget: 1000 }, byId('eur-fixed')), true);
+        assert.strictEqual(routing.matchesBudget({ minBudget: 1000 }, byId('inr-fixed')), false);
+        assert.strictEqual(routing.matchesBudget({ maxBudget: 1050 }, byId('eur-fixed')), false);
+        console.log('✅ Comparisons use USD');
+
+        // Test 5: Embeds and prompts show the original currency with the USD amount alongside
+        const channels = new ChannelController(null, null, new EventBus());
+        assert.strictEqual(channels.formatBudget(byId('eur-fixed').budget), '€1000+ (≈ $1080)');
+        assert.strictEqual(channels.formatBudget(byId('gbp-hourly').budget), '£40 - £60 (≈ $51-$76)');
+        assert.strictEqual(channels.formatBudget(byId('usd-legacy').budget), '$300+');
+        assert.strictEqual(channels.formatBudget(byId('unknown-currency').budget), '500 XYZ+');
+        assert.strictEqual(channels.formatBudget({ type: 'fixed', min: 0, max: 800, currency: 'CHF', usdMin: null, usdMax: 904 }), 'Up to 800 CHF (≈ $904)');
+
+        const openai = Object.create(OpenAIService.prototype);
+        assert.strictEqual(openai.formatBudget(byId('gbp-hourly').budget), '£40-£60/hr (≈ $51-$76)');
+        console.log('✅ Budgets displayed in their currency');
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log('\n🎉 Currency tests passed');
+}
+
+run().catch(error => {
+    console.error('❌ Currency test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,222 @@
+/**
+ * Job deduplication tests
+ * Covers the seen jobs store (database, file fallback, expiry), repost detection and the job pipeline using fixtures/dedupe
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SeenJobService = require('./src/services/SeenJobService');
+const JobSource = require('./src/services/sources/JobSource');
+const UpworkController = require('./src/controllers/UpworkController');
+const EventBus = require('./src/utils/EventBus');
+
+const jobs = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'dedupe', 'jobs.json'), 'utf8'));
+const job = id => ({ ...jobs.find(candidate => candidate.externalId === id) });
+
+/**
+ * In-memory stand-in for SeenJobModel, shared by "processes" like one database
+ */
+class MemorySeenJobModel {
+    constructor() {
+        this.entries = [];
+        this.available = true;
+        this.failing = false;
+    }
+
+    isAvailable() {
+        return this.available;
+    }
+
+    check() {
+        if (this.failing) throw new Error('connection reset');
+    }
+
+    async findBySourceId(source, externalId) {
+        this.check();
+        return this.entries.find(entry => entry.source === source && entry.externalId === externalId) || null;
+    }
+
+    async findCandidates(entry, minShared = 1) {
+        this.check();
+        return this.entries.filter(candidate => candidate.descriptionKey &&
+            candidate.tokens.filter(token => entry.tokens.includes(token)).length >= minShared);
+    }
+
+    async claim(entry) {
+        this.check();
+        if (await this.findBySourceId(entry.source, entry.externalId)) return false;
+        this.entries.push({ ...entry });
+        return true;
+    }
+
+    async touch(source, externalId, expiresAt) {
+        this.check();
+        const entry = await this.findBySourceId(source, externalId);
+        if (entry) entry.expiresAt = expiresAt;
+    }
+
+    async remove(source, externalId) {
+        this.check();
+        this.entries = this.entries.filter(entry => !(entry.source === source && entry.externalId === externalId));
+    }
+}
+
+/**
+ * Job source that lists the same jobs on every poll, returning only the ones it has not returned before
+ */
+class ListingSource extends JobSource {
+    constructor(listed) {
+        super('listing', 'upwork');
+        this.listed = listed;
+    }
+
+    async fetch(options = {}) {
+        return this.dropSeen(this.listed.map(listed => this.toJob(listed, listed.externalId)), options);
+    }
+}
+
+/**
+ * Build a controller whose pipeline only records what it saved
+ * Jobs whose ID is in `controller.jobModel.failOnce` fail to save the first time
+ */
+function createController(seenJobService, saved) {
+    const sourceRegistry = { markHealthy: () => null, markDegraded: () => false };
+    const jobModel = {
+        failOnce: new Set(),
+        findBySourceId: async () => null,
+        addQueries: async () => null,
+        create: async data => {
+            if (data.title.includes('fail to save')) throw new Error('write failed');
+            if (jobModel.failOnce.delete(data.externalId)) throw new Error('write timed out');
+            saved.push(data.externalId);
+            return data;
+        }
+    };
+    const scoringService = {
+        evaluateJob: async () => ({ score: 7, category: 'backend' }),
+        getImpliedRate: () => null
+    };
+
+    return new UpworkController(sourceRegistry, scoringService, jobModel, new EventBus(), null, null, null, null, seenJobService);
+}
+
+async function run() {
+    console.log('🧪 Testing job deduplication...\n');
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'seen-jobs-'));
+
+    try {
+        // Test 1: Jobs are recorded once in the database store
+        const model = new MemorySeenJobModel();
+        const store = new SeenJobService(model, { filePath: path.join(tempDir, 'db.json') });
+
+        assert.deepStrictEqual(await store.check(job('1001')), { duplicate: false });
+        assert.strictEqual(await store.markSeen(job('1001')), true);
+        assert.strictEqual(await store.markSeen(job('1001')), false);
+        const seenAgain = await store.check(job('1001'));
+        assert.strictEqual(seenAgain.duplicate, true);
+        assert.strictEqual(seenAgain.reason, 'id');
+        assert.ok(!fs.existsSync(path.join(tempDir, 'db.json')));
+        console.log('✅ Jobs recorded once');
+
+        // Test 2: Reposts with a new ID are detected, different jobs are not
+        const repost = await store.check(job('2001'));
+        assert.strictEqual(repost.duplicate, true);
+        assert.strictEqual(repost.reason, 'repost');
+        assert.strictEqual(repost.original.externalId, '1001');
+
+        assert.strictEqual((await store.check(job('2002'))).duplicate, true, 'same description under a new title');
+        assert.strictEqual((await store.check(job('2004'))).original.externalId, '1001', 'lightly edited title and opening');
+        assert.strictEqual((await store.check(job('3001'))).duplicate, false, 'same title, different job');
+
+        await store.markSeen(job('1002'));
+        assert.strictEqual((await store.check(job('2003'))).duplicate, false, 'short descriptions are never reposts');
+        assert.ok(store.getSimilarity(store.tokenize('React dashboard rebuild'), store.tokenize('react DASHBOARD, rebuild!')) === 1);
+        console.log('✅ Reposts detected');
+
+        // Test 3: Without MongoDB the file store takes over, survives a restart and is still read after MongoDB is back
+        const filePath = path.join(tempDir, 'nested', 'seen-jobs.json');
+        const offline = new MemorySeenJobModel();
+        offline.available = false;
+
+        const beforeRestart = new SeenJobService(offline, { filePath });
+        assert.strictEqual(await beforeRestart.markSeen(job('1001')), true);
+        assert.strictEqual(offline.entries.length, 0);
+        assert.strictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).length, 1);
+
+        offline.available = true;
+        const afterRestart = new SeenJobService(offline, { filePath });
+        assert.strictEqual((await afterRestart.check(job('1001'))).reason, 'id');
+        assert.strictEqual((await afterRestart.check(job('2001'))).reason, 'repost');
+        assert.strictEqual((await afterRestart.check(job('2004'))).reason, 'repost');
+
+        // A failing query falls back to the file as well
+        offline.failing = true;
+        assert.strictEqual(await afterRestart.markSeen(job('3001')), true);
+        assert.strictEqual((await afterRestart.check(job('3001'))).reason, 'id');
+        offline.failing = false;
+
+        await afterRestart.forget(job('3001'));
+        assert.strictEqual((await afterRestart.check(job('3001'))).duplicate, false);
+        console.log('✅ File store used while MongoDB is down');
+
+        // Test 4: Expired file entries are dropped
+        const expiredPath = path.join(tempDir, 'expired.json');
+        const shortLived = new SeenJobService(null, { filePath: expiredPath, ttlDays: 1 });
+        await shortLived.markSeen(job('1001'));
+        const stored = JSON.parse(fs.readFileSync(expiredPath, 'utf8'));
+        stored[0].expiresAt = new Date(Date.now() - 1000).toISOString();
+        fs.writeFileSync(expiredPath, JSON.stringify(stored));
+
+        const reloaded = new SeenJobService(null, { filePath: expiredPath });
+        assert.strictEqual((await reloaded.check(job('1001'))).duplicate, false);
+        console.log('✅ Expired jobs forgotten');
+
+        // Test 5: Two processes sharing a database post a job once; reposts and failures are handled
+        const shared = new MemorySeenJobModel();
+        const saved = [];
+        const first = createController(new SeenJobService(shared, { filePath: path.join(tempDir, 'first.json') }), saved);
+        const second = createController(new SeenJobService(shared, { filePath: path.join(tempDir, 'second.json') }), saved);
+
+        assert.strictEqual(await first.processJob(job('1001'), 'react'), 'new');
+        assert.strictEqual(await second.processJob(job('1001'), 'react'), 'duplicate');
+        assert.strictEqual(await second.processJob(job('2001'), 'react'), 'duplicate');
+        assert.ok(shared.entries.some(entry => entry.externalId === '2001'), 'reposts are recorded under their new ID');
+        assert.strictEqual(await second.processJob(job('3001'), null), 'new');
+
+        const failing = { ...job('3002') };
+        assert.strictEqual(await first.processJob(failing, null), 'failed');
+        assert.ok(!shared.entries.some(entry => entry.externalId === '3002'), 'failed jobs are retried on the next poll');
+        assert.deepStrictEqual(saved, ['1001', '3001']);
+        console.log('✅ Pipeline skips seen jobs and reposts');
+
+        // Test 6: A job that failed to process is returned by the source again on the next poll
+        const polled = [];
+        const poller = createController(new SeenJobService(new MemorySeenJobModel(), { filePath: path.join(tempDir, 'poller.json') }), polled);
+        const source = new ListingSource([job('1001'), job('3001')]);
+        poller.jobModel.failOnce.add('3001');
+        const poll = async query => {
+            const run = { jobsFound: 0, jobsNew: 0, errorCount: 0, lastError: null, queries: [] };
+            await poller.runSearch(query, run, source);
+            return run;
+        };
+
+        const firstPoll = await poll(null);
+        assert.deepStrictEqual([firstPoll.jobsFound, firstPoll.jobsNew, firstPoll.errorCount], [2, 1, 1]);
+        const retry = await poll(null);
+        assert.deepStrictEqual([retry.jobsFound, retry.jobsNew, retry.errorCount], [1, 1, 0], 'only the failed job is fetched again');
+        assert.deepStrictEqual(polled, ['1001', '3001']);
+        assert.strictEqual((await poll(null)).jobsFound, 0);
+        console.log('✅ Failed jobs retried on the next poll');
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log('\n🎉 Deduplication tests passed');
+}
+
+run().catch(error => {
+    console.error('❌ Deduplication test failed:', error);
+    process.exit(1);
+});
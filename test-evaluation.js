@@ -0,0 +1,239 @@
+/**
+ * Combined job evaluation tests
+ * Evaluates the jobs in fixtures/evaluation with one mocked OpenAI request each and benchmarks it against separate requests
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const OpenAIService = require('./src/services/OpenAIService');
+const ScoringService = require('./src/services/ScoringService');
+const ProfileController = require('./src/controllers/ProfileController');
+const UpworkController = require('./src/controllers/UpworkController');
+const ChannelController = require('./src/controllers/ChannelController');
+const JobController = require('./src/controllers/JobController');
+const RoutingService = require('./src/services/RoutingService');
+const EventBus = require('./src/utils/EventBus');
+const { runBenchmark, MockOpenAIClient } = require('./benchmark-ai-calls');
+
+const fixture = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'evaluation', name), 'utf8'));
+const jobs = fixture('jobs.json');
+const profiles = fixture('profiles.json');
+const responses = fixture('responses.json');
+const job = id => ({ ...jobs.find(candidate => candidate.externalId === id), source: 'upwork' });
+
+/**
+ * Build an OpenAI service answering evaluations with the given responses in turn, the last one repeated
+ * Without responses the fixture evaluation is used; requests are recorded as sent
+ */
+function createOpenAI(...evaluations) {
+    const service = new OpenAIService();
+    const client = new MockOpenAIClient({ ...responses }, { wait: false });
+    const answers = evaluations.length ? evaluations : [responses.job_evaluation];
+    const requests = [];
+
+    client.chat.completions.create = request => {
+        requests.push(JSON.parse(JSON.stringify(request)));
+        client.responses.job_evaluation = answers.length > 1 ? answers.shift() : answers[0];
+        return client.create(request);
+    };
+    service.openai = client;
+    return { service, requests };
+}
+
+async function run() {
+    console.log('🧪 Testing combined job evaluations...\n');
+    const { job_evaluation: valid } = responses;
+
+    // Test 1: One request with a strict schema carries the job once and the numbered profiles
+    const { service, requests } = createOpenAI();
+    const evaluation = await service.evaluateJob(job('booking-app'), profiles);
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].response_format.json_schema.name, 'job_evaluation');
+    assert.strictEqual(requests[0].response_format.json_schema.strict, true);
+
+    const prompt = requests[0].messages[1].content;
+    assert.strictEqual(prompt.split('Job Title: ').length, 2, 'the job is sent once');
+    assert.ok(prompt.includes('\n1. Mobile Lead - React Native') && prompt.includes('\n3. Web Generalist - '));
+    assert.ok(service.buildEvaluationPrompt(job('booking-app'), []).endsWith('Profiles:\nnone'));
+
+    const schema = service.getEvaluationSchema();
+    assert.deepStrictEqual([...schema.required].sort(), Object.keys(schema.properties).sort());
+    assert.strictEqual(schema.additionalProperties, false);
+    assert.deepStrictEqual(schema.properties.category.enum, OpenAIService.CATEGORIES);
+    assert.ok(!prompt.includes('Experience:'), 'profiles are sent as one line each');
+    assert.strictEqual(service.usage.requests, 1);
+    assert.ok(service.usage.promptTokens > 0 && service.usage.completionTokens > 0);
+    console.log('✅ One request per job');
+
+    // Test 2: The evaluation has the score, category, effort estimate, red flags and best profile
+    assert.strictEqual(evaluation.score, 8);
+    assert.strictEqual(evaluation.reasoning, valid.reasoning);
+    assert.strictEqual(evaluation.category, 'mobile');
+    assert.deepStrictEqual(evaluation.analysis, { duration: 'long', complexity: 'complex', estimatedHours: 180 });
+    assert.deepStrictEqual(evaluation.redFlags, []);
+    assert.strictEqual(evaluation.bestProfile.profile.name, 'Mobile Lead');
+    assert.strictEqual(evaluation.bestProfile.score, 9);
+
+    const flagged = await createOpenAI({ ...valid, redFlags: [' Asks for free work ', '', 'Off-platform contact'], bestProfileIndex: null, matchScore: null })
+        .service.evaluateJob(job('clone-cheap'), profiles);
+    assert.deepStrictEqual(flagged.redFlags, ['Asks for free work', 'Off-platform contact']);
+    assert.strictEqual(flagged.bestProfile, null);
+    assert.strictEqual((await createOpenAI().service.evaluateJob(job('booking-app'), [])).bestProfile, null, 'no profiles, no best profile');
+    console.log('✅ Evaluation parsed');
+
+    // Test 3: The problems of every part are reported together, and repaired once
+    const broken = { ...valid, score: 12, category: 'apps', estimatedHours: -3, redFlags: 'none', bestProfileIndex: 7 };
+    assert.throws(() => service.validateEvaluation(broken, profiles), error =>
+        ['score must be', 'category must be one of', 'estimatedHours must be', 'redFlags must be', 'bestProfileIndex must be'].every(text => error.message.includes(text)));
+
+    const repaired = createOpenAI(broken, valid);
+    assert.strictEqual((await repaired.service.evaluateJob(job('booking-app'), profiles)).category, 'mobile');
+    assert.strictEqual(repaired.requests.length, 2);
+    console.log('✅ Invalid evaluations repaired');
+
+    // Test 4: The scoring service stores the combined result, or falls back to the heuristics
+    const scoring = new ScoringService(createOpenAI().service);
+    const evaluated = job('booking-app');
+    evaluated.impliedRate = scoring.getImpliedRate(evaluated);
+    assert.strictEqual(evaluated.impliedRate.basis, 'description');
+
+    const result = await scoring.evaluateJob(evaluated, profiles);
+    assert.deepStrictEqual(result, { score: evaluated.scoreBreakdown.finalScore, category: 'mobile' });
+    assert.strictEqual(evaluated.aiScore, 8);
+    assert.strictEqual(evaluated.scoreBreakdown.aiReasoning, valid.reasoning);
+    assert.deepStrictEqual(evaluated.impliedRate, { min: 50, max: null, hours: 180, duration: 'long', complexity: 'complex', basis: 'analysis' });
+    assert.deepStrictEqual(evaluated.evaluation.analysis, evaluation.analysis);
+    assert.strictEqual(evaluated.evaluation.bestProfileName, 'Mobile Lead');
+    assert.strictEqual(evaluated.evaluation.bestProfileScore, 9);
+    assert.ok(evaluated.evaluation.evaluatedAt instanceof Date);
+
+    const failing = new ScoringService({ evaluateJob: async () => { throw new Error('rate limited'); } });
+    const fallback = job('booking-app');
+    fallback.impliedRate = failing.getImpliedRate(fallback);
+    const heuristic = await failing.evaluateJob(fallback, profiles);
+    assert.strictEqual(heuristic.category, 'mobile');
+    assert.strictEqual(heuristic.score, fallback.scoreBreakdown.customScore);
+    assert.strictEqual(fallback.aiScore, null);
+    assert.strictEqual(fallback.evaluation, null);
+    assert.strictEqual(fallback.impliedRate.basis, 'description');
+
+    const offline = new OpenAIService();
+    offline.openai = null;
+    assert.strictEqual(await offline.evaluateJob(job('booking-app'), profiles), null);
+    assert.strictEqual((await new ScoringService(offline).evaluateJob(job('ai-support'))).category, 'full-stack-ai');
+    console.log('✅ Combined result stored');
+
+    // Test 5: The pipeline makes one request per job and loads the profiles once for both the AI and fit matching
+    let profileReads = 0;
+    const saved = [];
+    const pipelineAi = createOpenAI({ ...valid, redFlags: ['Asks for a free demo'] });
+    const pipeline = new UpworkController(
+        null,
+        new ScoringService(pipelineAi.service),
+        { findBySourceId: async () => null, create: async data => { saved.push(data); return data; } },
+        new EventBus(),
+        null, null, null, null, null,
+        new ProfileController({ findAll: async () => { profileReads++; return profiles; } })
+    );
+    for (const id of ['booking-app', 'ai-support']) {
+        assert.strictEqual(await pipeline.processJob(job(id)), 'new');
+    }
+    assert.strictEqual(pipelineAi.requests.length, 2);
+    assert.strictEqual(profileReads, 2);
+    assert.strictEqual(saved[0].category, 'mobile');
+    assert.strictEqual(saved[0].score, saved[0].scoreBreakdown.finalScore);
+    assert.strictEqual(saved[0].bestProfileName, 'Mobile Lead', 'the fit score is still calculated from the profiles');
+    assert.deepStrictEqual(saved[0].evaluation.redFlags, ['Asks for a free demo']);
+
+    const embed = new ChannelController(null, null, new EventBus())
+        .createJobEmbed({ ...saved[0], id: 'job-1', url: 'https://www.upwork.com/jobs/~booking', createdAt: new Date() }).data;
+    assert.strictEqual(embed.fields.find(field => field.name === '🚩 Red Flags').value, '• Asks for a free demo');
+    console.log('✅ Pipeline uses one request');
+
+    // Test 6: When the AI picks another profile, the calculated fit still drives routing and both are shown, labelled
+    const disagreeing = [];
+    await new UpworkController(
+        null,
+        new ScoringService(createOpenAI({ ...valid, bestProfileIndex: 3, matchScore: 9.5 }).service),
+        { findBySourceId: async () => null, create: async data => { disagreeing.push(data); return data; } },
+        new EventBus(),
+        null, null, null, null, null,
+        new ProfileController({ findAll: async () => profiles })
+    ).processJob(job('booking-app'));
+
+    const [picked] = disagreeing;
+    assert.strictEqual(picked.bestProfileName, 'Mobile Lead');
+    assert.strictEqual(picked.evaluation.bestProfileName, 'Web Generalist');
+    assert.strictEqual(picked.fitScore, saved[0].fitScore, 'the AI pick does not change the fit score');
+    assert.ok(picked.fitScore < 9.5);
+
+    const routing = new RoutingService();
+    assert.ok(routing.matchesRule({ conditions: { minFitScore: picked.fitScore } }, picked));
+    assert.ok(!routing.matchesRule({ conditions: { minFitScore: 9.5 } }, picked), 'routing ignores the AI match score');
+
+    const fields = new ChannelController(null, null, new EventBus())
+        .createJobEmbed({ ...picked, id: 'job-3', url: 'https://www.upwork.com/jobs/~booking', createdAt: new Date() }).data.fields;
+    assert.strictEqual(fields.find(field => field.name === '🧩 Best Fit').value, `Mobile Lead: ${picked.fitScore}/10`);
+    assert.strictEqual(fields.find(field => field.name === '🤖 AI Pick').value, 'Web Generalist: 9.5/10');
+    console.log('✅ Calculated fit drives routing');
+
+    // Test 7: Rescoring evaluates the job like processing does and stores the whole result
+    const stale = { ...job('booking-app'), id: 'job-1', category: 'other', aiScore: 3, evaluation: null, fitScore: null };
+    const rescoreUpdates = [];
+    const rescoreModel = {
+        findById: async () => stale,
+        update: async (id, data) => { rescoreUpdates.push(data); return { ...stale, ...data }; }
+    };
+    const rescoreAi = createOpenAI({ ...valid, redFlags: ['Asks for a free demo'] });
+    const profileController = new ProfileController({ findAll: async () => profiles });
+    await new JobController(rescoreModel, new ScoringService(rescoreAi.service), profileController).rescoreJob('job-1');
+
+    const [rescored] = rescoreUpdates;
+    assert.strictEqual(rescoreAi.requests.length, 1);
+    assert.strictEqual(rescoreAi.requests[0].response_format.json_schema.name, 'job_evaluation');
+    assert.strictEqual(rescored.category, 'mobile');
+    assert.strictEqual(rescored.aiScore, 8);
+    assert.strictEqual(rescored.score, rescored.scoreBreakdown.finalScore);
+    assert.strictEqual(rescored.impliedRate.basis, 'analysis');
+    assert.deepStrictEqual(rescored.evaluation.redFlags, ['Asks for a free demo']);
+    assert.strictEqual(rescored.bestProfileName, 'Mobile Lead');
+    assert.strictEqual(typeof rescored.fitScore, 'number');
+
+    // Offline, a job scores the same when processed and when rescored
+    const offlineSaved = [];
+    await new UpworkController(
+        null,
+        new ScoringService(offline),
+        { findBySourceId: async () => null, create: async data => { offlineSaved.push(data); return data; } },
+        new EventBus(),
+        null, null, null, null, null,
+        profileController
+    ).processJob(job('booking-app'));
+    const offlineUpdates = [];
+    await new JobController(
+        { findById: async () => ({ ...job('booking-app'), id: 'job-2' }), update: async (id, data) => { offlineUpdates.push(data); return data; } },
+        new ScoringService(offline),
+        profileController
+    ).rescoreJob('job-2');
+    assert.strictEqual(offlineUpdates[0].aiScore, null);
+    assert.strictEqual(offlineUpdates[0].evaluation, null);
+    assert.strictEqual(offlineUpdates[0].score, offlineSaved[0].score);
+    assert.strictEqual(offlineUpdates[0].fitScore, offlineSaved[0].fitScore);
+    console.log('✅ Rescoring stores the whole evaluation');
+
+    // Test 8: The combined evaluation needs fewer requests, tokens and time than the score and category requests it replaces
+    const [before, combined] = await runBenchmark({ wait: false });
+    assert.strictEqual(before.requests, jobs.length * 2);
+    assert.strictEqual(combined.requests, jobs.length);
+    assert.ok(combined.totalTokens < before.totalTokens, `${combined.totalTokens} < ${before.totalTokens} tokens`);
+    assert.ok(combined.simulatedMs < before.simulatedMs, `${combined.simulatedMs} < ${before.simulatedMs} ms`);
+    console.log('✅ Benchmark shows the savings');
+
+    console.log('\n🎉 Job evaluation tests passed');
+}
+
+run().catch(error => {
+    console.error('❌ Job evaluation test failed:', error);
+    process.exit(1);
+});
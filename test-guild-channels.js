@@ -0,0 +1,139 @@
+/**
+ * Per-guild channel tests
+ * Checks that channel lookups, creation and statistics only see the channels of one guild
+ * The channel model runs its queries against an in-memory collection loaded from fixtures/guild-channels
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const ChannelSchema = require('./src/models/schemas/ChannelSchema');
+const ChannelModel = require('./src/models/ChannelModel');
+const ChannelController = require('./src/controllers/ChannelController');
+const CommandController = require('./src/controllers/CommandController');
+
+const fixtures = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'guild-channels', 'channels.json'), 'utf8'));
+
+/**
+ * Build an in-memory stand-in for the Mongoose channel model
+ * Supports the equality and $gte filters, $match/$group/$sort pipelines and the schema statics
+ * @param {Array} documents - The stored channel documents
+ */
+function createCollection(documents) {
+    const matches = filter => document => Object.entries(filter).every(([key, condition]) =>
+        condition && condition.$gte ? document[key] >= condition.$gte : document[key] === condition
+    );
+    let nextId = documents.length + 1;
+
+    class Channel {
+        constructor(data) {
+            Object.assign(this, data, { createdAt: new Date() });
+        }
+
+        async save() {
+            this._id = `c${nextId++}`;
+            documents.push(this);
+            return this;
+        }
+
+        static find(filter = {}) {
+            const results = documents.filter(matches(filter));
+            return { sort: () => results.sort((a, b) => a.name.localeCompare(b.name)) };
+        }
+
+        static async findOne(filter) {
+            return documents.find(matches(filter)) || null;
+        }
+
+        static async countDocuments(filter = {}) {
+            return documents.filter(matches(filter)).length;
+        }
+
+        static async aggregate([{ $match }, { $group }]) {
+            const field = $group._id.substring(1);
+            const counts = {};
+            for (const document of documents.filter(matches($match))) {
+                counts[document[field]] = (counts[document[field]] || 0) + 1;
+            }
+            return Object.entries(counts).map(([_id, count]) => ({ _id, count })).sort((a, b) => b.count - a.count);
+        }
+    }
+
+    Object.assign(Channel, ChannelSchema.statics);
+    return Channel;
+}
+
+/**
+ * Load the fixture channels, dating "recent" ones to now
+ */
+function loadChannels() {
+    return fixtures.map(channel => ({
+        ...channel,
+        createdAt: channel.createdAt === 'recent' ? new Date() : new Date(channel.createdAt)
+    }));
+}
+
+async function run() {
+    console.log('🧪 Testing per-guild channels...\n');
+
+    const documents = loadChannels();
+    const channelModel = new ChannelModel();
+    channelModel.Channel = createCollection(documents);
+
+    // Test 1: Each guild maps a category to its own channel
+    assert.strictEqual((await channelModel.findByCategory('1', 'backend')).discordId, '101');
+    assert.strictEqual((await channelModel.findByCategory('2', 'backend')).discordId, '201');
+    assert.strictEqual(await channelModel.findByCategory('1', 'full-stack-ai'), null, 'another guild\'s channel is not used');
+    assert.deepStrictEqual((await channelModel.findByGuild('2')).map(channel => channel.name), ['ai', 'apps', 'server-side']);
+    console.log('✅ Channels looked up per guild');
+
+    // Test 2: Getting a channel creates one for the guild when only other guilds have the category
+    const channelService = {
+        created: [],
+        createChannel: async (guildId, options) => {
+            channelService.created.push([guildId, options.name]);
+            return { id: String(300 + channelService.created.length) };
+        }
+    };
+    const channelController = new ChannelController(channelService, channelModel, null);
+
+    assert.strictEqual((await channelController.getOrCreateChannelForCategory('2', 'mobile')).discordId, '202');
+    const created = await channelController.getOrCreateChannelForCategory('1', 'full-stack-ai');
+    assert.deepStrictEqual([created.guildId, created.discordId, created.name], ['1', '301', 'full-stack-ai']);
+    assert.deepStrictEqual(channelService.created, [['1', 'full-stack-ai']]);
+    assert.strictEqual((await channelModel.findByCategory('2', 'full-stack-ai')).discordId, '203');
+    console.log('✅ Missing channels created per guild');
+
+    // Test 3: Statistics count one guild's channels, or all of them without a guild
+    assert.deepStrictEqual(await channelController.getChannelStats('1'), {
+        totalChannels: 3,
+        channelsByCategory: { backend: 1, mobile: 1, 'full-stack-ai': 1 },
+        recentChannels: 2
+    });
+    const all = await channelModel.getStats();
+    assert.strictEqual(all.total, 6);
+    assert.deepStrictEqual(all.byGuild, { 1: 3, 2: 3 });
+    assert.deepStrictEqual(all.byCategory, { backend: 2, mobile: 2, 'full-stack-ai': 2 });
+    assert.strictEqual(all.recent, 4);
+    assert.strictEqual(await channelModel.count('2'), 3);
+    console.log('✅ Statistics scoped to the guild');
+
+    // Test 4: /channels lists the channels of the server it is used in
+    const commands = new CommandController(null, null, null, channelController);
+    const replies = [];
+    await commands.handleMessage({ content: '!channels', guild: { id: '2' }, reply: async reply => replies.push(reply) });
+    const listed = replies[0].embeds[0].data;
+    assert.strictEqual(listed.description, 'Found 3 channels');
+    assert.deepStrictEqual(listed.fields.map(field => field.name), ['1. ai', '2. apps', '3. server-side']);
+
+    await commands.handleMessage({ content: '!channels', guild: null, reply: async reply => replies.push(reply) });
+    assert.strictEqual(replies[1], '❌ This command can only be used in a server.');
+    console.log('✅ Channel list scoped to the server');
+
+    console.log('\n🎉 Per-guild channel tests passed');
+}
+
+run().catch(error => {
+    console.error('❌ Per-guild channel test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,168 @@
+/**
+ * Job button tests
+ * Clicks the triage buttons of a posted job and checks the stored job and the edited embed
+ */
+
+const assert = require('assert');
+const JobController = require('./src/controllers/JobController');
+const ChannelController = require('./src/controllers/ChannelController');
+const CommandController = require('./src/controllers/CommandController');
+
+/**
+ * Build an in-memory job model that applies updates the way the Mongoose model does
+ * @param {Array} jobs - The stored jobs
+ */
+function createJobModel(jobs) {
+    const store = new Map(jobs.map(job => [job.id, { actions: [], ...job }]));
+
+    return {
+        store,
+        findById: async id => store.get(id) ? { ...store.get(id) } : null,
+        update: async (id, data) => {
+            const job = store.get(id);
+            if (!job) return null;
+
+            const { $push, ...fields } = data;
+            Object.assign(job, fields);
+            if ($push) {
+                job.actions = [...job.actions, $push.actions];
+            }
+            return { ...job };
+        }
+    };
+}
+
+/**
+ * Build a button interaction for a job custom ID
+ * @param {string} customId - The button custom ID
+ * @param {string} guildId - The guild the button was clicked in
+ */
+function createButton(customId, guildId = 'guild-1') {
+    const interaction = {
+        customId,
+        guildId,
+        user: { id: 'user-1', tag: 'freelancer#0001' },
+        replied: false,
+        deferred: false,
+        calls: [],
+        isAutocomplete: () => false,
+        isButton: () => true,
+        isModalSubmit: () => false,
+        deferUpdate: async () => {
+            interaction.deferred = true;
+            interaction.calls.push(['deferUpdate']);
+        },
+        editReply: async message => interaction.calls.push(['editReply', message]),
+        followUp: async message => interaction.calls.push(['followUp', message]),
+        reply: async message => interaction.calls.push(['reply', message])
+    };
+
+    return interaction;
+}
+
+const field = (embed, name) => embed.data.fields.find(candidate => candidate.name === name);
+
+async function run() {
+    console.log('🧪 Testing job buttons...\n');
+
+    const jobModel = createJobModel([{
+        id: 'job-1',
+        title: 'Build a REST API',
+        description: 'Node.js backend for a booking app',
+        url: 'https://www.upwork.com/jobs/~01',
+        budget: { type: 'fixed', min: 800, max: 800 },
+        score: 6,
+        category: 'backend',
+        createdAt: new Date('2026-01-05T10:00:00Z')
+    }]);
+    const scoringService = {
+        getImpliedRate: () => null,
+        evaluateJob: async job => {
+            job.aiScore = 9;
+            job.evaluation = { redFlags: ['Unclear deadline'] };
+            return { score: 8.5, category: 'api' };
+        }
+    };
+    const jobController = new JobController(jobModel, scoringService);
+    const channelController = new ChannelController(null, null, null);
+    const scoringProfileController = {
+        applyProfile: async (job, guildId) => ({ ...job, score: guildId === 'guild-1' ? job.score - 1 : job.score })
+    };
+    const commands = new CommandController(null, null, jobController, channelController, null, null, null, null, scoringProfileController);
+
+    // Test 1: A posted job offers the triage buttons, disabling those already used
+    const buttons = job => channelController.createJobActionRow(job).toJSON().components;
+    assert.deepStrictEqual(
+        buttons({ id: 'job-1' }).map(button => button.custom_id),
+        ['job:applied:job-1', 'job:saved:job-1', 'job:dismissed:job-1', 'job:rescore:job-1', 'job:details:job-1']
+    );
+    assert.deepStrictEqual(
+        buttons({ id: 'job-1', saved: true }).map(button => Boolean(button.disabled)),
+        [false, true, false, false, false]
+    );
+    console.log('✅ Action row built');
+
+    // Test 2: Applied, Save and Not interested store the flag and who acted, then edit the embed in place
+    for (const [action, flag] of [['applied', 'appliedAt'], ['saved', 'savedAt'], ['dismissed', 'dismissedAt']]) {
+        const interaction = createButton(`job:${action}:job-1`);
+        await commands.handleInteraction(interaction);
+
+        const stored = jobModel.store.get('job-1');
+        assert.strictEqual(stored[action], true);
+        assert.ok(stored[flag] instanceof Date);
+        assert.deepStrictEqual(
+            { action: stored.actions.at(-1).action, userId: stored.actions.at(-1).userId, userTag: stored.actions.at(-1).userTag },
+            { action, userId: 'user-1', userTag: 'freelancer#0001' }
+        );
+        assert.deepStrictEqual(interaction.calls.map(([type]) => type), ['deferUpdate', 'editReply']);
+    }
+
+    const edited = createButton('job:saved:job-1');
+    await commands.handleInteraction(edited);
+    const [, message] = edited.calls[1];
+    const embed = message.embeds[0];
+    const activity = field(embed, '📝 Activity').value.split('\n');
+    assert.strictEqual(activity.length, 4);
+    assert.ok(activity[0].startsWith('✅ Applied by <@user-1> <t:'));
+    assert.ok(activity[2].startsWith('🚫 Not interested by <@user-1>'));
+    assert.strictEqual(field(embed, '⭐ Score').value, '5/10', 'the guild keeps the score its profile gave the job');
+    assert.ok(message.components[0].toJSON().components.slice(0, 3).every(button => button.disabled), 'used actions are disabled');
+    console.log('✅ Triage actions recorded');
+
+    // Test 3: Rescore stores the new evaluation and records the rescoring
+    const rescore = createButton('job:rescore:job-1', 'guild-2');
+    await commands.handleInteraction(rescore);
+    const rescored = jobModel.store.get('job-1');
+    assert.strictEqual(rescored.score, 8.5);
+    assert.strictEqual(rescored.category, 'api');
+    assert.strictEqual(rescored.aiScore, 9);
+    assert.strictEqual(rescored.actions.at(-1).action, 'rescored');
+
+    const rescoredEmbed = rescore.calls[1][1].embeds[0];
+    assert.strictEqual(field(rescoredEmbed, '⭐ Score').value, '8.5/10');
+    assert.strictEqual(field(rescoredEmbed, '🚩 Red Flags').value, '• Unclear deadline');
+    assert.strictEqual(field(rescoredEmbed, '📝 Activity').value.split('\n').length, 5, 'only the five latest actions are shown');
+    console.log('✅ Rescore stored');
+
+    // Test 4: A missing job or a failing update answers only the user who clicked
+    const missing = createButton('job:applied:job-404');
+    await commands.handleInteraction(missing);
+    assert.deepStrictEqual(missing.calls.at(-1), ['followUp', { content: '❌ Job not found.', ephemeral: true }]);
+
+    jobModel.update = async () => { throw new Error('Database unavailable'); };
+    const failing = createButton('job:saved:job-1');
+    await commands.handleInteraction(failing);
+    assert.deepStrictEqual(failing.calls.at(-1), ['followUp', { content: '❌ An error occurred while processing this action.', ephemeral: true }]);
+
+    const unknown = createButton('job:archive:job-1');
+    await commands.handleInteraction(unknown);
+    assert.deepStrictEqual(unknown.calls, [['deferUpdate']]);
+    console.log('✅ Failed actions reported');
+
+    console.log('\n🎉 Job button tests passed');
+}
+
+run().catch(error => {
+    console.error('❌ Job button test failed:', error);
+    process.exit(1);
+});
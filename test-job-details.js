@@ -0,0 +1,192 @@
+/**
+ * Job detail enrichment tests
+ * Parses the detail page fixtures in fixtures/job-details, enriches jobs through a local HTTP server and scores client reputation
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const UpworkService = require('./src/services/UpworkService');
+const UpworkSource = require('./src/services/sources/UpworkSource');
+const UpworkController = require('./src/controllers/UpworkController');
+const ChannelController = require('./src/controllers/ChannelController');
+const ScoringService = require('./src/services/ScoringService');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'job-details', name), 'utf8');
+
+async function run() {
+    console.log('🧪 Testing job detail enrichment...\n');
+    const service = new UpworkService();
+
+    // Test 1: Established client with full activity and screening questions
+    const established = await service.parseJobDetails(fixture('established-client.html'), '01a2b3c4d5e6f7a8b9');
+    assert.strictEqual(established.title, 'Senior React Developer for SaaS Dashboard');
+    assert.strictEqual(established.fullDescription, [
+        'We need an experienced React developer to rebuild the analytics dashboard of our SaaS product.',
+        '',
+        'You will work with our designer and backend team.',
+        '- Migrate class components to hooks',
+        '- Add charts with Recharts',
+        '',
+        'Long-term work for the right person.'
+    ].join('\n'));
+    assert.deepStrictEqual(established.budget, { type: 'hourly', min: 35, max: 60, currency: 'USD' });
+    assert.deepStrictEqual(established.skills, ['React', 'TypeScript', 'Redux']);
+    assert.strictEqual(established.experience, 'expert');
+    assert.deepStrictEqual(established.client, {
+        paymentVerified: true,
+        totalSpent: 25000,
+        hireRate: 72,
+        totalHires: 14,
+        jobsPosted: 18,
+        avgHourlyRate: 42.5,
+        rating: 4.9,
+        reviewsCount: 12,
+        country: 'United States',
+        memberSince: new Date('2019-03-12T00:00:00.000Z')
+    });
+    assert.deepStrictEqual(established.activity, {
+        proposalsText: '10 to 15',
+        proposalsMin: 10,
+        proposalsMax: 15,
+        interviewing: 2,
+        invitesSent: 5,
+        unansweredInvites: 1
+    });
+    assert.deepStrictEqual(established.screeningQuestions, [
+        'Describe your recent experience with similar projects',
+        'Please list any certifications related to this project'
+    ]);
+    assert.strictEqual(established.location, 'United States');
+    assert.strictEqual(established.clientId, null, 'detail pages show no client ID');
+    console.log('✅ Established client parsed');
+
+    // Test 2: New client; unknown values stay null instead of becoming zero
+    const newClient = await service.parseJobDetails(fixture('new-client.html'), '01newclient');
+    assert.deepStrictEqual(newClient.budget, { type: 'fixed', min: 150, max: null, currency: 'USD' });
+    assert.strictEqual(newClient.experience, 'entry');
+    assert.strictEqual(newClient.client.paymentVerified, false);
+    assert.strictEqual(newClient.client.totalSpent, null);
+    assert.strictEqual(newClient.client.totalHires, null);
+    assert.strictEqual(newClient.client.hireRate, 0);
+    assert.strictEqual(newClient.client.jobsPosted, 1);
+    assert.strictEqual(newClient.client.rating, null);
+    assert.strictEqual(newClient.client.reviewsCount, 0);
+    assert.strictEqual(newClient.client.country, 'Germany');
+    assert.strictEqual(newClient.client.avgHourlyRate, null);
+    assert.strictEqual(newClient.clientId, null);
+    assert.deepStrictEqual(
+        [newClient.activity.proposalsMin, newClient.activity.proposalsMax, newClient.activity.unansweredInvites],
+        [0, 4, null]
+    );
+    assert.deepStrictEqual(newClient.screeningQuestions, []);
+    console.log('✅ New client parsed');
+
+    // Test 3: Large numbers, K/M suffixes and open-ended proposal bands
+    const busy = await service.parseJobDetails(fixture('busy-job.html'), '01busy');
+    assert.deepStrictEqual(busy.budget, { type: 'fixed', min: 1500, max: null, currency: 'USD' });
+    assert.strictEqual(busy.experience, 'intermediate');
+    assert.strictEqual(busy.client.totalSpent, 1200000);
+    assert.strictEqual(busy.client.totalHires, 1980);
+    assert.strictEqual(busy.client.jobsPosted, 2340);
+    assert.strictEqual(busy.client.reviewsCount, 1);
+    assert.deepStrictEqual([busy.activity.proposalsMin, busy.activity.proposalsMax], [50, null]);
+    assert.deepStrictEqual(service.parseProposals('20 to 50'), { min: 20, max: 50 });
+    assert.deepStrictEqual(service.parseProposals(''), { min: null, max: null });
+    console.log('✅ Busy job parsed');
+
+    // Test 4: Enrichment fetches the detail page and merges it into the card-level job
+    const server = http.createServer((req, res) => {
+        if (req.url === '/jobs/~01a2b3c4d5e6f7a8b9') {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(fixture('established-client.html'));
+            return;
+        }
+        res.writeHead(404);
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    service.baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+        const controller = new UpworkController(null, null, null, null, null, null, null);
+        controller.enrichmentEnabled = true;
+        const source = new UpworkSource(service);
+
+        const job = {
+            source: 'upwork',
+            externalId: '01a2b3c4d5e6f7a8b9',
+            title: 'Senior React Developer for SaaS Dashboard',
+            description: 'We need an experienced React developer…',
+            budget: null,
+            skills: [],
+            location: ''
+        };
+        assert.strictEqual(await controller.enrichJob(job, source), true);
+        assert.ok(job.fullDescription.endsWith('Long-term work for the right person.'));
+        assert.strictEqual(job.description, 'We need an experienced React developer…');
+        assert.strictEqual(job.client.totalSpent, 25000);
+        assert.strictEqual(job.clientId, null);
+        assert.strictEqual(job.activity.interviewing, 2);
+        assert.strictEqual(job.screeningQuestions.length, 2);
+        assert.deepStrictEqual(job.skills, ['React', 'TypeScript', 'Redux']);
+        assert.deepStrictEqual(job.budget, { type: 'hourly', min: 35, max: 60, currency: 'USD' });
+        assert.strictEqual(job.experience, 'expert');
+        assert.ok(job.enrichedAt instanceof Date);
+
+        // A missing detail page is recorded without failing the job
+        const missing = { source: 'upwork', externalId: 'gone', title: 'Removed job', skills: [] };
+        assert.strictEqual(await controller.enrichJob(missing, source), false);
+        assert.ok(missing.enrichmentError.includes('404'));
+        assert.strictEqual(missing.client, undefined);
+
+        // Sources without detail pages are never asked
+        assert.strictEqual(await controller.enrichJob({ externalId: '1' }, { enrichDetails: false }), false);
+    } finally {
+        server.close();
+    }
+    console.log('✅ Jobs enriched');
+
+    // Test 5: The client of every new job is upserted, and a failing store never stops the job
+    const upserted = [];
+    const clientController = new UpworkController(null, null, null, null, null, null, null, {
+        upsertFromJob: async job => {
+            if (job.clientId === 'broken') throw new Error('connection lost');
+            upserted.push(job.clientId);
+        }
+    });
+    await clientController.updateClient({ clientId: '1344957', client: established.client });
+    await clientController.updateClient({ clientId: null, client: newClient.client });
+    await clientController.updateClient({ clientId: 'broken', client: {} });
+    assert.deepStrictEqual(upserted, ['1344957']);
+
+    // Only real client IDs get a history lookup in the job embed
+    const channels = new ChannelController(null, null, null);
+    const clientField = clientId => channels.createJobEmbed({ ...established, id: 'job-1', score: 7, category: 'frontend', createdAt: new Date(), clientId })
+        .data.fields.find(field => field.name === '👤 Client').value;
+    assert.ok(clientField('1344957').endsWith('\nHistory: `/client 1344957`'));
+    assert.ok(!clientField(null).includes('/client'));
+    assert.ok(!clientField('fp-0123456789ab').includes('/client'), 'IDs derived by older versions are not linked');
+    console.log('✅ Clients recorded');
+
+    // Test 6: Client reputation is scored from the numbers, not from text
+    const scoring = new ScoringService(null);
+    assert.strictEqual(scoring.scoreClient(null), 5);
+    assert.strictEqual(scoring.scoreClient(established.client), 10);
+    assert.strictEqual(scoring.scoreClient(newClient.client), 3);
+    assert.strictEqual(scoring.scoreClient(busy.client), 10);
+    assert.strictEqual(scoring.scoreClient({ paymentVerified: true, hireRate: 10, jobsPosted: 12, rating: 3.6, reviewsCount: 4, avgHourlyRate: 12 }), 2.5);
+    // A 0% hire rate on a first job and a rating without reviews are not held against the client
+    assert.strictEqual(scoring.scoreClient({ hireRate: 0, jobsPosted: 1, rating: 0, reviewsCount: 0 }), 5);
+    assert.ok(scoring.calculateCustomScore({ ...established, client: established.client }) >
+        scoring.calculateCustomScore({ ...established, client: newClient.client }));
+    console.log('✅ Client reputation scored');
+
+    console.log('\n🎉 Job detail tests passed');
+}
+
+run().catch(error => {
+    console.error('❌ Job detail test failed:', error);
+    process.exit(1);
+});
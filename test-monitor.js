@@ -0,0 +1,135 @@
+/**
+ * Monitoring schedule tests
+ * Runs the schedule table in fixtures/monitor and starts, reschedules and stops the monitor through its command
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { PermissionFlagsBits } = require('discord.js');
+const ScheduleService = require('./src/services/ScheduleService');
+const UpworkController = require('./src/controllers/UpworkController');
+const CommandController = require('./src/controllers/CommandController');
+
+const schedules = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'monitor', 'schedules.json'), 'utf8'));
+
+/**
+ * Build an in-memory monitor configuration model
+ * @param {Object} config - The stored configuration
+ */
+function createMonitorConfigModel(config) {
+    const model = {
+        config: { lastRun: null, skippedCycles: 0, ...config },
+        get: async () => ({ ...model.config }),
+        update: async data => {
+            Object.assign(model.config, data);
+            return { ...model.config };
+        },
+        recordRun: async run => { model.config.lastRun = run; },
+        recordSkippedCycle: async () => { model.config.skippedCycles++; }
+    };
+
+    return model;
+}
+
+const field = (embed, name) => embed.data.fields.find(candidate => candidate.name === name).value;
+
+async function run() {
+    console.log('🧪 Testing the monitoring schedule...\n');
+
+    const scheduleService = new ScheduleService();
+
+    // Test 1: Each schedule becomes a cron expression, a description and the next run in its timezone
+    for (const schedule of schedules) {
+        assert.strictEqual(scheduleService.buildCronExpression(schedule.config), schedule.cron, schedule.description);
+        assert.strictEqual(scheduleService.describeSchedule(schedule.config), schedule.description);
+        assert.strictEqual(scheduleService.getNextRun(schedule.config, new Date(schedule.from)).toISOString(), new Date(schedule.nextRun).toISOString(), schedule.description);
+    }
+    console.log(`✅ ${schedules.length} schedules converted`);
+
+    // Test 2: Schedule options are validated and normalized
+    assert.deepStrictEqual(scheduleService.parseScheduleOptions({ interval: '10', hours: '9:00 - 17', days: 'sat-mon', timezone: 'Asia/Tokyo' }), {
+        intervalMinutes: 10,
+        activeHours: { start: 9, end: 17 },
+        activeDays: [0, 1, 6],
+        timezone: 'Asia/Tokyo'
+    });
+    assert.deepStrictEqual(scheduleService.parseScheduleOptions({ hours: 'all', days: 'mon,wed,3,friday' }), {
+        activeHours: { start: 0, end: 24 },
+        activeDays: [1, 3, 5]
+    });
+    for (const [options, error] of [
+        [{ interval: '7' }, /^Interval must be one of 1, 2, 3/],
+        [{ hours: 'mornings' }, /^Hours must look like 9-17/],
+        [{ hours: '25-3' }, /^Hours must be between 0 and 24/],
+        [{ hours: '9-9' }, /^Hours must be between 0 and 24/],
+        [{ days: 'funday' }, /^Unknown day: funday$/],
+        [{ timezone: 'Mars/Olympus_Mons' }, /^Unknown timezone: Mars\/Olympus_Mons$/]
+    ]) {
+        assert.throws(() => scheduleService.parseScheduleOptions(options), { message: error });
+    }
+    console.log('✅ Schedule options validated');
+
+    // Test 3: The monitor follows the persisted configuration and the monitor command
+    const monitorConfigModel = createMonitorConfigModel({ ...schedules[0].config, enabled: false });
+    const sourceRegistry = { demoMode: false, getDegradedSources: () => [] };
+    const upwork = new UpworkController(sourceRegistry, null, null, null, monitorConfigModel, scheduleService, null);
+    const commands = new CommandController(upwork);
+    const send = async content => {
+        const replies = [];
+        await commands.handleMessage({
+            content,
+            guild: { id: '1' },
+            member: { permissions: { has: flag => flag === PermissionFlagsBits.ManageChannels } },
+            reply: async reply => replies.push(reply)
+        });
+        return replies[0];
+    };
+
+    try {
+        await upwork.startMonitoring();
+        assert.strictEqual(upwork.isMonitoring, false, 'a monitor stopped by an admin stays stopped after a restart');
+
+        const started = (await send('!monitor start')).embeds[0];
+        assert.strictEqual(monitorConfigModel.config.enabled, true);
+        assert.strictEqual(field(started, 'State'), '🟢 Running');
+        assert.strictEqual(field(started, 'Schedule'), 'every 5 minutes, all day, every day (UTC)\n`*/5 * * * *`');
+        assert.match(field(started, 'Next Run'), /^<t:\d+:R>$/);
+
+        const rescheduled = (await send('!monitor schedule interval=15 hours=9-17 days=mon-fri timezone=Europe/Berlin')).embeds[0];
+        assert.strictEqual(upwork.schedule.intervalMinutes, 15, 'the running monitor is rescheduled');
+        assert.strictEqual(field(rescheduled, 'Schedule'), 'every 15 minutes, 09:00-17:00, Mon, Tue, Wed, Thu, Fri (Europe/Berlin)\n`*/15 9,10,11,12,13,14,15,16 * * 1,2,3,4,5`');
+
+        assert.strictEqual(await send('!monitor schedule'), '❌ Error controlling job monitoring: Nothing to change: set interval, hours, days or timezone');
+        assert.strictEqual(await send('!monitor schedule interval=7'), `❌ Error controlling job monitoring: Interval must be one of ${scheduleService.validIntervals.join(', ')} minutes`);
+
+        const stopped = (await send('!monitor stop')).embeds[0];
+        assert.strictEqual(monitorConfigModel.config.enabled, false);
+        assert.strictEqual(upwork.isMonitoring, false);
+        assert.strictEqual(field(stopped, 'State'), '🔴 Stopped');
+        assert.strictEqual(field(stopped, 'Next Run'), 'Not scheduled');
+        console.log('✅ Monitor started, rescheduled and stopped');
+
+        // Test 4: A cycle is skipped while a fetch is running, and the status survives a database outage
+        upwork.isFetching = true;
+        assert.strictEqual(await upwork.runMonitoringCycle(), null);
+        assert.strictEqual(monitorConfigModel.config.skippedCycles, 1);
+        upwork.isFetching = false;
+        assert.strictEqual(field((await send('!monitor status')).embeds[0], 'Skipped Cycles'), '1');
+
+        monitorConfigModel.get = async () => { throw new Error('Database unavailable'); };
+        const fallback = await upwork.getMonitoringStatus();
+        assert.strictEqual(fallback.schedule, 'every 5 minutes, all day, every day (UTC)');
+        assert.strictEqual(fallback.enabled, true);
+        console.log('✅ Skipped cycles and database outages handled');
+    } finally {
+        upwork.stopMonitoring();
+    }
+
+    console.log('\n🎉 Monitoring schedule tests passed');
+}
+
+run().catch(error => {
+    console.error('❌ Monitoring schedule test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,163 @@
+/**
+ * Structured OpenAI response tests
+ * Answers the requests for the jobs in fixtures/openai with scripted responses and checks they are validated, repaired or fall back
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const OpenAIService = require('./src/services/OpenAIService');
+const ScoringService = require('./src/services/ScoringService');
+
+const fixture = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'openai', name), 'utf8'));
+const jobs = fixture('jobs.json');
+const responses = fixture('responses.json');
+const job = id => ({ ...jobs.find(candidate => candidate.externalId === id) });
+
+const profiles = [
+    { name: 'Web', skills: ['React', 'Node.js'], experience: { level: 'senior' }, hourlyRate: 60 },
+    { name: 'Mobile', skills: ['React Native', 'Swift'], experience: { level: 'mid-level' }, hourlyRate: 45 }
+];
+
+/**
+ * Build an OpenAI service whose client answers with the given responses in turn
+ * A response is JSON data, raw text, `{ refusal }` or an Error to throw; requests are recorded as sent
+ */
+function createOpenAI(answers) {
+    const service = new OpenAIService();
+    const requests = [];
+
+    service.openai = {
+        chat: {
+            completions: {
+                create: async request => {
+                    requests.push(JSON.parse(JSON.stringify(request)));
+                    const answer = answers.shift();
+                    if (answer instanceof Error) throw answer;
+
+                    const message = answer && answer.refusal
+                        ? { content: null, refusal: answer.refusal }
+                        : { content: typeof answer === 'string' ? answer : JSON.stringify(answer), refusal: null };
+                    return { choices: [{ message }] };
+                }
+            }
+        }
+    };
+    return { service, requests };
+}
+
+async function run() {
+    console.log('🧪 Testing structured OpenAI responses...\n');
+    const { valid, invalid } = responses;
+
+    // Test 1: Requests ask for JSON matching a strict schema, with the configured model
+    const model = process.env.OPENAI_MODEL;
+    delete process.env.OPENAI_MODEL;
+    assert.strictEqual(new OpenAIService().model, 'gpt-4o-mini');
+    process.env.OPENAI_MODEL = 'gpt-4o';
+    assert.strictEqual(new OpenAIService().model, 'gpt-4o');
+    if (model === undefined) delete process.env.OPENAI_MODEL; else process.env.OPENAI_MODEL = model;
+
+    const scored = createOpenAI([valid.job_score]);
+    await scored.service.scoreJob(job('rn-app'));
+    const format = scored.requests[0].response_format;
+    assert.strictEqual(format.type, 'json_schema');
+    assert.strictEqual(format.json_schema.name, 'job_score');
+    assert.strictEqual(format.json_schema.strict, true);
+
+    // Strict schemas must require every property and allow no others
+    const openai = new OpenAIService();
+    const checkStrict = schema => {
+        assert.deepStrictEqual([...schema.required].sort(), Object.keys(schema.properties).sort());
+        assert.strictEqual(schema.additionalProperties, false);
+        Object.values(schema.properties).filter(property => property.type === 'object').forEach(checkStrict);
+    };
+    [openai.getScoreSchema(), openai.getCategorySchema(), openai.getAnalysisSchema(), openai.getProfileMatchSchema()].forEach(checkStrict);
+    assert.deepStrictEqual(openai.getCategorySchema().properties.category.enum, OpenAIService.CATEGORIES);
+    console.log('✅ Requests use JSON schemas');
+
+    // Test 2: Valid responses are used as returned
+    assert.deepStrictEqual(await createOpenAI([valid.job_score]).service.scoreJob(job('rn-app')), { score: 7.5, reasoning: valid.job_score.reasoning });
+    assert.strictEqual(await createOpenAI([valid.job_category]).service.categorizeJob(job('rn-app')), 'mobile');
+    assert.strictEqual(await createOpenAI([{ category: ' Backend ' }]).service.categorizeJob(job('rn-app')), 'backend');
+    assert.deepStrictEqual(await createOpenAI([valid.job_analysis]).service.analyzeJob(job('rn-app')), valid.job_analysis);
+
+    const match = await createOpenAI([valid.profile_match]).service.findBestProfileMatch(job('rn-app'), profiles);
+    assert.strictEqual(match.profile.name, 'Mobile');
+    assert.strictEqual(match.score, 8.5);
+    console.log('✅ Valid responses accepted');
+
+    // Test 3: Responses outside the schema or the allowed values are rejected with the problems found
+    const validators = {
+        job_score: data => openai.validateScore(data),
+        job_category: data => openai.validateCategory(data),
+        job_analysis: data => openai.validateAnalysis(data),
+        profile_match: data => openai.validateProfileMatch(data, profiles)
+    };
+    for (const entry of invalid) {
+        assert.throws(() => validators[entry.name](entry.response), error => error.message.includes(entry.error), `${entry.name}: ${entry.error}`);
+    }
+    assert.throws(() => openai.parseJson('mobile'), /not valid JSON/);
+    console.log('✅ Invalid responses rejected');
+
+    // Test 4: An invalid response is sent back once to be fixed
+    const repaired = createOpenAI([{ category: 'blockchain' }, { category: 'backend' }]);
+    assert.strictEqual(await repaired.service.categorizeJob(job('rn-app')), 'backend');
+    assert.strictEqual(repaired.requests.length, 2);
+    const repair = repaired.requests[1].messages;
+    assert.strictEqual(repair.length, 4);
+    assert.deepStrictEqual(repair[2], { role: 'assistant', content: '{"category":"blockchain"}' });
+    assert.ok(repair[3].content.includes('category must be one of'));
+
+    const text = createOpenAI(['Score: 8/10', valid.job_score]);
+    assert.strictEqual((await text.service.scoreJob(job('rn-app'))).score, 7.5);
+    assert.ok(text.requests[1].messages[3].content.includes('not valid JSON'));
+
+    const stubborn = createOpenAI([{ category: 'blockchain' }, { category: 'web3' }, valid.job_category]);
+    await assert.rejects(stubborn.service.categorizeJob(job('rn-app')), /Invalid job_category response from OpenAI/);
+    assert.strictEqual(stubborn.requests.length, 2);
+
+    const refused = createOpenAI([{ refusal: 'I cannot help with that.' }, valid.job_score]);
+    await assert.rejects(refused.service.scoreJob(job('rn-app')), /refused/);
+    assert.strictEqual(refused.requests.length, 1, 'refusals are not repaired');
+
+    const noRepair = createOpenAI([{ score: 11, reasoning: '' }, valid.job_score]);
+    noRepair.service.repairAttempts = 0;
+    await assert.rejects(noRepair.service.scoreJob(job('rn-app')), /score must be a number from 0 to 10/);
+    console.log('✅ Invalid responses repaired');
+
+    // Test 5: When repairing fails, or the request does, scoring falls back to the heuristics
+    const failing = () => new ScoringService(createOpenAI([{ category: 'blockchain' }, { category: 'nft' }]).service);
+    assert.strictEqual(await failing().categorizeJob(job('rn-app')), 'mobile', 'no invented category reaches the channels');
+    assert.strictEqual(await failing().categorizeJob(job('no-skills')), 'other');
+    assert.deepStrictEqual(await failing().analyzeJob(job('rn-app')), failing().analyzeJobManually(job('rn-app')));
+
+    const unscored = job('rn-app');
+    const fallback = new ScoringService(createOpenAI([{ score: -1, reasoning: '' }, { score: 15, reasoning: '' }]).service);
+    assert.strictEqual(await fallback.scoreJob(unscored), unscored.scoreBreakdown.customScore);
+    assert.strictEqual(unscored.aiScore, null);
+
+    const down = new ScoringService(createOpenAI([new Error('rate limited')]).service);
+    assert.strictEqual(await down.categorizeJob(job('rn-app')), 'mobile');
+    await assert.rejects(createOpenAI([new Error('rate limited')]).service.findBestProfileMatch(job('rn-app'), profiles), /rate limited/);
+    console.log('✅ Heuristics used as fallback');
+
+    // Test 6: Without an API key nothing is requested and the defaults are used
+    const offline = new OpenAIService();
+    offline.openai = null;
+    assert.strictEqual(await offline.scoreJob(job('rn-app')), null);
+    const offlineScored = job('rn-app');
+    assert.strictEqual(await new ScoringService(offline).scoreJob(offlineScored), offlineScored.scoreBreakdown.customScore);
+    assert.strictEqual(offlineScored.aiScore, null, 'no neutral AI score pulls the score toward 5');
+    assert.strictEqual(await offline.categorizeJob(job('rn-app')), 'other');
+    assert.deepStrictEqual(await offline.analyzeJob(job('rn-app')), offline.getDefaultAnalysis(job('rn-app')));
+    assert.deepStrictEqual(await offline.findBestProfileMatch(job('rn-app'), profiles), { profile: null, score: 0 });
+    console.log('✅ Defaults used offline');
+
+    console.log('\n🎉 OpenAI response tests passed');
+}
+
+run().catch(error => {
+    console.error('❌ OpenAI response test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,87 @@
+/**
+ * Job text parsing tests
+ * Runs the budget and posted-time tables in fixtures/parsing through JobParser and the services that use it
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const JobParser = require('./src/utils/JobParser');
+const UpworkService = require('./src/services/UpworkService');
+const UpworkRssService = require('./src/services/UpworkRssService');
+
+const fixture = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'parsing', name), 'utf8'));
+
+/**
+ * Run every row of a table, collecting failures so one run reports all of them
+ */
+function runTable(rows, check) {
+    const failures = [];
+    for (const row of rows) {
+        try {
+            check(row);
+        } catch (error) {
+            failures.push(`  ${JSON.stringify(row.text)}: ${error.message.split('\n')[0]}`);
+        }
+    }
+
+    assert.ok(failures.length === 0, `${failures.length} of ${rows.length} rows failed:\n${failures.join('\n')}`);
+    return rows.length;
+}
+
+async function run() {
+    console.log('🧪 Testing job text parsing...\n');
+
+    // Test 1: Budget table
+    const budgets = runTable(fixture('budgets.json'), row => {
+        assert.deepStrictEqual(JobParser.parseBudget(row.text, row.options), row.expected);
+    });
+    console.log(`✅ ${budgets} budgets parsed`);
+
+    // Test 2: Posted time table against a fixed reference time
+    const postedTimes = fixture('posted-times.json');
+    const now = new Date(postedTimes.now);
+    const times = runTable(postedTimes.cases, row => {
+        const date = JobParser.parsePostedTime(row.text, now);
+        assert.strictEqual(date ? date.toISOString() : null, row.expected);
+    });
+    console.log(`✅ ${times} posted times parsed`);
+
+    // Test 3: Amounts and currencies on their own
+    assert.strictEqual(JobParser.parseAmount('1,500'), 1500);
+    assert.strictEqual(JobParser.parseAmount('1.500'), 1500);
+    assert.strictEqual(JobParser.parseAmount('25.00'), 25);
+    assert.strictEqual(JobParser.parseAmount('1,234.56'), 1234.56);
+    assert.strictEqual(JobParser.parseAmount('1.234,56'), 1234.56);
+    assert.strictEqual(JobParser.parseAmount('12,5'), 12.5);
+    assert.strictEqual(JobParser.parseAmount('1.2K'), 1200);
+    assert.strictEqual(JobParser.parseAmount('n/a'), null);
+    assert.strictEqual(JobParser.parseCurrency('$100'), 'USD');
+    assert.strictEqual(JobParser.parseCurrency('NZ$100'), 'NZD');
+    assert.strictEqual(JobParser.parseCurrency('100'), null, 'no currency is not assumed to be dollars');
+    assert.strictEqual(JobParser.parseCurrency('Budget: FIX 100'), 'FIX', 'any upper-case code next to the amount');
+    assert.strictEqual(JobParser.parseCurrency('Est. time: 100 hours'), null);
+    console.log('✅ Amounts and currencies parsed');
+
+    // Test 4: The scraper and feed services use the parser; unknown times fall back to now
+    const service = new UpworkService();
+    assert.deepStrictEqual(service.parseBudget('Est. budget: $1,500'), { type: 'fixed', min: 1500, max: null, currency: 'USD' });
+    assert.deepStrictEqual(service.parseDetailBudget('$35.00-$60.00', 'Hourly $35.00-$60.00'), { type: 'hourly', min: 35, max: 60, currency: 'USD' });
+    assert.strictEqual(service.parsePostedTime('yesterday').getTime() < Date.now() - 23 * 60 * 60 * 1000, true);
+    assert.ok(Math.abs(service.parsePostedTime('sometime soon').getTime() - Date.now()) < 1000);
+    assert.strictEqual(service.parseDetailDate('Mar 12, 2019').toISOString(), '2019-03-12T00:00:00.000Z');
+
+    const rss = new UpworkRssService();
+    assert.deepStrictEqual(rss.parseFeedBudget({ 'hourly range': '€20.00-€30.00' }), { type: 'hourly', min: 20, max: 30, currency: 'EUR' });
+    assert.deepStrictEqual(rss.parseFeedBudget({ budget: '$1,500' }), { type: 'fixed', min: 1500, max: null, currency: 'USD' });
+    assert.strictEqual(rss.parseFeedBudget({}), null);
+    assert.strictEqual(rss.parseFeedDate('October 18, 2026 14:03 UTC').toISOString(), '2026-10-18T14:03:00.000Z');
+    console.log('✅ Services use the parser');
+
+    console.log('\n🎉 Parsing tests passed');
+}
+
+run().catch(error => {
+    console.error('❌ Parsing test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,130 @@
+/**
+ * Job pipeline tests
+ * Runs the jobs in fixtures/pipeline through the event bus from processing to channel distribution
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const ScoringService = require('./src/services/ScoringService');
+const UpworkController = require('./src/controllers/UpworkController');
+const ChannelController = require('./src/controllers/ChannelController');
+const EventBus = require('./src/utils/EventBus');
+
+const jobs = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'pipeline', 'jobs.json'), 'utf8'));
+const job = id => ({ ...jobs.find(candidate => candidate.externalId === id) });
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Build a channel controller whose Discord channels are recorded instead of sent to
+ * @param {EventBus} eventBus - The pipeline event bus
+ * @param {Object} options - { channels: category channels by category, failing: channel IDs whose sends fail, targets }
+ */
+function createChannels(eventBus, { channels = {}, failing = [], targets = null } = {}) {
+    const sent = [];
+    const channelService = {
+        sendMessage: async (channelId, message) => {
+            if (failing.includes(channelId)) throw new Error('Missing Access');
+            sent.push({ channelId, message });
+        }
+    };
+    const channelModel = {
+        findByCategory: async (guildId, category) => channels[`${guildId}:${category}`] || null
+    };
+    const routingController = targets ? { resolveTargets: async () => targets } : null;
+
+    return { controller: new ChannelController(channelService, channelModel, eventBus, routingController), sent };
+}
+
+async function run() {
+    console.log('🧪 Testing the job pipeline...\n');
+
+    // Test 1: A failing handler is logged and neither reaches the emitter nor stops the other handlers
+    const bus = new EventBus();
+    const received = [];
+    bus.subscribe('test', async () => { throw new Error('async failure'); });
+    bus.subscribe('test', () => { throw new Error('sync failure'); });
+    bus.subscribe('test', async value => received.push(value));
+    assert.doesNotThrow(() => bus.emit('test', 1));
+    await settle();
+    assert.deepStrictEqual(received, [1]);
+
+    const listener = bus.subscribe('test', async value => received.push(`removed ${value}`));
+    bus.off('test', listener);
+    bus.emit('test', 2);
+    await settle();
+    assert.deepStrictEqual(received, [1, 2], 'the returned listener unsubscribes the handler');
+    console.log('✅ Handler errors isolated');
+
+    // Test 2: Processing a job emits it once scored, then the saved job once stored
+    const pipeline = new EventBus();
+    const events = [];
+    pipeline.subscribe(EventBus.EVENTS.JOB_SCORED, async (scored, score) => events.push(['scored', scored.externalId, score]));
+    pipeline.subscribe(EventBus.EVENTS.JOB_PROCESSED, async saved => events.push(['processed', saved.id]));
+
+    let nextId = 1;
+    const jobModel = {
+        findBySourceId: async () => null,
+        create: async data => ({ ...data, id: `job-${nextId++}`, createdAt: new Date() })
+    };
+    const upwork = new UpworkController(null, new ScoringService({ evaluateJob: async () => null }), jobModel, pipeline);
+    assert.strictEqual(await upwork.processJob(job('api-backend')), 'new');
+    await settle();
+
+    assert.strictEqual(events.length, 2);
+    assert.deepStrictEqual(events[0].slice(0, 2), ['scored', 'api-backend']);
+    assert.strictEqual(typeof events[0][2], 'number');
+    assert.deepStrictEqual(events[1], ['processed', 'job-1'], 'subscribers get the stored job with its ID');
+    console.log('✅ Pipeline events emitted');
+
+    // Test 3: Processed jobs reach the category channel of every guild, with the embed and triage buttons
+    const { controller: channels, sent } = createChannels(pipeline, {
+        channels: {
+            'guild-1:backend': { discordId: 'channel-backend-1', name: 'backend' },
+            'guild-2:backend': { discordId: 'channel-backend-2', name: 'backend' }
+        }
+    });
+    const distributed = [];
+    pipeline.subscribe(EventBus.EVENTS.JOB_DISTRIBUTED, async (distributedJob, guildId, target) => distributed.push([guildId, target.channelId]));
+    pipeline.subscribe(EventBus.EVENTS.JOB_PROCESSED, async saved => {
+        for (const guildId of ['guild-1', 'guild-2']) {
+            await channels.distributeJob(saved, guildId);
+        }
+    });
+
+    assert.strictEqual(await upwork.processJob(job('api-backend')), 'new');
+    await settle();
+    await settle();
+
+    assert.deepStrictEqual(sent.map(message => message.channelId), ['channel-backend-1', 'channel-backend-2']);
+    const embed = sent[0].message.embeds[0].data;
+    assert.ok(embed.title.endsWith(job('api-backend').title));
+    assert.strictEqual(embed.fields.find(field => field.name === '🔗 Link').value, job('api-backend').url);
+    assert.strictEqual(sent[0].message.components[0].toJSON().components[0].custom_id, 'job:applied:job-2');
+    assert.deepStrictEqual(distributed, [['guild-1', 'channel-backend-1'], ['guild-2', 'channel-backend-2']]);
+    console.log('✅ Processed jobs distributed');
+
+    // Test 4: A channel that fails does not stop delivery to the others
+    const partial = createChannels(new EventBus(), {
+        failing: ['channel-a'],
+        targets: [
+            { channelId: 'channel-a', mentionRoleIds: [], rules: ['first'] },
+            { channelId: 'channel-b', mentionRoleIds: ['role-1'], rules: ['second'] }
+        ]
+    });
+    const posted = { ...job('ios-app'), id: 'job-9', category: 'mobile', score: 7, createdAt: new Date() };
+    assert.strictEqual(await partial.controller.distributeJob(posted, 'guild-1'), true);
+    assert.deepStrictEqual(partial.sent.map(message => message.channelId), ['channel-b']);
+    assert.strictEqual(partial.sent[0].message.content, '<@&role-1>');
+
+    const failing = createChannels(new EventBus(), { failing: ['channel-a'], targets: [{ channelId: 'channel-a', mentionRoleIds: [], rules: [] }] });
+    assert.strictEqual(await failing.controller.distributeJob(posted, 'guild-1'), false);
+    console.log('✅ Failed channels skipped');
+
+    console.log('\n🎉 Job pipeline tests passed');
+}
+
+run().catch(error => {
+    console.error('❌ Job pipeline test failed:', error);
+    process.exit(1);
+});
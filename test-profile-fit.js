@@ -0,0 +1,144 @@
+/**
+ * Profile fit tests
+ * Matches the jobs in fixtures/profile-fit against the team's profiles and checks the pipeline, routing, alerts and embeds use the fit score
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const ProfileController = require('./src/controllers/ProfileController');
+const UpworkController = require('./src/controllers/UpworkController');
+const RoutingController = require('./src/controllers/RoutingController');
+const SubscriptionController = require('./src/controllers/SubscriptionController');
+const ChannelController = require('./src/controllers/ChannelController');
+const RoutingService = require('./src/services/RoutingService');
+const SubscriptionService = require('./src/services/SubscriptionService');
+const ScoringService = require('./src/services/ScoringService');
+const EventBus = require('./src/utils/EventBus');
+
+const fixture = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'profile-fit', name), 'utf8'));
+const profiles = fixture('profiles.json');
+const jobs = fixture('jobs.json');
+const job = id => ({ ...jobs.find(candidate => candidate.externalId === id) });
+
+/**
+ * Build an AI evaluation with the given score and category, and nothing else of note
+ */
+function evaluation(score, category) {
+    return {
+        score,
+        reasoning: null,
+        category,
+        analysis: { estimatedHours: null, duration: null, complexity: null },
+        redFlags: [],
+        bestProfile: null
+    };
+}
+
+/**
+ * Build a controller whose pipeline saves jobs in memory and matches them with the given profile controller
+ */
+function createController(profileController, saved) {
+    return new UpworkController(
+        null,
+        new ScoringService({ evaluateJob: async scored => evaluation(6, scored.category || 'other') }),
+        { findBySourceId: async () => null, create: async data => { saved.push(data); return data; } },
+        new EventBus(),
+        null, null, null, null, null,
+        profileController
+    );
+}
+
+async function run() {
+    console.log('🧪 Testing profile fit...\n');
+    const matcher = new ProfileController({ findAll: async () => profiles });
+
+    // Test 1: Skills, experience levels and rates are compared with each profile
+    assert.strictEqual(matcher.normalizeSkill('Node.js'), matcher.normalizeSkill('NodeJS'));
+    assert.strictEqual(matcher.normalizeSkill('node js'), 'node');
+    assert.strictEqual(matcher.normalizeSkill('JS'), 'js');
+    assert.strictEqual(matcher.normalizeSkill('C#'), 'c#');
+    assert.strictEqual(matcher.calculateSkillMatch(profiles[0].skills, ['React', 'Typescript', 'NextJS']), 10);
+    assert.strictEqual(matcher.calculateSkillMatch(profiles[0].skills, []), 5, 'jobs without skills are neutral, not NaN');
+    assert.strictEqual(matcher.calculateExperienceMatch({ level: 'senior' }, 'expert'), 10);
+    assert.strictEqual(matcher.calculateExperienceMatch({ level: 'mid-level' }, 'intermediate'), 10);
+    assert.strictEqual(matcher.calculateExperienceMatch({ level: 'junior' }, 'expert'), 4);
+    console.log('✅ Profiles compared');
+
+    // Test 2: Every profile is scored and the best one wins
+    const expected = {
+        'react-dashboard': 'Frontend Dev',
+        'node-api': 'Node Backend',
+        'theme-fix': 'WordPress Sites'
+    };
+    for (const [id, name] of Object.entries(expected)) {
+        const match = await matcher.findBestMatchingProfile(job(id));
+        assert.strictEqual(match.profile.name, name, id);
+        assert.strictEqual(match.score, 10, id);
+        assert.strictEqual(match.matches.length, profiles.length);
+        assert.ok(match.matches.every((entry, index) => index === 0 || entry.score <= match.matches[index - 1].score));
+    }
+
+    const noSkills = await matcher.findBestMatchingProfile(job('no-skills'));
+    assert.ok(!isNaN(noSkills.score));
+    assert.strictEqual(await new ProfileController({ findAll: async () => [] }).findBestMatchingProfile(job('node-api')), null);
+    console.log('✅ Best profile found');
+
+    // Test 3: The pipeline stores the quality score next to the fit score and best profile
+    const saved = [];
+    const pipeline = createController(matcher, saved);
+    assert.strictEqual(await pipeline.processJob({ ...job('node-api'), source: 'upwork' }), 'new');
+    assert.strictEqual(saved[0].score, pipeline.scoringService.blendScores(6, pipeline.scoringService.calculateCustomScore(saved[0]), 0.7));
+    assert.strictEqual(saved[0].fitScore, 10);
+    assert.strictEqual(saved[0].bestProfileId, 'p-backend');
+    assert.strictEqual(saved[0].bestProfileName, 'Node Backend');
+
+    // Without profiles, or when matching fails, jobs are still saved without a fit score
+    const failing = createController({ findBestMatchingProfile: async () => { throw new Error('connection lost'); } }, saved);
+    assert.strictEqual(await failing.processJob({ ...job('theme-fix'), source: 'upwork' }), 'new');
+    assert.strictEqual(await createController(null, saved).processJob({ ...job('react-dashboard'), source: 'upwork' }), 'new');
+    assert.deepStrictEqual(saved.slice(1).map(entry => [entry.fitScore, entry.bestProfileId]), [[null, null], [null, null]]);
+    console.log('✅ Fit score stored');
+
+    // Test 4: Routing rules can route on the fit score as well as the score
+    const routing = new RoutingService();
+    const rules = new RoutingController(null, routing);
+    const rule = rules.buildRuleData('guild', { name: 'strong-fit', channel: '1', min_fit: '8' });
+    assert.strictEqual(rule.conditions.minFitScore, 8);
+    assert.strictEqual(rule.conditions.maxFitScore, null);
+    assert.throws(() => rules.buildRuleData('guild', { name: 'x', channel: '1', min_fit: '9', max_fit: '5' }), /min_fit cannot be greater than max_fit/);
+    assert.throws(() => rules.buildRuleData('guild', { name: 'x', channel: '1', min_fit: 'high' }), /min_fit must be a non-negative number/);
+
+    assert.strictEqual(routing.matchesRule(rule, { ...saved[0], score: 3 }), true, 'a low quality score does not stop a strong fit');
+    assert.strictEqual(routing.matchesRule(rule, { ...saved[0], fitScore: 7.9 }), false);
+    assert.strictEqual(routing.matchesRule(rule, saved[1]), false, 'jobs without a fit score never match a fit condition');
+    assert.strictEqual(routing.matchesRule({ conditions: { maxFitScore: 4 } }, { fitScore: 3.5 }), true);
+    assert.strictEqual(routing.matchesRule({ conditions: { minScore: 5 } }, saved[1]), saved[1].score >= 5, 'rules without fit conditions ignore it');
+    assert.strictEqual(routing.describeRule({ conditions: { minScore: 7, minFitScore: 8 } }), 'score 7-10 | fit 8-10');
+    console.log('✅ Rules route on fit');
+
+    // Test 5: Personal alerts can ask for a minimum fit score
+    const alerts = new SubscriptionController(null, new SubscriptionService(routing), null, null);
+    const alert = alerts.buildSubscriptionData({ id: 'u1', tag: 'user#1' }, { name: 'good-fit', min_fit: '8' });
+    assert.strictEqual(alert.conditions.minFitScore, 8);
+    assert.throws(() => alerts.buildSubscriptionData({ id: 'u1' }, { name: 'x', min_fit: '11' }), /min_fit must be between 0 and 10/);
+    assert.strictEqual(alerts.subscriptionService.matchesSubscription(alert, saved[0]), true);
+    assert.strictEqual(alerts.subscriptionService.matchesSubscription(alert, { ...saved[0], fitScore: 6 }), false);
+    console.log('✅ Alerts filter on fit');
+
+    // Test 6: Job embeds show the best fit next to the score
+    const channels = new ChannelController(null, null, new EventBus());
+    const embedJob = { ...saved[0], id: 'job-1', url: 'https://www.upwork.com/jobs/~node', createdAt: new Date() };
+    const field = channels.createJobEmbed(embedJob).data.fields.find(candidate => candidate.name === '🧩 Best Fit');
+    assert.strictEqual(field.value, 'Node Backend: 10/10');
+    assert.ok(!channels.createJobEmbed({ ...saved[1], id: 'job-2', url: 'https://www.upwork.com/jobs/~theme', createdAt: new Date() })
+        .data.fields.some(candidate => candidate.name === '🧩 Best Fit'));
+    console.log('✅ Best fit shown');
+
+    console.log('\n🎉 Profile fit tests passed');
+}
+
+run().catch(error => {
+    console.error('❌ Profile fit test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,235 @@
+/**
+ * Profile form tests
+ * Fills in the two-step profile modals and checks the stored profiles and the replies
+ */
+
+const assert = require('assert');
+const ProfileController = require('./src/controllers/ProfileController');
+const CommandController = require('./src/controllers/CommandController');
+
+/**
+ * Build an in-memory profile model
+ */
+function createProfileModel() {
+    const store = new Map();
+    let nextId = 1;
+
+    return {
+        store,
+        create: async data => {
+            const profile = { ...data, id: `profile-${nextId++}` };
+            store.set(profile.id, profile);
+            return profile;
+        },
+        update: async (id, data) => {
+            const profile = { ...store.get(id), ...data };
+            store.set(id, profile);
+            return profile;
+        },
+        delete: async id => store.delete(id),
+        findById: async id => store.get(id) || null,
+        findByName: async name => [...store.values()].find(profile => profile.name === name) || null
+    };
+}
+
+/**
+ * Build a Discord interaction that records what the bot answers
+ * @param {Object} data - Interaction fields (customId, commandName, fields, values)
+ */
+function createInteraction({ type, customId = null, commandName = null, fields = {}, values = {}, userId = 'user-1' }) {
+    const options = Object.entries(values).map(([name, value]) => ({ name, value }));
+    const interaction = {
+        type,
+        customId,
+        commandName,
+        user: { id: userId },
+        replied: false,
+        deferred: false,
+        calls: [],
+        isAutocomplete: () => false,
+        isButton: () => type === 'button',
+        isModalSubmit: () => type === 'modal',
+        isChatInputCommand: () => type === 'command',
+        options: {
+            data: options,
+            getSubcommand: () => null,
+            get: name => options.find(option => option.name === name) || null
+        },
+        fields: { getTextInputValue: name => fields[name] ?? '' },
+        reply: async message => {
+            interaction.replied = true;
+            interaction.calls.push(['reply', message]);
+        },
+        followUp: async message => interaction.calls.push(['followUp', message]),
+        update: async message => interaction.calls.push(['update', message]),
+        showModal: async modal => interaction.calls.push(['showModal', modal.toJSON()])
+    };
+
+    return interaction;
+}
+
+/**
+ * Get the text input values of a modal by input ID
+ * @param {Object} modal - The modal JSON
+ */
+const inputValues = modal => Object.fromEntries(modal.components.map(row => [row.components[0].custom_id, row.components[0].value]));
+
+const details = {
+    name: 'Mobile Lead',
+    description: 'React Native and Swift apps',
+    skills: 'React Native, Swift,\nKotlin',
+    hourlyRate: '$1,085.50',
+    portfolio: ' https://example.com/mobile '
+};
+const experience = { level: 'Senior', years: '8', categories: 'mobile, frontend' };
+
+async function run() {
+    console.log('🧪 Testing profile forms...\n');
+
+    const profileModel = createProfileModel();
+    const commands = new CommandController(null, new ProfileController(profileModel));
+
+    // Test 1: /addprofile opens the first form; the prefix command points to the slash command
+    const add = createInteraction({ type: 'command', commandName: 'addprofile' });
+    await commands.handleInteraction(add);
+    const [type, modal] = add.calls[0];
+    assert.strictEqual(type, 'showModal');
+    assert.strictEqual(modal.custom_id, 'profile:details:new');
+    assert.deepStrictEqual(Object.keys(inputValues(modal)), ['name', 'description', 'skills', 'hourlyRate', 'portfolio']);
+
+    const prefixReplies = [];
+    await commands.handleMessage({ content: '!addprofile', reply: async message => prefixReplies.push(message) });
+    assert.strictEqual(prefixReplies[0], 'ℹ️ Profile forms are only available as a slash command. Use `/addprofile`.');
+    console.log('✅ Profile form opened');
+
+    // Test 2: The two steps are merged into one new profile
+    const step1 = createInteraction({ type: 'modal', customId: 'profile:details:new', fields: details });
+    await commands.handleInteraction(step1);
+    assert.strictEqual(step1.calls[0][1].components[0].toJSON().components[0].custom_id, 'profile:continue:new');
+    assert.strictEqual(profileModel.store.size, 0, 'nothing is stored before the second step');
+
+    const proceed = createInteraction({ type: 'button', customId: 'profile:continue:new' });
+    await commands.handleInteraction(proceed);
+    assert.strictEqual(proceed.calls[0][1].custom_id, 'profile:experience:new');
+
+    const step2 = createInteraction({ type: 'modal', customId: 'profile:experience:new', fields: experience });
+    await commands.handleInteraction(step2);
+    assert.deepStrictEqual(step2.calls, [['reply', { content: '✅ Profile **Mobile Lead** created.', ephemeral: true }]]);
+    assert.deepStrictEqual(profileModel.store.get('profile-1'), {
+        id: 'profile-1',
+        name: 'Mobile Lead',
+        description: 'React Native and Swift apps',
+        skills: ['React Native', 'Swift', 'Kotlin'],
+        hourlyRate: 1085.5,
+        portfolio: 'https://example.com/mobile',
+        experience: { level: 'senior', years: 8 },
+        categories: ['mobile', 'frontend']
+    });
+    assert.strictEqual(commands.profileDrafts.size, 0);
+    console.log('✅ Profile created from both steps');
+
+    // Test 3: The second step fails once the first one has expired or was never filled in
+    await commands.handleInteraction(createInteraction({ type: 'modal', customId: 'profile:details:new', fields: { ...details, name: 'Late' } }));
+    commands.profileDrafts.get('user-1:new').createdAt = Date.now() - commands.profileDraftTtl - 1;
+    const expired = createInteraction({ type: 'modal', customId: 'profile:experience:new', fields: experience });
+    await commands.handleInteraction(expired);
+    assert.deepStrictEqual(expired.calls, [['reply', { content: '❌ This form has expired. Please start again.', ephemeral: true }]]);
+    assert.strictEqual(commands.profileDrafts.has('user-1:new'), false);
+
+    const other = createInteraction({ type: 'modal', customId: 'profile:experience:new', fields: experience, userId: 'user-2' });
+    await commands.handleInteraction(other);
+    assert.strictEqual(other.calls[0][1].content, '❌ This form has expired. Please start again.', 'drafts belong to the user who started them');
+    assert.strictEqual(profileModel.store.size, 1);
+
+    // Starting a form drops everyone's unfinished drafts that have expired
+    await commands.handleInteraction(createInteraction({ type: 'modal', customId: 'profile:details:new', fields: details, userId: 'user-3' }));
+    commands.profileDrafts.get('user-3:new').createdAt = Date.now() - commands.profileDraftTtl - 1;
+    await commands.handleInteraction(createInteraction({ type: 'modal', customId: 'profile:details:new', fields: details, userId: 'user-2' }));
+    assert.deepStrictEqual([...commands.profileDrafts.keys()], ['user-2:new']);
+    commands.profileDrafts.clear();
+    console.log('✅ Expired forms rejected');
+
+    // Test 4: Invalid values are reported and the draft is kept for another try
+    for (const [fields, error] of [
+        [{ hourlyRate: 'ninety' }, 'Profile hourly rate must be a positive number'],
+        [{ hourlyRate: '0' }, 'Profile hourly rate must be a positive number'],
+        [{ skills: ' , ' }, 'Profile must have at least one skill']
+    ]) {
+        await commands.handleInteraction(createInteraction({ type: 'modal', customId: 'profile:details:new', fields: { ...details, ...fields } }));
+        const invalid = createInteraction({ type: 'modal', customId: 'profile:experience:new', fields: experience });
+        await commands.handleInteraction(invalid);
+        assert.deepStrictEqual(invalid.calls, [['reply', { content: `❌ ${error}`, ephemeral: true }]]);
+        assert.ok(commands.profileDrafts.has('user-1:new'));
+    }
+
+    const level = createInteraction({ type: 'modal', customId: 'profile:experience:new', fields: { ...experience, level: 'guru' } });
+    await commands.handleInteraction(createInteraction({ type: 'modal', customId: 'profile:details:new', fields: details }));
+    await commands.handleInteraction(level);
+    assert.ok(level.calls[0][1].content.startsWith('❌ Profile experience level must be one of'));
+    assert.strictEqual(profileModel.store.size, 1);
+    console.log('✅ Invalid values rejected');
+
+    // Test 5: Editing prefills both forms with the stored profile and updates it
+    const edit = createInteraction({ type: 'command', commandName: 'updateprofile', values: { name: 'Mobile Lead' } });
+    await commands.handleInteraction(edit);
+    const editModal = edit.calls[0][1];
+    assert.strictEqual(editModal.custom_id, 'profile:details:profile-1');
+    assert.deepStrictEqual(inputValues(editModal), {
+        name: 'Mobile Lead',
+        description: 'React Native and Swift apps',
+        skills: 'React Native, Swift, Kotlin',
+        hourlyRate: '1085.5',
+        portfolio: 'https://example.com/mobile'
+    });
+
+    await commands.handleInteraction(createInteraction({ type: 'modal', customId: 'profile:details:profile-1', fields: { ...details, hourlyRate: '95' } }));
+    const editStep2 = createInteraction({ type: 'button', customId: 'profile:continue:profile-1' });
+    await commands.handleInteraction(editStep2);
+    assert.deepStrictEqual(inputValues(editStep2.calls[0][1]), { level: 'senior', years: '8', categories: 'mobile, frontend' });
+
+    // A form started in between keeps its own draft and does not leak into the edit
+    await commands.handleInteraction(createInteraction({ type: 'modal', customId: 'profile:details:new', fields: { ...details, name: 'Web Lead', hourlyRate: '60' } }));
+
+    const saved = createInteraction({ type: 'modal', customId: 'profile:experience:profile-1', fields: { ...experience, years: '' } });
+    await commands.handleInteraction(saved);
+    assert.strictEqual(saved.calls[0][1].content, '✅ Profile **Mobile Lead** updated.');
+    assert.strictEqual(profileModel.store.get('profile-1').hourlyRate, 95);
+    assert.strictEqual(profileModel.store.get('profile-1').name, 'Mobile Lead');
+    assert.strictEqual(commands.profileDrafts.get('user-1:new').data.name, 'Web Lead');
+    assert.deepStrictEqual(profileModel.store.get('profile-1').experience, { level: 'senior', years: 0 });
+    assert.strictEqual(profileModel.store.size, 1);
+    console.log('✅ Profile edited');
+
+    // Test 6: Deleting asks the requester, and only the requester, for confirmation first
+    const remove = createInteraction({ type: 'command', commandName: 'deleteprofile', values: { name: 'Mobile Lead' } });
+    await commands.handleInteraction(remove);
+    assert.deepStrictEqual(
+        remove.calls[0][1].components[0].toJSON().components.map(button => button.custom_id),
+        ['profile:delete:profile-1:user-1', 'profile:cancel:profile-1:user-1']
+    );
+
+    for (const customId of ['profile:delete:profile-1:user-1', 'profile:cancel:profile-1:user-1']) {
+        const bystander = createInteraction({ type: 'button', customId, userId: 'user-2' });
+        await commands.handleInteraction(bystander);
+        assert.deepStrictEqual(bystander.calls, [['reply', { content: '⛔ Only the person who asked to delete this profile can confirm it.', ephemeral: true }]]);
+    }
+    assert.strictEqual(profileModel.store.size, 1);
+
+    const cancel = createInteraction({ type: 'button', customId: 'profile:cancel:profile-1:user-1' });
+    await commands.handleInteraction(cancel);
+    assert.deepStrictEqual(cancel.calls, [['update', { content: 'Profile deletion cancelled.', components: [] }]]);
+    assert.strictEqual(profileModel.store.size, 1);
+
+    const confirm = createInteraction({ type: 'button', customId: 'profile:delete:profile-1:user-1' });
+    await commands.handleInteraction(confirm);
+    assert.deepStrictEqual(confirm.calls, [['update', { content: '🗑️ Profile deleted.', components: [] }]]);
+    assert.strictEqual(profileModel.store.size, 0);
+    console.log('✅ Profile deleted after confirmation');
+
+    console.log('\n🎉 Profile form tests passed');
+}
+
+run().catch(error => {
+    console.error('❌ Profile form test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,261 @@
+/**
+ * Saved search query tests
+ * Polls several saved queries on their own intervals and checks the per-query yield of each run
+ */
+
+const assert = require('assert');
+const { PermissionFlagsBits } = require('discord.js');
+const JobSource = require('./src/services/sources/JobSource');
+const JobSourceRegistry = require('./src/services/sources/JobSourceRegistry');
+const JsonFileSource = require('./src/services/sources/JsonFileSource');
+const SearchQuerySchema = require('./src/models/schemas/SearchQuerySchema');
+const SearchQueryController = require('./src/controllers/SearchQueryController');
+const UpworkController = require('./src/controllers/UpworkController');
+const CommandController = require('./src/controllers/CommandController');
+const EventBus = require('./src/utils/EventBus');
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Job source that answers each fetch with the next scripted result
+ */
+class ScriptedSource extends JobSource {
+    /**
+     * @param {string} name - Registry name
+     * @param {Array} results - Job ID lists, or errors to throw, one per fetch
+     */
+    constructor(name, results = []) {
+        super(name);
+        this.results = results;
+        this.calls = [];
+    }
+
+    async fetch(options = {}) {
+        this.calls.push(options);
+        const result = this.results.shift() || [];
+        if (result instanceof Error) throw result;
+        return result.map(id => ({ source: this.jobSource, externalId: id, title: `Job ${id}` }));
+    }
+}
+
+/**
+ * Build an in-memory search query model whose queries use the schema's due check
+ * @param {Array} queries - The stored queries
+ */
+function createQueryModel(queries = []) {
+    const store = [];
+    let nextId = 1;
+    const add = data => {
+        const query = {
+            enabled: true,
+            lastRunAt: null,
+            stats: { runs: 0, jobsFound: 0, jobsNew: 0, errorCount: 0, lastJobsFound: 0, lastJobsNew: 0, lastError: null },
+            ...data,
+            id: `query-${nextId++}`,
+            isDue: SearchQuerySchema.methods.isDue
+        };
+        store.push(query);
+        return query;
+    };
+    queries.forEach(add);
+
+    return {
+        store,
+        create: async data => add(data),
+        findAll: async () => [...store].sort((a, b) => a.name.localeCompare(b.name)),
+        findByName: async name => store.find(query => query.name === name) || null,
+        findEnabled: async () => store.filter(query => query.enabled).sort((a, b) => a.name.localeCompare(b.name)),
+        findDue: async (now = new Date()) => store.filter(query => query.enabled && query.isDue(now)).sort((a, b) => a.name.localeCompare(b.name)),
+        count: async () => store.length,
+        update: async (id, data) => Object.assign(store.find(query => query.id === id), data),
+        delete: async id => store.splice(store.findIndex(query => query.id === id), 1),
+        recordRun: async (id, run) => {
+            const query = store.find(candidate => candidate.id === id);
+            query.lastRunAt = new Date();
+            query.stats.runs++;
+            query.stats.jobsFound += run.jobsFound;
+            query.stats.jobsNew += run.jobsNew;
+            query.stats.errorCount += run.errorCount;
+            query.stats.lastJobsFound = run.jobsFound;
+            query.stats.lastJobsNew = run.jobsNew;
+            query.stats.lastError = run.lastError || null;
+        }
+    };
+}
+
+async function run() {
+    console.log('🧪 Testing saved search queries...\n');
+
+    const sources = {
+        upwork: new ScriptedSource('upwork', [['a1', 'a2', 'dup'], ['a3']]),
+        rss: new ScriptedSource('upwork-rss', [new Error('Feed returned HTTP 500'), new Error('Feed returned HTTP 500')]),
+        feed: new ScriptedSource('feed', [['f1']]),
+        file: new JsonFileSource('data/jobs.json', 'data/imports'),
+        mock: new ScriptedSource('mock')
+    };
+    const registry = new JobSourceRegistry();
+    Object.values(sources).forEach(source => registry.register(source));
+    const controller = new SearchQueryController(createQueryModel(), registry);
+
+    // Test 1: Query options are validated against the source they name
+    assert.deepStrictEqual(controller.buildQueryData({ name: ' React ', keywords: ' react native ', skills: 'React, TypeScript', min_budget: '500' }), {
+        name: 'React',
+        source: 'upwork',
+        filters: { feedUrl: null, filePath: null, keywords: 'react native', category: null, skills: ['React', 'TypeScript'], minBudget: 500, maxBudget: null, limit: 50 },
+        intervalMinutes: 5
+    });
+    assert.strictEqual(controller.buildQueryData({ name: 'Old', source: 'RSS', category: 'web', interval: '30' }).source, 'upwork-rss', 'old source names still work');
+    assert.strictEqual(controller.buildQueryData({ name: 'File', source: 'json-file', file_path: 'jobs.json' }).filters.filePath, 'jobs.json');
+
+    for (const [options, error] of [
+        [{ keywords: 'react' }, 'Query name is required'],
+        [{ name: 'x', source: 'fiverr', keywords: 'react' }, `source must be one of ${registry.getNames().join(', ')}`],
+        [{ name: 'x', source: 'mock', keywords: 'react' }, 'The mock source only runs on its own in demo mode'],
+        [{ name: 'x', feed_url: 'https://example.com/feed' }, 'feed_url can only be used with the upwork-rss and feed sources'],
+        [{ name: 'x', source: 'feed', feed_url: 'ftp://example.com/feed' }, 'feed_url must be an http(s) URL'],
+        [{ name: 'x', source: 'feed', feed_url: 'not a url' }, 'feed_url must be an http(s) URL'],
+        [{ name: 'x', source: 'feed', feed_url: 'http://localhost:27017/' }, 'feed_url cannot point at a local or private network address'],
+        [{ name: 'x', source: 'feed', feed_url: 'http://169.254.169.254/latest/meta-data' }, 'feed_url cannot point at a local or private network address'],
+        [{ name: 'x', source: 'feed', feed_url: 'http://192.168.1.10/feed' }, 'feed_url cannot point at a local or private network address'],
+        [{ name: 'x', source: 'feed', feed_url: 'http://2130706433/feed' }, 'feed_url cannot point at a local or private network address'],
+        [{ name: 'x', source: 'feed', feed_url: 'http://[::1]/feed' }, 'feed_url cannot point at a local or private network address'],
+        [{ name: 'x', source: 'json-file', file_path: '/etc/passwd' }, 'file_path must be relative to data/imports'],
+        [{ name: 'x', source: 'json-file', file_path: '../../.env' }, 'file_path must be a file inside data/imports'],
+        [{ name: 'x', source: 'json-file', file_path: 'feeds/../..' }, 'file_path must be a file inside data/imports'],
+        [{ name: 'x', source: 'feed' }, 'The feed source needs a feed_url'],
+        [{ name: 'x', keywords: 'react', file_path: 'jobs.json' }, 'file_path can only be used with the json-file source'],
+        [{ name: 'x' }, 'A query needs keywords, a category, skills or a feed_url'],
+        [{ name: 'x', keywords: 'react', min_budget: '900', max_budget: '100' }, 'min_budget cannot be greater than max_budget'],
+        [{ name: 'x', keywords: 'react', limit: '150' }, 'limit must be between 1 and 100'],
+        [{ name: 'x', keywords: 'react', interval: '2.5' }, 'interval must be a whole number of minutes']
+    ]) {
+        assert.throws(() => controller.buildQueryData(options), { message: error });
+    }
+    assert.strictEqual(controller.buildQueryData({ name: 'Remote', source: 'feed', feed_url: 'https://remoteok.com/remote-dev-jobs.rss' }).filters.feedUrl, 'https://remoteok.com/remote-dev-jobs.rss');
+
+    // An allow-list limits feeds to the listed hosts and their subdomains
+    process.env.FEED_ALLOWED_HOSTS = 'upwork.com, RemoteOK.com';
+    const allowListed = new SearchQueryController(createQueryModel(), registry);
+    delete process.env.FEED_ALLOWED_HOSTS;
+    assert.strictEqual(allowListed.buildQueryData({ name: 'x', source: 'upwork-rss', feed_url: 'https://www.upwork.com/ab/feed/jobs/rss?q=react' }).source, 'upwork-rss');
+    assert.throws(
+        () => allowListed.buildQueryData({ name: 'x', source: 'feed', feed_url: 'https://notupwork.com/feed' }),
+        { message: 'feed_url must be on one of these hosts: upwork.com, remoteok.com' }
+    );
+    console.log('✅ Query options validated');
+
+    // Test 2: A query is due once its own interval has passed, with 30 seconds of cron drift
+    const now = new Date('2026-01-05T10:00:00Z');
+    const isDue = (query, secondsAgo) => SearchQuerySchema.methods.isDue.call({
+        enabled: true,
+        intervalMinutes: 5,
+        lastRunAt: secondsAgo === null ? null : new Date(now.getTime() - secondsAgo * 1000),
+        ...query
+    }, now);
+    assert.strictEqual(isDue({}, null), true, 'a query that never ran is due');
+    assert.strictEqual(isDue({}, 270), true);
+    assert.strictEqual(isDue({}, 240), false);
+    assert.strictEqual(isDue({ intervalMinutes: 60 }, 270), false);
+    assert.strictEqual(isDue({ enabled: false }, null), false);
+    console.log('✅ Query intervals respected');
+
+    // Test 3: A scheduled run polls only the due queries and reports each one's yield
+    const queryModel = createQueryModel([
+        { name: 'React', source: 'upwork', intervalMinutes: 5, filters: { keywords: 'react', skills: ['React'], minBudget: 500, limit: 20 } },
+        { name: 'Feed', source: 'feed', intervalMinutes: 60, lastRunAt: new Date(), filters: { feedUrl: 'https://example.com/feed', skills: [] } },
+        { name: 'Broken', source: 'upwork-rss', intervalMinutes: 10, filters: { category: 'web', skills: [] } },
+        { name: 'Paused', source: 'upwork', intervalMinutes: 5, enabled: false, filters: { keywords: 'php', skills: [] } }
+    ]);
+    const eventBus = new EventBus();
+    const degraded = [];
+    eventBus.subscribe(EventBus.EVENTS.SOURCE_DEGRADED, async event => degraded.push(event));
+    const monitorConfigModel = { recordRun: async () => {} };
+    const upwork = new UpworkController(registry, null, null, eventBus, monitorConfigModel, null, queryModel);
+    const processed = [];
+    upwork.processJob = async (job, queryName) => {
+        processed.push([job.externalId, queryName]);
+        return job.externalId === 'dup' ? 'duplicate' : 'new';
+    };
+
+    const scheduled = await upwork.fetchAndProcessJobs('schedule');
+    await settle();
+    assert.deepStrictEqual(scheduled.queries, [
+        { name: 'Broken', jobsFound: 0, jobsNew: 0, errorCount: 1 },
+        { name: 'React', jobsFound: 3, jobsNew: 2, errorCount: 0 }
+    ]);
+    assert.deepStrictEqual([scheduled.jobsFound, scheduled.jobsNew, scheduled.errorCount, scheduled.lastError], [3, 2, 1, 'Feed returned HTTP 500']);
+    assert.deepStrictEqual(sources.upwork.calls, [{ limit: 20, skills: ['React'], keywords: 'react', minBudget: 500, queryId: 'React' }]);
+    assert.deepStrictEqual(processed, [['a1', 'React'], ['a2', 'React'], ['dup', 'React']], 'jobs are tagged with the query that found them');
+    assert.strictEqual(sources.feed.calls.length, 0, 'the feed query is not due yet');
+
+    const react = await queryModel.findByName('React');
+    assert.deepStrictEqual([react.stats.runs, react.stats.lastJobsFound, react.stats.lastJobsNew], [1, 3, 2]);
+    assert.strictEqual((await queryModel.findByName('Broken')).stats.lastError, 'Feed returned HTTP 500');
+    assert.deepStrictEqual(degraded.map(event => [event.source, event.query]), [['upwork-rss', 'Broken']]);
+    console.log('✅ Due queries polled independently');
+
+    // Test 4: A manual fetch runs every enabled query; a source that keeps failing alerts once
+    const manual = await upwork.fetchAndProcessJobs('manual');
+    await settle();
+    assert.deepStrictEqual(manual.queries.map(query => [query.name, query.jobsFound, query.jobsNew, query.errorCount]), [
+        ['Broken', 0, 0, 1],
+        ['Feed', 1, 1, 0],
+        ['React', 1, 1, 0]
+    ]);
+    assert.strictEqual(degraded.length, 1);
+    assert.strictEqual((await queryModel.findByName('React')).stats.jobsFound, 4);
+    console.log('✅ Manual fetch runs every enabled query');
+
+    // Test 5: Without saved queries the default sources are fetched unfiltered
+    const previousSources = process.env.JOB_SOURCES;
+    process.env.JOB_SOURCES = 'upwork';
+    try {
+        const defaults = new UpworkController(registry, null, null, eventBus, monitorConfigModel, null, createQueryModel());
+        defaults.processJob = upwork.processJob;
+        const unfiltered = await defaults.fetchAndProcessJobs('schedule');
+        assert.deepStrictEqual(unfiltered.queries, []);
+        assert.deepStrictEqual(sources.upwork.calls.at(-1), {});
+    } finally {
+        if (previousSources === undefined) {
+            delete process.env.JOB_SOURCES;
+        } else {
+            process.env.JOB_SOURCES = previousSources;
+        }
+    }
+    console.log('✅ Default search without saved queries');
+
+    // Test 6: The queries command manages the queries and lists each one's last run
+    const commands = new CommandController(null, null, null, null, null, null, new SearchQueryController(queryModel, registry));
+    const send = async content => {
+        const replies = [];
+        await commands.handleMessage({
+            content,
+            guild: { id: '1' },
+            member: { permissions: { has: flag => flag === PermissionFlagsBits.ManageChannels } },
+            reply: async reply => replies.push(reply)
+        });
+        return replies[0];
+    };
+
+    assert.strictEqual(
+        await send('!queries add "Mobile apps" keywords="react native" min_budget=1000 interval=15'),
+        '✅ Query **Mobile apps** saved: upwork | "react native" | budget $1000-any | every 15 min'
+    );
+    assert.strictEqual(await send('!queries add React keywords=vue'), '❌ Error managing search queries: A query named "React" already exists');
+    assert.strictEqual(await send('!queries pause "Mobile apps"'), '⏸️ Query **Mobile apps** paused.');
+
+    const fields = (await send('!queries')).embeds[0].data.fields;
+    const listed = Object.fromEntries(fields.map(field => [field.name, field.value]));
+    assert.match(listed['✅ React'], /\nlast run <t:\d+:R>: 1 found, 1 new$/);
+    assert.match(listed['✅ Broken'], /: 0 found, 0 new\n⚠️ Feed returned HTTP 500$/);
+    assert.strictEqual(listed['⏸️ Mobile apps'], 'upwork | "react native" | budget $1000-any | every 15 min\nnever run');
+    assert.strictEqual(await send('!queries remove "Mobile apps"'), '🗑️ Query **Mobile apps** deleted.');
+    console.log('✅ Queries listed with their yield');
+
+    console.log('\n🎉 Saved search query tests passed');
+}
+
+run().catch(error => {
+    console.error('❌ Saved search query test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,185 @@
+/**
+ * Routing rule tests
+ * Evaluates the rule conditions in fixtures/routing against its jobs and checks rule management commands
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { PermissionFlagsBits } = require('discord.js');
+const RoutingService = require('./src/services/RoutingService');
+const RoutingController = require('./src/controllers/RoutingController');
+const ChannelController = require('./src/controllers/ChannelController');
+const CommandController = require('./src/controllers/CommandController');
+
+const fixturesDir = path.join(__dirname, 'fixtures', 'routing');
+const jobs = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'jobs.json'), 'utf8'));
+const cases = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'conditions.json'), 'utf8'));
+
+/**
+ * Build an in-memory routing rule model
+ */
+function createRuleModel() {
+    const rules = [];
+    let nextId = 1;
+
+    return {
+        rules,
+        create: async data => {
+            const rule = { ...data, id: `rule-${nextId++}`, enabled: true, position: rules.length + 1 };
+            rules.push(rule);
+            return rule;
+        },
+        findByName: async (guildId, name) => rules.find(rule => rule.guildId === guildId && rule.name === name) || null,
+        findByGuild: async (guildId, enabledOnly = false) => rules
+            .filter(rule => rule.guildId === guildId && (!enabledOnly || rule.enabled))
+            .sort((a, b) => a.position - b.position)
+    };
+}
+
+/**
+ * Build a guild whose channels the bot can or cannot post in
+ * @param {string} id - The guild ID
+ * @param {Object} channels - Channel settings by ID ({ text, allowed: granted permissions })
+ */
+function createGuild(id, channels) {
+    const me = { id: 'bot' };
+    const cache = new Map(Object.entries(channels).map(([channelId, { text = true, allowed = [] }]) => [channelId, {
+        isTextBased: () => text,
+        permissionsFor: member => member === me
+            ? { has: flags => flags.every(flag => allowed.includes(flag)) }
+            : null
+    }]));
+
+    return { id, channels: { cache }, members: { me } };
+}
+
+const postable = [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks];
+
+async function run() {
+    console.log('🧪 Testing routing rules...\n');
+
+    const routingService = new RoutingService();
+
+    // Test 1: Each condition matches the expected jobs
+    for (const { conditions, matches } of cases) {
+        const matched = Object.keys(jobs).filter(key => routingService.matchesRule({ conditions }, jobs[key]));
+        assert.deepStrictEqual(matched, matches, `conditions ${JSON.stringify(conditions)}`);
+    }
+    console.log(`✅ ${cases.length} condition cases matched`);
+
+    // Test 2: Rules are evaluated in order until the first matching exclusive rule; disabled and failing rules are skipped
+    const rules = [
+        { name: 'disabled', channelId: 'c1', enabled: false, conditions: {} },
+        { name: 'broken', channelId: 'c1', conditions: { keywords: [null] } },
+        { name: 'high score', channelId: 'c1', mentionRoleId: 'r1', conditions: { minScore: 8 } },
+        { name: 'backend', channelId: 'c2', exclusive: true, conditions: { categories: ['backend'] } },
+        { name: 'node', channelId: 'c3', conditions: { keywords: ['node'] } },
+        { name: 'everything', channelId: 'c1', mentionRoleId: 'r2', conditions: {} }
+    ];
+    assert.deepStrictEqual(routingService.getMatchingRules(rules, jobs['us-api']).map(rule => rule.name), ['high score', 'backend']);
+    assert.deepStrictEqual(routingService.getMatchingRules(rules, jobs['euro-site']).map(rule => rule.name), ['node', 'everything']);
+    console.log('✅ Exclusive rules stop evaluation');
+
+    // Test 3: Matching rules become one target per channel with every rule's role
+    const matched = [rules[2], rules[4], rules[5], { ...rules[5], name: 'again' }];
+    assert.deepStrictEqual(routingService.buildTargets(matched), [
+        { channelId: 'c1', mentionRoleIds: ['r1', 'r2'], rules: ['high score', 'everything', 'again'] },
+        { channelId: 'c3', mentionRoleIds: [], rules: ['node'] }
+    ]);
+    console.log('✅ Targets grouped by channel');
+
+    // Test 4: Raw command options are parsed into a rule and validated
+    const routingController = new RoutingController(createRuleModel(), routingService);
+    const rule = routingController.buildRuleData('1', {
+        name: ' Big US jobs ',
+        channel: '10',
+        role: '20',
+        min_score: '7.5',
+        categories: 'backend, , full-stack',
+        locations: 'US,Canada',
+        budget_type: 'Fixed',
+        exclusive: 'yes'
+    });
+    assert.deepStrictEqual(rule, {
+        guildId: '1',
+        name: 'Big US jobs',
+        channelId: '10',
+        mentionRoleId: '20',
+        exclusive: true,
+        conditions: {
+            minScore: 7.5,
+            maxScore: null,
+            minFitScore: null,
+            maxFitScore: null,
+            categories: ['backend', 'full-stack'],
+            skills: [],
+            budgetType: 'fixed',
+            minBudget: null,
+            maxBudget: null,
+            locations: ['US', 'Canada'],
+            keywords: []
+        }
+    });
+    assert.strictEqual(routingService.describeRule(rule), 'score 7.5-10 | category: backend, full-stack | fixed only | location: US, Canada');
+
+    for (const [options, error] of [
+        [{ channel: '10' }, 'Rule name is required'],
+        [{ name: 'x' }, 'Rule channel is required'],
+        [{ name: 'x', channel: '10', min_score: 'high' }, 'min_score must be a non-negative number'],
+        [{ name: 'x', channel: '10', min_fit: '8', max_fit: '6' }, 'min_fit cannot be greater than max_fit'],
+        [{ name: 'x', channel: '10', min_budget: '500', max_budget: '100' }, 'min_budget cannot be greater than max_budget'],
+        [{ name: 'x', channel: '10', budget_type: 'monthly' }, 'budget_type must be any, fixed or hourly']
+    ]) {
+        assert.throws(() => routingController.buildRuleData('1', options), { message: error });
+    }
+    console.log('✅ Rule options validated');
+
+    // Test 5: Rules are added from quoted prefix arguments, only for channels the bot can post in
+    const commands = new CommandController(null, null, null, null, routingController);
+    const guild = createGuild('1', {
+        10: { allowed: postable },
+        11: { allowed: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages] },
+        12: { text: false, allowed: postable }
+    });
+    const send = async content => {
+        const replies = [];
+        await commands.handleMessage({
+            content,
+            guild,
+            member: { permissions: { has: flag => flag === PermissionFlagsBits.ManageChannels } },
+            reply: async reply => replies.push(reply)
+        });
+        return replies;
+    };
+
+    assert.deepStrictEqual(
+        await send('!rules add "Big budget" <#10> min_budget=1000 keywords="node, react" role=<@&20>'),
+        ['✅ Rule **Big budget** added at position 1: budget $1000-any | keywords: node, react → <#10>']
+    );
+    const rejected = '❌ The rule channel must be a text channel in this server that I can post in.';
+    for (const channel of ['<#11>', '<#12>', '<#99>']) {
+        assert.deepStrictEqual(await send(`!rules add Other ${channel}`), [rejected], `channel ${channel}`);
+    }
+    assert.deepStrictEqual(await send('!rules add "Big budget" <#10>'), ['❌ Error managing routing rules: A rule named "Big budget" already exists']);
+    assert.deepStrictEqual(routingController.routingRuleModel.rules.map(item => [item.name, item.mentionRoleId]), [['Big budget', '20']]);
+    console.log('✅ Rules added for postable channels');
+
+    // Test 6: Jobs no rule matches go to the guild's category channel
+    const channelModel = { findByCategory: async (guildId, category) => ({ discordId: `${category}-channel` }) };
+    const channelController = new ChannelController(null, channelModel, null, routingController);
+    assert.deepStrictEqual(await channelController.resolveTargets('1', jobs['us-api']), [
+        { channelId: '10', mentionRoleIds: ['20'], rules: ['Big budget'] }
+    ]);
+    assert.deepStrictEqual(await channelController.resolveTargets('1', jobs['russia-app']), [
+        { channelId: 'mobile-channel', mentionRoleIds: [], rules: [] }
+    ]);
+    console.log('✅ Unmatched jobs fall back to the category channel');
+
+    console.log('\n🎉 Routing rule tests passed');
+}
+
+run().catch(error => {
+    console.error('❌ Routing rule test failed:', error);
+    process.exit(1);
+});
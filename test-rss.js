@@ -0,0 +1,91 @@
+/**
+ * RSS/Atom feed ingestion tests
+ * Parses the fixture feeds in fixtures/rss and fetches one from a local HTTP server
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const UpworkRssService = require('./src/services/UpworkRssService');
+const UpworkRssSource = require('./src/services/sources/UpworkRssSource');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'rss', name), 'utf8');
+
+async function run() {
+    console.log('🧪 Testing RSS/Atom feed ingestion...\n');
+    const service = new UpworkRssService();
+
+    // Test 1: RSS 2.0 items (CDATA and escaped HTML descriptions)
+    const rssJobs = service.parseFeed(fixture('upwork-rss.xml'));
+    assert.strictEqual(rssJobs.length, 3);
+
+    const [react, shopify, logo] = rssJobs;
+    assert.deepStrictEqual(Object.keys(react).sort(), [
+        'budget', 'clientInfo', 'createdAt', 'description', 'location', 'skills', 'source', 'title', 'upworkId', 'url'
+    ]);
+    assert.strictEqual(react.upworkId, '01a2b3c4d5e6f7a8b9');
+    assert.strictEqual(react.title, 'Senior React Developer for SaaS Dashboard');
+    assert.ok(react.description.startsWith('We need an experienced React developer'));
+    assert.ok(react.description.includes('TypeScript & REST APIs'));
+    assert.ok(!react.description.includes('Hourly Range'));
+    assert.deepStrictEqual(react.budget, { type: 'hourly', min: 35, max: 60, currency: 'USD' });
+    assert.deepStrictEqual(react.skills, ['React', 'TypeScript', 'REST API']);
+    assert.strictEqual(react.location, 'United States');
+    assert.strictEqual(react.createdAt.toISOString(), '2026-10-18T14:03:00.000Z');
+    assert.strictEqual(react.source, 'upwork');
+    assert.ok(!react.url.includes('source=rss'));
+
+    assert.deepStrictEqual(shopify.budget, { type: 'fixed', min: 1500, max: null, currency: 'USD' });
+    assert.deepStrictEqual(shopify.skills, ['Shopify', 'WooCommerce']);
+    assert.strictEqual(shopify.location, 'Canada');
+
+    assert.strictEqual(logo.budget, null);
+    assert.deepStrictEqual(logo.skills, []);
+    assert.strictEqual(logo.location, 'Germany');
+    console.log('✅ RSS items parsed');
+
+    // Test 2: Atom entries
+    const atomJobs = service.parseFeed(fixture('upwork-atom.xml'));
+    assert.strictEqual(atomJobs.length, 1);
+    assert.strictEqual(atomJobs[0].upworkId, '01abcabcabcabcabc1');
+    assert.strictEqual(atomJobs[0].title, 'Python data pipeline on AWS');
+    assert.deepStrictEqual(atomJobs[0].budget, { type: 'hourly', min: 50, max: 80, currency: 'USD' });
+    assert.deepStrictEqual(atomJobs[0].skills, ['Python', 'Apache Airflow', 'AWS']);
+    assert.strictEqual(atomJobs[0].location, 'United Kingdom');
+    assert.strictEqual(atomJobs[0].createdAt.toISOString(), '2026-10-18T12:45:00.000Z');
+    console.log('✅ Atom entries parsed');
+
+    // Test 3: Fetching a feed URL applies the query filters; the adapter only returns new jobs per query
+    const server = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/rss+xml' });
+        res.end(fixture('upwork-rss.xml'));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const feedUrl = `http://127.0.0.1:${server.address().port}/feed`;
+
+    try {
+        const filtered = await service.fetchJobs({ feedUrl, skills: ['Shopify'], queryId: 'shopify' });
+        assert.deepStrictEqual(filtered.map(job => job.upworkId), ['01ffeeddccbbaa9988']);
+
+        const source = new UpworkRssSource(service);
+        const first = await source.fetch({ feedUrl, skills: ['Shopify'], queryId: 'shopify' });
+        assert.deepStrictEqual(first.map(job => job.externalId), ['01ffeeddccbbaa9988']);
+
+        const repeated = await source.fetch({ feedUrl, skills: ['Shopify'], queryId: 'shopify' });
+        assert.strictEqual(repeated.length, 0);
+
+        const otherQuery = await source.fetch({ feedUrl, queryId: 'all' });
+        assert.strictEqual(otherQuery.length, 3);
+    } finally {
+        server.close();
+    }
+    console.log('✅ Feed fetched and filtered');
+
+    console.log('\n🎉 RSS tests passed');
+}
+
+run().catch(error => {
+    console.error('❌ RSS test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,195 @@
+/**
+ * Score breakdown tests
+ * Scores the jobs in fixtures/score-breakdown with a stubbed OpenAI client and checks the breakdown is stored and explained
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const OpenAIService = require('./src/services/OpenAIService');
+const ScoringService = require('./src/services/ScoringService');
+const JobController = require('./src/controllers/JobController');
+const UpworkController = require('./src/controllers/UpworkController');
+const ChannelController = require('./src/controllers/ChannelController');
+const CommandController = require('./src/controllers/CommandController');
+const ScoringProfileController = require('./src/controllers/ScoringProfileController');
+const EventBus = require('./src/utils/EventBus');
+
+const fixture = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'score-breakdown', name), 'utf8'));
+const jobs = fixture('jobs.json');
+const responses = fixture('responses.json');
+const job = id => ({ ...jobs.find(candidate => candidate.externalId === id) });
+
+/**
+ * Build an OpenAI service whose client answers every request with the given JSON response
+ */
+function createOpenAI(response) {
+    const service = new OpenAIService();
+    service.openai = {
+        chat: {
+            completions: {
+                create: async () => ({ choices: [{ message: { content: JSON.stringify(response), refusal: null } }] })
+            }
+        }
+    };
+    return service;
+}
+
+async function run() {
+    console.log('🧪 Testing score breakdowns...\n');
+
+    // Test 1: The AI score comes with the reasons for it
+    assert.deepStrictEqual(await createOpenAI(responses[0]).scoreJob(job('api-us')), responses[0]);
+    assert.deepStrictEqual(
+        await createOpenAI(responses[1]).scoreJob(job('api-us')),
+        { score: 6.5, reasoning: 'Reasonable budget, but the requirements are vague.' }
+    );
+    assert.strictEqual((await createOpenAI({ score: 6, reasoning: 'x'.repeat(1500) }).scoreJob(job('api-us'))).reasoning.length, 1000);
+    assert.strictEqual((await createOpenAI({ score: 6, reasoning: '' }).scoreJob(job('api-us'))).reasoning, null);
+
+    const openai = new OpenAIService();
+    openai.openai = null;
+    assert.strictEqual(await openai.scoreJob(job('api-us')), null);
+    console.log('✅ AI reasoning parsed');
+
+    // Test 2: Scoring keeps every factor, the AI score and its reasons on the job
+    const scoring = new ScoringService(createOpenAI(responses[0]));
+    const scored = job('api-us');
+    const score = await scoring.scoreJob(scored);
+    const breakdown = scored.scoreBreakdown;
+
+    assert.deepStrictEqual(breakdown.factors.map(factor => factor.name), ['budget', 'skills', 'experience', 'location', 'description', 'client']);
+    assert.deepStrictEqual(breakdown.factors.map(factor => factor.weight), Object.values(scoring.getDefaultProfile().weights));
+    assert.strictEqual(breakdown.factors.find(factor => factor.name === 'location').score, 10);
+    assert.strictEqual(breakdown.customScore, Math.round(scoring.calculateCustomScore(scored) * 10) / 10);
+    assert.strictEqual(breakdown.aiScore, 8);
+    assert.strictEqual(breakdown.aiWeight, 0.7);
+    assert.strictEqual(breakdown.aiReasoning, responses[0].reasoning);
+    assert.strictEqual(breakdown.finalScore, score);
+    assert.ok(breakdown.scoredAt instanceof Date);
+
+    // Without an AI score the custom score is the final score
+    const failing = new ScoringService({ scoreJob: async () => { throw new Error('rate limited'); } });
+    const unscored = job('logo-in');
+    const fallback = await failing.scoreJob(unscored);
+    assert.strictEqual(unscored.scoreBreakdown.aiScore, null);
+    assert.strictEqual(unscored.scoreBreakdown.aiReasoning, null);
+    assert.strictEqual(fallback, unscored.scoreBreakdown.customScore);
+    console.log('✅ Breakdown built');
+
+    // Test 3: The pipeline and rescoring store the breakdown with the job
+    const saved = [];
+    const pipeline = new UpworkController(
+        null,
+        new ScoringService({
+            evaluateJob: async () => ({ score: 6, reasoning: 'Solid budget.', category: 'backend', analysis: {}, redFlags: [], bestProfile: null })
+        }),
+        { findBySourceId: async () => null, create: async data => { saved.push(data); return data; } },
+        new EventBus()
+    );
+    assert.strictEqual(await pipeline.processJob({ ...job('api-us'), source: 'upwork' }), 'new');
+    assert.strictEqual(saved[0].scoreBreakdown.aiReasoning, 'Solid budget.');
+    assert.strictEqual(saved[0].scoreBreakdown.finalScore, saved[0].score);
+
+    // Rescoring evaluates the job like processing does
+    const evaluating = new ScoringService(createOpenAI({
+        ...responses[0], category: 'other', duration: 'short', complexity: 'simple', estimatedHours: null, redFlags: [], bestProfileIndex: null, matchScore: null
+    }));
+    const updates = [];
+    const jobController = new JobController({ update: async (id, data) => { updates.push(data); return data; } }, evaluating);
+    await jobController.scoreJob({ ...job('logo-in'), id: 'job-1' });
+    assert.strictEqual(updates[0].aiScore, 8);
+    assert.strictEqual(updates[0].scoreBreakdown.finalScore, updates[0].score);
+    assert.strictEqual(updates[0].scoreBreakdown.aiReasoning, responses[0].reasoning);
+    console.log('✅ Breakdown stored');
+
+    // Test 4: Stored breakdowns are explained as stored, or rescored for guilds with their own profile
+    const stored = { 'job-1': { ...saved[0], id: 'job-1' }, 'job-2': { ...job('legacy'), id: 'job-2' } };
+    const profiles = {
+        findByGuild: async guildId => (guildId === 'guild-budget'
+            ? { guildId, weights: { budget: 1, skills: 0, experience: 0, location: 0, description: 0, client: 0 }, aiWeight: 0 }
+            : null)
+    };
+    const explainer = new ScoringProfileController(profiles, scoring, { findById: async id => stored[id] || null });
+
+    const plain = await explainer.explainJob('job-1', 'guild-default');
+    assert.strictEqual(plain.basis, 'stored');
+    assert.strictEqual(plain.breakdown, saved[0].scoreBreakdown);
+    assert.strictEqual((await explainer.explainJob('job-1')).basis, 'stored', 'DMs use the stored breakdown');
+
+    const custom = await explainer.explainJob('job-1', 'guild-budget');
+    assert.strictEqual(custom.basis, 'profile');
+    assert.strictEqual(custom.breakdown.aiWeight, 0);
+    assert.strictEqual(custom.breakdown.finalScore, custom.breakdown.factors.find(factor => factor.name === 'budget').score);
+    assert.strictEqual(custom.breakdown.aiReasoning, 'Solid budget.', 'the AI reasoning is kept when rescoring');
+
+    const legacy = await explainer.explainJob('job-2', 'guild-default');
+    assert.strictEqual(legacy.basis, 'current');
+    assert.strictEqual(legacy.breakdown.aiScore, 7);
+    assert.strictEqual(legacy.breakdown.aiReasoning, null);
+    await assert.rejects(explainer.explainJob('missing'), /Job missing not found/);
+    console.log('✅ Scores explained');
+
+    // Test 5: /why and the preview render the breakdown
+    const commands = new CommandController(null, null, null, new ChannelController(null, null, new EventBus()), null, null, null, null, explainer);
+    const embed = commands.createScoreBreakdownEmbed(plain).data;
+    assert.ok(embed.title.includes(`${saved[0].score}/10`));
+    const factors = embed.fields.find(field => field.name.startsWith('Custom Score'));
+    assert.strictEqual(factors.value.split('\n').length, 6);
+    assert.ok(factors.value.startsWith('budget: '));
+    assert.strictEqual(embed.fields.find(field => field.name === 'AI Reasoning').value, 'Solid budget.');
+    assert.strictEqual(embed.footer, undefined);
+
+    assert.ok(commands.createScoreBreakdownEmbed(legacy).data.footer.text.includes('current default profile'));
+    assert.ok(!commands.createScoreBreakdownEmbed(legacy).data.fields.some(field => field.name === 'AI Reasoning'));
+
+    const replies = [];
+    await commands.handleWhyCommand({ guild: { id: 'guild-budget' }, reply: reply => replies.push(reply) }, ['job-1']);
+    assert.ok(replies[0].embeds[0].data.footer.text.includes('scoring profile'));
+    await commands.handleWhyCommand({ guild: null, reply: reply => replies.push(reply) }, ['missing']);
+    assert.ok(replies[1].startsWith('❌'));
+
+    const preview = commands.createScorePreviewEmbed(await explainer.previewJob('guild-budget', { job_id: 'job-1' })).data;
+    assert.ok(preview.title.startsWith('🧮 Score preview'));
+    assert.ok(preview.fields.some(field => field.name === 'Default Profile'));
+    console.log('✅ Breakdown rendered');
+
+    // Test 6: Job embeds get a "Score details" button that answers only the user who clicked
+    const row = commands.channelController.createJobActionRow({ id: 'job-1' }).toJSON();
+    assert.ok(row.components.length <= 5, 'Discord allows five buttons per row');
+    assert.strictEqual(row.components[row.components.length - 1].custom_id, 'job:details:job-1');
+
+    const calls = [];
+    const interaction = {
+        customId: 'job:details:job-1',
+        guildId: 'guild-default',
+        user: { id: 'u1', tag: 'user#1' },
+        deferUpdate: async () => calls.push('deferUpdate'),
+        reply: async options => calls.push(options)
+    };
+    await commands.handleComponent(interaction);
+    assert.strictEqual(calls.length, 1, 'the embed itself is not edited');
+    assert.strictEqual(calls[0].ephemeral, true);
+    assert.ok(calls[0].embeds[0].data.title.startsWith('🔍 Why'));
+
+    // Triage buttons re-render the embed with the guild's score
+    commands.jobController = { markJobAsSaved: async () => ({ ...stored['job-1'], saved: true, url: 'https://www.upwork.com/jobs/~api', createdAt: new Date() }) };
+    const edits = [];
+    await commands.handleJobButton({
+        customId: 'job:saved:job-1',
+        guildId: 'guild-budget',
+        user: { id: 'u1', tag: 'user#1' },
+        deferUpdate: async () => {},
+        editReply: async options => edits.push(options)
+    });
+    const scoreField = edits[0].embeds[0].data.fields.find(field => field.name === '⭐ Score');
+    assert.ok(scoreField.value.includes(String(custom.breakdown.finalScore)));
+    console.log('✅ Score details button works');
+
+    console.log('\n🎉 Score breakdown tests passed');
+}
+
+run().catch(error => {
+    console.error('❌ Score breakdown test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,216 @@
+/**
+ * Per-guild scoring profile tests
+ * Scores the jobs in fixtures/scoring-profiles with the default and guild profiles, and manages profiles through an in-memory model
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const ScoringService = require('./src/services/ScoringService');
+const ScoringProfileController = require('./src/controllers/ScoringProfileController');
+
+const fixture = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'scoring-profiles', name), 'utf8'));
+const jobs = fixture('jobs.json');
+const profiles = fixture('profiles.json');
+const job = id => ({ ...jobs.find(candidate => candidate.externalId === id) });
+const profile = guildId => profiles.find(candidate => candidate.guildId === guildId);
+
+/**
+ * In-memory stand-in for ScoringProfileModel, applying `$set` updates like MongoDB
+ */
+class MemoryScoringProfileModel {
+    constructor(stored = []) {
+        this.profiles = stored.map(entry => JSON.parse(JSON.stringify(entry)));
+        this.reads = 0;
+    }
+
+    async findByGuild(guildId) {
+        this.reads++;
+        return this.profiles.find(entry => entry.guildId === guildId) || null;
+    }
+
+    async update(guildId, update) {
+        let stored = this.profiles.find(entry => entry.guildId === guildId);
+        if (!stored) {
+            stored = { guildId, weights: {}, aiWeight: null };
+            this.profiles.push(stored);
+        }
+
+        for (const [key, value] of Object.entries(update.$set || {})) {
+            const [field, subfield] = key.split('.');
+            if (subfield) {
+                stored[field] = { ...stored[field], [subfield]: value };
+            } else {
+                stored[field] = value;
+            }
+        }
+        return stored;
+    }
+
+    async delete(guildId) {
+        const count = this.profiles.length;
+        this.profiles = this.profiles.filter(entry => entry.guildId !== guildId);
+        return this.profiles.length < count;
+    }
+}
+
+async function run() {
+    console.log('🧪 Testing per-guild scoring profiles...\n');
+    const scoring = new ScoringService(null);
+
+    // Test 1: Countries match on the whole name, with common abbreviations
+    assert.strictEqual(scoring.scoreLocation('United States'), 10);
+    assert.strictEqual(scoring.scoreLocation('USA'), 10);
+    assert.strictEqual(scoring.scoreLocation('U.S.'), 10);
+    assert.strictEqual(scoring.scoreLocation('united states of america'), 10);
+    assert.strictEqual(scoring.scoreLocation('Australia'), 8);
+    assert.strictEqual(scoring.scoreLocation('Russia'), 5, '"Russia" contains "us" but is not the US');
+    assert.strictEqual(scoring.scoreLocation('Belarus'), 5);
+    assert.strictEqual(scoring.scoreLocation('UK'), 8);
+    assert.strictEqual(scoring.scoreLocation('Ukraine'), 5, '"Ukraine" starts with "uk" but is not the UK');
+    assert.strictEqual(scoring.scoreLocation('India'), 4);
+    assert.strictEqual(scoring.scoreLocation(''), 5);
+    assert.strictEqual(scoring.getScoreParts(job('api-client-ca')).location.score, 9, 'the client country is used without a location');
+    console.log('✅ Countries matched exactly');
+
+    // Test 2: Unset profile values keep the defaults
+    const defaults = scoring.getDefaultProfile();
+    assert.deepStrictEqual(scoring.resolveProfile(null), defaults);
+    assert.deepStrictEqual(scoring.resolveProfile({ weights: {}, aiWeight: null }), defaults);
+
+    const india = scoring.resolveProfile(profile('guild-india'));
+    assert.strictEqual(india.weights.location, 0.3);
+    assert.strictEqual(india.weights.budget, 0.25);
+    assert.strictEqual(india.aiWeight, 0.7);
+    assert.strictEqual(india.countries.length, 2);
+    assert.strictEqual(scoring.resolveProfile({ countries: [] }).countries.length, 0, 'an emptied country list stays empty');
+
+    for (const id of ['react-us', 'wordpress-in', 'shopify-ru']) {
+        assert.strictEqual(scoring.calculateCustomScore(job(id)), scoring.calculateCustomScore(job(id), defaults));
+    }
+    console.log('✅ Defaults filled in');
+
+    // Test 3: Guild profiles change the custom score and the blend
+    const custom = (id, guildId) => scoring.calculateCustomScore(job(id), profile(guildId));
+    assert.ok(custom('wordpress-in', 'guild-india') > scoring.calculateCustomScore(job('wordpress-in')));
+    assert.ok(custom('react-us', 'guild-india') < scoring.calculateCustomScore(job('react-us')));
+    assert.strictEqual(scoring.getScoreParts(job('shopify-ru'), profile('guild-india')).location.score, 5);
+
+    // Only the budget counts, and the AI score is left out
+    assert.strictEqual(scoring.scoreForProfile(job('react-us'), profile('guild-budget')), 8);
+    assert.strictEqual(scoring.scoreForProfile(job('wordpress-in'), profile('guild-budget')), 4);
+    assert.strictEqual(scoring.scoreForProfile(job('api-client-ca'), profile('guild-budget')), 10);
+
+    // Without an AI score the custom score is used as is
+    const noAi = job('api-client-ca');
+    assert.strictEqual(scoring.scoreForProfile(noAi, null), Math.round(scoring.calculateCustomScore(noAi) * 10) / 10);
+    assert.strictEqual(scoring.blendScores(8, 4, 0.5), 6);
+    console.log('✅ Guild profiles applied');
+
+    // Test 4: Scoring keeps the AI score, so guilds are rescored without another AI request
+    let aiRequests = 0;
+    const aiScoring = new ScoringService({
+        scoreJob: async scored => {
+            aiRequests++;
+            if (scored.title === 'fail') throw new Error('rate limited');
+            return { score: 9, reasoning: 'Clear scope and a strong budget.' };
+        }
+    });
+    const scored = job('react-us');
+    delete scored.aiScore;
+    const defaultScore = await aiScoring.scoreJob(scored);
+    assert.strictEqual(scored.aiScore, 9);
+    assert.strictEqual(defaultScore, aiScoring.blendScores(9, aiScoring.calculateCustomScore(scored), 0.7));
+    assert.strictEqual(aiScoring.scoreForProfile(scored, null), defaultScore);
+    assert.strictEqual(aiScoring.scoreForProfile(scored, { aiWeight: 1 }), 9);
+    assert.strictEqual(await aiScoring.scoreJob(scored, { aiWeight: 1 }), 9);
+    assert.strictEqual(aiRequests, 2);
+
+    const failed = { ...job('react-us'), title: 'fail' };
+    assert.strictEqual(await aiScoring.scoreJob(failed), aiScoring.scoreForProfile(failed, null));
+    assert.strictEqual(failed.aiScore, null);
+    console.log('✅ AI score reused');
+
+    // Test 5: Admins edit a guild's profile; changes are validated and cached profiles refreshed
+    const model = new MemoryScoringProfileModel(profiles);
+    const controller = new ScoringProfileController(model, scoring);
+
+    const fresh = await controller.getProfile('guild-new');
+    assert.strictEqual(fresh.customized, false);
+    await controller.getProfile('guild-new');
+    assert.strictEqual(model.reads, 1, 'profiles are cached');
+
+    const weighted = await controller.updateWeights('guild-new', { budget: '0.5', clientinfo: '0.4' }, 'admin-1');
+    assert.strictEqual(weighted.customized, true);
+    assert.strictEqual(weighted.weights.budget, 0.5);
+    assert.strictEqual(weighted.weights.client, 0.4);
+    assert.strictEqual(weighted.weights.skills, 0.2);
+    assert.strictEqual(weighted.updatedBy, 'admin-1');
+    assert.deepStrictEqual(controller.getWeightShares({ budget: 1, skills: 1, experience: 0, location: 0, description: 0, client: 2 }),
+        { budget: 25, skills: 25, experience: 0, location: 0, description: 0, client: 50 });
+
+    await assert.rejects(controller.updateWeights('guild-new', { budget: '-1' }), /budget must be a non-negative number/);
+    await assert.rejects(controller.updateWeights('guild-new', { speed: '1' }), /at least one weight/);
+    await assert.rejects(
+        controller.updateWeights('guild-new', { budget: 0, skills: 0, experience: 0, location: 0, description: 0, client: 0 }),
+        /greater than 0/
+    );
+
+    assert.strictEqual((await controller.setAiWeight('guild-new', '60%')).aiWeight, 0.6);
+    assert.strictEqual((await controller.setAiWeight('guild-new', '0.25')).aiWeight, 0.25);
+    await assert.rejects(controller.setAiWeight('guild-new', '1.5'), /between 0 and 1/);
+    await assert.rejects(controller.setAiWeight('guild-new', undefined), /between 0 and 1/);
+
+    const withCountry = await controller.setCountry('guild-new', 'india', '8');
+    assert.strictEqual(withCountry.countries.length, defaults.countries.length, 'an existing country is replaced');
+    assert.strictEqual(scoring.scoreLocation('India', withCountry.countries), 8);
+    const added = await controller.setCountry('guild-new', 'Poland', '7');
+    assert.strictEqual(scoring.scoreLocation('Poland', added.countries), 7);
+    await assert.rejects(controller.setCountry('guild-new', 'Poland', '11'), /from 0 to 10/);
+    await assert.rejects(controller.setCountry('guild-new', '', '5'), /Country name is required/);
+
+    const removed = await controller.removeCountry('guild-new', 'USA');
+    assert.strictEqual(scoring.scoreLocation('United States', removed.countries), 5);
+    await assert.rejects(controller.removeCountry('guild-new', 'Atlantis'), /not in the scoring profile/);
+
+    assert.strictEqual(await controller.resetProfile('guild-new'), true);
+    assert.strictEqual((await controller.getProfile('guild-new')).customized, false);
+    assert.strictEqual(await controller.resetProfile('guild-new'), false);
+    console.log('✅ Profiles edited');
+
+    // Test 6: Jobs are rescored per guild before posting, and previews explain the score
+    const posted = job('wordpress-in');
+    assert.strictEqual(await controller.applyProfile(posted, 'guild-default'), posted, 'default guilds get the job unchanged');
+
+    const indiaJob = await controller.applyProfile({ ...posted, score: 5.5 }, 'guild-india');
+    assert.notStrictEqual(indiaJob.score, 5.5);
+    assert.strictEqual(indiaJob.score, scoring.scoreForProfile(posted, profile('guild-india')));
+
+    const document = { ...posted, score: 5.5, toObject() { return { ...posted, score: 5.5 }; } };
+    assert.strictEqual((await controller.applyProfile(document, 'guild-budget')).score, 4);
+    assert.strictEqual(document.score, 5.5, 'the stored job keeps its score');
+
+    const broken = new ScoringProfileController({ findByGuild: async () => { throw new Error('connection lost'); } }, scoring);
+    assert.strictEqual(await broken.applyProfile(posted, 'guild-india'), posted);
+
+    const sample = await controller.previewJob('guild-budget', { title: 'Sample', budget: '$30-50/hr', location: 'Germany', ai_score: '9' });
+    assert.strictEqual(sample.breakdown.finalScore, 8);
+    assert.strictEqual(sample.defaultScore, scoring.scoreForProfile(sample.job, null));
+    assert.strictEqual(sample.breakdown.aiScore, 9);
+    assert.deepStrictEqual(sample.breakdown.factors.find(factor => factor.name === 'location'), { name: 'location', score: 7, weight: 0 });
+    await assert.rejects(controller.previewJob('guild-budget', { budget: 'negotiable' }), /Could not read a budget/);
+
+    const stored = new ScoringProfileController(model, scoring, { findById: async id => (id === 'react-us' ? job('react-us') : null) });
+    const preview = await stored.previewJob('guild-india', { job_id: 'react-us' });
+    assert.strictEqual(preview.breakdown.aiScore, 8);
+    assert.ok(preview.breakdown.finalScore < preview.defaultScore);
+    await assert.rejects(stored.previewJob('guild-india', { job_id: 'missing' }), /Job missing not found/);
+    console.log('✅ Jobs rescored per guild');
+
+    console.log('\n🎉 Scoring profile tests passed');
+}
+
+run().catch(error => {
+    console.error('❌ Scoring profile test failed:', error);
+    process.exit(1);
+});
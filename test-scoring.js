@@ -0,0 +1,102 @@
+/**
+ * Budget-type aware scoring tests
+ * Turns the fixed-price jobs in fixtures/scoring into implied hourly rates and checks scoring, profile matching and embeds use them
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const CurrencyService = require('./src/services/CurrencyService');
+const ScoringService = require('./src/services/ScoringService');
+const ProfileController = require('./src/controllers/ProfileController');
+const ChannelController = require('./src/controllers/ChannelController');
+const UpworkController = require('./src/controllers/UpworkController');
+const EventBus = require('./src/utils/EventBus');
+
+const currency = new CurrencyService({ filePath: path.join(__dirname, 'fixtures', 'scoring', 'missing.json') });
+const jobs = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'scoring', 'jobs.json'), 'utf8'))
+    .map(job => ({ ...job, source: 'upwork', budget: currency.normalizeBudget(job.budget) }));
+const job = id => ({ ...jobs.find(candidate => candidate.externalId === id) });
+
+async function run() {
+    console.log('🧪 Testing budget-type aware scoring...\n');
+    const scoring = new ScoringService(null);
+
+    // Test 1: Effort is estimated from the description, or from an AI analysis
+    assert.deepStrictEqual(scoring.estimateEffort(job('quick-logo')), { hours: 10, duration: 'short', complexity: 'simple', basis: 'description' });
+    assert.deepStrictEqual(scoring.estimateEffort(job('marketplace')), { hours: 320, duration: 'long', complexity: 'complex', basis: 'description' });
+    assert.deepStrictEqual(scoring.estimateEffort(job('landing-page')), { hours: 60, duration: 'medium', complexity: 'moderate', basis: 'description' });
+    assert.deepStrictEqual(
+        scoring.estimateEffort(job('marketplace'), { duration: 'short', complexity: 'simple' }),
+        { hours: 10, duration: 'short', complexity: 'simple', basis: 'analysis' }
+    );
+    assert.strictEqual(scoring.estimateEffort(job('marketplace'), { estimatedHours: 25, duration: 'medium' }).hours, 25);
+    assert.strictEqual(scoring.estimateEffort(job('marketplace'), { duration: 'forever', complexity: 'moderate' }).basis, 'description');
+    console.log('✅ Effort estimated');
+
+    // Test 2: Fixed prices imply an hourly rate in USD; hourly budgets do not
+    assert.deepStrictEqual(
+        [job('quick-logo'), job('marketplace'), job('landing-page'), job('mobile-mvp')]
+            .map(fixed => scoring.getImpliedRate(fixed))
+            .map(rate => [rate.min, rate.max]),
+        [[50, null], [1.56, null], [20, 30], [54, null]]
+    );
+    assert.strictEqual(scoring.getImpliedRate(job('api-hourly')), null);
+    assert.strictEqual(scoring.getImpliedRate({ budget: null }), null);
+    assert.strictEqual(scoring.getImpliedRate(job('marketplace'), { estimatedHours: 25 }).min, 20);
+    console.log('✅ Implied rates calculated');
+
+    // Test 3: The same $500 scores very differently depending on the work it pays for
+    const budgetScore = id => scoring.scoreBudget(job(id).budget, scoring.getImpliedRate(job(id)));
+    assert.strictEqual(budgetScore('quick-logo'), 10);
+    assert.strictEqual(budgetScore('marketplace'), 2);
+    assert.strictEqual(budgetScore('landing-page'), 6);
+    assert.strictEqual(budgetScore('mobile-mvp'), 10);
+    assert.strictEqual(budgetScore('api-hourly'), 8);
+    assert.strictEqual(scoring.scoreBudget(job('marketplace').budget), 4, 'without an implied rate the total is scored');
+    assert.ok(scoring.calculateCustomScore(job('quick-logo')) > scoring.calculateCustomScore(job('marketplace')));
+    console.log('✅ Budgets scored by type');
+
+    // Test 4: Profile rates are compared with the implied rate, never with the fixed total
+    const profiles = new ProfileController(null);
+    const rateMatch = (rate, id) => profiles.calculateRateMatch(rate, job(id).budget, scoring.getImpliedRate(job(id)));
+    assert.strictEqual(rateMatch(50, 'quick-logo'), 10);
+    assert.strictEqual(rateMatch(25, 'landing-page'), 10);
+    assert.strictEqual(rateMatch(40, 'landing-page'), 9);
+    assert.strictEqual(Math.round(rateMatch(50, 'marketplace') * 100) / 100, 5.16);
+    assert.strictEqual(rateMatch(50, 'api-hourly'), 10);
+    assert.strictEqual(profiles.calculateRateMatch(50, job('marketplace').budget), 5, 'a fixed total alone is neutral');
+    console.log('✅ Profile rates matched');
+
+    // Test 5: The pipeline stores the implied rate and the embed explains it
+    const saved = [];
+    const controller = new UpworkController(
+        null,
+        new ScoringService({ evaluateJob: async () => null }),
+        { findBySourceId: async () => null, create: async data => { saved.push(data); return data; } },
+        new EventBus()
+    );
+    assert.strictEqual(await controller.processJob(job('landing-page')), 'new');
+    assert.strictEqual(await controller.processJob(job('api-hourly')), 'new');
+    assert.deepStrictEqual(saved[0].impliedRate, { min: 20, max: 30, hours: 60, duration: 'medium', complexity: 'moderate', basis: 'description' });
+    assert.strictEqual(saved[1].impliedRate, null);
+
+    const channels = new ChannelController(null, null, new EventBus());
+    const embedJob = { ...saved[0], id: 'job-1', url: 'https://www.upwork.com/jobs/~landing', createdAt: new Date() };
+    const field = channels.createJobEmbed(embedJob).data.fields.find(candidate => candidate.name === '⏱️ Implied Rate');
+    assert.strictEqual(field.value, '≈ $20-$30/hr: ~60h for a medium, moderate job (estimated from the description)');
+    assert.ok(!channels.createJobEmbed({ ...saved[1], id: 'job-2', url: 'https://www.upwork.com/jobs/~api', createdAt: new Date() })
+        .data.fields.some(candidate => candidate.name === '⏱️ Implied Rate'));
+    assert.strictEqual(
+        channels.formatImpliedRate({ min: 20, max: null, hours: 25, duration: null, complexity: null, basis: 'analysis' }),
+        '≈ $20/hr: ~25h (AI estimate)'
+    );
+    console.log('✅ Implied rate stored and explained');
+
+    console.log('\n🎉 Scoring tests passed');
+}
+
+run().catch(error => {
+    console.error('❌ Scoring test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,169 @@
+/**
+ * Job source adapter tests
+ * Covers the source registry (aliases, degraded sources, demo mode), the generic feed, JSON file and mock adapters using fixtures/sources
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const JobSource = require('./src/services/sources/JobSource');
+const JobSourceRegistry = require('./src/services/sources/JobSourceRegistry');
+const RssSource = require('./src/services/sources/RssSource');
+const JsonFileSource = require('./src/services/sources/JsonFileSource');
+const MockSource = require('./src/services/sources/MockSource');
+const ChannelController = require('./src/controllers/ChannelController');
+
+const fixturePath = name => path.join(__dirname, 'fixtures', 'sources', name);
+
+async function run() {
+    console.log('🧪 Testing job source adapters...\n');
+
+    // Test 1: Registry lookups, legacy aliases and default sources
+    const registry = new JobSourceRegistry();
+    registry
+        .register(new JobSource('upwork'))
+        .register(new JobSource('upwork-rss', 'upwork'))
+        .register(new RssSource())
+        .register(new JsonFileSource(fixturePath('jobs.json')));
+
+    assert.deepStrictEqual(registry.getNames(), ['upwork', 'upwork-rss', 'feed', 'json-file']);
+    assert.strictEqual(registry.get('scrape').name, 'upwork');
+    assert.strictEqual(registry.get('rss').name, 'upwork-rss');
+    assert.ok(!registry.has('indeed'));
+    assert.throws(() => registry.get('indeed'), /Unknown job source/);
+    assert.throws(() => registry.register(new RssSource()), /already registered/);
+
+    const previousSources = process.env.JOB_SOURCES;
+    process.env.JOB_SOURCES = 'json-file, indeed';
+    assert.deepStrictEqual(registry.getDefaultSources().map(source => source.name), ['json-file']);
+    if (previousSources === undefined) {
+        delete process.env.JOB_SOURCES;
+    } else {
+        process.env.JOB_SOURCES = previousSources;
+    }
+
+    const health = await registry.healthCheckAll();
+    assert.strictEqual(health.length, 4);
+    assert.ok(health.every(result => result.healthy));
+    console.log('✅ Registry resolves adapters');
+
+    // Test 2: Generic feed items keep their own IDs and categories
+    const feed = new RssSource();
+    const feedJobs = feed.parseFeed(fs.readFileSync(fixturePath('generic-feed.xml'), 'utf8'));
+    assert.strictEqual(feedJobs.length, 2);
+
+    const [backend, frontend] = feedJobs;
+    assert.strictEqual(backend.source, 'feed');
+    assert.strictEqual(backend.externalId, 'job-4711');
+    assert.strictEqual(backend.title, 'Backend Engineer (Node.js)');
+    assert.deepStrictEqual(backend.skills, ['Node.js', 'PostgreSQL']);
+    assert.ok(backend.description.startsWith('Build and run our public API.'));
+    assert.strictEqual(backend.createdAt.toISOString(), '2026-10-18T09:30:00.000Z');
+
+    assert.strictEqual(frontend.externalId, 'https://jobs.example.com/jobs/4712');
+    assert.ok(frontend.createdAt instanceof Date && !isNaN(frontend.createdAt.getTime()));
+    console.log('✅ Feed items parsed');
+
+    // Test 3: Fetching a feed filters per query and only returns new items
+    await assert.rejects(() => feed.fetch({}), /needs a feed URL/);
+
+    const server = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/rss+xml' });
+        res.end(fs.readFileSync(fixturePath('generic-feed.xml')));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const feedUrl = `http://127.0.0.1:${server.address().port}/jobs.rss`;
+
+    try {
+        const filtered = await feed.fetch({ feedUrl, skills: ['vue'], queryId: 'vue' });
+        assert.deepStrictEqual(filtered.map(job => job.externalId), ['https://jobs.example.com/jobs/4712']);
+
+        const repeated = await feed.fetch({ feedUrl, skills: ['vue'], queryId: 'vue' });
+        assert.strictEqual(repeated.length, 0);
+
+        const otherQuery = await feed.fetch({ feedUrl, queryId: 'all' });
+        assert.strictEqual(otherQuery.length, 2);
+    } finally {
+        server.close();
+    }
+    console.log('✅ Feed fetched and filtered');
+
+    // Test 4: JSON file jobs are mapped, invalid entries skipped
+    const jsonFile = new JsonFileSource(fixturePath('jobs.json'));
+    const fileJobs = await jsonFile.fetch({ queryId: 'file' });
+    assert.deepStrictEqual(fileJobs.map(job => job.externalId), ['101', '102']);
+    assert.strictEqual(fileJobs[0].source, 'json-file');
+    assert.deepStrictEqual(fileJobs[0].budget, { type: 'fixed', min: 200, max: null });
+    assert.strictEqual(fileJobs[0].createdAt.toISOString(), '2026-10-17T08:00:00.000Z');
+    assert.strictEqual(fileJobs[1].description, '');
+
+    // A job without a URL or description can still be posted
+    const embed = new ChannelController(null, null, null).createJobEmbed({ ...fileJobs[1], id: 'job-102', score: 4, category: 'backend' });
+    assert.strictEqual(embed.data.fields.find(field => field.name === '🔗 Link').value, 'No link');
+
+    const budgeted = await jsonFile.fetch({ minBudget: 100, keywords: 'plugin', queryId: 'budget' });
+    assert.deepStrictEqual(budgeted.map(job => job.externalId), ['101']);
+
+    const details = await jsonFile.getDetails(102);
+    assert.strictEqual(details.title, 'Data entry');
+    assert.strictEqual(await jsonFile.getDetails('999'), null);
+
+    // Each query only remembers its most recent IDs
+    const bounded = new JsonFileSource(fixturePath('jobs.json'));
+    bounded.seenLimit = 1;
+    await bounded.fetch({ queryId: 'bounded' });
+    assert.strictEqual(bounded.seen.get('bounded').size, 1);
+    assert.deepStrictEqual((await bounded.fetch({ queryId: 'bounded' })).map(job => job.externalId), ['101', '102']);
+
+    // Files named by saved queries are read from the query directory only
+    const queryFiles = new JsonFileSource(fixturePath('missing.json'), path.join(__dirname, 'fixtures', 'sources'));
+    assert.deepStrictEqual((await queryFiles.fetch({ filePath: 'jobs.json', queryId: 'file' })).map(job => job.externalId), ['101', '102']);
+    for (const [filePath, error] of [
+        [fixturePath('jobs.json'), /^file_path must be relative to /],
+        ['../rss/feed.xml', /^file_path must be a file inside /],
+        ['.', /^file_path must be a file inside /]
+    ]) {
+        await assert.rejects(queryFiles.fetch({ filePath }), { message: error });
+    }
+
+    const missing = await new JsonFileSource(fixturePath('missing.json')).healthCheck();
+    assert.strictEqual(missing.healthy, false);
+    console.log('✅ JSON file jobs read');
+
+    // Test 5: Failing sources are marked degraded once and recover on the next successful fetch
+    assert.strictEqual(registry.markDegraded('feed', new Error('HTTP 503')), true);
+    assert.strictEqual(registry.markDegraded('feed', new Error('HTTP 502')), false);
+    assert.deepStrictEqual(registry.getDegradedSources().map(source => [source.name, source.failures, source.lastError]), [['feed', 2, 'HTTP 502']]);
+
+    const degradedHealth = (await registry.healthCheckAll()).find(result => result.name === 'feed');
+    assert.strictEqual(degradedHealth.degraded, true);
+    assert.ok(degradedHealth.degradedSince instanceof Date);
+
+    const recovered = registry.markHealthy('feed');
+    assert.strictEqual(recovered.failures, 2);
+    assert.strictEqual(registry.markHealthy('feed'), null);
+    assert.strictEqual(registry.getDegradedSources().length, 0);
+    console.log('✅ Degraded sources tracked');
+
+    // Test 6: Demo mode polls only the mock source, whose jobs are flagged
+    const demoRegistry = new JobSourceRegistry({ demoMode: true })
+        .register(new JobSource('upwork'))
+        .register(new MockSource());
+    assert.deepStrictEqual(demoRegistry.getDefaultSources().map(source => source.name), ['mock']);
+
+    const mockJobs = await demoRegistry.get('mock').fetch({ skills: ['python'] });
+    assert.strictEqual(mockJobs.length, 1);
+    assert.strictEqual(mockJobs[0].isMock, true);
+    assert.strictEqual(mockJobs[0].source, 'mock');
+    assert.ok(mockJobs[0].externalId.startsWith('demo-'));
+    assert.ok(!registry.has('mock'));
+    console.log('✅ Mock jobs only in demo mode');
+
+    console.log('\n🎉 Job source tests passed');
+}
+
+run().catch(error => {
+    console.error('❌ Job source test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,247 @@
+/**
+ * Upwork GraphQL API client tests
+ * Runs the client against a local mock OAuth2 + GraphQL server serving fixtures/upwork-api
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const UpworkApiService = require('./src/services/UpworkApiService');
+const UpworkApiSource = require('./src/services/sources/UpworkApiSource');
+
+const postings = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'upwork-api', 'job-postings.json'), 'utf8'));
+
+/**
+ * In-memory stand-in for ApiTokenModel
+ */
+class MemoryTokenStore {
+    constructor(tokens = {}) {
+        this.tokens = tokens;
+    }
+
+    async get(provider) {
+        return this.tokens[provider] || null;
+    }
+
+    async save(provider, token) {
+        this.tokens[provider] = { ...token, provider };
+        return this.tokens[provider];
+    }
+}
+
+/**
+ * Mock Upwork server: OAuth2 token endpoint and a paginated job search
+ */
+function createMockServer() {
+    const state = {
+        tokenRequests: [],
+        searchRequests: [],
+        validTokens: new Set(),
+        issued: 0,
+        rejectNextSearch: false,
+        graphqlErrors: null
+    };
+
+    const send = (res, status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    };
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            if (req.url === '/oauth2/token') {
+                const params = Object.fromEntries(new URLSearchParams(body));
+                state.tokenRequests.push(params);
+
+                if (params.client_id !== 'client-id' || params.client_secret !== 'client-secret') {
+                    return send(res, 401, { error: 'invalid_client' });
+                }
+                if (params.grant_type === 'refresh_token' && params.refresh_token === 'revoked') {
+                    return send(res, 400, { error: 'invalid_grant' });
+                }
+
+                state.issued++;
+                const accessToken = `access-${state.issued}`;
+                state.validTokens.add(accessToken);
+
+                return send(res, 200, {
+                    access_token: accessToken,
+                    refresh_token: params.grant_type === 'refresh_token' ? `refresh-${state.issued}` : undefined,
+                    token_type: 'Bearer',
+                    expires_in: 86400
+                });
+            }
+
+            if (req.url === '/graphql') {
+                const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+                const { variables } = JSON.parse(body);
+                state.searchRequests.push({ token, filter: variables.filter });
+
+                if (state.rejectNextSearch || !state.validTokens.has(token)) {
+                    state.rejectNextSearch = false;
+                    return send(res, 401, { message: 'Unauthorized' });
+                }
+                if (state.graphqlErrors) {
+                    return send(res, 200, { data: null, errors: state.graphqlErrors });
+                }
+
+                const { first, after } = variables.filter.pagination_eq;
+                const start = after ? parseInt(after) : 0;
+                const page = postings.slice(start, start + first);
+                const end = start + page.length;
+
+                return send(res, 200, {
+                    data: {
+                        marketplaceJobPostingsSearch: {
+                            totalCount: postings.length,
+                            edges: page.map(node => ({ node })),
+                            pageInfo: { hasNextPage: end < postings.length, endCursor: String(end) }
+                        }
+                    }
+                });
+            }
+
+            send(res, 404, { message: 'Not found' });
+        });
+    });
+
+    return { server, state };
+}
+
+async function run() {
+    console.log('🧪 Testing Upwork API client...\n');
+
+    const { server, state } = createMockServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const createService = (store, options = {}) => new UpworkApiService(store, {
+        apiUrl: `${baseUrl}/graphql`,
+        tokenUrl: `${baseUrl}/oauth2/token`,
+        clientId: 'client-id',
+        clientSecret: 'client-secret',
+        pageSize: 2,
+        ...options
+    });
+
+    try {
+        // Test 1: Client credentials token is requested once, persisted and reused
+        const store = new MemoryTokenStore();
+        const service = createService(store);
+
+        const jobs = await service.searchJobs({ keywords: 'react', limit: 5 });
+        assert.strictEqual(jobs.length, 5);
+        assert.strictEqual(state.tokenRequests.length, 1);
+        assert.strictEqual(state.tokenRequests[0].grant_type, 'client_credentials');
+        assert.strictEqual(store.tokens.upwork.accessToken, 'access-1');
+        assert.ok(store.tokens.upwork.expiresAt > new Date());
+
+        await service.searchJobs({ limit: 1 });
+        assert.strictEqual(state.tokenRequests.length, 1);
+        console.log('✅ Client credentials token persisted and reused');
+
+        // Test 2: Pagination follows cursors and stops at the limit
+        assert.deepStrictEqual(
+            state.searchRequests.slice(0, 3).map(request => request.filter.pagination_eq),
+            [{ first: 2 }, { first: 2, after: '2' }, { first: 1, after: '4' }]
+        );
+        assert.strictEqual(state.searchRequests[0].filter.searchExpression_eq, 'react');
+        console.log('✅ Pages followed until the limit');
+
+        // Test 3: Postings map into the common job shape
+        const [reactNative, copywriting, nodeReview, excel] = jobs;
+        assert.strictEqual(reactNative.upworkId, '01aa11bb22cc33dd44');
+        assert.strictEqual(reactNative.url, 'https://www.upwork.com/jobs/~01aa11bb22cc33dd44');
+        assert.strictEqual(reactNative.title, 'React Native developer for fitness app');
+        assert.deepStrictEqual(reactNative.budget, { type: 'hourly', min: 40, max: 65, currency: 'USD' });
+        assert.deepStrictEqual(reactNative.skills, ['React Native', 'TypeScript']);
+        assert.strictEqual(reactNative.location, 'United States');
+        assert.strictEqual(reactNative.clientInfo, 'Payment verified, 4.9 rating (9 reviews), $25401 spent, 12 hires');
+        assert.strictEqual(reactNative.client.paymentVerified, true);
+        assert.strictEqual(reactNative.client.totalSpent, 25400.5);
+        assert.strictEqual(reactNative.client.hireRate, 60);
+        assert.strictEqual(reactNative.client.country, 'United States');
+        assert.strictEqual(reactNative.clientId, '1344957');
+        assert.strictEqual(reactNative.createdAt.toISOString(), '2026-10-18T10:05:00.000Z');
+        assert.strictEqual(reactNative.source, 'upwork');
+
+        assert.deepStrictEqual(copywriting.budget, { type: 'fixed', min: 300, max: null, currency: 'USD' });
+        assert.strictEqual(copywriting.clientInfo, '');
+        assert.strictEqual(copywriting.clientId, null);
+        assert.strictEqual(copywriting.createdAt.toISOString(), '2026-10-18T09:00:00.000Z');
+        assert.deepStrictEqual(nodeReview.budget, { type: 'fixed', min: 1200, max: null, currency: 'USD' });
+        assert.deepStrictEqual(excel.budget, { type: 'hourly', min: 15, max: null, currency: 'USD' });
+        console.log('✅ Postings mapped');
+
+        // Test 4: A stored, expired token is refreshed with its refresh token, and the rotated one is kept
+        const expiredStore = new MemoryTokenStore({
+            upwork: { accessToken: 'old', refreshToken: 'refresh-old', tokenType: 'Bearer', expiresAt: new Date(Date.now() - 1000) }
+        });
+        const refreshing = createService(expiredStore);
+        await refreshing.searchJobs({ limit: 1 });
+
+        const refreshRequest = state.tokenRequests[state.tokenRequests.length - 1];
+        assert.strictEqual(refreshRequest.grant_type, 'refresh_token');
+        assert.strictEqual(refreshRequest.refresh_token, 'refresh-old');
+        assert.strictEqual(expiredStore.tokens.upwork.refreshToken, `refresh-${state.issued}`);
+        console.log('✅ Expired token refreshed');
+
+        // Test 5: A revoked refresh token falls back to client credentials
+        const revoked = createService(new MemoryTokenStore(), { refreshToken: 'revoked' });
+        await revoked.searchJobs({ limit: 1 });
+        assert.deepStrictEqual(
+            state.tokenRequests.slice(-2).map(request => request.grant_type),
+            ['refresh_token', 'client_credentials']
+        );
+        console.log('✅ Revoked refresh token falls back to client credentials');
+
+        // Test 6: A rejected access token is replaced and the request retried once
+        const tokenCount = state.tokenRequests.length;
+        state.rejectNextSearch = true;
+        const retried = await service.searchJobs({ limit: 1 });
+        assert.strictEqual(retried.length, 1);
+        assert.strictEqual(state.tokenRequests.length, tokenCount + 1);
+
+        // A token with a refresh token is replaced through the refresh token grant
+        const storedRefreshToken = expiredStore.tokens.upwork.refreshToken;
+        state.rejectNextSearch = true;
+        assert.strictEqual((await refreshing.searchJobs({ limit: 1 })).length, 1);
+        const replaced = state.tokenRequests[state.tokenRequests.length - 1];
+        assert.strictEqual(replaced.grant_type, 'refresh_token');
+        assert.strictEqual(replaced.refresh_token, storedRefreshToken);
+        assert.strictEqual(expiredStore.tokens.upwork.accessToken, `access-${state.issued}`);
+        console.log('✅ Rejected token replaced');
+
+        // Test 7: GraphQL errors and missing credentials surface as errors
+        state.graphqlErrors = [{ message: 'Insufficient scope' }];
+        await assert.rejects(() => service.searchJobs({ limit: 1 }), /Insufficient scope/);
+        state.graphqlErrors = null;
+
+        const unconfigured = new UpworkApiService(null);
+        unconfigured.clientId = null;
+        unconfigured.clientSecret = null;
+        await assert.rejects(() => unconfigured.searchJobs(), /not configured/);
+        assert.strictEqual((await unconfigured.checkAccess()).healthy, false);
+        assert.strictEqual((await service.checkAccess()).healthy, true);
+        console.log('✅ Errors reported');
+
+        // Test 8: The adapter stamps source IDs and applies budget filters
+        const source = new UpworkApiSource(createService(new MemoryTokenStore()));
+        const fromSource = await source.fetch({ limit: 5, minBudget: 100, queryId: 'api' });
+        assert.deepStrictEqual(fromSource.map(job => job.externalId), ['01bb22cc33dd44ee55', '01cc33dd44ee55ff66', '01ee55ff6677889900']);
+        assert.ok(fromSource.every(job => job.source === 'upwork'));
+        console.log('✅ Adapter filters and stamps jobs');
+    } finally {
+        server.close();
+    }
+
+    console.log('\n🎉 Upwork API tests passed');
+}
+
+run().catch(error => {
+    console.error('❌ Upwork API test failed:', error);
+    process.exit(1);
+});